@@ -1,5 +1,12 @@
 const vscode = require("vscode");
 const { displayMessageIntelligently } = require("./utils/messageDisplay");
+const {
+  getConnectionProfiles,
+  getProfileSetting,
+  getAuthSecret,
+  storeAuthSecret,
+  deleteAuthSecret,
+} = require("./utils/connectionProfiles");
 
 let RosbridgeClient,
   PublishersProvider,
@@ -9,17 +16,47 @@ let RosbridgeClient,
   ParametersPanel,
   BagRecorderPanel,
   MessageInspectorPanel,
+  TopicPublisherPanel,
+  ActionGoalPanel,
+  ServiceWorkbenchPanel,
+  TopicMonitorPanel,
+  PlotPanel,
+  TfPanel,
+  TeleopPanel,
+  LogsPanel,
+  DiagnosticsPanel,
+  GraphPanel,
+  CollectionsProvider,
+  requestCollections,
+  subscriptionOptions,
+  computationGraph,
+  graphSnapshot,
   extensionHandle;
 
 try {
   RosbridgeClient = require("./rosbridge");
   ({ PublishersProvider } = require("./ui/tree"));
   ({ NodeListProvider } = require("./ui/nodeTree"));
+  ({ CollectionsProvider } = require("./ui/collectionsTree"));
   ({ VisualizationPanel } = require("./ui/visualizationPanel"));
   ConnectionDashboard = require("./ui/connectionDashboard");
   ParametersPanel = require("./ui/parametersPanel");
   BagRecorderPanel = require("./ui/bagRecorderPanel");
   MessageInspectorPanel = require("./ui/messageInspectorPanel");
+  TopicPublisherPanel = require("./ui/topicPublisherPanel");
+  ActionGoalPanel = require("./ui/actionGoalPanel");
+  ServiceWorkbenchPanel = require("./ui/serviceWorkbenchPanel");
+  TopicMonitorPanel = require("./ui/topicMonitorPanel");
+  PlotPanel = require("./ui/plotPanel");
+  TfPanel = require("./ui/tfPanel");
+  TeleopPanel = require("./ui/teleopPanel");
+  LogsPanel = require("./ui/logsPanel");
+  DiagnosticsPanel = require("./ui/diagnosticsPanel");
+  GraphPanel = require("./ui/graphPanel");
+  requestCollections = require("./utils/requestCollections");
+  subscriptionOptions = require("./utils/subscriptionOptions");
+  computationGraph = require("./utils/computationGraph");
+  graphSnapshot = require("./utils/graphSnapshot");
   ({ extensionHandle } = require("./utils/helpers"));
 } catch (error) {
   console.error("Module load error:", error);
@@ -53,7 +90,10 @@ function formatError(error) {
   return String(error);
 }
 
-function updateTopicMessageRate(topicName, topicRates) {
+const RECENT_MESSAGE_TIMES = 200;
+const ROBOT_DESCRIPTION_PATTERN = /\.(urdf|xacro)$/i;
+
+function updateTopicMessageRate(topicName, topicRates, message = undefined) {
   const now = Date.now();
 
   if (!topicRates.has(topicName)) {
@@ -62,12 +102,21 @@ function updateTopicMessageRate(topicName, topicRates) {
       firstMessageTime: now,
       lastMessageTime: now,
       messagesPerSecond: 0,
+      recentMessageTimes: [],
+      lastMessage: undefined,
     });
   }
 
   const rateInfo = topicRates.get(topicName);
   rateInfo.messageCount++;
   rateInfo.lastMessageTime = now;
+  rateInfo.recentMessageTimes.push(now);
+  if (rateInfo.recentMessageTimes.length > RECENT_MESSAGE_TIMES) {
+    rateInfo.recentMessageTimes.shift();
+  }
+  if (message !== undefined) {
+    rateInfo.lastMessage = message;
+  }
 
   const timeDiff = (now - rateInfo.firstMessageTime) / 1000;
   if (timeDiff > 0) {
@@ -80,10 +129,10 @@ function updateTopicMessageRate(topicName, topicRates) {
   }
 }
 
-function isStaticTopic(topicName, messageType, topicRates) {
+function isStaticTopic(topicName, messageType, topicRates, profile = null) {
   const config = vscode.workspace.getConfiguration(extensionHandle);
 
-  const staticTopics = config.get("staticTopics", [
+  const staticTopics = getProfileSetting(profile, "staticTopics", [
     "/robot_description",
     "/tf_static",
     "/map_metadata",
@@ -148,95 +197,6 @@ function isStaticTopic(topicName, messageType, topicRates) {
   return false;
 }
 
-function processMapData(mapData, channels) {
-  try {
-    if (!mapData || !mapData.info) {
-      throw new Error("Invalid map data structure");
-    }
-
-    const { width, height, resolution, origin } = mapData.info;
-
-    const cleanMapData = {
-      info: {
-        width,
-        height,
-        resolution,
-        origin: {
-          position: {
-            x: origin?.position?.x || 0,
-            y: origin?.position?.y || 0,
-            z: origin?.position?.z || 0,
-          },
-        },
-      },
-      data: [],
-    };
-
-    if (mapData.data && mapData.data.length > 0) {
-      cleanMapData.data = Array.from(mapData.data);
-    }
-
-    return cleanMapData;
-  } catch (error) {
-    channels["main"].appendLine(`Error processing map data: ${error.message}`);
-    return null;
-  }
-}
-
-function handleServiceResult(serviceName, serviceType, result, channels) {
-  const isMapService = serviceType.includes("GetMap") && result?.map;
-
-  if (isMapService) {
-    handleMapServiceResult(result.map, channels);
-  } else {
-    handleGenericServiceResult(serviceName, result, channels);
-  }
-}
-
-function handleMapServiceResult(mapData, channels) {
-  const processedMap = processMapData(mapData, channels);
-
-  if (!processedMap) {
-    vscode.window.showErrorMessage("Failed to process map data");
-    return;
-  }
-
-  vscode.window.showInformationMessage(
-    "Map service called successfully. Subscribe to a map topic to visualize."
-  );
-}
-
-function handleGenericServiceResult(serviceName, result, channels) {
-  channels["main"].appendLine(`Service result for ${serviceName}:`);
-
-  try {
-    const seen = new WeakSet();
-    const jsonString = JSON.stringify(
-      result,
-      (key, value) => {
-        if (typeof value === "object" && value !== null) {
-          if (seen.has(value)) {
-            return "[Circular]";
-          }
-          seen.add(value);
-        }
-        return value;
-      },
-      2
-    );
-
-    channels["main"].appendLine(jsonString);
-  } catch (error) {
-    channels["main"].appendLine("Result too complex to display");
-    channels["main"].appendLine(`Error: ${error.message}`);
-  }
-
-  channels["main"].show();
-  vscode.window.showInformationMessage(
-    `Service ${serviceName} completed. Check output.`
-  );
-}
-
 function activate(context) {
   try {
     vscode.commands.executeCommand(
@@ -252,11 +212,60 @@ function activate(context) {
 
     let bridge = [];
     let channels = {};
-    let ws = null;
+    const clients = new Map();
+    const clientStatus = new Map();
 
     const outputChannels = new Map();
     const topicMessageRates = new Map();
 
+    const getTopicRates = (client) => {
+      if (!topicMessageRates.has(client.url)) {
+        topicMessageRates.set(client.url, new Map());
+      }
+      return topicMessageRates.get(client.url);
+    };
+
+    // Opens the topic's visualization on its first message and feeds it the
+    // following ones.
+    const showInVisualization = (
+      ws,
+      subscriptionData,
+      topicName,
+      messageType,
+      detectedType,
+      msg
+    ) => {
+      if (!VisualizationPanel.canVisualize(detectedType)) {
+        return;
+      }
+
+      if (
+        !subscriptionData.visualizationPanel &&
+        !subscriptionData.creatingPanel
+      ) {
+        subscriptionData.creatingPanel = true;
+        VisualizationPanel.createOrShow(
+          context.extensionUri,
+          topicName,
+          messageType,
+          msg,
+          ws
+        )
+          .then((panel) => {
+            subscriptionData.creatingPanel = false;
+            if (panel) {
+              subscriptionData.visualizationPanel = panel;
+              panel.updateData(msg);
+            }
+          })
+          .catch(() => {
+            subscriptionData.creatingPanel = false;
+          });
+      } else if (subscriptionData.visualizationPanel) {
+        subscriptionData.visualizationPanel.updateData(msg);
+      }
+    };
+
     channels["main"] = vscode.window.createOutputChannel(
       "Eight Vectors Studio"
     );
@@ -279,6 +288,318 @@ function activate(context) {
     );
     vscode.window.registerTreeDataProvider("eightVectorsStudioNodeListView", nodeTree);
 
+    const statusBarItem = vscode.window.createStatusBarItem(
+      vscode.StatusBarAlignment.Left,
+      100
+    );
+    statusBarItem.command = `${extensionHandle}.connect-bridge`;
+    context.subscriptions.push(statusBarItem);
+
+    const updateStatusBar = () => {
+      const entries = Array.from(clients.values()).map((client) => ({
+        client,
+        status: clientStatus.get(client.url) || "disconnected",
+      }));
+      const isBusy = entries.some(
+        ({ status }) => status === "connecting" || status === "reconnecting"
+      );
+
+      if (entries.length === 0) {
+        statusBarItem.text = "$(debug-disconnect) ROS 2";
+        statusBarItem.tooltip = "Not connected. Click to connect to rosbridge.";
+      } else if (entries.length === 1) {
+        const { client, status } = entries[0];
+        statusBarItem.text = `${
+          isBusy ? "$(sync~spin)" : "$(radio-tower)"
+        } ${client.getLabel()}`;
+        switch (status) {
+          case "connected":
+            statusBarItem.tooltip = `Connected to ${client.url}`;
+            break;
+          case "connecting":
+            statusBarItem.tooltip = `Connecting to ${client.url}...`;
+            break;
+          case "reconnecting":
+            statusBarItem.tooltip = `Reconnecting to ${client.url}...`;
+            break;
+          default:
+            statusBarItem.tooltip = `Disconnected from ${client.url}`;
+            break;
+        }
+      } else {
+        statusBarItem.text = `${
+          isBusy ? "$(sync~spin)" : "$(radio-tower)"
+        } ${entries.length} robots`;
+        statusBarItem.tooltip = entries
+          .map(({ client, status }) => `${client.getLabel()}: ${status}`)
+          .join("\n");
+      }
+      statusBarItem.show();
+    };
+    updateStatusBar();
+
+    const updateConnectionContext = () => {
+      const statuses = Array.from(clientStatus.values());
+      vscode.commands.executeCommand(
+        "setContext",
+        `${extensionHandle}.isConnected`,
+        statuses.includes("connected")
+      );
+      vscode.commands.executeCommand(
+        "setContext",
+        `${extensionHandle}.isConnecting`,
+        statuses.includes("connecting")
+      );
+      vscode.commands.executeCommand(
+        "setContext",
+        `${extensionHandle}.isReconnecting`,
+        statuses.includes("reconnecting")
+      );
+      updateStatusBar();
+    };
+
+    // Picks the connection a command should act on: the one the tree item
+    // belongs to, the only one available, or one chosen by the user.
+    const resolveClient = async (
+      address,
+      { requireConnected = true, noneMessage = "Not connected to rosbridge" } = {}
+    ) => {
+      if (address && clients.has(address)) {
+        const client = clients.get(address);
+        if (!requireConnected || client.isConnected()) {
+          return client;
+        }
+        vscode.window.showErrorMessage(`Not connected to ${client.getLabel()}`);
+        return null;
+      }
+
+      const candidates = Array.from(clients.values()).filter(
+        (client) => !requireConnected || client.isConnected()
+      );
+
+      if (candidates.length === 0) {
+        vscode.window.showErrorMessage(noneMessage);
+        return null;
+      }
+
+      if (candidates.length === 1) {
+        return candidates[0];
+      }
+
+      const selected = await vscode.window.showQuickPick(
+        candidates.map((client) => ({
+          label: client.getLabel(),
+          description: client.url,
+          client,
+        })),
+        { placeHolder: "Select a robot connection" }
+      );
+      return selected ? selected.client : null;
+    };
+
+    const promptForAuthSecret = async (profile) => {
+      const secret = await vscode.window.showInputBox({
+        prompt: `Enter the rosbridge authentication ${
+          profile.auth && profile.auth.mode === "token" ? "token" : "secret"
+        } for ${profile.name}`,
+        password: true,
+        ignoreFocusOut: true,
+      });
+      if (!secret) {
+        return null;
+      }
+
+      await storeAuthSecret(context.secrets, profile, secret);
+      return secret;
+    };
+
+    const pickProfile = async (placeHolder, filter = () => true) => {
+      const profiles = getConnectionProfiles().filter(filter);
+      if (profiles.length === 0) {
+        vscode.window.showInformationMessage(
+          "No matching connection profiles. Add one in the eight-vectors-studio.connectionProfiles setting."
+        );
+        return null;
+      }
+
+      const selected = await vscode.window.showQuickPick(
+        profiles.map((item) => ({
+          label: item.name,
+          description: item.url,
+          profile: item,
+        })),
+        { placeHolder }
+      );
+      return selected ? selected.profile : null;
+    };
+
+    const disposeClientPanels = (client) => {
+      ConnectionDashboard.disposeForClient(client);
+      ParametersPanel.disposeForClient(client);
+      TopicPublisherPanel.disposeForClient(client);
+      ActionGoalPanel.disposeForClient(client);
+      ServiceWorkbenchPanel.disposeForClient(client);
+      TopicMonitorPanel.disposeForClient(client);
+      PlotPanel.disposeForClient(client);
+      TfPanel.disposeForClient(client);
+      TeleopPanel.disposeForClient(client);
+      LogsPanel.disposeForClient(client);
+      DiagnosticsPanel.disposeForClient(client);
+      GraphPanel.disposeForClient(client);
+
+      if (
+        MessageInspectorPanel.currentPanel &&
+        MessageInspectorPanel.currentPanel._rosbridgeClient === client
+      ) {
+        MessageInspectorPanel.currentPanel.dispose();
+      }
+
+      if (clients.size === 0 && BagRecorderPanel.currentPanel) {
+        BagRecorderPanel.currentPanel.dispose();
+      }
+    };
+
+    const disposeClientChannels = (client) => {
+      for (const [name, channel] of Array.from(outputChannels.entries())) {
+        if (name === "main" || channel.connectionUrl !== client.url) {
+          continue;
+        }
+
+        if (channel.subscriptionData) {
+          channel.subscriptionData.messageBuffer = [];
+        }
+        channel.clear();
+        channel.hide();
+        channel.dispose();
+        outputChannels.delete(name);
+        if (channels[name]) {
+          delete channels[name];
+        }
+      }
+    };
+
+    const removeClient = (client) => {
+      clients.delete(client.url);
+      clientStatus.delete(client.url);
+      activeConnections.delete(client.url);
+      topicMessageRates.delete(client.url);
+
+      const index = bridge.indexOf(client.url);
+      if (index !== -1) {
+        bridge.splice(index, 1);
+      }
+
+      tree.setRosbridgeClient(client.url, null);
+      tree.refresh();
+      nodeTree.setRosbridgeClient(client.url, null);
+      nodeTree.refresh();
+
+      disposeClientChannels(client);
+      disposeClientPanels(client);
+
+      if (clients.size === 0 && cleanupInterval) {
+        clearInterval(cleanupInterval);
+        cleanupInterval = null;
+      }
+
+      updateConnectionContext();
+    };
+
+    const collectionsTree = new CollectionsProvider(
+      extensionHandle,
+      channels["main"]
+    );
+    const collectionsView = vscode.window.createTreeView(
+      "eightVectorsStudioCollectionsView",
+      { treeDataProvider: collectionsTree }
+    );
+    context.subscriptions.push(collectionsView);
+
+    const COLLECTION_ENVIRONMENT_KEY = "activeCollectionEnvironment";
+    const updateCollectionsDescription = () => {
+      const environment = context.workspaceState.get(
+        COLLECTION_ENVIRONMENT_KEY
+      );
+      collectionsView.description = environment ? `env: ${environment}` : "";
+    };
+    updateCollectionsDescription();
+
+    let collectionsWatcher = null;
+    const watchCollectionsFile = () => {
+      if (collectionsWatcher) {
+        collectionsWatcher.dispose();
+        collectionsWatcher = null;
+      }
+
+      const folders = vscode.workspace.workspaceFolders;
+      if (folders && folders.length > 0) {
+        const relativePath = vscode.workspace
+          .getConfiguration(extensionHandle)
+          .get("collectionsFile", "ros2-collections.yaml");
+        collectionsWatcher = vscode.workspace.createFileSystemWatcher(
+          new vscode.RelativePattern(folders[0], relativePath)
+        );
+        collectionsWatcher.onDidCreate(() => collectionsTree.reload());
+        collectionsWatcher.onDidChange(() => collectionsTree.reload());
+        collectionsWatcher.onDidDelete(() => collectionsTree.reload());
+      }
+
+      collectionsTree.reload();
+    };
+    watchCollectionsFile();
+    context.subscriptions.push({
+      dispose: () => collectionsWatcher && collectionsWatcher.dispose(),
+    });
+
+    const runCollectionRequests = async (entries) => {
+      const ws = await resolveClient();
+      if (!ws) {
+        return;
+      }
+
+      const data = collectionsTree.data || (await collectionsTree.reload());
+      if (!data) {
+        return;
+      }
+
+      const variables = requestCollections.getVariables(
+        data,
+        context.workspaceState.get(COLLECTION_ENVIRONMENT_KEY)
+      );
+
+      let failures = 0;
+      for (const { collectionName, request } of entries) {
+        try {
+          const { resolved, result, durationMs } =
+            await requestCollections.runRequest(ws, request, variables);
+          channels["main"].appendLine(
+            `[${collectionName}] ${request.name} completed in ${durationMs} ms`
+          );
+          if (resolved.kind !== "topic") {
+            channels["main"].appendLine(JSON.stringify(result, null, 2));
+          }
+        } catch (error) {
+          failures++;
+          channels["main"].appendLine(
+            `[${collectionName}] ${request.name} failed: ${error.message}`
+          );
+        }
+      }
+
+      channels["main"].show(true);
+      if (failures > 0) {
+        vscode.window.showErrorMessage(
+          `${failures} of ${entries.length} collection request(s) failed. Check output.`
+        );
+      } else {
+        vscode.window.showInformationMessage(
+          entries.length === 1
+            ? `${entries[0].request.name} completed`
+            : `${entries.length} collection requests completed`
+        );
+      }
+    };
+
     vscode.window.registerTreeDataProvider("eightVectorsStudioWelcomeView", {
       getTreeItem: () => null,
       getChildren: () => [],
@@ -287,10 +608,13 @@ function activate(context) {
     context.subscriptions.push(
       vscode.workspace.onDidChangeConfiguration((e) => {
         if (
-          e.affectsConfiguration(`${extensionHandle}.maxReconnectAttempts`) &&
-          ws
+          e.affectsConfiguration(`${extensionHandle}.maxReconnectAttempts`)
         ) {
-          ws.updateMaxReconnectAttempts();
+          clients.forEach((client) => client.updateMaxReconnectAttempts());
+        }
+
+        if (e.affectsConfiguration(`${extensionHandle}.collectionsFile`)) {
+          watchCollectionsFile();
         }
       })
     );
@@ -299,184 +623,141 @@ function activate(context) {
       vscode.commands.registerCommand(
         `${extensionHandle}.connect-bridge`,
         async () => {
-          if (ws) {
-            if (ws.isConnected()) {
-              const action = await vscode.window.showWarningMessage(
-                `Already connected to ${ws.url}. Disconnect first?`,
-                "Disconnect",
-                "Cancel"
-              );
-              if (action === "Disconnect") {
-                await vscode.commands.executeCommand(
-                  `${extensionHandle}.disconnect-bridge`
-                );
-              } else {
-                return;
-              }
-            } else if (ws.isManuallyConnecting || ws.isReconnecting) {
-              vscode.window.showWarningMessage(
-                `Connection attempt already in progress.`
+          let profile = null;
+          let customUrl = null;
+          const profiles = getConnectionProfiles();
+
+          if (profiles.length > 0) {
+            const selected = await vscode.window.showQuickPick(
+              [
+                ...profiles.map((item) => ({
+                  label: item.name,
+                  description: item.url,
+                  profile: item,
+                })),
+                { label: "$(edit) Enter URL...", manual: true },
+                { label: "$(gear) Manage Connection Profiles", manage: true },
+              ],
+              { placeHolder: "Select a connection profile" }
+            );
+
+            if (!selected) {
+              return;
+            }
+
+            if (selected.manage) {
+              vscode.commands.executeCommand(
+                "workbench.action.openSettings",
+                `${extensionHandle}.connectionProfiles`
               );
               return;
             }
+
+            if (selected.profile) {
+              profile = selected.profile;
+              customUrl = profile.url;
+            }
+          }
+
+          if (!profile) {
+            const config = vscode.workspace.getConfiguration(extensionHandle);
+            const rosbridgeUrl = config.get(
+              "rosbridgeUrl",
+              "ws://localhost:9090"
+            );
+            customUrl = await vscode.window.showInputBox({
+              placeHolder: "ws://localhost:9090",
+              prompt:
+                "Enter ROS 2 Bridge WebSocket URL (e.g., ws://192.168.1.100:9090)",
+              value: rosbridgeUrl,
+              validateInput: (value) => {
+                if (!value) {
+                  return "URL is required";
+                }
+                if (!value.startsWith("ws://") && !value.startsWith("wss://")) {
+                  return "URL must start with ws:// or wss://";
+                }
+                return null;
+              },
+            });
+          }
+
+          if (!customUrl) {
+            vscode.window.showWarningMessage("No URL provided.");
+            return;
           }
 
-          if (ws && ws.isManuallyConnecting) {
+          if (activeConnections.has(customUrl)) {
             vscode.window.showWarningMessage(
-              "Connection already in progress. Please wait..."
+              `Already connected or connecting to ${customUrl}`
             );
             return;
           }
 
-          const config = vscode.workspace.getConfiguration(extensionHandle);
-          const rosbridgeUrl = config.get(
-            "rosbridgeUrl",
-            "ws://localhost:9090"
+          let authSecret = null;
+          if (profile && profile.auth) {
+            authSecret =
+              (await getAuthSecret(context.secrets, profile)) ||
+              (await promptForAuthSecret(profile));
+            if (!authSecret) {
+              vscode.window.showWarningMessage(
+                `${profile.name} requires an authentication secret to connect.`
+              );
+              return;
+            }
+          }
+
+          vscode.window.showInformationMessage(
+            `Connecting to rosbridge at ${customUrl}...`
           );
-          const customUrl = await vscode.window.showInputBox({
-            placeHolder: "ws://localhost:9090",
-            prompt:
-              "Enter ROS 2 Bridge WebSocket URL (e.g., ws://192.168.1.100:9090)",
-            value: rosbridgeUrl,
-            validateInput: (value) => {
-              if (!value) {
-                return "URL is required";
-              }
-              if (!value.startsWith("ws://") && !value.startsWith("wss://")) {
-                return "URL must start with ws:// or wss://";
-              }
-              return null;
-            },
-          });
+          activeConnections.add(customUrl);
 
-                      if (customUrl) {
-              if (activeConnections.has(customUrl)) {
-                vscode.window.showWarningMessage(
-                  `Already connected or connecting to ${customUrl}`
-                );
+          const client = new RosbridgeClient(
+            customUrl,
+            channels["main"],
+            profile,
+            authSecret
+          );
+          clients.set(customUrl, client);
+          clientStatus.set(customUrl, "connecting");
+          bridge.push(customUrl);
+          tree.setRosbridgeClient(customUrl, client);
+          nodeTree.setRosbridgeClient(customUrl, client);
+          updateConnectionContext();
+
+          client.setConnectionCallbacks(
+            () => {
+              tree.refresh();
+              nodeTree.refresh();
+            },
+            () => {
+              tree.refresh();
+              nodeTree.refresh();
+            },
+            (status) => {
+              if (clients.get(customUrl) !== client) {
                 return;
               }
-
-              vscode.window.showInformationMessage(
-                `Connecting to rosbridge at ${customUrl}...`
-              );
-              activeConnections.add(customUrl);
-
-              vscode.commands.executeCommand(
-                "setContext",
-                `${extensionHandle}.isConnecting`,
-                true
-              );
-            vscode.commands.executeCommand(
-              "setContext",
-              `${extensionHandle}.isConnected`,
-              false
-            );
-            vscode.commands.executeCommand(
-              "setContext",
-              `${extensionHandle}.isReconnecting`,
-              false
-            );
-
-            bridge.push(customUrl);
-            ws = new RosbridgeClient(customUrl, channels["main"]);
-            tree.setRosbridgeClient(ws);
-            nodeTree.setRosbridgeClient(ws);
-
-            ws.setConnectionCallbacks(
-              () => {
-                tree.refresh();
-                nodeTree.refresh();
-              },
-              () => {
-                tree.refresh();
-                nodeTree.refresh();
-              },
-              (status) => {
-                switch (status) {
-                  case "connecting":
-                    vscode.commands.executeCommand(
-                      "setContext",
-                      `${extensionHandle}.isConnecting`,
-                      true
-                    );
-                    vscode.commands.executeCommand(
-                      "setContext",
-                      `${extensionHandle}.isConnected`,
-                      false
-                    );
-                    vscode.commands.executeCommand(
-                      "setContext",
-                      `${extensionHandle}.isReconnecting`,
-                      false
-                    );
-                    break;
-                  case "connected":
-                    vscode.commands.executeCommand(
-                      "setContext",
-                      `${extensionHandle}.isConnecting`,
-                      false
-                    );
-                    vscode.commands.executeCommand(
-                      "setContext",
-                      `${extensionHandle}.isConnected`,
-                      true
-                    );
-                    vscode.commands.executeCommand(
-                      "setContext",
-                      `${extensionHandle}.isReconnecting`,
-                      false
-                    );
-                    break;
-                  case "reconnecting":
-                    vscode.commands.executeCommand(
-                      "setContext",
-                      `${extensionHandle}.isConnecting`,
-                      false
-                    );
-                    vscode.commands.executeCommand(
-                      "setContext",
-                      `${extensionHandle}.isConnected`,
-                      false
-                    );
-                    vscode.commands.executeCommand(
-                      "setContext",
-                      `${extensionHandle}.isReconnecting`,
-                      true
-                    );
-                    break;
-                  case "disconnected":
-                    vscode.commands.executeCommand(
-                      "setContext",
-                      `${extensionHandle}.isConnecting`,
-                      false
-                    );
-                    vscode.commands.executeCommand(
-                      "setContext",
-                      `${extensionHandle}.isConnected`,
-                      false
-                    );
-                    vscode.commands.executeCommand(
-                      "setContext",
-                      `${extensionHandle}.isReconnecting`,
-                      false
-                    );
-                    break;
-                }
+              clientStatus.set(customUrl, status);
+              updateConnectionContext();
+            },
+            () => {
+              if (clients.get(customUrl) === client) {
+                removeClient(client);
               }
-            );
+            }
+          );
 
-            ws.waitForConnection()
-              .then(() => {
-                vscode.commands.executeCommand(
-                  "setContext",
-                  `${extensionHandle}.isConnected`,
-                  true
-                );
-                tree.refresh();
-                nodeTree.refresh();
-                ConnectionDashboard.createOrShow(context.extensionUri, ws);
+          client
+            .waitForConnection()
+            .then(() => {
+              clientStatus.set(customUrl, "connected");
+              updateConnectionContext();
+              tree.refresh();
+              nodeTree.refresh();
+              ConnectionDashboard.createOrShow(context.extensionUri, client);
 
+              if (!cleanupInterval) {
                 cleanupInterval = setInterval(() => {
                   if (global.gc) {
                     global.gc();
@@ -570,58 +851,47 @@ function activate(context) {
                     }
                   }
                 }, 60000); // Run every minute
-              })
-              .catch((error) => {
-                const errorMessage = formatError(error);
-
-                activeConnections.delete(customUrl);
+              }
+            })
+            .catch((error) => {
+              const errorMessage = formatError(error);
 
-                vscode.commands.executeCommand(
-                  "setContext",
-                  `${extensionHandle}.isConnecting`,
-                  false
-                );
-                vscode.commands.executeCommand(
-                  "setContext",
-                  `${extensionHandle}.isConnected`,
-                  false
-                );
-                vscode.commands.executeCommand(
-                  "setContext",
-                  `${extensionHandle}.isReconnecting`,
-                  false
-                );
+              channels["main"].appendLine(
+                `Failed to connect to rosbridge at ${customUrl}`
+              );
+              channels["main"].appendLine(`Error: ${errorMessage}`);
 
-                channels["main"].appendLine(
-                  `Failed to connect to rosbridge at ${customUrl}`
-                );
-                channels["main"].appendLine(`Error: ${errorMessage}`);
+              channels["main"].show(true);
 
-                channels["main"].show(true);
+              vscode.window.showErrorMessage(
+                `Failed to connect to rosbridge: ${errorMessage}`
+              );
 
-                vscode.window.showErrorMessage(
-                  `Failed to connect to rosbridge: ${errorMessage}`
-                );
-              });
-          } else {
-            vscode.window.showWarningMessage("No URL provided.");
-          }
+              // A reconnect already scheduled keeps the client; it is
+              // removed through the give-up callback if that fails too.
+              if (
+                !client.isReconnecting &&
+                clients.get(customUrl) === client
+              ) {
+                client.disconnect();
+                removeClient(client);
+              }
+            });
         }
       ),
       vscode.commands.registerCommand(
         `${extensionHandle}.disconnect-bridge`,
-        async () => {
+        async (treeItem) => {
+          const ws = await resolveClient(treeItem && treeItem.address, {
+            requireConnected: false,
+            noneMessage: "No active connection to disconnect",
+          });
           if (!ws) {
-            vscode.window.showWarningMessage(
-              "No active connection to disconnect"
-            );
             return;
           }
 
           const disconnectedUrl = ws.url;
 
-          activeConnections.delete(disconnectedUrl);
-
           if (ws.topics) {
             for (const [topicName, topic] of ws.topics.entries()) {
               if (
@@ -634,175 +904,48 @@ function activate(context) {
             }
           }
 
-          const channelsToDispose = [];
-          for (const [name, channel] of outputChannels.entries()) {
-            if (name !== "main") {
-              channelsToDispose.push([name, channel]);
-            }
-          }
-
-          for (const [name, channel] of channelsToDispose) {
-            if (name.startsWith("ROS Topic: ")) {
-              const topicName = name.substring("ROS Topic: ".length);
-              tree.setTopicSubscriptionState(topicName, false);
-            }
-
-            channel.clear();
-            channel.hide();
-            channel.dispose();
-            outputChannels.delete(name);
-            if (channels[name]) {
-              delete channels[name];
-            }
-          }
-
           ws.disconnect();
-          ws = null;
-
-          topicMessageRates.clear();
-
-          if (cleanupInterval) {
-            clearInterval(cleanupInterval);
-            cleanupInterval = null;
-          }
-
-          tree.setRosbridgeClient(null);
-          tree.resetAllCheckboxes();
-          tree.refresh();
-
-          nodeTree.setRosbridgeClient(null);
-          nodeTree.resetAllCheckboxes();
-          nodeTree.refresh();
-
-          if (ConnectionDashboard.currentPanel) {
-            ConnectionDashboard.currentPanel.dispose();
-          }
-
-          if (ParametersPanel && ParametersPanel.disposeAll) {
-            ParametersPanel.disposeAll();
-          }
-
-          if (BagRecorderPanel.currentPanel) {
-            BagRecorderPanel.currentPanel.dispose();
-          }
+          removeClient(ws);
 
-          bridge.pop();
           vscode.window.showInformationMessage(
             `Disconnected from ${disconnectedUrl}`
           );
-
-          vscode.commands.executeCommand(
-            "setContext",
-            `${extensionHandle}.isConnected`,
-            false
-          );
-          vscode.commands.executeCommand(
-            "setContext",
-            `${extensionHandle}.isConnecting`,
-            false
-          );
-          vscode.commands.executeCommand(
-            "setContext",
-            `${extensionHandle}.isReconnecting`,
-            false
-          );
         }
       ),
       vscode.commands.registerCommand(
         `${extensionHandle}.force-reset`,
-        async () => {
+        async (treeItem) => {
+          const ws = await resolveClient(treeItem && treeItem.address, {
+            requireConnected: false,
+            noneMessage: "No active connection to reset",
+          });
           if (!ws) {
-            vscode.window.showWarningMessage("No active connection to reset");
             return;
           }
 
-          const currentUrl = ws.url;
           vscode.window.showInformationMessage(
-            `Force resetting - cleaning up all connections...`
+            `Force resetting ${ws.getLabel()} - cleaning up its subscriptions...`
           );
 
-          activeConnections.delete(currentUrl);
-
           ws.stopReconnection();
 
-          ws.disconnect();
-
-          if (outputChannels) {
-            for (const [topicName, channel] of outputChannels) {
-              if (topicName === "main") {
-                channel.clear();
-                channel.appendLine(
-                  "Force reset completed. All connections and subscriptions cleared."
-                );
-                continue;
-              }
-
+          if (ws.topics) {
+            for (const topic of ws.topics.values()) {
               if (
-                channel.subscriptionData &&
-                channel.subscriptionData.subscription
+                topic.subscriptionData &&
+                topic.subscriptionData.visualizationPanel
               ) {
-                channel.subscriptionData.subscription.unsubscribe();
+                topic.subscriptionData.visualizationPanel.dispose();
               }
-              channel.clear();
-              channel.dispose();
-            }
-
-            const mainChannel = outputChannels.get("main");
-            outputChannels.clear();
-            if (mainChannel) {
-              outputChannels.set("main", mainChannel);
-              channels["main"] = mainChannel;
             }
           }
 
-          if (cleanupInterval) {
-            clearInterval(cleanupInterval);
-            cleanupInterval = null;
-          }
+          ws.disconnect();
+          removeClient(ws);
 
-          vscode.commands.executeCommand(
-            "setContext",
-            `${extensionHandle}.isConnecting`,
-            false
+          channels["main"].appendLine(
+            `Force reset of ${ws.url} completed. Its subscriptions were cleared.`
           );
-          vscode.commands.executeCommand(
-            "setContext",
-            `${extensionHandle}.isConnected`,
-            false
-          );
-          vscode.commands.executeCommand(
-            "setContext",
-            `${extensionHandle}.isReconnecting`,
-            false
-          );
-
-          ws = null;
-
-          tree.setRosbridgeClient(null);
-          nodeTree.setRosbridgeClient(null);
-
-          tree.refresh();
-          nodeTree.refresh();
-
-          if (ConnectionDashboard.currentPanel) {
-            ConnectionDashboard.currentPanel.dispose();
-          }
-
-          if (MessageInspectorPanel && MessageInspectorPanel.currentPanel) {
-            MessageInspectorPanel.currentPanel.dispose();
-          }
-
-          if (BagRecorderPanel && BagRecorderPanel.currentPanel) {
-            BagRecorderPanel.currentPanel.dispose();
-          }
-
-          if (ParametersPanel && ParametersPanel.disposeAll) {
-            ParametersPanel.disposeAll();
-          }
-
-          if (VisualizationPanel && VisualizationPanel.disposeAll) {
-            VisualizationPanel.disposeAll();
-          }
 
           vscode.window.showInformationMessage(
             "Force reset complete. You can now connect to rosbridge."
@@ -811,43 +954,81 @@ function activate(context) {
       ),
       vscode.commands.registerCommand(
         `${extensionHandle}.stop-retry`,
-        async () => {
+        async (treeItem) => {
+          let ws = null;
+          if (treeItem && treeItem.address) {
+            ws = clients.get(treeItem.address) || null;
+          } else {
+            const pending = Array.from(clients.values()).filter(
+              (client) => !client.isConnected()
+            );
+            if (pending.length === 1) {
+              ws = pending[0];
+            } else if (pending.length > 1) {
+              const selected = await vscode.window.showQuickPick(
+                pending.map((client) => ({
+                  label: client.getLabel(),
+                  description: client.url,
+                  client,
+                })),
+                { placeHolder: "Select a connection attempt to stop" }
+              );
+              if (!selected) {
+                return;
+              }
+              ws = selected.client;
+            }
+          }
+
           if (!ws) {
             vscode.window.showWarningMessage("No active connection");
             return;
           }
 
-          const currentUrl = ws.url;
-
-          if (currentUrl) {
-            activeConnections.delete(currentUrl);
-          }
-
           ws.stopReconnection();
 
           if (ws.isManuallyConnecting || ws.isReconnecting) {
             ws.disconnect();
           }
 
-          ws = null;
+          removeClient(ws);
 
-          vscode.commands.executeCommand(
-            "setContext",
-            `${extensionHandle}.isConnecting`,
-            false
-          );
-          vscode.commands.executeCommand(
-            "setContext",
-            `${extensionHandle}.isReconnecting`,
-            false
+          vscode.window.showInformationMessage("Connection attempt stopped");
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.set-connection-secret`,
+        async () => {
+          const profile = await pickProfile(
+            "Select the profile to store an authentication secret for",
+            (item) => item.auth
           );
-          vscode.commands.executeCommand(
-            "setContext",
-            `${extensionHandle}.isConnected`,
-            false
+          if (!profile) {
+            return;
+          }
+
+          if (await promptForAuthSecret(profile)) {
+            vscode.window.showInformationMessage(
+              `Stored authentication secret for ${profile.name}. It is used on the next connection.`
+            );
+          }
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.clear-connection-secret`,
+        async () => {
+          const profile = await pickProfile(
+            "Select the profile whose authentication secret should be removed",
+            (item) => item.auth
           );
+          if (!profile) {
+            return;
+          }
 
-          vscode.window.showInformationMessage("Connection attempt stopped");
+          await deleteAuthSecret(context.secrets, profile);
+          vscode.window.showInformationMessage(
+            `Removed authentication secret for ${profile.name}`
+          );
         }
       ),
       vscode.commands.registerCommand(
@@ -859,11 +1040,14 @@ function activate(context) {
       ),
       vscode.commands.registerCommand(
         `${extensionHandle}.toggle-subscription`,
-        async (treeItem, messageType) => {
-          if (!ws || !(ws instanceof RosbridgeClient)) {
-            vscode.window.showErrorMessage(
-              "No rosbridge connection available"
-            );
+        async (treeItem, messageType, address) => {
+          const ws = await resolveClient(
+            treeItem && typeof treeItem === "object"
+              ? treeItem.address
+              : address,
+            { noneMessage: "No rosbridge connection available" }
+          );
+          if (!ws) {
             return;
           }
 
@@ -892,18 +1076,20 @@ function activate(context) {
             return;
           }
 
-          if (!channels[channelName]) {
-            channels[channelName] =
-              vscode.window.createOutputChannel(channelName);
-            outputChannels.set(channelName, channels[channelName]);
+          const outputName = `${channelName} (${ws.getLabel()})`;
+          if (!channels[outputName]) {
+            channels[outputName] =
+              vscode.window.createOutputChannel(outputName);
+            channels[outputName].connectionUrl = ws.url;
+            outputChannels.set(outputName, channels[outputName]);
           }
 
           const topics = ws.topics;
           const existingSubscription = topics ? topics.get(topicName) : null;
 
-          let stateResult = tree.toggleCheckbox(channelName);
+          let stateResult = tree.toggleCheckbox(ws.url, channelName);
           if (!stateResult || !stateResult[0]) {
-            stateResult = nodeTree.toggleCheckbox(channelName);
+            stateResult = nodeTree.toggleCheckbox(ws.url, channelName);
           }
           let state = stateResult && stateResult[0];
 
@@ -917,10 +1103,14 @@ function activate(context) {
           if (state) {
             const topicMessageType = messageType || "std_msgs/String";
 
-            tree.setTopicSubscriptionState(topicName, true);
+            tree.setTopicSubscriptionState(ws.url, topicName, true);
 
             const config = vscode.workspace.getConfiguration(extensionHandle);
-            const messageThrottle = config.get("messageThrottleRate", 100);
+            const messageThrottle = getProfileSetting(
+              ws.profile,
+              "messageThrottleRate",
+              100
+            );
             const maxBufferSize = config.get("maxMessageBufferSize", 100);
             const maxMessagesToRetain = config.get("maxMessagesToRetain", 10);
 
@@ -936,7 +1126,8 @@ function activate(context) {
               isStatic: isStaticTopic(
                 topicName,
                 topicMessageType,
-                topicMessageRates
+                getTopicRates(ws),
+                ws.profile
               ),
             };
 
@@ -946,7 +1137,26 @@ function activate(context) {
               (msg) => {
                 const now = Date.now();
 
-                updateTopicMessageRate(topicName, topicMessageRates);
+                updateTopicMessageRate(topicName, getTopicRates(ws), msg);
+
+                // Marker messages each change the scene, so the panel gets
+                // all of them; the throttle only applies to the output
+                const detectedType = VisualizationPanel.detectMessageType(
+                  topicMessageType,
+                  msg
+                );
+                const everyMessage =
+                  VisualizationPanel.needsEveryMessage(detectedType);
+                if (everyMessage) {
+                  showInVisualization(
+                    ws,
+                    subscriptionData,
+                    topicName,
+                    topicMessageType,
+                    detectedType,
+                    msg
+                  );
+                }
 
                 if (
                   now - subscriptionData.lastMessageTime <
@@ -970,66 +1180,42 @@ function activate(context) {
                   subscriptionData.messageBuffer.shift();
                 }
 
-                channels[channelName].clear();
-                channels[channelName].appendLine(
+                channels[outputName].clear();
+                channels[outputName].appendLine(
                   `Topic: ${topicName} (Retaining ${subscriptionData.messageBuffer.length} messages)`
                 );
-                channels[channelName].appendLine("");
+                channels[outputName].appendLine("");
 
                 const messagesToShow = subscriptionData.messageBuffer;
                 messagesToShow.forEach((entry) => {
-                  channels[channelName].appendLine(
+                  channels[outputName].appendLine(
                     `[${entry.timestamp}] Message received:`
                   );
                   displayMessageIntelligently(
-                    channels[channelName],
+                    channels[outputName],
                     entry.message,
                     topicMessageType,
                     extensionHandle,
                     subscriptionData.isStatic
                   );
-                  channels[channelName].appendLine("");
+                  channels[outputName].appendLine("");
                 });
 
-                const detectedType = VisualizationPanel.detectMessageType(
-                  topicMessageType,
-                  msg
-                );
-                if (
-                  detectedType === "OccupancyGrid" ||
-                  detectedType === "LaserScan" ||
-                  detectedType === "URDF"
-                ) {
-                  if (
-                    !subscriptionData.visualizationPanel &&
-                    !subscriptionData.creatingPanel
-                  ) {
-                    subscriptionData.creatingPanel = true;
-                    VisualizationPanel.createOrShow(
-                      context.extensionUri,
-                      topicName,
-                      topicMessageType,
-                      msg
-                    )
-                      .then((panel) => {
-                        subscriptionData.creatingPanel = false;
-                        if (panel) {
-                          subscriptionData.visualizationPanel = panel;
-                          panel.updateData(msg);
-                        }
-                      })
-                      .catch(() => {
-                        subscriptionData.creatingPanel = false;
-                      });
-                  } else if (subscriptionData.visualizationPanel) {
-                    subscriptionData.visualizationPanel.updateData(msg);
-                  }
+                if (!everyMessage) {
+                  showInVisualization(
+                    ws,
+                    subscriptionData,
+                    topicName,
+                    topicMessageType,
+                    detectedType,
+                    msg
+                  );
                 }
               }
             );
 
             if (!subscription) {
-              channels[channelName].appendLine("Failed to create subscription");
+              channels[outputName].appendLine("Failed to create subscription");
             } else {
               subscription.subscriptionData = subscriptionData;
             }
@@ -1049,27 +1235,27 @@ function activate(context) {
 
             ws.unsubscribeTopic(topicName);
 
-            tree.setTopicSubscriptionState(topicName, false);
+            tree.setTopicSubscriptionState(ws.url, topicName, false);
 
             if (subscription && subscription.subscriptionData) {
               subscription.subscriptionData.messageBuffer = [];
               subscription.subscriptionData = null;
             }
 
-            if (channels[channelName]) {
-              channels[channelName].clear();
-              channels[channelName].appendLine(
+            if (channels[outputName]) {
+              channels[outputName].clear();
+              channels[outputName].appendLine(
                 `[Unsubscribed from ${topicName}]`
               );
-              channels[channelName].hide();
-              channels[channelName].dispose();
-              delete channels[channelName];
-              outputChannels.delete(channelName);
+              channels[outputName].hide();
+              channels[outputName].dispose();
+              delete channels[outputName];
+              outputChannels.delete(outputName);
             }
           }
 
-          if (state && channels[channelName]) {
-            channels[channelName].show();
+          if (state && channels[outputName]) {
+            channels[outputName].show();
           }
 
           tree.refresh();
@@ -1077,44 +1263,38 @@ function activate(context) {
       ),
       vscode.commands.registerCommand(
         `${extensionHandle}.call-service`,
-        async (serviceName) => {
-          if (!ws || !ws.isConnected()) {
-            vscode.window.showErrorMessage("Not connected to rosbridge");
-            return;
+        async (serviceName, nodeName, address) => {
+          if (serviceName && typeof serviceName === "object") {
+            address = serviceName.address;
           }
 
-          const serviceType = await vscode.window.showInputBox({
-            prompt: `Enter service type for ${serviceName}`,
-            placeHolder: "e.g., nav_msgs/srv/GetMap, std_srvs/Empty",
-            value: serviceName.includes("map") ? "nav_msgs/srv/GetMap" : "",
-          });
-
-          if (!serviceType) return;
-
-          const requestStr = await vscode.window.showInputBox({
-            prompt: "Enter request parameters as JSON",
-            placeHolder: 'e.g., {} or {"data": true}',
-            value: "{}",
-          });
-
-          if (requestStr === undefined) return;
-
-          let request;
-          try {
-            request = JSON.parse(requestStr || "{}");
-          } catch {
-            vscode.window.showErrorMessage("Invalid JSON format");
+          const ws = await resolveClient(address);
+          if (!ws) {
             return;
           }
 
-          ws.callService(serviceName, serviceType, request, (result, error) => {
-            if (error) {
-              vscode.window.showErrorMessage(`Service call failed: ${error}`);
+          if (typeof serviceName !== "string") {
+            serviceName = serviceName && serviceName.label;
+          }
+
+          if (!serviceName) {
+            const services = await new Promise((resolve) =>
+              ws.getServices(resolve)
+            );
+            serviceName = await vscode.window.showQuickPick(services.sort(), {
+              placeHolder: "Select a service to call",
+            });
+            if (!serviceName) {
               return;
             }
+          }
 
-            handleServiceResult(serviceName, serviceType, result, channels);
-          });
+          ServiceWorkbenchPanel.createOrShow(
+            context.extensionUri,
+            ws,
+            serviceName,
+            context.workspaceState
+          );
         }
       ),
       vscode.commands.registerCommand(
@@ -1129,58 +1309,312 @@ function activate(context) {
             return;
           }
 
-          if (!ws || !ws.isConnected()) {
-            vscode.window.showErrorMessage("No active rosbridge connection");
+          const ws = await resolveClient(treeItem.address, {
+            noneMessage: "No active rosbridge connection",
+          });
+          if (!ws) {
+            return;
+          }
+
+          const nodeName = treeItem.label;
+
+          ParametersPanel.createOrShow(context.extensionUri, ws, nodeName);
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.reset-visualization-preference`,
+        () => {
+          vscode.window.showInformationMessage(
+            "Visualization view mode will be requested for each topic subscription."
+          );
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.add-to-bag-recorder`,
+        async (treeItem) => {
+          if (!treeItem || typeof treeItem !== "object") {
+            vscode.window.showErrorMessage("Invalid topic selection");
+            return;
+          }
+
+          const topicName = treeItem.label.startsWith("/")
+            ? treeItem.label
+            : "/" + treeItem.label;
+          const messageType = treeItem.messageType || "unknown";
+
+          if (!BagRecorderPanel.currentPanel) {
+            const ws = clients.get(treeItem.address);
+            BagRecorderPanel.createOrShow(
+              context.extensionUri,
+              getProfileSetting(
+                ws && ws.profile,
+                "remoteBagPath",
+                "/home/ros/bags"
+              )
+            );
+          }
+
+          BagRecorderPanel.addTopic(topicName, messageType);
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.open-bag-recorder`,
+        async () => {
+          const ws =
+            clients.size > 1 && !BagRecorderPanel.currentPanel
+              ? await resolveClient(null, { requireConnected: false })
+              : clients.values().next().value;
+          BagRecorderPanel.createOrShow(
+            context.extensionUri,
+            getProfileSetting(
+              ws && ws.profile,
+              "remoteBagPath",
+              "/home/ros/bags"
+            )
+          );
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.open-message-inspector`,
+        async () => {
+          if (!MessageInspectorPanel) {
+            vscode.window.showErrorMessage("MessageInspectorPanel not loaded");
+            return;
+          }
+
+          const ws = await resolveClient();
+          if (!ws) {
+            return;
+          }
+          MessageInspectorPanel.createOrShow(context.extensionUri, ws);
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.open-topic-monitor`,
+        async (treeItem) => {
+          const ws = await resolveClient(treeItem && treeItem.address);
+          if (!ws) {
+            return;
+          }
+
+          TopicMonitorPanel.createOrShow(
+            context.extensionUri,
+            ws,
+            getTopicRates(ws),
+            (rates, topicName, msg) =>
+              updateTopicMessageRate(topicName, rates, msg)
+          );
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.open-plot`,
+        async (treeItem) => {
+          const ws = await resolveClient(treeItem && treeItem.address);
+          if (!ws) {
+            return;
+          }
+
+          const fromTopic =
+            treeItem &&
+            ["topic", "topicSubscribed", "publisher", "subscribers"].includes(
+              treeItem.contextValue
+            );
+
+          PlotPanel.createOrShow(
+            context.extensionUri,
+            ws,
+            fromTopic ? `${treeItem.label}/` : null
+          );
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.open-tf-viewer`,
+        async (treeItem) => {
+          const ws = await resolveClient(treeItem && treeItem.address);
+          if (!ws) {
+            return;
+          }
+
+          TfPanel.createOrShow(context.extensionUri, ws);
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.open-teleop`,
+        async (treeItem) => {
+          const ws = await resolveClient(treeItem && treeItem.address);
+          if (!ws) {
+            return;
+          }
+
+          TeleopPanel.createOrShow(context.extensionUri, ws);
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.open-logs`,
+        async (treeItem) => {
+          const ws = await resolveClient(treeItem && treeItem.address);
+          if (!ws) {
+            return;
+          }
+
+          LogsPanel.createOrShow(context.extensionUri, ws);
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.open-diagnostics`,
+        async (treeItem) => {
+          const ws = await resolveClient(treeItem && treeItem.address);
+          if (!ws) {
+            return;
+          }
+
+          DiagnosticsPanel.createOrShow(context.extensionUri, ws);
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.open-graph`,
+        async (treeItem) => {
+          const ws = await resolveClient(treeItem && treeItem.address);
+          if (!ws) {
+            return;
+          }
+
+          GraphPanel.createOrShow(context.extensionUri, ws);
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.save-graph-snapshot`,
+        async (treeItem) => {
+          const ws = await resolveClient(treeItem && treeItem.address);
+          if (!ws) {
+            return;
+          }
+
+          const folders = vscode.workspace.workspaceFolders;
+          const fileName = graphSnapshot.DEFAULT_SNAPSHOT_FILE;
+          const fileUri = await vscode.window.showSaveDialog({
+            defaultUri:
+              folders && folders.length > 0
+                ? vscode.Uri.joinPath(folders[0].uri, fileName)
+                : vscode.Uri.file(`${process.env.HOME}/${fileName}`),
+            filters: { "Graph snapshot": ["json"] },
+          });
+          if (!fileUri) {
+            return;
+          }
+
+          try {
+            const snapshot = graphSnapshot.createSnapshot(
+              await computationGraph.fetchGraphData(ws),
+              ws.getLabel()
+            );
+            await vscode.workspace.fs.writeFile(
+              fileUri,
+              Buffer.from(JSON.stringify(snapshot, null, 2) + "\n", "utf8")
+            );
+            vscode.window.showInformationMessage(
+              `Saved ${snapshot.nodes.length} nodes and ${snapshot.topics.length} topics to ${fileUri.fsPath}`
+            );
+          } catch (error) {
+            vscode.window.showErrorMessage(
+              `Failed to save graph snapshot: ${error.message}`
+            );
+          }
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.compare-graph-snapshot`,
+        async (treeItem) => {
+          const ws = await resolveClient(treeItem && treeItem.address);
+          if (!ws) {
+            return;
+          }
+
+          const folders = vscode.workspace.workspaceFolders;
+          const selected = await vscode.window.showOpenDialog({
+            defaultUri:
+              folders && folders.length > 0 ? folders[0].uri : undefined,
+            canSelectMany: false,
+            filters: { "Graph snapshot": ["json"] },
+            openLabel: "Compare",
+          });
+          if (!selected || selected.length === 0) {
+            return;
+          }
+          const fileUri = selected[0];
+
+          let snapshot;
+          try {
+            const content = await vscode.workspace.fs.readFile(fileUri);
+            snapshot = graphSnapshot.parseSnapshot(
+              Buffer.from(content).toString("utf8")
+            );
+          } catch (error) {
+            vscode.window.showErrorMessage(
+              `Failed to read ${fileUri.fsPath}: ${error.message}`
+            );
             return;
           }
 
-          const nodeName = treeItem.label;
-
-          ParametersPanel.createOrShow(context.extensionUri, ws, nodeName);
-        }
-      ),
-      vscode.commands.registerCommand(
-        `${extensionHandle}.reset-visualization-preference`,
-        () => {
-          vscode.window.showInformationMessage(
-            "Visualization view mode will be requested for each topic subscription."
-          );
-        }
-      ),
-      vscode.commands.registerCommand(
-        `${extensionHandle}.add-to-bag-recorder`,
-        async (treeItem) => {
-          if (!treeItem || typeof treeItem !== "object") {
-            vscode.window.showErrorMessage("Invalid topic selection");
+          let live;
+          try {
+            live = graphSnapshot.createSnapshot(
+              await computationGraph.fetchGraphData(ws),
+              ws.getLabel()
+            );
+          } catch (error) {
+            vscode.window.showErrorMessage(
+              `Failed to read the graph of ${ws.getLabel()}: ${error.message}`
+            );
             return;
           }
+          const comparison = graphSnapshot.compareSnapshots(snapshot, live);
 
-          const topicName = treeItem.label.startsWith("/")
-            ? treeItem.label
-            : "/" + treeItem.label;
-          const messageType = treeItem.messageType || "unknown";
-
-          if (!BagRecorderPanel.currentPanel) {
-            BagRecorderPanel.createOrShow(context.extensionUri);
+          const channelName = `ROS Graph Check (${ws.getLabel()})`;
+          if (!channels[channelName]) {
+            channels[channelName] =
+              vscode.window.createOutputChannel(channelName);
+            channels[channelName].connectionUrl = ws.url;
+            outputChannels.set(channelName, channels[channelName]);
           }
+          channels[channelName].clear();
+          channels[channelName].appendLine(
+            graphSnapshot.formatComparison(
+              comparison,
+              snapshot,
+              fileUri.fsPath,
+              ws.getLabel()
+            )
+          );
+          channels[channelName].show();
 
-          BagRecorderPanel.addTopic(topicName, messageType);
-        }
-      ),
-      vscode.commands.registerCommand(
-        `${extensionHandle}.open-bag-recorder`,
-        () => {
-          BagRecorderPanel.createOrShow(context.extensionUri);
+          if (graphSnapshot.countDifferences(comparison) === 0) {
+            vscode.window.showInformationMessage(
+              `${ws.getLabel()} matches the graph snapshot`
+            );
+          } else {
+            vscode.window.showWarningMessage(
+              `${ws.getLabel()} does not match the graph snapshot; see the ROS Graph Check output`
+            );
+          }
         }
       ),
       vscode.commands.registerCommand(
-        `${extensionHandle}.open-message-inspector`,
-        () => {
-          if (!MessageInspectorPanel) {
-            vscode.window.showErrorMessage("MessageInspectorPanel not loaded");
+        `${extensionHandle}.preview-robot-description`,
+        async (uri) => {
+          const editor = vscode.window.activeTextEditor;
+          const fileUri = uri || (editor && editor.document.uri);
+          if (!fileUri || !ROBOT_DESCRIPTION_PATTERN.test(fileUri.fsPath)) {
+            vscode.window.showErrorMessage(
+              "Open a .urdf or .urdf.xacro file to preview it"
+            );
             return;
           }
-          MessageInspectorPanel.createOrShow(context.extensionUri, ws);
+
+          await VisualizationPanel.showDescriptionFile(
+            context.extensionUri,
+            fileUri
+          );
         }
       ),
       vscode.commands.registerCommand(
@@ -1193,8 +1627,8 @@ function activate(context) {
 
           const topicName = treeItem.label || treeItem.id;
 
-          if (!ws || !ws.isConnected()) {
-            vscode.window.showErrorMessage("Not connected to rosbridge");
+          const ws = await resolveClient(treeItem.address);
+          if (!ws) {
             return;
           }
 
@@ -1226,8 +1660,8 @@ function activate(context) {
             return;
           }
 
-          if (!ws || !ws.isConnected()) {
-            vscode.window.showErrorMessage("Not connected to rosbridge");
+          const ws = await resolveClient(topic.address);
+          if (!ws) {
             return;
           }
 
@@ -1235,21 +1669,26 @@ function activate(context) {
           const messageType =
             topic.type || topic.messageType || "std_msgs/String";
 
-          tree.setTopicSubscriptionState(topicName, true);
-          nodeTree.setTopicSubscriptionState(topicName, true);
+          tree.setTopicSubscriptionState(ws.url, topicName, true);
+          nodeTree.setTopicSubscriptionState(ws.url, topicName, true);
 
-          const channelName = `ROS Topic: ${topicName}`;
+          const channelName = `ROS Topic: ${topicName} (${ws.getLabel()})`;
 
           if (!channels[channelName]) {
             channels[channelName] =
               vscode.window.createOutputChannel(channelName);
+            channels[channelName].connectionUrl = ws.url;
             outputChannels.set(channelName, channels[channelName]);
           }
 
           channels[channelName].show();
 
           const config = vscode.workspace.getConfiguration(extensionHandle);
-          const messageThrottle = config.get("messageThrottleRate", 100);
+          const messageThrottle = getProfileSetting(
+            ws.profile,
+            "messageThrottleRate",
+            100
+          );
           const maxBufferSize = config.get("maxMessageBufferSize", 100);
           const maxOutputLines = config.get("maxOutputLines", 500);
 
@@ -1267,7 +1706,12 @@ function activate(context) {
             pendingMessage: null,
             outputLineCount: 0,
             maxOutputLines: maxOutputLines, // Use configured value
-            isStatic: isStaticTopic(topicName, messageType, topicMessageRates),
+            isStatic: isStaticTopic(
+              topicName,
+              messageType,
+              getTopicRates(ws),
+              ws.profile
+            ),
             firstMessageTime: 0,
           };
 
@@ -1281,7 +1725,26 @@ function activate(context) {
             (msg) => {
               const now = Date.now();
 
-              updateTopicMessageRate(topicName, topicMessageRates);
+              updateTopicMessageRate(topicName, getTopicRates(ws), msg);
+
+              // Marker messages each change the scene, so the panel gets all
+              // of them; the throttle only applies to the output
+              const detectedType = VisualizationPanel.detectMessageType(
+                messageType,
+                msg
+              );
+              const everyMessage =
+                VisualizationPanel.needsEveryMessage(detectedType);
+              if (everyMessage) {
+                showInVisualization(
+                  ws,
+                  subscriptionData,
+                  topicName,
+                  messageType,
+                  detectedType,
+                  msg
+                );
+              }
 
               if (
                 subscriptionData.messageThrottle > 0 &&
@@ -1395,39 +1858,15 @@ function activate(context) {
                 subscriptionData.pendingMessage = null;
               }
 
-              const detectedType = VisualizationPanel.detectMessageType(
-                messageType,
-                msg
-              );
-              if (
-                detectedType === "OccupancyGrid" ||
-                detectedType === "LaserScan" ||
-                detectedType === "URDF"
-              ) {
-                if (
-                  !subscriptionData.visualizationPanel &&
-                  !subscriptionData.creatingPanel
-                ) {
-                  subscriptionData.creatingPanel = true;
-                  VisualizationPanel.createOrShow(
-                    context.extensionUri,
-                    topicName,
-                    messageType,
-                    msg
-                  )
-                    .then((panel) => {
-                      subscriptionData.creatingPanel = false;
-                      if (panel) {
-                        subscriptionData.visualizationPanel = panel;
-                        panel.updateData(msg);
-                      }
-                    })
-                    .catch(() => {
-                      subscriptionData.creatingPanel = false;
-                    });
-                } else if (subscriptionData.visualizationPanel) {
-                  subscriptionData.visualizationPanel.updateData(msg);
-                }
+              if (!everyMessage) {
+                showInVisualization(
+                  ws,
+                  subscriptionData,
+                  topicName,
+                  messageType,
+                  detectedType,
+                  msg
+                );
               }
             }
           );
@@ -1453,8 +1892,8 @@ function activate(context) {
               `Subscribed to topic: ${topicName}`
             );
           } else {
-            tree.setTopicSubscriptionState(topicName, false);
-            nodeTree.setTopicSubscriptionState(topicName, false);
+            tree.setTopicSubscriptionState(ws.url, topicName, false);
+            nodeTree.setTopicSubscriptionState(ws.url, topicName, false);
             channels[channelName].appendLine("Failed to create subscription");
             vscode.window.showErrorMessage(
               `Failed to subscribe to topic: ${topicName}`
@@ -1470,15 +1909,15 @@ function activate(context) {
             return;
           }
 
-          if (!ws || !ws.isConnected()) {
-            vscode.window.showErrorMessage("Not connected to rosbridge");
+          const ws = await resolveClient(topic.address);
+          if (!ws) {
             return;
           }
 
           const topicName = topic.label;
 
-          tree.setTopicSubscriptionState(topicName, false);
-          nodeTree.setTopicSubscriptionState(topicName, false);
+          tree.setTopicSubscriptionState(ws.url, topicName, false);
+          nodeTree.setTopicSubscriptionState(ws.url, topicName, false);
 
           const topics = ws.topics;
           const subscription = topics ? topics.get(topicName) : null;
@@ -1500,7 +1939,7 @@ function activate(context) {
             subscription.subscriptionData = null;
           }
 
-          const channelName = `ROS Topic: ${topicName}`;
+          const channelName = `ROS Topic: ${topicName} (${ws.getLabel()})`;
           if (channels[channelName]) {
             channels[channelName].clear();
             channels[channelName].appendLine(
@@ -1513,7 +1952,11 @@ function activate(context) {
           }
 
           for (const [name, channel] of outputChannels) {
-            if (name !== "main" && name.includes(topicName)) {
+            if (
+              name !== "main" &&
+              channel.connectionUrl === ws.url &&
+              name.includes(topicName)
+            ) {
               channel.clear();
               channel.hide();
               channel.dispose();
@@ -1529,7 +1972,7 @@ function activate(context) {
               `Unsubscribed from topic: ${topicName}`
             );
           } else {
-            tree.setTopicSubscriptionState(topicName, true);
+            tree.setTopicSubscriptionState(ws.url, topicName, true);
             vscode.window.showWarningMessage(
               `Failed to unsubscribe from topic: ${topicName}`
             );
@@ -1560,8 +2003,8 @@ function activate(context) {
 
           const serviceName = treeItem.label || treeItem.id;
 
-          if (!ws || !ws.isConnected()) {
-            vscode.window.showErrorMessage("Not connected to rosbridge");
+          const ws = await resolveClient(treeItem.address);
+          if (!ws) {
             return;
           }
 
@@ -1593,6 +2036,11 @@ function activate(context) {
 
           const actionName = treeItem.label || treeItem.id;
 
+          const ws = await resolveClient(treeItem.address);
+          if (!ws) {
+            return;
+          }
+
           MessageInspectorPanel.createOrShow(context.extensionUri, ws);
           setTimeout(() => {
             if (MessageInspectorPanel.currentPanel) {
@@ -1600,13 +2048,338 @@ function activate(context) {
             }
           }, 500);
         }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.publish-to-topic`,
+        async (treeItem) => {
+          const ws = await resolveClient(treeItem && treeItem.address);
+          if (!ws) {
+            return;
+          }
+
+          let topicName = treeItem && treeItem.label;
+          let messageType = treeItem && (treeItem.type || treeItem.messageType);
+
+          if (!topicName) {
+            const topics = await new Promise((resolve) => ws.getTopics(resolve));
+            const selected = await vscode.window.showQuickPick(
+              topics
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map((topic) => ({
+                  label: topic.name,
+                  description: topic.type,
+                })),
+              { placeHolder: "Select a topic to publish to" }
+            );
+            if (!selected) {
+              return;
+            }
+            topicName = selected.label;
+            messageType = selected.description;
+          }
+
+          if (!messageType || messageType === "unknown") {
+            messageType = await vscode.window.showInputBox({
+              prompt: `Enter message type for ${topicName}`,
+              placeHolder: "e.g., std_msgs/msg/String",
+            });
+            if (!messageType) {
+              return;
+            }
+          }
+
+          TopicPublisherPanel.createOrShow(
+            context.extensionUri,
+            ws,
+            topicName,
+            messageType,
+            context.workspaceState
+          );
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.configure-subscription`,
+        async (treeItem) => {
+          if (!treeItem || !treeItem.label) {
+            vscode.window.showErrorMessage("No topic selected");
+            return;
+          }
+
+          const ws = await resolveClient(treeItem.address);
+          if (!ws) {
+            return;
+          }
+
+          const topicName = treeItem.label;
+          const messageType = treeItem.type || treeItem.messageType;
+          const current = ws.getSubscriptionOptions(topicName, messageType);
+          const defaults = subscriptionOptions.getDefaultSubscriptionOptions(
+            messageType,
+            ws.profile
+          );
+
+          const compressionHints = {
+            none: "Plain JSON",
+            png: "JSON packed into a PNG by rosbridge",
+            cbor: "Binary CBOR; much smaller for arrays such as images and clouds",
+            "cbor-raw": "Undecoded serialized bytes; output shows the raw payload",
+          };
+          const selected = await vscode.window.showQuickPick(
+            [
+              ...subscriptionOptions.COMPRESSION_TYPES.map((compression) => ({
+                label: compression,
+                description: [
+                  compression === current.compression ? "current" : "",
+                  compression === defaults.compression ? "default" : "",
+                ]
+                  .filter(Boolean)
+                  .join(", "),
+                detail: compressionHints[compression],
+                compression,
+              })),
+              { label: "$(discard) Reset to defaults", reset: true },
+            ],
+            { placeHolder: `Compression for ${topicName}` }
+          );
+          if (!selected) {
+            return;
+          }
+
+          let options = null;
+          if (!selected.reset) {
+            const throttleRate = await vscode.window.showInputBox({
+              prompt: `Minimum milliseconds between messages from rosbridge for ${topicName} (0 = no throttling)`,
+              value: String(current.throttleRate),
+              validateInput: (value) =>
+                /^\d+$/.test(value) ? null : "Enter a whole number of milliseconds",
+            });
+            if (throttleRate === undefined) {
+              return;
+            }
+
+            const queueSize = await vscode.window.showInputBox({
+              prompt: `Queue size on the rosbridge side for ${topicName}`,
+              value: String(current.queueSize),
+              validateInput: (value) =>
+                /^\d+$/.test(value) ? null : "Enter a whole number",
+            });
+            if (queueSize === undefined) {
+              return;
+            }
+
+            options = {
+              throttleRate: Number(throttleRate),
+              queueSize: Number(queueSize),
+              compression: selected.compression,
+            };
+          }
+
+          const resubscribed = ws.setSubscriptionOptions(topicName, options);
+          tree.refresh();
+
+          const applied = ws.getSubscriptionOptions(topicName, messageType);
+          vscode.window.showInformationMessage(
+            `${topicName}: ${subscriptionOptions.describeSubscriptionOptions(
+              applied
+            )}${resubscribed ? " (resubscribed)" : ""}`
+          );
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.send-action-goal`,
+        async (treeItem) => {
+          const ws = await resolveClient(treeItem && treeItem.address);
+          if (!ws) {
+            return;
+          }
+
+          let actionName = treeItem && (treeItem.label || treeItem.id);
+
+          if (!actionName) {
+            const actionServers = await new Promise((resolve) =>
+              ws.getActionServers(resolve)
+            );
+            if (actionServers.length > 0) {
+              actionName = await vscode.window.showQuickPick(
+                actionServers.sort(),
+                { placeHolder: "Select an action server" }
+              );
+            } else {
+              actionName = await vscode.window.showInputBox({
+                prompt: "Enter action name",
+                placeHolder: "e.g., /navigate_to_pose",
+              });
+            }
+            if (!actionName) {
+              return;
+            }
+          }
+
+          const detectedType = await new Promise((resolve) =>
+            ws.getActionType(actionName, resolve)
+          );
+
+          const actionType = await vscode.window.showInputBox({
+            prompt: `Enter action type for ${actionName}`,
+            placeHolder: "e.g., nav2_msgs/action/NavigateToPose",
+            value: detectedType || "",
+          });
+          if (!actionType) {
+            return;
+          }
+
+          ActionGoalPanel.createOrShow(
+            context.extensionUri,
+            ws,
+            actionName,
+            actionType
+          );
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.run-collection-request`,
+        async (treeItem) => {
+          let entry =
+            treeItem && treeItem.request
+              ? {
+                  collectionName: treeItem.collectionName,
+                  request: treeItem.request,
+                }
+              : null;
+
+          if (!entry) {
+            await collectionsTree.reload();
+            const entries = collectionsTree.getAllRequests();
+            if (entries.length === 0) {
+              vscode.window.showInformationMessage(
+                "No saved requests found. Use 'Open Request Collections' to create some."
+              );
+              return;
+            }
+
+            const selected = await vscode.window.showQuickPick(
+              entries.map((item) => ({
+                label: item.request.name,
+                description: item.collectionName,
+                detail:
+                  item.request.kind === "topic"
+                    ? item.request.topic
+                    : item.request.service,
+                entry: item,
+              })),
+              { placeHolder: "Select a saved request to run" }
+            );
+            if (!selected) {
+              return;
+            }
+            entry = selected.entry;
+          }
+
+          await runCollectionRequests([entry]);
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.run-collection`,
+        async (treeItem) => {
+          let collection = treeItem && treeItem.collection;
+
+          if (!collection) {
+            const data = await collectionsTree.reload();
+            if (!data || data.collections.length === 0) {
+              vscode.window.showInformationMessage("No collections found");
+              return;
+            }
+
+            const selected = await vscode.window.showQuickPick(
+              data.collections.map((item) => ({
+                label: item.name,
+                description: `${item.requests.length} requests`,
+                collection: item,
+              })),
+              { placeHolder: "Select a collection to run" }
+            );
+            if (!selected) {
+              return;
+            }
+            collection = selected.collection;
+          }
+
+          await runCollectionRequests(
+            collection.requests.map((request) => ({
+              collectionName: collection.name,
+              request,
+            }))
+          );
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.open-collections-file`,
+        async () => {
+          const uri = requestCollections.getCollectionsFileUri(extensionHandle);
+          if (!uri) {
+            vscode.window.showErrorMessage(
+              "Open a workspace folder to use request collections"
+            );
+            return;
+          }
+
+          try {
+            await vscode.workspace.fs.stat(uri);
+          } catch {
+            await requestCollections.createCollectionsFile(uri);
+            await collectionsTree.reload();
+          }
+
+          const document = await vscode.workspace.openTextDocument(uri);
+          await vscode.window.showTextDocument(document);
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.select-collection-environment`,
+        async () => {
+          const data = await collectionsTree.reload();
+          const environments = data ? Object.keys(data.environments) : [];
+          if (environments.length === 0) {
+            vscode.window.showInformationMessage(
+              "No environments defined in the collections file"
+            );
+            return;
+          }
+
+          const current = context.workspaceState.get(
+            COLLECTION_ENVIRONMENT_KEY
+          );
+          const selected = await vscode.window.showQuickPick(
+            [
+              { label: "(none)", description: "Use top-level variables only" },
+              ...environments.map((name) => ({
+                label: name,
+                description: name === current ? "active" : "",
+              })),
+            ],
+            { placeHolder: "Select environment for request variables" }
+          );
+          if (!selected) {
+            return;
+          }
+
+          await context.workspaceState.update(
+            COLLECTION_ENVIRONMENT_KEY,
+            selected.label === "(none)" ? undefined : selected.label
+          );
+          updateCollectionsDescription();
+        }
+      ),
+      vscode.commands.registerCommand(
+        `${extensionHandle}.refresh-collections`,
+        () => collectionsTree.reload()
       )
     );
 
     channels["main"].show();
 
     global.vsCodeRosExtensionContext = {
-      ws,
+      clients,
       outputChannels,
       channels,
       tree,
@@ -1625,10 +2398,15 @@ function deactivate() {
     const context = global.vsCodeRosExtensionContext;
     if (!context) return;
 
-    const { ws, outputChannels, channels, tree } = context;
+    const { clients, outputChannels, channels, tree } = context;
 
-    if (ws && ws.isConnected()) {
-      ws.disconnect();
+    if (clients) {
+      clients.forEach((client) => {
+        if (client.isConnected()) {
+          client.disconnect();
+        }
+      });
+      clients.clear();
     }
 
     if (outputChannels) {
@@ -1650,8 +2428,8 @@ function deactivate() {
       VisualizationPanel.disposeAll();
     }
 
-    if (ConnectionDashboard && ConnectionDashboard.currentPanel) {
-      ConnectionDashboard.currentPanel.dispose();
+    if (ConnectionDashboard && ConnectionDashboard.dispose) {
+      ConnectionDashboard.dispose();
     }
 
     if (ParametersPanel && ParametersPanel.disposeAll) {
@@ -1666,6 +2444,46 @@ function deactivate() {
       MessageInspectorPanel.currentPanel.dispose();
     }
 
+    if (TopicPublisherPanel && TopicPublisherPanel.disposeAll) {
+      TopicPublisherPanel.disposeAll();
+    }
+
+    if (ActionGoalPanel && ActionGoalPanel.disposeAll) {
+      ActionGoalPanel.disposeAll();
+    }
+
+    if (ServiceWorkbenchPanel && ServiceWorkbenchPanel.disposeAll) {
+      ServiceWorkbenchPanel.disposeAll();
+    }
+
+    if (TopicMonitorPanel && TopicMonitorPanel.disposeAll) {
+      TopicMonitorPanel.disposeAll();
+    }
+
+    if (PlotPanel && PlotPanel.disposeAll) {
+      PlotPanel.disposeAll();
+    }
+
+    if (TfPanel && TfPanel.disposeAll) {
+      TfPanel.disposeAll();
+    }
+
+    if (TeleopPanel && TeleopPanel.disposeAll) {
+      TeleopPanel.disposeAll();
+    }
+
+    if (LogsPanel && LogsPanel.disposeAll) {
+      LogsPanel.disposeAll();
+    }
+
+    if (DiagnosticsPanel && DiagnosticsPanel.disposeAll) {
+      DiagnosticsPanel.disposeAll();
+    }
+
+    if (GraphPanel && GraphPanel.disposeAll) {
+      GraphPanel.disposeAll();
+    }
+
     if (tree) {
       tree.resetAllCheckboxes();
     }
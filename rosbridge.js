@@ -1,13 +1,92 @@
 const ROSLIB = require("roslib");
+const socketAdapter = require("roslib/src/core/SocketAdapter");
+const WebSocket = require("ws");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const vscode = require("vscode");
+const {
+  getProfileLabel,
+  getProfileSetting,
+} = require("./utils/connectionProfiles");
+const {
+  getDefaultSubscriptionOptions,
+} = require("./utils/subscriptionOptions");
+
+const TOPIC_FIELD_PATTERN = /"topic"\s*:\s*"([^"]+)"/;
+const CBOR_TOPIC_KEY = Buffer.from([0x65, ...Buffer.from("topic")]);
+
+// Reads the topic name from the head of a rosbridge message without fully
+// decoding it or copying it. Binary frames are CBOR maps with a text
+// "topic" key.
+function peekTopicName(data, isBinary) {
+  // Buffer.from on an ArrayBuffer shares its memory instead of copying
+  const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  if (!isBinary) {
+    const match = TOPIC_FIELD_PATTERN.exec(bytes.toString("utf8", 0, 256));
+    return match ? match[1] : null;
+  }
+
+  const head = bytes.subarray(0, 256);
+  const keyIndex = head.indexOf(CBOR_TOPIC_KEY);
+  if (keyIndex === -1) {
+    return null;
+  }
+
+  let offset = keyIndex + CBOR_TOPIC_KEY.length;
+  const header = head[offset++];
+  let length;
+  if (header >= 0x60 && header <= 0x77) {
+    length = header - 0x60;
+  } else if (header === 0x78) {
+    length = head[offset++];
+  } else {
+    return null;
+  }
+
+  if (offset + length > head.length) {
+    return null;
+  }
+  return head.toString("utf8", offset, offset + length);
+}
+
+function resolveCertificatePath(certificatePath) {
+  if (certificatePath.startsWith("~")) {
+    return path.join(os.homedir(), certificatePath.slice(1));
+  }
+
+  const folders = vscode.workspace.workspaceFolders;
+  if (!path.isAbsolute(certificatePath) && folders && folders.length > 0) {
+    return path.join(folders[0].uri.fsPath, certificatePath);
+  }
+
+  return certificatePath;
+}
 
 class RosbridgeClient {
-  constructor(url = "ws://localhost:9090", pChannel) {
+  constructor(
+    url = "ws://localhost:9090",
+    pChannel,
+    profile = null,
+    authSecret = null
+  ) {
     this.url = url;
     this.pChannel = pChannel;
+    this.profile = profile;
+    this.authSecret = authSecret;
     this.ros = null;
     this.topics = new Map();
     this.subscriptions = new Map();
+    this.publishers = new Map();
+    this.actionGoals = new Map();
+    this.subscriptionOptions = new Map();
+    this.topicListeners = new Map();
+    this.traffic = {
+      bytesIn: 0,
+      bytesOut: 0,
+      topicBytesIn: new Map(),
+    };
     this.connectionPromise = this.connect();
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = this._getMaxReconnectAttempts();
@@ -24,12 +103,25 @@ class RosbridgeClient {
     this.onConnectionCallback = null;
     this.onReconnectionCallback = null;
     this.onConnectionStatusChange = null;
+    this.onGiveUpCallback = null;
+  }
+
+  getLabel() {
+    return getProfileLabel(this.profile, this.url);
   }
 
-  setConnectionCallbacks(onConnection, onReconnection, onStatusChange) {
+  // onGiveUp runs once reconnection has run out of attempts, after which
+  // the client stays disconnected.
+  setConnectionCallbacks(
+    onConnection,
+    onReconnection,
+    onStatusChange,
+    onGiveUp
+  ) {
     this.onConnectionCallback = onConnection;
     this.onReconnectionCallback = onReconnection;
     this.onConnectionStatusChange = onStatusChange;
+    this.onGiveUpCallback = onGiveUp;
   }
 
   _getMaxReconnectAttempts() {
@@ -87,9 +179,22 @@ class RosbridgeClient {
     this.cleanupEventHandlers();
 
     return new Promise((resolve, reject) => {
-      this.ros = new ROSLIB.Ros({
-        url: this.url,
-      });
+      this.ros = new ROSLIB.Ros();
+
+      // A TLS setup error (unreadable CA file, bad options) rejects before
+      // any close handler exists, so no reconnect follows; the caller is
+      // left to drop the client.
+      try {
+        this._openSocket();
+      } catch (error) {
+        this.ros = null;
+        this.isManuallyConnecting = false;
+        if (this.onConnectionStatusChange) {
+          this.onConnectionStatusChange("disconnected");
+        }
+        reject(error);
+        return;
+      }
 
       this.eventHandlers.connection = () => {
         vscode.window.showInformationMessage("Connected to rosbridge");
@@ -98,6 +203,10 @@ class RosbridgeClient {
         this.isReconnecting = false;
         this.isManuallyConnecting = false;
 
+        if (this.profile && this.profile.auth) {
+          this._authenticate(this.profile.auth);
+        }
+
         if (this.onConnectionStatusChange) {
           this.onConnectionStatusChange("connected");
         }
@@ -129,6 +238,8 @@ class RosbridgeClient {
       };
 
       this.eventHandlers.close = () => {
+        this._failPendingActionGoals("Connection to rosbridge closed");
+
         if (this.shouldReconnect) {
           vscode.window.showWarningMessage(
             "Disconnected from rosbridge. Attempting to reconnect..."
@@ -142,9 +253,173 @@ class RosbridgeClient {
       this.ros.on("connection", this.eventHandlers.connection);
       this.ros.on("error", this.eventHandlers.error);
       this.ros.on("close", this.eventHandlers.close);
+
+      this._attachSocketListeners();
+    });
+  }
+
+  // roslib opens plain sockets itself; wss endpoints that need a custom CA
+  // or accept self-signed certificates get a socket built with TLS options.
+  _openSocket() {
+    const caCertificatePath = getProfileSetting(
+      this.profile,
+      "caCertificatePath",
+      ""
+    );
+    const allowSelfSigned = getProfileSetting(
+      this.profile,
+      "allowSelfSignedCertificates",
+      false
+    );
+
+    if (
+      !this.url.startsWith("wss://") ||
+      (!caCertificatePath && !allowSelfSigned)
+    ) {
+      this.ros.connect(this.url);
+      return;
+    }
+
+    const tlsOptions = {};
+
+    if (caCertificatePath) {
+      const resolvedPath = resolveCertificatePath(caCertificatePath);
+      try {
+        tlsOptions.ca = fs.readFileSync(resolvedPath);
+      } catch (error) {
+        throw new Error(
+          `Failed to read CA certificate ${resolvedPath}: ${error.message}`
+        );
+      }
+    }
+
+    if (allowSelfSigned) {
+      tlsOptions.rejectUnauthorized = false;
+      this.pChannel.appendLine(
+        `Certificate verification is disabled for ${this.url}`
+      );
+    }
+
+    const socket = new WebSocket(this.url, tlsOptions);
+    socket.binaryType = "arraybuffer";
+    this.ros.socket = Object.assign(socket, socketAdapter(this.ros));
+  }
+
+  // Sends the rosbridge auth op. In "mac" mode the stored secret is the
+  // rosauth shared secret and the MAC is derived from it; in "token" mode
+  // the secret is sent as-is.
+  _authenticate(auth) {
+    if (!this.authSecret) {
+      this.pChannel.appendLine(
+        `No authentication secret stored for ${this.getLabel()}; skipping rosbridge auth`
+      );
+      return;
+    }
+
+    const client = auth.client || os.hostname();
+    const dest = auth.dest || new URL(this.url).hostname;
+    const rand = crypto.randomBytes(16).toString("hex");
+    const level = auth.level || "admin";
+    const now = Math.floor(Date.now() / 1000);
+    const end = now + (auth.ttl || 60);
+
+    const mac =
+      auth.mode === "token"
+        ? this.authSecret
+        : crypto
+            .createHash("sha512")
+            .update(
+              `${this.authSecret}${client}${dest}${rand}${now}${level}${end}`
+            )
+            .digest("hex");
+
+    this.ros.authenticate(
+      mac,
+      client,
+      dest,
+      rand,
+      { sec: now, nanosec: 0 },
+      level,
+      { sec: end, nanosec: 0 }
+    );
+    this.pChannel.appendLine(
+      `Sent rosbridge authentication request as ${client}`
+    );
+  }
+
+  // roslib only dispatches topic/service/status ops, so rosbridge action
+  // ops are picked off the raw socket here.
+  _attachSocketListeners() {
+    const socket = this.ros && this.ros.socket;
+    if (!socket || typeof socket.on !== "function") {
+      return;
+    }
+
+    const send = socket.send.bind(socket);
+    socket.send = (data, ...args) => {
+      this.traffic.bytesOut +=
+        typeof data === "string" ? Buffer.byteLength(data) : data.byteLength;
+      return send(data, ...args);
+    };
+
+    socket.on("message", (data, isBinary) => {
+      this.traffic.bytesIn += data.byteLength;
+
+      if (this.topics.size > 0) {
+        const topicName = peekTopicName(data, isBinary);
+        if (topicName && this.topics.has(topicName)) {
+          this.traffic.topicBytesIn.set(
+            topicName,
+            (this.traffic.topicBytesIn.get(topicName) || 0) + data.byteLength
+          );
+        }
+      }
+    });
+
+    socket.on("message", (data, isBinary) => {
+      if (isBinary || this.actionGoals.size === 0) {
+        return;
+      }
+
+      const text = data.toString();
+      if (!/"op"\s*:\s*"action_(feedback|result)"/.test(text.slice(0, 200))) {
+        return;
+      }
+
+      try {
+        this._handleActionMessage(JSON.parse(text));
+      } catch (error) {
+        this.pChannel.appendLine(
+          `Failed to parse action message: ${this.formatError(error)}`
+        );
+      }
     });
   }
 
+  _handleActionMessage(message) {
+    const goal = this.actionGoals.get(message.id);
+    if (!goal) {
+      return;
+    }
+
+    if (message.op === "action_feedback") {
+      if (goal.onFeedback) {
+        goal.onFeedback(message.values);
+      }
+    } else if (message.op === "action_result") {
+      this.actionGoals.delete(message.id);
+      this.ros.removeAllListeners(`status:${message.id}`);
+
+      if (message.result === false) {
+        if (goal.onError) {
+          goal.onError(message.values, message.status);
+        }
+      } else if (goal.onResult) {
+        goal.onResult(message.values, message.status);
+      }
+    }
+  }
+
   handleReconnection() {
     if (this.isReconnecting || !this.shouldReconnect) {
       return;
@@ -156,12 +431,6 @@ class RosbridgeClient {
       this.onConnectionStatusChange("reconnecting");
     }
 
-    vscode.commands.executeCommand(
-      "setContext",
-      "eight-vectors-studio.isReconnecting",
-      true
-    );
-
     if (
       this.maxReconnectAttempts !== Infinity &&
       this.reconnectAttempts >= this.maxReconnectAttempts
@@ -170,11 +439,12 @@ class RosbridgeClient {
         `Failed to reconnect to rosbridge after ${this.maxReconnectAttempts} attempts. Please check your rosbridge server.`
       );
       this.isReconnecting = false;
-      vscode.commands.executeCommand(
-        "setContext",
-        "eight-vectors-studio.isReconnecting",
-        false
-      );
+      if (this.onConnectionStatusChange) {
+        this.onConnectionStatusChange("disconnected");
+      }
+      if (this.onGiveUpCallback) {
+        this.onGiveUpCallback();
+      }
       return;
     }
 
@@ -206,15 +476,12 @@ class RosbridgeClient {
             }
           })
           .catch(() => {
+            // Let the next attempt (or giving up) go ahead
+            this.isReconnecting = false;
             this.handleReconnection();
           });
       } else {
         this.isReconnecting = false;
-        vscode.commands.executeCommand(
-          "setContext",
-          "eight-vectors-studio.isReconnecting",
-          false
-        );
       }
     }, delay);
   }
@@ -229,6 +496,7 @@ class RosbridgeClient {
           name: topic.name,
           messageType: topic.messageType,
           callback: callback,
+          subscriptionData: topic.subscriptionData,
         });
 
         topic.unsubscribe(callback);
@@ -238,15 +506,21 @@ class RosbridgeClient {
 
     this.topics.clear();
     this.subscriptions.clear();
+    this.publishers.clear();
 
     topicsToResubscribe.forEach((topicInfo) => {
       this.pChannel.appendLine(`Resubscribing to topic: ${topicInfo.name}`);
-      this.subscribeTopic(
+      const topic = this.subscribeTopic(
         topicInfo.name,
         topicInfo.messageType,
         topicInfo.callback
       );
+      if (topic) {
+        topic.subscriptionData = topicInfo.subscriptionData;
+      }
     });
+
+    this._resubscribeTopicListeners();
   }
 
   subscribeTopic(topicName, messageType, callback) {
@@ -266,13 +540,15 @@ class RosbridgeClient {
       return existingTopic;
     }
 
+    const options = this.getSubscriptionOptions(topicName, messageType);
+
     const topic = new ROSLIB.Topic({
       ros: this.ros,
       name: topicName,
       messageType: messageType,
-      throttle_rate: 500, // Throttle to max 2 messages per second for better performance
-      queue_size: 1, // Only keep latest message
-      compression: "none",
+      throttle_rate: options.throttleRate,
+      queue_size: options.queueSize,
+      compression: options.compression,
     });
 
     topic.subscribe(callback);
@@ -282,6 +558,152 @@ class RosbridgeClient {
     return topic;
   }
 
+  // Options are remembered per topic for the lifetime of the client, so they
+  // carry over reconnects and later re-subscriptions.
+  getSubscriptionOptions(topicName, messageType) {
+    return (
+      this.subscriptionOptions.get(topicName) ||
+      getDefaultSubscriptionOptions(messageType, this.profile)
+    );
+  }
+
+  setSubscriptionOptions(topicName, options) {
+    if (options) {
+      this.subscriptionOptions.set(topicName, options);
+    } else {
+      this.subscriptionOptions.delete(topicName);
+    }
+
+    const listenerEntry = this.topicListeners.get(topicName);
+    if (listenerEntry) {
+      this._refreshListenerTopic(topicName, listenerEntry);
+    }
+
+    const topic = this.topics.get(topicName);
+    const callback = this.subscriptions.get(topicName);
+    if (!topic || !callback) {
+      return null;
+    }
+
+    topic.unsubscribe(callback);
+    topic.ros = null;
+    this.topics.delete(topicName);
+    this.subscriptions.delete(topicName);
+
+    const resubscribed = this.subscribeTopic(
+      topicName,
+      topic.messageType,
+      callback
+    );
+    if (resubscribed) {
+      resubscribed.subscriptionData = topic.subscriptionData;
+    }
+    return resubscribed;
+  }
+
+  // Listeners receive a topic without taking over its subscription callback,
+  // so panels can watch topics that the tree is also subscribed to. A
+  // listener may ask for a lower `throttleRate`; the shared subscription
+  // uses the lowest rate any of its listeners asked for.
+  addTopicListener(topicName, messageType, listener, { throttleRate } = {}) {
+    let entry = this.topicListeners.get(topicName);
+
+    if (!entry) {
+      entry = {
+        topic: null,
+        messageType,
+        listeners: new Set(),
+        throttleRates: new Map(),
+      };
+      this.topicListeners.set(topicName, entry);
+    }
+
+    const previousRate = this._listenerThrottleRate(topicName, entry);
+    entry.listeners.add(listener);
+    if (throttleRate !== undefined) {
+      entry.throttleRates.set(listener, throttleRate);
+    }
+
+    if (!entry.topic) {
+      entry.topic = this._createListenerTopic(topicName, entry);
+    } else if (this._listenerThrottleRate(topicName, entry) !== previousRate) {
+      this._refreshListenerTopic(topicName, entry);
+    } else {
+      entry.topic.subscribe(listener);
+    }
+
+    return entry.topic;
+  }
+
+  removeTopicListener(topicName, listener) {
+    const entry = this.topicListeners.get(topicName);
+    if (!entry || !entry.listeners.delete(listener)) {
+      return false;
+    }
+
+    const previousRate = this._listenerThrottleRate(topicName, entry);
+    entry.throttleRates.delete(listener);
+
+    if (entry.topic) {
+      entry.topic.unsubscribe(listener);
+    }
+
+    if (entry.listeners.size === 0) {
+      if (entry.topic) {
+        entry.topic.ros = null;
+      }
+      this.topicListeners.delete(topicName);
+    } else if (
+      entry.topic &&
+      this._listenerThrottleRate(topicName, entry) !== previousRate
+    ) {
+      this._refreshListenerTopic(topicName, entry);
+    }
+
+    return true;
+  }
+
+  _createListenerTopic(topicName, entry) {
+    if (!this.ros || !this.ros.isConnected) {
+      return null;
+    }
+
+    const options = this.getSubscriptionOptions(topicName, entry.messageType);
+
+    const topic = new ROSLIB.Topic({
+      ros: this.ros,
+      name: topicName,
+      messageType: entry.messageType,
+      throttle_rate: this._listenerThrottleRate(topicName, entry),
+      queue_size: options.queueSize,
+      compression: options.compression,
+    });
+
+    entry.listeners.forEach((listener) => topic.subscribe(listener));
+    return topic;
+  }
+
+  _listenerThrottleRate(topicName, entry) {
+    return Math.min(
+      this.getSubscriptionOptions(topicName, entry.messageType).throttleRate,
+      ...entry.throttleRates.values()
+    );
+  }
+
+  _refreshListenerTopic(topicName, entry) {
+    if (entry.topic) {
+      entry.listeners.forEach((listener) => entry.topic.unsubscribe(listener));
+      entry.topic.ros = null;
+    }
+    entry.topic = this._createListenerTopic(topicName, entry);
+  }
+
+  _resubscribeTopicListeners() {
+    this.topicListeners.forEach((entry, topicName) =>
+      this._refreshListenerTopic(topicName, entry)
+    );
+  }
+
   unsubscribeTopic(topicName) {
     const topic = this.topics.get(topicName);
     const callback = this.subscriptions.get(topicName);
@@ -303,11 +725,18 @@ class RosbridgeClient {
       return false;
     }
 
-    const topic = new ROSLIB.Topic({
-      ros: this.ros,
-      name: topicName,
-      messageType: messageType,
-    });
+    let topic = this.publishers.get(topicName);
+    if (!topic || topic.messageType !== messageType) {
+      if (topic) {
+        topic.unadvertise();
+      }
+      topic = new ROSLIB.Topic({
+        ros: this.ros,
+        name: topicName,
+        messageType: messageType,
+      });
+      this.publishers.set(topicName, topic);
+    }
 
     const rosMessage = new ROSLIB.Message(message);
     topic.publish(rosMessage);
@@ -315,6 +744,126 @@ class RosbridgeClient {
     return true;
   }
 
+  unadvertiseTopic(topicName) {
+    const topic = this.publishers.get(topicName);
+    if (!topic) {
+      return false;
+    }
+
+    if (this.ros && this.ros.isConnected) {
+      topic.unadvertise();
+    }
+    this.publishers.delete(topicName);
+    return true;
+  }
+
+  sendActionGoal(actionName, actionType, goal, callbacks = {}) {
+    if (!this.ros || !this.ros.isConnected) {
+      this.pChannel.appendLine("No rosbridge connection available");
+      return null;
+    }
+
+    const goalId = `send_action_goal:${actionName}:${++this.ros.idCounter}`;
+    this.actionGoals.set(goalId, callbacks);
+
+    this.ros.on(`status:${goalId}`, (status) => {
+      if (status.level !== "error" || !this.actionGoals.has(goalId)) {
+        return;
+      }
+      this.actionGoals.delete(goalId);
+      this.ros.removeAllListeners(`status:${goalId}`);
+      this.pChannel.appendLine(
+        `Action goal failed for ${actionName}: ${status.msg}`
+      );
+      if (callbacks.onError) {
+        callbacks.onError(status.msg);
+      }
+    });
+
+    this.ros.callOnConnection({
+      op: "send_action_goal",
+      id: goalId,
+      action: actionName,
+      action_type: actionType,
+      args: goal,
+      feedback: true,
+    });
+
+    this.pChannel.appendLine(`Sent action goal to ${actionName}`);
+    return goalId;
+  }
+
+  cancelActionGoal(actionName, goalId) {
+    if (!this.ros || !this.ros.isConnected) {
+      this.pChannel.appendLine("No rosbridge connection available");
+      return false;
+    }
+
+    if (!this.actionGoals.has(goalId)) {
+      return false;
+    }
+
+    this.ros.callOnConnection({
+      op: "cancel_action_goal",
+      id: goalId,
+      action: actionName,
+    });
+
+    this.pChannel.appendLine(`Requested cancel of action goal on ${actionName}`);
+    return true;
+  }
+
+  _failPendingActionGoals(reason) {
+    const goals = Array.from(this.actionGoals.values());
+    this.actionGoals.clear();
+
+    // Runs inside the close handler; a failing callback must not stop the
+    // reconnect that follows.
+    goals.forEach((goal) => {
+      if (!goal.onError) {
+        return;
+      }
+      try {
+        goal.onError(reason);
+      } catch (error) {
+        this.pChannel.appendLine(
+          `Action goal error callback failed: ${error.message}`
+        );
+      }
+    });
+  }
+
+  getActionServers(callback) {
+    if (!this.ros || !this.ros.isConnected) {
+      callback([]);
+      return;
+    }
+
+    this.ros.getActionServers(
+      (actionServers) => {
+        callback(actionServers || []);
+      },
+      (error) => {
+        this.pChannel.appendLine(`Error getting action servers: ${error}`);
+        callback([]);
+      }
+    );
+  }
+
+  getActionType(actionName, callback) {
+    this.getTopics((topics) => {
+      const feedbackTopic = topics.find(
+        (topic) => topic.name === `${actionName}/_action/feedback`
+      );
+
+      if (feedbackTopic && feedbackTopic.type.endsWith("_FeedbackMessage")) {
+        callback(feedbackTopic.type.slice(0, -"_FeedbackMessage".length));
+      } else {
+        callback(null);
+      }
+    });
+  }
+
   getNodeDetails(nodeName, callback) {
     if (!this.ros || !this.ros.isConnected) {
       this.pChannel.appendLine(
@@ -434,6 +983,36 @@ class RosbridgeClient {
     return this.ros && this.ros.isConnected;
   }
 
+  // Round trip of a cheap rosapi call, used as a link latency probe. Unlike
+  // callService this stays quiet in the output channel.
+  measureLatency(callback) {
+    if (!this.isConnected()) {
+      callback(null, "No connection");
+      return;
+    }
+
+    const service = new ROSLIB.Service({
+      ros: this.ros,
+      name: "/rosapi/get_time",
+      serviceType: "rosapi/srv/GetTime",
+    });
+
+    const startTime = Date.now();
+    service.callService(
+      new ROSLIB.ServiceRequest({}),
+      () => callback(Date.now() - startTime, null),
+      (error) => callback(null, error)
+    );
+  }
+
+  getTrafficStats() {
+    return {
+      bytesIn: this.traffic.bytesIn,
+      bytesOut: this.traffic.bytesOut,
+      topicBytesIn: new Map(this.traffic.topicBytesIn),
+    };
+  }
+
   async waitForConnection() {
     return this.connectionPromise;
   }
@@ -1013,12 +1592,6 @@ class RosbridgeClient {
       this.ros = null;
     }
 
-    vscode.commands.executeCommand(
-      "setContext",
-      "eight-vectors-studio.isReconnecting",
-      false
-    );
-
     this.pChannel.appendLine("Stopped reconnection attempts");
     vscode.window.showInformationMessage("Stopped reconnection attempts");
   }
@@ -1049,12 +1622,6 @@ class RosbridgeClient {
       this.onConnectionStatusChange("disconnected");
     }
 
-    vscode.commands.executeCommand(
-      "setContext",
-      "eight-vectors-studio.isReconnecting",
-      false
-    );
-
     if (this.ros) {
       this.topics.forEach((topic, topicName) => {
         const callback = this.subscriptions.get(topicName);
@@ -1067,6 +1634,25 @@ class RosbridgeClient {
       this.topics.clear();
       this.subscriptions.clear();
 
+      this.topicListeners.forEach((entry) => {
+        if (entry.topic) {
+          entry.listeners.forEach((listener) =>
+            entry.topic.unsubscribe(listener)
+          );
+          entry.topic.ros = null;
+        }
+      });
+      this.topicListeners.clear();
+
+      if (this.ros.isConnected) {
+        this.publishers.forEach((topic) => {
+          topic.unadvertise();
+        });
+      }
+      this.publishers.clear();
+
+      this._failPendingActionGoals("Disconnected from rosbridge");
+
       this.cleanupEventHandlers();
 
       this.ros.close();
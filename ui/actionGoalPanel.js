@@ -0,0 +1,545 @@
+const vscode = require("vscode");
+const { createMessageTemplate } = require("../utils/messageTemplate");
+
+// action_msgs/msg/GoalStatus values
+const GOAL_STATUS = {
+  0: "UNKNOWN",
+  1: "ACCEPTED",
+  2: "EXECUTING",
+  3: "CANCELING",
+  4: "SUCCEEDED",
+  5: "CANCELED",
+  6: "ABORTED",
+};
+
+class ActionGoalPanel {
+  static panels = new Map();
+
+  static createOrShow(extensionUri, rosbridgeClient, actionName, actionType) {
+    const column = vscode.window.activeTextEditor
+      ? vscode.window.activeTextEditor.viewColumn
+      : undefined;
+
+    const panelKey = `action-${rosbridgeClient.url}-${actionName}`;
+
+    if (ActionGoalPanel.panels.has(panelKey)) {
+      const existingPanel = ActionGoalPanel.panels.get(panelKey);
+      existingPanel._panel.reveal(column);
+      return existingPanel;
+    }
+
+    const panel = vscode.window.createWebviewPanel(
+      "rosActionGoal",
+      `Action: ${actionName} (${rosbridgeClient.getLabel()})`,
+      column || vscode.ViewColumn.One,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+      }
+    );
+
+    const actionPanel = new ActionGoalPanel(
+      panel,
+      extensionUri,
+      rosbridgeClient,
+      actionName,
+      actionType
+    );
+
+    ActionGoalPanel.panels.set(panelKey, actionPanel);
+    return actionPanel;
+  }
+
+  constructor(panel, extensionUri, rosbridgeClient, actionName, actionType) {
+    this._panel = panel;
+    this._extensionUri = extensionUri;
+    this._rosbridgeClient = rosbridgeClient;
+    this._actionName = actionName;
+    this._actionType = actionType;
+    this._disposables = [];
+    this._goalId = null;
+    this._disposed = false;
+    this._goalStartTime = 0;
+
+    this._panel.webview.html = this._getHtmlContent();
+    this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+
+    this._panel.webview.onDidReceiveMessage(
+      (message) => {
+        switch (message.command) {
+          case "ready":
+          case "loadTemplate":
+            this._loadTemplate();
+            break;
+          case "sendGoal":
+            this._sendGoal(message.goal);
+            break;
+          case "cancelGoal":
+            this._cancelGoal();
+            break;
+        }
+      },
+      null,
+      this._disposables
+    );
+  }
+
+  _loadTemplate() {
+    const goalType = `${this._actionType}_Goal`;
+
+    this._rosbridgeClient.getMessageDetails(goalType, (details, error) => {
+      if (error || !details || Object.keys(details).length === 0) {
+        vscode.window.showWarningMessage(
+          `Could not load goal definition for ${this._actionType}. Starting with an empty goal.`
+        );
+        this._panel.webview.postMessage({
+          command: "setGoal",
+          goal: JSON.stringify({}, null, 2),
+        });
+        return;
+      }
+
+      this._panel.webview.postMessage({
+        command: "setGoal",
+        goal: JSON.stringify(createMessageTemplate(details), null, 2),
+      });
+    });
+  }
+
+  _sendGoal(goalText) {
+    if (this._goalId) {
+      vscode.window.showWarningMessage(
+        "A goal is already active. Cancel it or wait for the result."
+      );
+      return;
+    }
+
+    let goal;
+    try {
+      goal = JSON.parse(goalText || "{}");
+    } catch (error) {
+      vscode.window.showErrorMessage(`Invalid goal JSON: ${error.message}`);
+      return;
+    }
+
+    this._goalStartTime = Date.now();
+
+    // The goal can outlive the panel until its cancel is answered, so
+    // callbacks after dispose are dropped.
+    const goalId = this._rosbridgeClient.sendActionGoal(
+      this._actionName,
+      this._actionType,
+      goal,
+      {
+        onFeedback: (feedback) => {
+          if (this._disposed) {
+            return;
+          }
+          this._panel.webview.postMessage({
+            command: "feedback",
+            feedback: feedback,
+            timestamp: new Date().toISOString(),
+          });
+        },
+        onResult: (result, status) => {
+          this._goalId = null;
+          if (!this._disposed) {
+            this._postResult(result, status);
+          }
+        },
+        onError: (error, status) => {
+          this._goalId = null;
+          if (!this._disposed) {
+            this._postResult(null, status, error);
+          }
+        },
+      }
+    );
+
+    if (!goalId) {
+      vscode.window.showErrorMessage("Not connected to rosbridge");
+      return;
+    }
+
+    this._goalId = goalId;
+    this._panel.webview.postMessage({
+      command: "goalStatus",
+      status: "ACTIVE",
+      active: true,
+    });
+  }
+
+  _cancelGoal() {
+    if (!this._goalId) {
+      return;
+    }
+
+    if (this._rosbridgeClient.cancelActionGoal(this._actionName, this._goalId)) {
+      this._panel.webview.postMessage({
+        command: "goalStatus",
+        status: "CANCELING",
+        active: true,
+      });
+    }
+  }
+
+  _postResult(result, status, error = null) {
+    const statusName =
+      status !== undefined && GOAL_STATUS[status] !== undefined
+        ? GOAL_STATUS[status]
+        : error
+        ? "FAILED"
+        : "UNKNOWN";
+
+    this._panel.webview.postMessage({
+      command: "result",
+      result: result,
+      status: statusName,
+      error: error ? String(error) : null,
+      durationMs: Date.now() - this._goalStartTime,
+    });
+  }
+
+  _getHtmlContent() {
+    return `<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Action: ${this._actionName}</title>
+        <style>
+            body {
+                font-family: var(--vscode-font-family);
+                font-size: var(--vscode-font-size);
+                color: var(--vscode-foreground);
+                background-color: var(--vscode-editor-background);
+                padding: 0;
+                margin: 0;
+            }
+
+            .header {
+                position: sticky;
+                top: 0;
+                background-color: var(--vscode-editor-background);
+                padding: 16px 20px;
+                border-bottom: 1px solid var(--vscode-widget-border);
+                z-index: 100;
+                display: flex;
+                justify-content: space-between;
+                align-items: flex-start;
+            }
+
+            .title {
+                font-size: 14px;
+                font-weight: 600;
+                margin: 0;
+            }
+
+            .subtitle {
+                font-size: 12px;
+                color: var(--vscode-descriptionForeground);
+                margin-top: 4px;
+            }
+
+            .section {
+                padding: 12px 20px;
+            }
+
+            .section-title {
+                font-size: 12px;
+                font-weight: 600;
+                text-transform: uppercase;
+                color: var(--vscode-descriptionForeground);
+                margin-bottom: 8px;
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+            }
+
+            .row {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            }
+
+            textarea {
+                width: 100%;
+                min-height: 180px;
+                box-sizing: border-box;
+                padding: 8px;
+                background-color: var(--vscode-input-background);
+                color: var(--vscode-input-foreground);
+                border: 1px solid var(--vscode-input-border);
+                border-radius: 2px;
+                font-family: var(--vscode-editor-font-family);
+                font-size: 13px;
+                resize: vertical;
+            }
+
+            textarea:focus {
+                outline: 1px solid var(--vscode-focusBorder);
+                border-color: var(--vscode-focusBorder);
+            }
+
+            button {
+                padding: 4px 12px;
+                background-color: var(--vscode-button-background);
+                color: var(--vscode-button-foreground);
+                border: none;
+                border-radius: 2px;
+                cursor: pointer;
+                font-size: 12px;
+            }
+
+            button:hover {
+                background-color: var(--vscode-button-hoverBackground);
+            }
+
+            button.secondary {
+                background-color: var(--vscode-button-secondaryBackground);
+                color: var(--vscode-button-secondaryForeground);
+            }
+
+            button.secondary:hover {
+                background-color: var(--vscode-button-secondaryHoverBackground);
+            }
+
+            button:disabled {
+                opacity: 0.5;
+                cursor: default;
+            }
+
+            .status-badge {
+                padding: 2px 8px;
+                border-radius: 2px;
+                font-size: 11px;
+                font-weight: 600;
+                background-color: var(--vscode-badge-background);
+                color: var(--vscode-badge-foreground);
+            }
+
+            .status-badge.success {
+                background-color: var(--vscode-testing-iconPassed);
+                color: var(--vscode-editor-background);
+            }
+
+            .status-badge.failure {
+                background-color: var(--vscode-errorForeground);
+                color: var(--vscode-editor-background);
+            }
+
+            .feedback-log {
+                max-height: 240px;
+                overflow-y: auto;
+                border: 1px solid var(--vscode-widget-border);
+                border-radius: 2px;
+                font-family: var(--vscode-editor-font-family);
+                font-size: 12px;
+            }
+
+            .feedback-entry {
+                padding: 6px 8px;
+                border-bottom: 1px solid var(--vscode-widget-border);
+                white-space: pre-wrap;
+            }
+
+            .feedback-time {
+                color: var(--vscode-descriptionForeground);
+            }
+
+            .empty {
+                padding: 12px;
+                color: var(--vscode-descriptionForeground);
+                text-align: center;
+            }
+
+            pre.result {
+                margin: 0;
+                padding: 8px;
+                background-color: var(--vscode-textCodeBlock-background);
+                border: 1px solid var(--vscode-widget-border);
+                border-radius: 2px;
+                font-family: var(--vscode-editor-font-family);
+                font-size: 12px;
+                white-space: pre-wrap;
+                min-height: 40px;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <div>
+                <h1 class="title">${this._actionName}</h1>
+                <div class="subtitle">${this._actionType}</div>
+            </div>
+            <span class="status-badge" id="statusBadge">IDLE</span>
+        </div>
+
+        <div class="section">
+            <div class="section-title">
+                Goal
+                <button class="secondary" onclick="loadTemplate()">Reset Template</button>
+            </div>
+            <textarea id="goalInput" spellcheck="false">Loading template...</textarea>
+            <div class="row" style="margin-top: 8px;">
+                <button id="sendButton" onclick="sendGoal()">Send Goal</button>
+                <button id="cancelButton" class="secondary" onclick="cancelGoal()" disabled>Cancel Goal</button>
+            </div>
+        </div>
+
+        <div class="section">
+            <div class="section-title">
+                <span>Feedback (<span id="feedbackCount">0</span>)</span>
+                <button class="secondary" onclick="clearFeedback()">Clear</button>
+            </div>
+            <div class="feedback-log" id="feedbackLog">
+                <div class="empty">No feedback received</div>
+            </div>
+        </div>
+
+        <div class="section">
+            <div class="section-title">Result</div>
+            <pre class="result" id="resultOutput">No result yet</pre>
+        </div>
+
+        <script>
+            const vscode = acquireVsCodeApi();
+            const MAX_FEEDBACK_ENTRIES = 200;
+            let feedbackCount = 0;
+
+            function loadTemplate() {
+                vscode.postMessage({ command: 'loadTemplate' });
+            }
+
+            function sendGoal() {
+                const goal = document.getElementById('goalInput').value;
+                try {
+                    JSON.parse(goal || '{}');
+                } catch (e) {
+                    document.getElementById('resultOutput').textContent = 'Invalid goal JSON: ' + e.message;
+                    return;
+                }
+                clearFeedback();
+                document.getElementById('resultOutput').textContent = 'Waiting for result...';
+                vscode.postMessage({ command: 'sendGoal', goal: goal });
+            }
+
+            function cancelGoal() {
+                vscode.postMessage({ command: 'cancelGoal' });
+            }
+
+            function clearFeedback() {
+                feedbackCount = 0;
+                document.getElementById('feedbackCount').textContent = '0';
+                document.getElementById('feedbackLog').innerHTML = '<div class="empty">No feedback received</div>';
+            }
+
+            function setStatus(status, active) {
+                const badge = document.getElementById('statusBadge');
+                badge.textContent = status;
+                badge.className = 'status-badge';
+                if (status === 'SUCCEEDED') {
+                    badge.classList.add('success');
+                } else if (['ABORTED', 'CANCELED', 'FAILED'].includes(status)) {
+                    badge.classList.add('failure');
+                }
+                document.getElementById('sendButton').disabled = active;
+                document.getElementById('cancelButton').disabled = !active;
+            }
+
+            function appendFeedback(feedback, timestamp) {
+                const log = document.getElementById('feedbackLog');
+                if (feedbackCount === 0) {
+                    log.innerHTML = '';
+                }
+                feedbackCount++;
+                document.getElementById('feedbackCount').textContent = feedbackCount;
+
+                const entry = document.createElement('div');
+                entry.className = 'feedback-entry';
+                const time = document.createElement('span');
+                time.className = 'feedback-time';
+                time.textContent = '[' + timestamp + '] ';
+                entry.appendChild(time);
+                entry.appendChild(document.createTextNode(JSON.stringify(feedback, null, 2)));
+                log.appendChild(entry);
+
+                while (log.children.length > MAX_FEEDBACK_ENTRIES) {
+                    log.removeChild(log.firstChild);
+                }
+                log.scrollTop = log.scrollHeight;
+            }
+
+            window.addEventListener('message', event => {
+                const message = event.data;
+                switch (message.command) {
+                    case 'setGoal':
+                        document.getElementById('goalInput').value = message.goal;
+                        break;
+                    case 'goalStatus':
+                        setStatus(message.status, message.active);
+                        break;
+                    case 'feedback':
+                        setStatus('EXECUTING', true);
+                        appendFeedback(message.feedback, message.timestamp);
+                        break;
+                    case 'result':
+                        setStatus(message.status, false);
+                        const output = document.getElementById('resultOutput');
+                        const duration = '(' + (message.durationMs / 1000).toFixed(2) + 's)';
+                        if (message.error) {
+                            output.textContent = message.status + ' ' + duration + '\\n' + message.error;
+                        } else {
+                            output.textContent = message.status + ' ' + duration + '\\n' + JSON.stringify(message.result, null, 2);
+                        }
+                        break;
+                }
+            });
+
+            vscode.postMessage({ command: 'ready' });
+        </script>
+    </body>
+    </html>`;
+  }
+
+  dispose() {
+    const panelKey = `action-${this._rosbridgeClient.url}-${this._actionName}`;
+    ActionGoalPanel.panels.delete(panelKey);
+    this._disposed = true;
+
+    if (this._goalId && this._rosbridgeClient) {
+      this._rosbridgeClient.cancelActionGoal(this._actionName, this._goalId);
+      this._goalId = null;
+    }
+
+    this._panel.dispose();
+
+    while (this._disposables.length) {
+      const disposable = this._disposables.pop();
+      if (disposable) {
+        disposable.dispose();
+      }
+    }
+  }
+
+  static disposeAll() {
+    if (ActionGoalPanel.panels && ActionGoalPanel.panels.size > 0) {
+      const panelsToDispose = Array.from(ActionGoalPanel.panels.values());
+      for (const panel of panelsToDispose) {
+        panel.dispose();
+      }
+      ActionGoalPanel.panels.clear();
+    }
+  }
+
+  static disposeForClient(rosbridgeClient) {
+    const panelsToDispose = Array.from(ActionGoalPanel.panels.values()).filter(
+      (panel) => panel._rosbridgeClient === rosbridgeClient
+    );
+    for (const panel of panelsToDispose) {
+      panel.dispose();
+    }
+  }
+}
+
+module.exports = ActionGoalPanel;
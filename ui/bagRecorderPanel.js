@@ -3,12 +3,13 @@ const vscode = require("vscode");
 class BagRecorderPanel {
   static currentPanel = undefined;
 
-  static createOrShow(extensionUri) {
+  static createOrShow(extensionUri, remoteBagPath = "/home/ros/bags") {
     const column = vscode.window.activeTextEditor
       ? vscode.window.activeTextEditor.viewColumn
       : undefined;
 
     if (BagRecorderPanel.currentPanel) {
+      BagRecorderPanel.currentPanel._remoteBagPath = remoteBagPath;
       BagRecorderPanel.currentPanel._panel.reveal(column);
       BagRecorderPanel.currentPanel._update();
     } else {
@@ -22,7 +23,11 @@ class BagRecorderPanel {
         }
       );
 
-      BagRecorderPanel.currentPanel = new BagRecorderPanel(panel, extensionUri);
+      BagRecorderPanel.currentPanel = new BagRecorderPanel(
+        panel,
+        extensionUri,
+        remoteBagPath
+      );
     }
 
     return BagRecorderPanel.currentPanel;
@@ -42,9 +47,10 @@ class BagRecorderPanel {
     }
   }
 
-  constructor(panel, extensionUri) {
+  constructor(panel, extensionUri, remoteBagPath) {
     this._panel = panel;
     this._extensionUri = extensionUri;
+    this._remoteBagPath = remoteBagPath;
     this._disposables = [];
     this._selectedTopics = new Map();
     this._currentCommand = null;
@@ -133,7 +139,7 @@ class BagRecorderPanel {
     });
     this._outputChannel.appendLine("");
     this._outputChannel.appendLine(
-      "Note: You can add -o flag to specify output path"
+      `Note: You can add -o flag to specify output path (e.g. -o ${this._remoteBagPath}/my_recording)`
     );
     this._outputChannel.show();
 
@@ -174,13 +180,13 @@ class BagRecorderPanel {
             if (fileUri) {
               const filename = fileUri.fsPath.split("/").pop();
 
-              const suggestedRemotePath = `/home/ros/bags/${filename}`;
+              const suggestedRemotePath = `${this._remoteBagPath}/${filename}`;
 
               vscode.window
                 .showInputBox({
                   prompt: "Enter the path on your remote ROS 2 machine",
                   value: suggestedRemotePath,
-                  placeHolder: "/home/ros/bags/my_recording",
+                  placeHolder: `${this._remoteBagPath}/my_recording`,
                   validateInput: (value) => {
                     if (!value.startsWith("/")) {
                       return "Path must be absolute (start with /)";
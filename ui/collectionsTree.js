@@ -0,0 +1,120 @@
+const vscode = require("vscode");
+const {
+  getCollectionsFileUri,
+  loadCollections,
+} = require("../utils/requestCollections");
+
+class Collection extends vscode.TreeItem {
+  constructor(collection) {
+    super(collection.name, vscode.TreeItemCollapsibleState.Expanded);
+    this.collection = collection;
+    this.contextValue = "collection";
+    this.iconPath = new vscode.ThemeIcon("folder-library");
+    this.description = `${collection.requests.length} requests`;
+  }
+}
+
+class CollectionRequest extends vscode.TreeItem {
+  constructor(collectionName, request) {
+    super(request.name, vscode.TreeItemCollapsibleState.None);
+    this.collectionName = collectionName;
+    this.request = request;
+    this.contextValue = "collectionRequest";
+
+    const isTopic = request.kind === "topic";
+    this.iconPath = new vscode.ThemeIcon(isTopic ? "send" : "symbol-method");
+    this.description = isTopic ? request.topic : request.service;
+    this.tooltip = `${request.name}\n${
+      isTopic
+        ? `Publish ${request.messageType || "?"} to ${request.topic}`
+        : `Call ${request.service} (${request.serviceType || "?"})`
+    }`;
+  }
+}
+
+class CollectionsProvider {
+  constructor(extHandle, channel) {
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+
+    this.extHandle = extHandle;
+    this.channel = channel;
+    this.data = null;
+    this.loadError = null;
+  }
+
+  async reload() {
+    const uri = getCollectionsFileUri(this.extHandle);
+    this.loadError = null;
+
+    if (!uri) {
+      this.data = null;
+    } else {
+      try {
+        this.data = await loadCollections(uri);
+      } catch (error) {
+        this.data = null;
+        this.loadError = error.message;
+        this.channel.appendLine(
+          `Failed to parse collections file ${uri.fsPath}: ${error.message}`
+        );
+      }
+    }
+
+    this._onDidChangeTreeData.fire();
+    return this.data;
+  }
+
+  refresh() {
+    return this.reload();
+  }
+
+  getAllRequests() {
+    if (!this.data) {
+      return [];
+    }
+
+    const requests = [];
+    this.data.collections.forEach((collection) => {
+      collection.requests.forEach((request) => {
+        requests.push({ collectionName: collection.name, request });
+      });
+    });
+    return requests;
+  }
+
+  getTreeItem(element) {
+    return element;
+  }
+
+  getChildren(element) {
+    if (!element) {
+      if (this.loadError) {
+        const item = new vscode.TreeItem("Collections file has errors");
+        item.description = this.loadError;
+        item.iconPath = new vscode.ThemeIcon("error");
+        return [item];
+      }
+
+      if (!this.data) {
+        return [];
+      }
+
+      return this.data.collections.map(
+        (collection) => new Collection(collection)
+      );
+    }
+
+    if (element instanceof Collection) {
+      return element.collection.requests.map(
+        (request) => new CollectionRequest(element.collection.name, request)
+      );
+    }
+
+    return [];
+  }
+}
+
+module.exports = {
+  CollectionsProvider,
+};
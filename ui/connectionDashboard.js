@@ -1,20 +1,28 @@
 const vscode = require("vscode");
 
+const METRICS_SAMPLE_MS = 1000;
+const LATENCY_PROBE_EVERY = 2; // samples between latency probes
+const LATENCY_TIMEOUT_MS = 5000;
+const METRICS_HISTORY_LENGTH = 60;
+
 class ConnectionDashboard {
-  static currentPanel = undefined;
+  static panels = new Map();
 
   static createOrShow(extensionUri, rosbridgeClient) {
     const column = vscode.window.activeTextEditor
       ? vscode.window.activeTextEditor.viewColumn
       : undefined;
 
-    if (ConnectionDashboard.currentPanel) {
-      ConnectionDashboard.currentPanel._panel.reveal(column);
-      ConnectionDashboard.currentPanel._updateContent(rosbridgeClient);
+    const panelKey = rosbridgeClient.url;
+
+    if (ConnectionDashboard.panels.has(panelKey)) {
+      const existingPanel = ConnectionDashboard.panels.get(panelKey);
+      existingPanel._panel.reveal(column);
+      existingPanel._updateContent(rosbridgeClient);
     } else {
       const panel = vscode.window.createWebviewPanel(
         "rosConnectionDashboard",
-        "Connection Dashboard",
+        `Connection Dashboard (${rosbridgeClient.getLabel()})`,
         column || vscode.ViewColumn.One,
         {
           enableScripts: true,
@@ -22,10 +30,9 @@ class ConnectionDashboard {
         }
       );
 
-      ConnectionDashboard.currentPanel = new ConnectionDashboard(
-        panel,
-        extensionUri,
-        rosbridgeClient
+      ConnectionDashboard.panels.set(
+        panelKey,
+        new ConnectionDashboard(panel, extensionUri, rosbridgeClient)
       );
     }
   }
@@ -54,6 +61,116 @@ class ConnectionDashboard {
     this._updateInterval = setInterval(() => {
       this._updateSystemInfo();
     }, 5000);
+
+    this._resetLinkMetrics();
+    this._metricsInterval = setInterval(() => {
+      this._sampleLinkMetrics();
+    }, METRICS_SAMPLE_MS);
+  }
+
+  _resetLinkMetrics() {
+    this._linkMetrics = {
+      sampleCount: 0,
+      lastSampleTime: null,
+      lastTraffic: null,
+      latency: [],
+      pendingProbe: null,
+      bytesIn: [],
+      bytesOut: [],
+      topics: new Map(),
+    };
+  }
+
+  _pushSample(history, value) {
+    history.push(value);
+    if (history.length > METRICS_HISTORY_LENGTH) {
+      history.shift();
+    }
+  }
+
+  _sampleLinkMetrics() {
+    const client = this._rosbridgeClient;
+    if (!client || !client.isConnected()) {
+      return;
+    }
+
+    const metrics = this._linkMetrics;
+    const now = Date.now();
+    const traffic = client.getTrafficStats();
+
+    if (metrics.lastTraffic) {
+      const seconds = (now - metrics.lastSampleTime) / 1000;
+      const rate = (current, previous) =>
+        Math.max(0, (current - previous) / seconds);
+
+      this._pushSample(
+        metrics.bytesIn,
+        rate(traffic.bytesIn, metrics.lastTraffic.bytesIn)
+      );
+      this._pushSample(
+        metrics.bytesOut,
+        rate(traffic.bytesOut, metrics.lastTraffic.bytesOut)
+      );
+
+      for (const topicName of metrics.topics.keys()) {
+        if (!client.topics.has(topicName)) {
+          metrics.topics.delete(topicName);
+        }
+      }
+      for (const topicName of client.topics.keys()) {
+        if (!metrics.topics.has(topicName)) {
+          metrics.topics.set(topicName, []);
+        }
+        this._pushSample(
+          metrics.topics.get(topicName),
+          rate(
+            traffic.topicBytesIn.get(topicName) || 0,
+            metrics.lastTraffic.topicBytesIn.get(topicName) || 0
+          )
+        );
+      }
+    }
+
+    metrics.lastTraffic = traffic;
+    metrics.lastSampleTime = now;
+
+    if (
+      metrics.pendingProbe &&
+      now - metrics.pendingProbe.startTime > LATENCY_TIMEOUT_MS
+    ) {
+      metrics.pendingProbe = null;
+      this._pushSample(metrics.latency, null);
+    }
+
+    if (
+      !metrics.pendingProbe &&
+      metrics.sampleCount % LATENCY_PROBE_EVERY === 0
+    ) {
+      const probe = { startTime: now };
+      metrics.pendingProbe = probe;
+      client.measureLatency((latencyMs) => {
+        if (metrics.pendingProbe !== probe) {
+          return;
+        }
+        metrics.pendingProbe = null;
+        this._pushSample(metrics.latency, latencyMs);
+      });
+    }
+    metrics.sampleCount++;
+
+    this._panel.webview.postMessage({
+      command: "updateMetrics",
+      data: {
+        latency: metrics.latency,
+        bytesIn: metrics.bytesIn,
+        bytesOut: metrics.bytesOut,
+        totalBytesIn: traffic.bytesIn,
+        totalBytesOut: traffic.bytesOut,
+        topics: Array.from(metrics.topics.entries()).map(
+          ([name, history]) => ({ name, history })
+        ),
+      },
+    });
   }
 
   async _updateSystemInfo() {
@@ -98,6 +215,9 @@ class ConnectionDashboard {
   }
 
   _updateContent(rosbridgeClient) {
+    if (this._rosbridgeClient !== rosbridgeClient) {
+      this._resetLinkMetrics();
+    }
     this._rosbridgeClient = rosbridgeClient;
     this._panel.webview.html = this._getHtmlContent();
     
@@ -231,6 +351,49 @@ class ConnectionDashboard {
             }
             
             
+            .wide-card {
+                grid-column: 1 / -1;
+            }
+
+            .sparkline-row {
+                display: grid;
+                grid-template-columns: 160px 1fr 120px;
+                align-items: center;
+                gap: 12px;
+                padding: 4px 0;
+            }
+
+            .sparkline-row .label {
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .sparkline {
+                width: 100%;
+                height: 32px;
+            }
+
+            .sparkline polyline {
+                fill: none;
+                stroke: var(--vscode-charts-blue);
+                stroke-width: 1.5;
+            }
+
+            .sparkline.latency polyline {
+                stroke: var(--vscode-charts-orange);
+            }
+
+            .sparkline-row .value {
+                text-align: right;
+                font-family: var(--vscode-editor-font-family);
+            }
+
+            .empty {
+                color: var(--vscode-descriptionForeground);
+                font-style: italic;
+            }
+
             .robot-icon {
                 width: 40px;
                 height: 40px;
@@ -280,15 +443,150 @@ class ConnectionDashboard {
                 <div class="metric-label">Topics</div>
                 <div class="metric-value" id="topicCount">0</div>
             </div>
-            
+
+            <div class="card wide-card">
+                <h2>Link Health</h2>
+                <div class="sparkline-row">
+                    <span class="label">Latency (rosapi round trip)</span>
+                    <svg class="sparkline latency" id="latencySparkline" preserveAspectRatio="none"></svg>
+                    <span class="value" id="latencyValue">-</span>
+                </div>
+                <div class="sparkline-row">
+                    <span class="label">Inbound</span>
+                    <svg class="sparkline" id="bytesInSparkline" preserveAspectRatio="none"></svg>
+                    <span class="value" id="bytesInValue">-</span>
+                </div>
+                <div class="sparkline-row">
+                    <span class="label">Outbound</span>
+                    <svg class="sparkline" id="bytesOutSparkline" preserveAspectRatio="none"></svg>
+                    <span class="value" id="bytesOutValue">-</span>
+                </div>
+                <div class="info-row">
+                    <span class="label">Total WebSocket traffic:</span>
+                    <span class="value" id="totalTraffic">-</span>
+                </div>
+            </div>
+
+            <div class="card wide-card">
+                <h2>Subscription Bandwidth</h2>
+                <div id="topicBandwidth">
+                    <div class="empty">No active subscriptions</div>
+                </div>
+            </div>
         </div>
         
         <script>
             const vscode = acquireVsCodeApi();
-            
-            
+
+            function formatBytes(bytes) {
+                if (bytes >= 1024 * 1024) {
+                    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+                }
+                if (bytes >= 1024) {
+                    return (bytes / 1024).toFixed(1) + ' KB';
+                }
+                return Math.round(bytes) + ' B';
+            }
+
+            // Draws a series as polylines; null values (e.g. timed-out
+            // latency probes) leave a gap.
+            function drawSparkline(svg, values) {
+                const width = svg.clientWidth || 300;
+                const height = svg.clientHeight || 32;
+                svg.setAttribute('viewBox', '0 0 ' + width + ' ' + height);
+                svg.innerHTML = '';
+
+                const present = values.filter(value => value !== null);
+                if (present.length === 0) {
+                    return;
+                }
+
+                const max = Math.max.apply(null, present) || 1;
+                const step = values.length > 1 ? width / (values.length - 1) : width;
+                let points = [];
+
+                const flush = () => {
+                    if (points.length > 0) {
+                        const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+                        line.setAttribute('points', points.join(' '));
+                        svg.appendChild(line);
+                    }
+                    points = [];
+                };
+
+                values.forEach((value, index) => {
+                    if (value === null) {
+                        flush();
+                        return;
+                    }
+                    const y = height - 2 - (value / max) * (height - 4);
+                    points.push((index * step).toFixed(1) + ',' + y.toFixed(1));
+                });
+                flush();
+            }
+
+            function lastValue(values) {
+                return values.length > 0 ? values[values.length - 1] : undefined;
+            }
+
+            function updateMetrics(data) {
+                const latency = lastValue(data.latency);
+                drawSparkline(document.getElementById('latencySparkline'), data.latency);
+                document.getElementById('latencyValue').textContent =
+                    latency === undefined ? '-' : latency === null ? 'timeout' : latency + ' ms';
+
+                const bytesIn = lastValue(data.bytesIn);
+                drawSparkline(document.getElementById('bytesInSparkline'), data.bytesIn);
+                document.getElementById('bytesInValue').textContent =
+                    bytesIn === undefined ? '-' : formatBytes(bytesIn) + '/s';
+
+                const bytesOut = lastValue(data.bytesOut);
+                drawSparkline(document.getElementById('bytesOutSparkline'), data.bytesOut);
+                document.getElementById('bytesOutValue').textContent =
+                    bytesOut === undefined ? '-' : formatBytes(bytesOut) + '/s';
+
+                document.getElementById('totalTraffic').textContent =
+                    formatBytes(data.totalBytesIn) + ' in / ' + formatBytes(data.totalBytesOut) + ' out';
+
+                const container = document.getElementById('topicBandwidth');
+                if (data.topics.length === 0) {
+                    container.innerHTML = '<div class="empty">No active subscriptions</div>';
+                    return;
+                }
+
+                container.innerHTML = '';
+                data.topics.forEach(topic => {
+                    const row = document.createElement('div');
+                    row.className = 'sparkline-row';
+
+                    const label = document.createElement('span');
+                    label.className = 'label';
+                    label.textContent = topic.name;
+                    label.title = topic.name;
+
+                    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+                    svg.setAttribute('class', 'sparkline');
+                    svg.setAttribute('preserveAspectRatio', 'none');
+
+                    const value = document.createElement('span');
+                    value.className = 'value';
+                    const current = lastValue(topic.history);
+                    value.textContent = current === undefined ? '-' : formatBytes(current) + '/s';
+
+                    row.appendChild(label);
+                    row.appendChild(svg);
+                    row.appendChild(value);
+                    container.appendChild(row);
+                    drawSparkline(svg, topic.history);
+                });
+            }
+
             window.addEventListener('message', event => {
                 const message = event.data;
+                if (message.command === 'updateMetrics') {
+                    updateMetrics(message.data);
+                    return;
+                }
                 if (message.command === 'updateInfo') {
                     const data = message.data;
                     
@@ -330,12 +628,16 @@ class ConnectionDashboard {
   }
 
   dispose() {
-    ConnectionDashboard.currentPanel = undefined;
+    ConnectionDashboard.panels.delete(this._rosbridgeClient.url);
 
     if (this._updateInterval) {
       clearInterval(this._updateInterval);
     }
 
+    if (this._metricsInterval) {
+      clearInterval(this._metricsInterval);
+    }
+
     this._panel.dispose();
 
     while (this._disposables.length) {
@@ -347,8 +649,16 @@ class ConnectionDashboard {
   }
   
   static dispose() {
-    if (ConnectionDashboard.currentPanel) {
-      ConnectionDashboard.currentPanel.dispose();
+    const panelsToDispose = Array.from(ConnectionDashboard.panels.values());
+    for (const panel of panelsToDispose) {
+      panel.dispose();
+    }
+  }
+
+  static disposeForClient(rosbridgeClient) {
+    const panel = ConnectionDashboard.panels.get(rosbridgeClient.url);
+    if (panel) {
+      panel.dispose();
     }
   }
 }
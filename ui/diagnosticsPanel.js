@@ -0,0 +1,682 @@
+const vscode = require("vscode");
+const {
+  DIAGNOSTIC_ARRAY_TYPE,
+  DIAGNOSTICS_TOPICS,
+  DiagnosticsStore,
+} = require("../utils/diagnostics");
+const { extensionHandle } = require("../utils/helpers");
+
+const UPDATE_INTERVAL_MS = 500;
+const STALE_AFTER_MS = 5000;
+const MAX_NOTIFIED_NAMES = 3;
+
+class DiagnosticsPanel {
+  static panels = new Map();
+
+  static createOrShow(extensionUri, rosbridgeClient) {
+    const column = vscode.window.activeTextEditor
+      ? vscode.window.activeTextEditor.viewColumn
+      : undefined;
+
+    const panelKey = rosbridgeClient.url;
+
+    if (DiagnosticsPanel.panels.has(panelKey)) {
+      const existingPanel = DiagnosticsPanel.panels.get(panelKey);
+      existingPanel._panel.reveal(column);
+      return existingPanel;
+    }
+
+    const panel = vscode.window.createWebviewPanel(
+      "rosDiagnostics",
+      `Diagnostics (${rosbridgeClient.getLabel()})`,
+      column || vscode.ViewColumn.One,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+      }
+    );
+
+    const diagnosticsPanel = new DiagnosticsPanel(
+      panel,
+      extensionUri,
+      rosbridgeClient
+    );
+    DiagnosticsPanel.panels.set(panelKey, diagnosticsPanel);
+    return diagnosticsPanel;
+  }
+
+  constructor(panel, extensionUri, rosbridgeClient) {
+    this._panel = panel;
+    this._extensionUri = extensionUri;
+    this._rosbridgeClient = rosbridgeClient;
+    this._disposables = [];
+    this._store = new DiagnosticsStore();
+    this._topicName = null;
+    this._listener = null;
+    this._disposed = false;
+
+    this._panel.webview.html = this._getHtmlContent();
+    this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+
+    this._panel.webview.onDidReceiveMessage(
+      (message) => {
+        switch (message.command) {
+          case "ready":
+            this._postUpdate();
+            break;
+          case "setTopic":
+            this._subscribe(message.topic);
+            this._postUpdate();
+            break;
+          case "clear":
+            this._store.clear();
+            this._postUpdate();
+            break;
+        }
+      },
+      null,
+      this._disposables
+    );
+
+    this._subscribeDefault();
+
+    this._updateInterval = setInterval(
+      () => this._postUpdate(),
+      UPDATE_INTERVAL_MS
+    );
+  }
+
+  // Aggregated diagnostics are easier to read when an aggregator is running.
+  _subscribeDefault() {
+    this._rosbridgeClient.getTopics((topics) => {
+      if (this._disposed || this._topicName) {
+        return;
+      }
+      const hasAggregated = (topics || []).some(
+        (topic) => topic.name === DIAGNOSTICS_TOPICS[1]
+      );
+      this._subscribe(DIAGNOSTICS_TOPICS[hasAggregated ? 1 : 0]);
+      this._postUpdate();
+    });
+  }
+
+  _subscribe(topicName) {
+    if (!DIAGNOSTICS_TOPICS.includes(topicName)) {
+      return;
+    }
+
+    this._unsubscribe();
+    this._store.clear();
+    this._topicName = topicName;
+
+    const listener = (msg) => {
+      const raisedErrors = this._store.update(msg);
+      if (raisedErrors.length > 0) {
+        this._notifyErrors(raisedErrors);
+      }
+    };
+    const topic = this._rosbridgeClient.addTopicListener(
+      topicName,
+      DIAGNOSTIC_ARRAY_TYPE,
+      listener
+    );
+
+    if (topic) {
+      this._listener = listener;
+    } else {
+      this._rosbridgeClient.removeTopicListener(topicName, listener);
+    }
+  }
+
+  _unsubscribe() {
+    if (this._listener) {
+      this._rosbridgeClient.removeTopicListener(
+        this._topicName,
+        this._listener
+      );
+      this._listener = null;
+    }
+  }
+
+  _notifyErrors(statuses) {
+    const config = vscode.workspace.getConfiguration(extensionHandle);
+    if (!config.get("diagnosticsErrorNotifications", true)) {
+      return;
+    }
+
+    let text;
+    if (statuses.length === 1) {
+      const [status] = statuses;
+      const detail = status.message ? `: ${status.message}` : "";
+      text = `Diagnostics: ${status.name} is ERROR${detail}`;
+    } else {
+      const names = statuses
+        .slice(0, MAX_NOTIFIED_NAMES)
+        .map((status) => status.name);
+      if (statuses.length > MAX_NOTIFIED_NAMES) {
+        names.push("...");
+      }
+      text = `Diagnostics: ${statuses.length} components are ERROR (${names.join(", ")})`;
+    }
+
+    vscode.window
+      .showErrorMessage(
+        `${text} [${this._rosbridgeClient.getLabel()}]`,
+        "Show Diagnostics"
+      )
+      .then((choice) => {
+        const url = this._rosbridgeClient.url;
+        if (choice && DiagnosticsPanel.panels.get(url) === this) {
+          this._panel.reveal();
+        }
+      });
+  }
+
+  _postUpdate() {
+    this._panel.webview.postMessage({
+      command: "update",
+      connected: this._rosbridgeClient.isConnected(),
+      subscribed: this._listener !== null,
+      topic: this._topicName,
+      topics: DIAGNOSTICS_TOPICS,
+      statuses: this._store.getStatuses(STALE_AFTER_MS),
+    });
+  }
+
+  _getHtmlContent() {
+    return `<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Diagnostics</title>
+        <style>
+            body {
+                font-family: var(--vscode-font-family);
+                font-size: var(--vscode-font-size);
+                color: var(--vscode-foreground);
+                background-color: var(--vscode-editor-background);
+                padding: 0;
+                margin: 0;
+            }
+
+            .header {
+                position: sticky;
+                top: 0;
+                background-color: var(--vscode-editor-background);
+                padding: 12px 20px;
+                border-bottom: 1px solid var(--vscode-widget-border);
+                z-index: 100;
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                flex-wrap: wrap;
+            }
+
+            .title {
+                font-size: 14px;
+                font-weight: 600;
+                margin: 0 12px 0 0;
+            }
+
+            .summary {
+                font-size: 12px;
+                color: var(--vscode-descriptionForeground);
+                margin-left: auto;
+            }
+
+            input, select {
+                padding: 4px 6px;
+                background-color: var(--vscode-input-background);
+                color: var(--vscode-input-foreground);
+                border: 1px solid var(--vscode-input-border);
+                border-radius: 2px;
+                font-size: 13px;
+            }
+
+            input[type="text"] {
+                min-width: 200px;
+            }
+
+            input:focus, select:focus {
+                outline: 1px solid var(--vscode-focusBorder);
+                border-color: var(--vscode-focusBorder);
+            }
+
+            button.secondary {
+                padding: 4px 12px;
+                border: none;
+                border-radius: 2px;
+                cursor: pointer;
+                font-size: 12px;
+                background-color: var(--vscode-button-secondaryBackground);
+                color: var(--vscode-button-secondaryForeground);
+            }
+
+            button.secondary:hover {
+                background-color: var(--vscode-button-secondaryHoverBackground);
+            }
+
+            .content {
+                padding: 12px 20px;
+            }
+
+            ul.status-tree {
+                list-style: none;
+                padding-left: 18px;
+                margin: 0;
+            }
+
+            ul.status-tree.root {
+                padding-left: 0;
+            }
+
+            .row {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 2px 4px;
+                border-radius: 2px;
+                cursor: pointer;
+                font-size: 12px;
+            }
+
+            .row:hover {
+                background-color: var(--vscode-list-hoverBackground);
+            }
+
+            .toggle {
+                width: 12px;
+                display: inline-block;
+                color: var(--vscode-descriptionForeground);
+            }
+
+            .name {
+                font-family: var(--vscode-editor-font-family);
+            }
+
+            .group > .row > .name {
+                font-weight: 600;
+            }
+
+            .message, .age {
+                color: var(--vscode-descriptionForeground);
+            }
+
+            .age {
+                margin-left: auto;
+            }
+
+            .badge {
+                font-size: 10px;
+                min-width: 38px;
+                text-align: center;
+                padding: 0 5px;
+                border-radius: 8px;
+                color: var(--vscode-editor-background);
+            }
+
+            .badge.OK {
+                background-color: var(--vscode-testing-iconPassed);
+            }
+
+            .badge.WARN {
+                background-color: var(--vscode-editorWarning-foreground);
+            }
+
+            .badge.ERROR {
+                background-color: var(--vscode-errorForeground);
+            }
+
+            .badge.STALE {
+                background-color: var(--vscode-descriptionForeground);
+            }
+
+            table.values {
+                margin: 2px 0 6px 24px;
+                border-collapse: collapse;
+                font-size: 12px;
+                font-family: var(--vscode-editor-font-family);
+            }
+
+            table.values td {
+                padding: 2px 12px 2px 0;
+                vertical-align: top;
+            }
+
+            table.values td.key {
+                color: var(--vscode-descriptionForeground);
+                font-family: var(--vscode-font-family);
+            }
+
+            .detail {
+                margin: 2px 0 0 24px;
+                font-size: 12px;
+                color: var(--vscode-descriptionForeground);
+            }
+
+            .empty {
+                color: var(--vscode-descriptionForeground);
+                font-style: italic;
+                font-size: 12px;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1 class="title">Diagnostics</h1>
+            <select id="topicSelect" title="Diagnostics topic"></select>
+            <select id="groupSelect" title="Group statuses by">
+                <option value="name">Group by name</option>
+                <option value="hardware">Group by hardware ID</option>
+            </select>
+            <input type="text" id="textFilter" placeholder="Filter names or messages">
+            <button class="secondary" id="clearButton" title="Forget all statuses">Clear</button>
+            <span class="summary" id="summary"></span>
+        </div>
+
+        <div class="content">
+            <div id="statusTree"><div class="empty">Waiting for diagnostics...</div></div>
+        </div>
+
+        <script>
+            const vscode = acquireVsCodeApi();
+
+            // Badge severity: STALE ranks between WARN and ERROR
+            const SEVERITY = { OK: 0, WARN: 1, STALE: 2, ERROR: 3 };
+
+            let statuses = [];
+            let groupBy = 'name';
+            let filterText = '';
+            const collapsedGroups = new Set();
+            const expandedStatuses = new Set();
+
+            function displayLevel(status) {
+                return status.stale ? 'STALE' : status.level;
+            }
+
+            function worse(a, b) {
+                if (!a) {
+                    return b;
+                }
+                return (SEVERITY[b] || 0) > (SEVERITY[a] || 0) ? b : a;
+            }
+
+            function formatAge(ageMs) {
+                return ageMs < 1000 ? ageMs + ' ms ago' : (ageMs / 1000).toFixed(1) + ' s ago';
+            }
+
+            function matchesFilter(status) {
+                if (!filterText) {
+                    return true;
+                }
+                const text = filterText.toLowerCase();
+                return [status.name, status.hardwareId, status.message]
+                    .some(value => value.toLowerCase().includes(text));
+            }
+
+            // Names are split on '/' so aggregated names such as
+            // /Robot/Sensors/Lidar nest under their analyzers
+            function buildTree() {
+                const root = { children: new Map() };
+                statuses.filter(matchesFilter).forEach(status => {
+                    const parts = status.name.split('/').filter(Boolean);
+                    if (parts.length === 0) {
+                        parts.push('(unnamed)');
+                    }
+                    if (groupBy === 'hardware') {
+                        parts.unshift(status.hardwareId || '(no hardware ID)');
+                    }
+                    let node = root;
+                    let path = groupBy;
+                    parts.forEach(part => {
+                        path += '/' + part;
+                        if (!node.children.has(part)) {
+                            node.children.set(part, { label: part, path: path, children: new Map() });
+                        }
+                        node = node.children.get(part);
+                    });
+                    node.status = status;
+                });
+                computeLevels(root);
+                return root;
+            }
+
+            function computeLevels(node) {
+                let level = node.status ? displayLevel(node.status) : null;
+                node.children.forEach(child => {
+                    level = worse(level, computeLevels(child));
+                });
+                node.level = level;
+                return level;
+            }
+
+            function createBadge(level) {
+                const badge = document.createElement('span');
+                badge.className = 'badge ' + level;
+                badge.textContent = level;
+                return badge;
+            }
+
+            function createValues(status) {
+                const fragment = document.createDocumentFragment();
+                if (status.hardwareId) {
+                    const hardware = document.createElement('div');
+                    hardware.className = 'detail';
+                    hardware.textContent = 'Hardware ID: ' + status.hardwareId;
+                    fragment.appendChild(hardware);
+                }
+                if (status.values.length === 0) {
+                    const none = document.createElement('div');
+                    none.className = 'detail';
+                    none.textContent = 'No key/value pairs';
+                    fragment.appendChild(none);
+                    return fragment;
+                }
+                const table = document.createElement('table');
+                table.className = 'values';
+                status.values.forEach(pair => {
+                    const row = document.createElement('tr');
+                    const key = document.createElement('td');
+                    key.className = 'key';
+                    key.textContent = pair.key;
+                    const value = document.createElement('td');
+                    value.textContent = pair.value;
+                    row.appendChild(key);
+                    row.appendChild(value);
+                    table.appendChild(row);
+                });
+                fragment.appendChild(table);
+                return fragment;
+            }
+
+            function createNode(node) {
+                const item = document.createElement('li');
+                const hasChildren = node.children.size > 0;
+                const open = hasChildren
+                    ? !collapsedGroups.has(node.path)
+                    : expandedStatuses.has(node.path);
+                if (hasChildren) {
+                    item.className = 'group';
+                }
+
+                const row = document.createElement('div');
+                row.className = 'row';
+                const toggle = document.createElement('span');
+                toggle.className = 'toggle';
+                toggle.textContent = open ? '\\u25BE' : '\\u25B8';
+                row.appendChild(toggle);
+                row.appendChild(createBadge(node.level));
+
+                const name = document.createElement('span');
+                name.className = 'name';
+                name.textContent = node.label;
+                row.appendChild(name);
+
+                if (node.status) {
+                    const message = document.createElement('span');
+                    message.className = 'message';
+                    message.textContent = node.status.message;
+                    row.appendChild(message);
+
+                    const age = document.createElement('span');
+                    age.className = 'age';
+                    age.textContent = formatAge(node.status.age);
+                    row.appendChild(age);
+                    row.title = node.status.name;
+                }
+
+                row.addEventListener('click', () => {
+                    const set = hasChildren ? collapsedGroups : expandedStatuses;
+                    if (set.has(node.path)) {
+                        set.delete(node.path);
+                    } else {
+                        set.add(node.path);
+                    }
+                    render();
+                });
+                item.appendChild(row);
+
+                if (open) {
+                    // A group with its own status lists its values above its children
+                    if (node.status && (!hasChildren || node.status.values.length > 0)) {
+                        item.appendChild(createValues(node.status));
+                    }
+                    if (hasChildren) {
+                        const list = document.createElement('ul');
+                        list.className = 'status-tree';
+                        node.children.forEach(child => list.appendChild(createNode(child)));
+                        item.appendChild(list);
+                    }
+                }
+                return item;
+            }
+
+            function render() {
+                const container = document.getElementById('statusTree');
+                const tree = buildTree();
+                if (tree.children.size === 0) {
+                    container.innerHTML = '';
+                    const empty = document.createElement('div');
+                    empty.className = 'empty';
+                    empty.textContent = statuses.length === 0
+                        ? 'Waiting for diagnostics...'
+                        : 'No statuses match the filter';
+                    container.appendChild(empty);
+                    return;
+                }
+
+                const list = document.createElement('ul');
+                list.className = 'status-tree root';
+                tree.children.forEach(child => list.appendChild(createNode(child)));
+                container.innerHTML = '';
+                container.appendChild(list);
+            }
+
+            function renderSummary(message) {
+                const summary = document.getElementById('summary');
+                if (!message.connected) {
+                    summary.textContent = 'Not connected';
+                    return;
+                }
+                if (!message.subscribed) {
+                    summary.textContent = message.topic ? 'Not subscribed to ' + message.topic : 'Looking for diagnostics topics...';
+                    return;
+                }
+                const counts = { OK: 0, WARN: 0, ERROR: 0, STALE: 0 };
+                statuses.forEach(status => {
+                    const level = displayLevel(status);
+                    counts[level] = (counts[level] || 0) + 1;
+                });
+                summary.textContent = statuses.length + ' statuses: ' +
+                    Object.keys(counts).map(level => counts[level] + ' ' + level).join(', ');
+            }
+
+            function fillTopics(topics, topic) {
+                const select = document.getElementById('topicSelect');
+                if (select.options.length !== topics.length) {
+                    select.innerHTML = '';
+                    topics.forEach(name => {
+                        const option = document.createElement('option');
+                        option.value = name;
+                        option.textContent = name;
+                        select.appendChild(option);
+                    });
+                }
+                if (topic && document.activeElement !== select) {
+                    select.value = topic;
+                }
+            }
+
+            document.getElementById('topicSelect').addEventListener('change', event => {
+                vscode.postMessage({ command: 'setTopic', topic: event.target.value });
+            });
+
+            document.getElementById('groupSelect').addEventListener('change', event => {
+                groupBy = event.target.value;
+                render();
+            });
+
+            document.getElementById('textFilter').addEventListener('input', event => {
+                filterText = event.target.value.trim();
+                render();
+            });
+
+            document.getElementById('clearButton').addEventListener('click', () => {
+                vscode.postMessage({ command: 'clear' });
+            });
+
+            window.addEventListener('message', event => {
+                const message = event.data;
+                switch (message.command) {
+                    case 'update':
+                        statuses = message.statuses;
+                        fillTopics(message.topics, message.topic);
+                        renderSummary(message);
+                        render();
+                        break;
+                }
+            });
+
+            vscode.postMessage({ command: 'ready' });
+        </script>
+    </body>
+    </html>`;
+  }
+
+  dispose() {
+    DiagnosticsPanel.panels.delete(this._rosbridgeClient.url);
+    this._disposed = true;
+
+    clearInterval(this._updateInterval);
+    this._unsubscribe();
+
+    this._panel.dispose();
+
+    while (this._disposables.length) {
+      const disposable = this._disposables.pop();
+      if (disposable) {
+        disposable.dispose();
+      }
+    }
+  }
+
+  static disposeAll() {
+    if (DiagnosticsPanel.panels && DiagnosticsPanel.panels.size > 0) {
+      const panelsToDispose = Array.from(DiagnosticsPanel.panels.values());
+      for (const panel of panelsToDispose) {
+        panel.dispose();
+      }
+      DiagnosticsPanel.panels.clear();
+    }
+  }
+
+  static disposeForClient(rosbridgeClient) {
+    const panel = DiagnosticsPanel.panels.get(rosbridgeClient.url);
+    if (panel) {
+      panel.dispose();
+    }
+  }
+}
+
+module.exports = DiagnosticsPanel;
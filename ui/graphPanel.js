@@ -0,0 +1,807 @@
+const vscode = require("vscode");
+const {
+  buildGraph,
+  diffGraph,
+  emptyGraph,
+  fetchGraphData,
+  isEmptyDiff,
+} = require("../utils/computationGraph");
+const { extensionHandle } = require("../utils/helpers");
+
+const REFRESH_INTERVAL_MS = 3000;
+
+class GraphPanel {
+  static panels = new Map();
+
+  static createOrShow(extensionUri, rosbridgeClient) {
+    const column = vscode.window.activeTextEditor
+      ? vscode.window.activeTextEditor.viewColumn
+      : undefined;
+
+    const panelKey = rosbridgeClient.url;
+
+    if (GraphPanel.panels.has(panelKey)) {
+      const existingPanel = GraphPanel.panels.get(panelKey);
+      existingPanel._panel.reveal(column);
+      return existingPanel;
+    }
+
+    const panel = vscode.window.createWebviewPanel(
+      "rosGraph",
+      `Computation Graph (${rosbridgeClient.getLabel()})`,
+      column || vscode.ViewColumn.One,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+      }
+    );
+
+    const graphPanel = new GraphPanel(panel, extensionUri, rosbridgeClient);
+    GraphPanel.panels.set(panelKey, graphPanel);
+    return graphPanel;
+  }
+
+  constructor(panel, extensionUri, rosbridgeClient) {
+    this._panel = panel;
+    this._extensionUri = extensionUri;
+    this._rosbridgeClient = rosbridgeClient;
+    this._disposables = [];
+    this._graph = emptyGraph();
+    this._refreshing = false;
+    this._disposed = false;
+
+    this._panel.webview.html = this._getHtmlContent();
+    this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+
+    this._panel.webview.onDidReceiveMessage(
+      (message) => {
+        switch (message.command) {
+          case "ready":
+            this._postGraph(diffGraph(emptyGraph(), this._graph), true);
+            this._refresh();
+            break;
+          case "refresh":
+            this._refresh();
+            break;
+          case "openNode":
+            vscode.commands.executeCommand(
+              `${extensionHandle}.get-parameters`,
+              {
+                contextValue: "node",
+                label: message.name,
+                address: this._rosbridgeClient.url,
+              }
+            );
+            break;
+          case "openTopic":
+            vscode.commands.executeCommand(
+              `${extensionHandle}.subscribe-to-topic`,
+              {
+                label: message.name,
+                type: message.type,
+                address: this._rosbridgeClient.url,
+              }
+            );
+            break;
+        }
+      },
+      null,
+      this._disposables
+    );
+
+    this._refreshInterval = setInterval(
+      () => this._refresh(),
+      REFRESH_INTERVAL_MS
+    );
+  }
+
+  // Fetches the whole graph from rosapi and sends only what changed, so the
+  // view keeps its layout, zoom and selection between refreshes.
+  async _refresh() {
+    const client = this._rosbridgeClient;
+    if (this._refreshing || !client.isConnected()) {
+      this._postStatus();
+      return;
+    }
+
+    this._refreshing = true;
+    try {
+      const { nodeDetails, topics } = await fetchGraphData(client);
+
+      if (this._disposed) {
+        return;
+      }
+
+      const graph = buildGraph(nodeDetails, topics);
+      const diff = diffGraph(this._graph, graph);
+      this._graph = graph;
+      if (!isEmptyDiff(diff)) {
+        this._postGraph(diff, false);
+      }
+      this._postStatus();
+    } catch (error) {
+      // The graph stays as it was; the next refresh tries again
+      this._postStatus(error.message);
+    } finally {
+      this._refreshing = false;
+    }
+  }
+
+  _postGraph(diff, reset) {
+    this._panel.webview.postMessage({ command: "graph", reset, ...diff });
+  }
+
+  _postStatus(error = null) {
+    if (this._disposed) {
+      return;
+    }
+    this._panel.webview.postMessage({
+      command: "status",
+      connected: this._rosbridgeClient.isConnected(),
+      updatedAt: Date.now(),
+      error,
+    });
+  }
+
+  _getHtmlContent() {
+    return `<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Computation Graph</title>
+        <style>
+            html, body {
+                height: 100%;
+            }
+
+            body {
+                font-family: var(--vscode-font-family);
+                font-size: var(--vscode-font-size);
+                color: var(--vscode-foreground);
+                background-color: var(--vscode-editor-background);
+                padding: 0;
+                margin: 0;
+                display: flex;
+                flex-direction: column;
+                overflow: hidden;
+            }
+
+            .header {
+                padding: 12px 20px;
+                border-bottom: 1px solid var(--vscode-widget-border);
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                flex-wrap: wrap;
+            }
+
+            .title {
+                font-size: 14px;
+                font-weight: 600;
+                margin: 0 12px 0 0;
+            }
+
+            label {
+                font-size: 12px;
+                display: flex;
+                align-items: center;
+                gap: 4px;
+            }
+
+            input[type="text"] {
+                padding: 4px 6px;
+                background-color: var(--vscode-input-background);
+                color: var(--vscode-input-foreground);
+                border: 1px solid var(--vscode-input-border);
+                border-radius: 2px;
+                font-size: 13px;
+                min-width: 180px;
+            }
+
+            input:focus {
+                outline: 1px solid var(--vscode-focusBorder);
+                border-color: var(--vscode-focusBorder);
+            }
+
+            button.secondary {
+                padding: 4px 12px;
+                border: none;
+                border-radius: 2px;
+                cursor: pointer;
+                font-size: 12px;
+                background-color: var(--vscode-button-secondaryBackground);
+                color: var(--vscode-button-secondaryForeground);
+            }
+
+            button.secondary:hover {
+                background-color: var(--vscode-button-secondaryHoverBackground);
+            }
+
+            .summary {
+                margin-left: auto;
+                font-size: 12px;
+                color: var(--vscode-descriptionForeground);
+            }
+
+            #graph {
+                flex: 1;
+                width: 100%;
+                cursor: grab;
+            }
+
+            #graph.panning {
+                cursor: grabbing;
+            }
+
+            .vertex {
+                cursor: pointer;
+            }
+
+            .vertex text {
+                font-size: 12px;
+                fill: var(--vscode-foreground);
+                text-anchor: middle;
+                dominant-baseline: central;
+                pointer-events: none;
+            }
+
+            .vertex.node ellipse {
+                fill: var(--vscode-button-secondaryBackground);
+                stroke: var(--vscode-button-background);
+                stroke-width: 1.5;
+            }
+
+            .vertex.topic rect {
+                fill: var(--vscode-editor-background);
+                stroke: var(--vscode-descriptionForeground);
+                stroke-width: 1;
+            }
+
+            .vertex.namespace rect {
+                fill: var(--vscode-editor-inactiveSelectionBackground);
+                stroke: var(--vscode-focusBorder);
+                stroke-width: 1.5;
+                stroke-dasharray: 4 3;
+            }
+
+            .vertex:hover ellipse, .vertex:hover rect, .vertex.matched ellipse, .vertex.matched rect {
+                stroke: var(--vscode-focusBorder);
+                stroke-width: 2.5;
+            }
+
+            .edge {
+                fill: none;
+                stroke: var(--vscode-descriptionForeground);
+                stroke-width: 1.2;
+                opacity: 0.7;
+            }
+
+            .edge.highlight {
+                stroke: var(--vscode-focusBorder);
+                stroke-width: 2;
+                opacity: 1;
+            }
+
+            #arrowHead {
+                fill: var(--vscode-descriptionForeground);
+            }
+
+            .empty {
+                position: absolute;
+                top: 50%;
+                width: 100%;
+                text-align: center;
+                color: var(--vscode-descriptionForeground);
+                font-style: italic;
+                font-size: 12px;
+            }
+
+            .hidden {
+                display: none;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1 class="title">Computation Graph</h1>
+            <label title="Hide /rosout, /parameter_events and the rosapi and rosbridge nodes">
+                <input type="checkbox" id="hideDebug" checked> Hide debug
+            </label>
+            <button class="secondary" id="collapseButton" title="Draw every top-level namespace as one box">Collapse Namespaces</button>
+            <button class="secondary" id="expandButton">Expand All</button>
+            <input type="text" id="searchInput" placeholder="Highlight nodes or topics" spellcheck="false">
+            <button class="secondary" id="fitButton">Fit</button>
+            <button class="secondary" id="refreshButton">Refresh</button>
+            <span class="summary" id="summary"></span>
+        </div>
+        <svg id="graph" xmlns="http://www.w3.org/2000/svg">
+            <defs>
+                <marker id="arrowHead" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                    <path d="M 0 0 L 10 5 L 0 10 z"></path>
+                </marker>
+            </defs>
+            <g id="viewport">
+                <g id="edgeLayer"></g>
+                <g id="vertexLayer"></g>
+            </g>
+        </svg>
+        <div class="empty" id="emptyMessage">Waiting for the ROS graph...</div>
+
+        <script>
+            const vscode = acquireVsCodeApi();
+            const SVG_NS = 'http://www.w3.org/2000/svg';
+
+            const LAYER_GAP = 80;
+            const ROW_GAP = 18;
+            const VERTEX_HEIGHT = 30;
+            const TEXT_PADDING = 24;
+            const SWEEPS = 4;
+
+            // Full graph as received; what is drawn depends on the filters
+            const vertices = new Map();
+            const edges = new Map();
+            const collapsed = new Set();
+            const positions = new Map();
+            let drawn = { vertices: new Map(), edges: new Map() };
+            let hideDebug = true;
+            let searchText = '';
+            let view = { x: 0, y: 0, scale: 1 };
+            let fitPending = true;
+
+            const svg = document.getElementById('graph');
+            const viewport = document.getElementById('viewport');
+            const measureContext = document.createElement('canvas').getContext('2d');
+            measureContext.font = '12px ' + getComputedStyle(document.body).fontFamily;
+
+            function namespaceParts(name) {
+                return name.split('/').filter(Boolean).slice(0, -1);
+            }
+
+            function topNamespace(name) {
+                const parts = namespaceParts(name);
+                return parts.length > 0 ? '/' + parts[0] : null;
+            }
+
+            function representative(vertex) {
+                const namespace = topNamespace(vertex.name);
+                return namespace && collapsed.has(namespace) ? 'namespace:' + namespace : vertex.id;
+            }
+
+            // Applies the debug filter and namespace collapsing. Edges between
+            // two collapsed members disappear; parallel edges merge.
+            function visibleGraph() {
+                const shown = new Map();
+                const reps = new Map();
+                vertices.forEach(vertex => {
+                    if (hideDebug && vertex.debug) {
+                        return;
+                    }
+                    const id = representative(vertex);
+                    reps.set(vertex.id, id);
+                    if (id === vertex.id) {
+                        shown.set(id, vertex);
+                    } else if (shown.has(id)) {
+                        shown.get(id).count++;
+                    } else {
+                        const name = id.slice('namespace:'.length);
+                        shown.set(id, { id: id, kind: 'namespace', name: name, count: 1 });
+                    }
+                });
+
+                const shownEdges = new Map();
+                edges.forEach(edge => {
+                    const from = reps.get(edge.from);
+                    const to = reps.get(edge.to);
+                    if (!from || !to || from === to) {
+                        return;
+                    }
+                    const id = from + '->' + to;
+                    shownEdges.set(id, { id: id, from: from, to: to });
+                });
+
+                // Topics left without any visible publisher or subscriber are noise
+                const connected = new Set();
+                shownEdges.forEach(edge => {
+                    connected.add(edge.from);
+                    connected.add(edge.to);
+                });
+                shown.forEach((vertex, id) => {
+                    if (vertex.kind === 'topic' && !connected.has(id)) {
+                        shown.delete(id);
+                    }
+                });
+                return { vertices: shown, edges: shownEdges };
+            }
+
+            function vertexLabel(vertex) {
+                return vertex.kind === 'namespace' ? vertex.name + ' (' + vertex.count + ')' : vertex.name;
+            }
+
+            function vertexWidth(vertex) {
+                const width = measureContext.measureText(vertexLabel(vertex)).width + TEXT_PADDING;
+                return vertex.kind === 'node' ? width * 1.15 : width;
+            }
+
+            // Layered left-to-right layout, like rqt_graph's dot output:
+            // back edges are found with a DFS so cycles do not break ranking,
+            // vertices are ranked by longest path, then ordered in each layer
+            // by the barycentre of their neighbours. Previous positions seed
+            // the order so a refresh moves as little as possible.
+            function layout(graph) {
+                const ids = Array.from(graph.vertices.keys());
+                const outgoing = new Map(ids.map(id => [id, []]));
+                const incoming = new Map(ids.map(id => [id, []]));
+                graph.edges.forEach(edge => {
+                    outgoing.get(edge.from).push(edge.to);
+                    incoming.get(edge.to).push(edge.from);
+                });
+
+                const orderHint = id => positions.has(id) ? positions.get(id).y : Infinity;
+                ids.sort((a, b) => (incoming.get(a).length - incoming.get(b).length) ||
+                    (orderHint(a) - orderHint(b)) || a.localeCompare(b));
+
+                const state = new Map();
+                const forward = new Map(ids.map(id => [id, []]));
+                const visit = id => {
+                    state.set(id, 'active');
+                    outgoing.get(id).forEach(target => {
+                        if (state.get(target) === 'active') {
+                            return;
+                        }
+                        forward.get(id).push(target);
+                        if (!state.has(target)) {
+                            visit(target);
+                        }
+                    });
+                    state.set(id, 'done');
+                };
+                ids.forEach(id => {
+                    if (!state.has(id)) {
+                        visit(id);
+                    }
+                });
+
+                const rank = new Map(ids.map(id => [id, 0]));
+                const indegree = new Map(ids.map(id => [id, 0]));
+                forward.forEach(targets => targets.forEach(target => indegree.set(target, indegree.get(target) + 1)));
+                const queue = ids.filter(id => indegree.get(id) === 0);
+                while (queue.length > 0) {
+                    const id = queue.shift();
+                    forward.get(id).forEach(target => {
+                        rank.set(target, Math.max(rank.get(target), rank.get(id) + 1));
+                        indegree.set(target, indegree.get(target) - 1);
+                        if (indegree.get(target) === 0) {
+                            queue.push(target);
+                        }
+                    });
+                }
+
+                const layers = [];
+                ids.forEach(id => {
+                    const layer = rank.get(id);
+                    while (layers.length <= layer) {
+                        layers.push([]);
+                    }
+                    layers[layer].push(id);
+                });
+                layers.forEach(layer => layer.sort((a, b) => orderHint(a) - orderHint(b) || a.localeCompare(b)));
+
+                const index = new Map();
+                const reindex = () => layers.forEach(layer => layer.forEach((id, i) => index.set(id, i)));
+                reindex();
+                const barycentre = (id, neighbours) => {
+                    const placed = neighbours.filter(other => index.has(other));
+                    return placed.length === 0
+                        ? index.get(id)
+                        : placed.reduce((sum, other) => sum + index.get(other), 0) / placed.length;
+                };
+                for (let sweep = 0; sweep < SWEEPS; sweep++) {
+                    const down = sweep % 2 === 0;
+                    const order = down ? layers.slice(1) : layers.slice(0, -1).reverse();
+                    order.forEach(layer => {
+                        const keys = new Map(layer.map(id => [id, barycentre(id, down ? incoming.get(id) : outgoing.get(id))]));
+                        layer.sort((a, b) => keys.get(a) - keys.get(b));
+                        reindex();
+                    });
+                }
+
+                const result = new Map();
+                let x = 0;
+                layers.forEach(layer => {
+                    const widths = layer.map(id => vertexWidth(graph.vertices.get(id)));
+                    const layerWidth = Math.max(...widths, 0);
+                    const height = layer.length * (VERTEX_HEIGHT + ROW_GAP) - ROW_GAP;
+                    layer.forEach((id, i) => {
+                        result.set(id, {
+                            x: x + layerWidth / 2,
+                            y: i * (VERTEX_HEIGHT + ROW_GAP) - height / 2 + VERTEX_HEIGHT / 2,
+                            width: widths[i]
+                        });
+                    });
+                    x += layerWidth + LAYER_GAP;
+                });
+                return result;
+            }
+
+            function edgePath(from, to) {
+                const startX = from.x + from.width / 2;
+                const endX = to.x - to.width / 2;
+                if (endX > startX) {
+                    const bend = (endX - startX) / 2;
+                    return 'M ' + startX + ' ' + from.y + ' C ' + (startX + bend) + ' ' + from.y + ', ' +
+                        (endX - bend) + ' ' + to.y + ', ' + endX + ' ' + to.y;
+                }
+                // Back edges loop underneath the vertices they pass
+                const dip = Math.max(from.y, to.y) + VERTEX_HEIGHT * 1.5;
+                return 'M ' + startX + ' ' + from.y + ' C ' + (startX + 60) + ' ' + dip + ', ' +
+                    (endX - 60) + ' ' + dip + ', ' + endX + ' ' + to.y;
+            }
+
+            function createVertex(vertex, position) {
+                const group = document.createElementNS(SVG_NS, 'g');
+                group.setAttribute('class', 'vertex ' + vertex.kind);
+                group.setAttribute('transform', 'translate(' + position.x + ' ' + position.y + ')');
+                group.dataset.id = vertex.id;
+
+                let shape;
+                if (vertex.kind === 'node') {
+                    shape = document.createElementNS(SVG_NS, 'ellipse');
+                    shape.setAttribute('rx', position.width / 2);
+                    shape.setAttribute('ry', VERTEX_HEIGHT / 2);
+                } else {
+                    shape = document.createElementNS(SVG_NS, 'rect');
+                    shape.setAttribute('x', -position.width / 2);
+                    shape.setAttribute('y', -VERTEX_HEIGHT / 2);
+                    shape.setAttribute('width', position.width);
+                    shape.setAttribute('height', VERTEX_HEIGHT);
+                    shape.setAttribute('rx', vertex.kind === 'namespace' ? 8 : 2);
+                }
+                group.appendChild(shape);
+
+                const text = document.createElementNS(SVG_NS, 'text');
+                text.textContent = vertexLabel(vertex);
+                group.appendChild(text);
+
+                const title = document.createElementNS(SVG_NS, 'title');
+                title.textContent = vertex.kind === 'node'
+                    ? vertex.name + '\\nClick to open parameters. Shift+click to collapse its namespace'
+                    : vertex.kind === 'topic'
+                        ? vertex.name + ' [' + vertex.type + ']\\nClick to subscribe. Shift+click to collapse its namespace'
+                        : vertex.count + ' nodes and topics under ' + vertex.name + '\\nClick to expand';
+                group.appendChild(title);
+
+                group.addEventListener('mouseenter', () => highlightEdges(vertex.id, true));
+                group.addEventListener('mouseleave', () => highlightEdges(vertex.id, false));
+                group.addEventListener('click', event => {
+                    if (wasDragged) {
+                        return;
+                    }
+                    activateVertex(vertex, event.shiftKey);
+                });
+                return group;
+            }
+
+            function activateVertex(vertex, collapse) {
+                if (vertex.kind === 'namespace') {
+                    collapsed.delete(vertex.name);
+                    render();
+                    return;
+                }
+                const namespace = topNamespace(vertex.name);
+                if (collapse && namespace) {
+                    collapsed.add(namespace);
+                    render();
+                    return;
+                }
+                if (vertex.kind === 'node') {
+                    vscode.postMessage({ command: 'openNode', name: vertex.name });
+                } else {
+                    vscode.postMessage({ command: 'openTopic', name: vertex.name, type: vertex.type });
+                }
+            }
+
+            function highlightEdges(id, on) {
+                document.querySelectorAll('.edge').forEach(path => {
+                    if (path.dataset.from === id || path.dataset.to === id) {
+                        path.classList.toggle('highlight', on);
+                    }
+                });
+            }
+
+            function render() {
+                drawn = visibleGraph();
+                const placed = layout(drawn);
+                placed.forEach((position, id) => positions.set(id, position));
+
+                const edgeLayer = document.getElementById('edgeLayer');
+                const vertexLayer = document.getElementById('vertexLayer');
+                edgeLayer.innerHTML = '';
+                vertexLayer.innerHTML = '';
+
+                drawn.edges.forEach(edge => {
+                    const path = document.createElementNS(SVG_NS, 'path');
+                    path.setAttribute('class', 'edge');
+                    path.setAttribute('d', edgePath(placed.get(edge.from), placed.get(edge.to)));
+                    path.setAttribute('marker-end', 'url(#arrowHead)');
+                    path.dataset.from = edge.from;
+                    path.dataset.to = edge.to;
+                    edgeLayer.appendChild(path);
+                });
+                drawn.vertices.forEach((vertex, id) => {
+                    vertexLayer.appendChild(createVertex(vertex, placed.get(id)));
+                });
+
+                applySearch();
+                const nodeCount = Array.from(vertices.values()).filter(vertex => vertex.kind === 'node').length;
+                const topicCount = vertices.size - nodeCount;
+                document.getElementById('summary').dataset.counts = nodeCount + ' nodes, ' + topicCount + ' topics';
+                document.getElementById('emptyMessage').classList.toggle('hidden', drawn.vertices.size > 0);
+                if (fitPending && drawn.vertices.size > 0) {
+                    fitPending = false;
+                    fit();
+                }
+            }
+
+            function applySearch() {
+                const text = searchText.toLowerCase();
+                document.querySelectorAll('.vertex').forEach(group => {
+                    const vertex = drawn.vertices.get(group.dataset.id);
+                    group.classList.toggle('matched', Boolean(text) && vertex.name.toLowerCase().includes(text));
+                });
+            }
+
+            function applyView() {
+                viewport.setAttribute('transform', 'translate(' + view.x + ' ' + view.y + ') scale(' + view.scale + ')');
+            }
+
+            function fit() {
+                const box = viewport.getBBox();
+                const rect = svg.getBoundingClientRect();
+                if (box.width === 0 || rect.width === 0) {
+                    return;
+                }
+                view.scale = Math.min(rect.width / (box.width + 40), rect.height / (box.height + 40), 1.5);
+                view.x = rect.width / 2 - (box.x + box.width / 2) * view.scale;
+                view.y = rect.height / 2 - (box.y + box.height / 2) * view.scale;
+                applyView();
+            }
+
+            let drag = null;
+            let wasDragged = false;
+            svg.addEventListener('mousedown', event => {
+                drag = { x: event.clientX, y: event.clientY, viewX: view.x, viewY: view.y };
+                wasDragged = false;
+            });
+            window.addEventListener('mousemove', event => {
+                if (!drag) {
+                    return;
+                }
+                const dx = event.clientX - drag.x;
+                const dy = event.clientY - drag.y;
+                if (Math.abs(dx) + Math.abs(dy) > 3) {
+                    wasDragged = true;
+                    svg.classList.add('panning');
+                }
+                view.x = drag.viewX + dx;
+                view.y = drag.viewY + dy;
+                applyView();
+            });
+            window.addEventListener('mouseup', () => {
+                drag = null;
+                svg.classList.remove('panning');
+            });
+            svg.addEventListener('wheel', event => {
+                event.preventDefault();
+                const rect = svg.getBoundingClientRect();
+                const px = event.clientX - rect.left;
+                const py = event.clientY - rect.top;
+                const factor = Math.exp(-event.deltaY * 0.0015);
+                const scale = Math.min(Math.max(view.scale * factor, 0.1), 4);
+                view.x = px - (px - view.x) * scale / view.scale;
+                view.y = py - (py - view.y) * scale / view.scale;
+                view.scale = scale;
+                applyView();
+            }, { passive: false });
+
+            document.getElementById('hideDebug').addEventListener('change', event => {
+                hideDebug = event.target.checked;
+                render();
+            });
+            document.getElementById('collapseButton').addEventListener('click', () => {
+                const counts = new Map();
+                vertices.forEach(vertex => {
+                    const namespace = topNamespace(vertex.name);
+                    if (namespace) {
+                        counts.set(namespace, (counts.get(namespace) || 0) + 1);
+                    }
+                });
+                // A namespace with a single member gains nothing from a box
+                counts.forEach((count, namespace) => {
+                    if (count > 1) {
+                        collapsed.add(namespace);
+                    }
+                });
+                render();
+            });
+            document.getElementById('expandButton').addEventListener('click', () => {
+                collapsed.clear();
+                render();
+            });
+            document.getElementById('searchInput').addEventListener('input', event => {
+                searchText = event.target.value.trim();
+                applySearch();
+            });
+            document.getElementById('fitButton').addEventListener('click', fit);
+            document.getElementById('refreshButton').addEventListener('click', () => {
+                vscode.postMessage({ command: 'refresh' });
+            });
+
+            window.addEventListener('message', event => {
+                const message = event.data;
+                switch (message.command) {
+                    case 'graph':
+                        if (message.reset) {
+                            vertices.clear();
+                            edges.clear();
+                        }
+                        message.removedEdges.forEach(id => edges.delete(id));
+                        message.removedVertices.forEach(id => vertices.delete(id));
+                        message.addedVertices.forEach(vertex => vertices.set(vertex.id, vertex));
+                        message.addedEdges.forEach(edge => edges.set(edge.id, edge));
+                        render();
+                        break;
+                    case 'status': {
+                        const summary = document.getElementById('summary');
+                        summary.textContent = !message.connected
+                            ? 'Not connected'
+                            : message.error
+                                ? 'Refresh failed: ' + message.error
+                                : (summary.dataset.counts || '') + ' \\u00b7 updated ' + new Date(message.updatedAt).toLocaleTimeString();
+                        break;
+                    }
+                }
+            });
+
+            applyView();
+            vscode.postMessage({ command: 'ready' });
+        </script>
+    </body>
+    </html>`;
+  }
+
+  dispose() {
+    GraphPanel.panels.delete(this._rosbridgeClient.url);
+    this._disposed = true;
+
+    clearInterval(this._refreshInterval);
+
+    this._panel.dispose();
+
+    while (this._disposables.length) {
+      const disposable = this._disposables.pop();
+      if (disposable) {
+        disposable.dispose();
+      }
+    }
+  }
+
+  static disposeAll() {
+    if (GraphPanel.panels && GraphPanel.panels.size > 0) {
+      const panelsToDispose = Array.from(GraphPanel.panels.values());
+      for (const panel of panelsToDispose) {
+        panel.dispose();
+      }
+      GraphPanel.panels.clear();
+    }
+  }
+
+  static disposeForClient(rosbridgeClient) {
+    const panel = GraphPanel.panels.get(rosbridgeClient.url);
+    if (panel) {
+      panel.dispose();
+    }
+  }
+}
+
+module.exports = GraphPanel;
@@ -0,0 +1,762 @@
+const vscode = require("vscode");
+const path = require("path");
+const { findWorkspaceFile } = require("../utils/rosPackages");
+
+const LOG_TOPIC = "/rosout";
+const LOG_MESSAGE_TYPE = "rcl_interfaces/msg/Log";
+const FLUSH_INTERVAL_MS = 100;
+
+const LEVEL_NAMES = {
+  10: "DEBUG",
+  20: "INFO",
+  30: "WARN",
+  40: "ERROR",
+  50: "FATAL",
+};
+
+function levelName(level) {
+  return LEVEL_NAMES[level] || String(level);
+}
+
+function formatStamp(entry) {
+  return `${entry.sec}.${String(entry.nanosec).padStart(9, "0")}`;
+}
+
+function csvField(value) {
+  const text = String(value === undefined || value === null ? "" : value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Same layout as the ros2 console output, plus the source location.
+function formatLogLine(entry) {
+  const level = levelName(entry.level);
+  const location = entry.file ? ` (${entry.file}:${entry.line})` : "";
+  return `[${level}] [${formatStamp(entry)}] [${entry.name}]: ${entry.msg}${location}`;
+}
+
+function formatLogCsv(entries) {
+  const header = "level,stamp,node,message,file,line,function";
+  const rows = entries.map((entry) =>
+    [
+      levelName(entry.level),
+      formatStamp(entry),
+      entry.name,
+      entry.msg,
+      entry.file,
+      entry.line,
+      entry.function,
+    ]
+      .map(csvField)
+      .join(",")
+  );
+  return [header, ...rows].join("\n") + "\n";
+}
+
+class LogsPanel {
+  static panels = new Map();
+
+  static createOrShow(extensionUri, rosbridgeClient) {
+    const column = vscode.window.activeTextEditor
+      ? vscode.window.activeTextEditor.viewColumn
+      : undefined;
+
+    const panelKey = rosbridgeClient.url;
+
+    if (LogsPanel.panels.has(panelKey)) {
+      const existingPanel = LogsPanel.panels.get(panelKey);
+      existingPanel._panel.reveal(column);
+      return existingPanel;
+    }
+
+    const panel = vscode.window.createWebviewPanel(
+      "rosLogs",
+      `Logs (${rosbridgeClient.getLabel()})`,
+      column || vscode.ViewColumn.One,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+      }
+    );
+
+    const logsPanel = new LogsPanel(panel, extensionUri, rosbridgeClient);
+    LogsPanel.panels.set(panelKey, logsPanel);
+    return logsPanel;
+  }
+
+  constructor(panel, extensionUri, rosbridgeClient) {
+    this._panel = panel;
+    this._extensionUri = extensionUri;
+    this._rosbridgeClient = rosbridgeClient;
+    this._disposables = [];
+    this._pendingEntries = [];
+    this._listener = null;
+
+    this._panel.webview.html = this._getHtmlContent();
+    this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+
+    this._panel.webview.onDidReceiveMessage(
+      (message) => {
+        switch (message.command) {
+          case "ready":
+            this._postStatus();
+            break;
+          case "openSource":
+            this._openSource(message.file, message.line);
+            break;
+          case "export":
+            this._exportLogs(message.entries || []);
+            break;
+        }
+      },
+      null,
+      this._disposables
+    );
+
+    this._subscribe();
+
+    this._flushInterval = setInterval(
+      () => this._flushEntries(),
+      FLUSH_INTERVAL_MS
+    );
+  }
+
+  _subscribe() {
+    const listener = (msg) => {
+      const stamp = msg.stamp || {};
+      this._pendingEntries.push({
+        level: msg.level,
+        sec: stamp.sec || 0,
+        nanosec: stamp.nanosec || 0,
+        name: msg.name || "",
+        msg: msg.msg || "",
+        file: msg.file || "",
+        function: msg.function || "",
+        line: msg.line || 0,
+      });
+    };
+
+    const topic = this._rosbridgeClient.addTopicListener(
+      LOG_TOPIC,
+      LOG_MESSAGE_TYPE,
+      listener
+    );
+
+    if (topic) {
+      this._listener = listener;
+    } else {
+      this._rosbridgeClient.removeTopicListener(LOG_TOPIC, listener);
+    }
+  }
+
+  _flushEntries() {
+    if (this._pendingEntries.length === 0) {
+      return;
+    }
+
+    this._panel.webview.postMessage({
+      command: "entries",
+      entries: this._pendingEntries,
+    });
+    this._pendingEntries = [];
+  }
+
+  _postStatus() {
+    this._panel.webview.postMessage({
+      command: "status",
+      subscribed: this._listener !== null,
+      topic: LOG_TOPIC,
+    });
+  }
+
+  async _openSource(file, line) {
+    const fileUri = file ? await findWorkspaceFile(file) : null;
+    if (!fileUri) {
+      vscode.window.showWarningMessage(
+        `No file matching ${file} was found in the workspace`
+      );
+      return;
+    }
+
+    try {
+      const document = await vscode.workspace.openTextDocument(fileUri);
+      const position = new vscode.Position(Math.max((line || 1) - 1, 0), 0);
+      await vscode.window.showTextDocument(document, {
+        viewColumn: vscode.ViewColumn.Beside,
+        selection: new vscode.Range(position, position),
+      });
+    } catch (error) {
+      vscode.window.showErrorMessage(
+        `Failed to open ${fileUri.fsPath}: ${error.message}`
+      );
+    }
+  }
+
+  async _exportLogs(entries) {
+    if (entries.length === 0) {
+      vscode.window.showInformationMessage(
+        "There are no log entries to export"
+      );
+      return;
+    }
+
+    const folders = vscode.workspace.workspaceFolders;
+    const fileName = `rosout_${Date.now()}.log`;
+    const defaultUri =
+      folders && folders.length > 0
+        ? vscode.Uri.joinPath(folders[0].uri, fileName)
+        : vscode.Uri.file(`${process.env.HOME}/${fileName}`);
+
+    const fileUri = await vscode.window.showSaveDialog({
+      defaultUri,
+      filters: {
+        "Log file": ["log", "txt"],
+        CSV: ["csv"],
+      },
+    });
+    if (!fileUri) {
+      return;
+    }
+
+    const content =
+      path.extname(fileUri.fsPath).toLowerCase() === ".csv"
+        ? formatLogCsv(entries)
+        : entries.map(formatLogLine).join("\n") + "\n";
+
+    try {
+      await vscode.workspace.fs.writeFile(
+        fileUri,
+        Buffer.from(content, "utf8")
+      );
+      vscode.window.showInformationMessage(
+        `Exported ${entries.length} log entries to ${fileUri.fsPath}`
+      );
+    } catch (error) {
+      vscode.window.showErrorMessage(`Failed to export logs: ${error.message}`);
+    }
+  }
+
+  _getHtmlContent() {
+    return `<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Logs</title>
+        <style>
+            html, body {
+                height: 100%;
+            }
+
+            body {
+                font-family: var(--vscode-font-family);
+                font-size: var(--vscode-font-size);
+                color: var(--vscode-foreground);
+                background-color: var(--vscode-editor-background);
+                padding: 0;
+                margin: 0;
+                display: flex;
+                flex-direction: column;
+            }
+
+            .header {
+                background-color: var(--vscode-editor-background);
+                padding: 12px 20px;
+                border-bottom: 1px solid var(--vscode-widget-border);
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                flex-wrap: wrap;
+            }
+
+            .title {
+                font-size: 14px;
+                font-weight: 600;
+                margin: 0 12px 0 0;
+            }
+
+            input, select {
+                padding: 4px 6px;
+                background-color: var(--vscode-input-background);
+                color: var(--vscode-input-foreground);
+                border: 1px solid var(--vscode-input-border);
+                border-radius: 2px;
+                font-size: 13px;
+            }
+
+            input[type="text"] {
+                min-width: 220px;
+            }
+
+            input.invalid {
+                border-color: var(--vscode-errorForeground);
+            }
+
+            input:focus, select:focus {
+                outline: 1px solid var(--vscode-focusBorder);
+                border-color: var(--vscode-focusBorder);
+            }
+
+            button.secondary {
+                padding: 4px 12px;
+                border: none;
+                border-radius: 2px;
+                cursor: pointer;
+                font-size: 12px;
+                background-color: var(--vscode-button-secondaryBackground);
+                color: var(--vscode-button-secondaryForeground);
+            }
+
+            button.secondary:hover {
+                background-color: var(--vscode-button-secondaryHoverBackground);
+            }
+
+            .summary {
+                margin-left: auto;
+                font-size: 12px;
+                color: var(--vscode-descriptionForeground);
+            }
+
+            .log-row {
+                display: grid;
+                grid-template-columns: 56px 100px 180px minmax(0, 1fr) 220px;
+                gap: 8px;
+                height: 22px;
+                line-height: 22px;
+                padding: 0 20px;
+                font-size: 12px;
+                white-space: nowrap;
+                box-sizing: border-box;
+            }
+
+            .log-row > span {
+                overflow: hidden;
+                text-overflow: ellipsis;
+            }
+
+            .log-head {
+                font-weight: 600;
+                border-bottom: 1px solid var(--vscode-widget-border);
+            }
+
+            #logScroll {
+                flex: 1;
+                overflow-y: auto;
+                position: relative;
+            }
+
+            #logRows {
+                position: absolute;
+                left: 0;
+                right: 0;
+            }
+
+            #logRows .log-row {
+                font-family: var(--vscode-editor-font-family);
+                cursor: default;
+            }
+
+            #logRows .log-row:hover {
+                background-color: var(--vscode-list-hoverBackground);
+            }
+
+            #logRows .log-row.selected {
+                background-color: var(--vscode-list-inactiveSelectionBackground);
+            }
+
+            .level-DEBUG {
+                color: var(--vscode-descriptionForeground);
+            }
+
+            .level-WARN {
+                color: var(--vscode-editorWarning-foreground);
+            }
+
+            .level-ERROR, .level-FATAL {
+                color: var(--vscode-errorForeground);
+            }
+
+            .level-FATAL {
+                font-weight: bold;
+            }
+
+            .source {
+                color: var(--vscode-textLink-foreground);
+                cursor: pointer;
+                direction: rtl;
+                text-align: left;
+            }
+
+            .source:hover {
+                text-decoration: underline;
+            }
+
+            #details {
+                border-top: 1px solid var(--vscode-widget-border);
+                max-height: 30%;
+                overflow: auto;
+                padding: 8px 20px;
+                font-size: 12px;
+            }
+
+            #details pre {
+                margin: 4px 0 0 0;
+                white-space: pre-wrap;
+                word-break: break-word;
+                font-family: var(--vscode-editor-font-family);
+            }
+
+            .empty {
+                padding: 20px;
+                color: var(--vscode-descriptionForeground);
+                font-style: italic;
+            }
+
+            .hidden {
+                display: none;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1 class="title">Logs</h1>
+            <select id="levelFilter" title="Minimum severity">
+                <option value="10">Debug and above</option>
+                <option value="20">Info and above</option>
+                <option value="30">Warn and above</option>
+                <option value="40">Error and above</option>
+                <option value="50">Fatal only</option>
+            </select>
+            <select id="nodeFilter">
+                <option value="">All nodes</option>
+            </select>
+            <input type="text" id="regexFilter" placeholder="Filter messages (regex)" spellcheck="false">
+            <button class="secondary" id="pauseButton">Pause</button>
+            <button class="secondary" id="clearButton">Clear</button>
+            <button class="secondary" id="exportButton" title="Save the entries that match the filters">Export...</button>
+            <span class="summary" id="summary"></span>
+        </div>
+
+        <div class="log-row log-head">
+            <span>Level</span>
+            <span>Time</span>
+            <span>Node</span>
+            <span>Message</span>
+            <span>Source</span>
+        </div>
+        <div id="logScroll">
+            <div id="logSpacer"></div>
+            <div id="logRows"></div>
+            <div class="empty" id="emptyMessage">Waiting for /rosout...</div>
+        </div>
+        <div id="details" class="hidden"></div>
+
+        <script>
+            const vscode = acquireVsCodeApi();
+
+            const MAX_ENTRIES = 50000;
+            const ROW_HEIGHT = 22;
+            const OVERSCAN_ROWS = 10;
+            const LEVEL_NAMES = { 10: 'DEBUG', 20: 'INFO', 30: 'WARN', 40: 'ERROR', 50: 'FATAL' };
+
+            let entries = [];
+            let filtered = [];
+            let pausedEntries = [];
+            let paused = false;
+            let selected = null;
+            let followTail = true;
+            let renderScheduled = false;
+            const nodes = new Set();
+            const filters = { level: 10, node: '', regex: null };
+
+            const scroller = document.getElementById('logScroll');
+            const rowsElement = document.getElementById('logRows');
+            const spacer = document.getElementById('logSpacer');
+            const regexInput = document.getElementById('regexFilter');
+
+            function levelName(level) {
+                return LEVEL_NAMES[level] || String(level);
+            }
+
+            function formatTime(entry) {
+                const date = new Date(entry.sec * 1000 + Math.floor(entry.nanosec / 1e6));
+                const pad = (value, width) => String(value).padStart(width, '0');
+                return pad(date.getHours(), 2) + ':' + pad(date.getMinutes(), 2) + ':' +
+                    pad(date.getSeconds(), 2) + '.' + pad(date.getMilliseconds(), 3);
+            }
+
+            function sourceLabel(entry) {
+                return entry.file ? entry.file + ':' + entry.line : '';
+            }
+
+            function matches(entry) {
+                return entry.level >= filters.level &&
+                    (!filters.node || entry.name === filters.node) &&
+                    (!filters.regex || filters.regex.test(entry.msg));
+            }
+
+            function refilter() {
+                filtered = entries.filter(matches);
+                if (selected && !filtered.includes(selected)) {
+                    selected = null;
+                }
+                scheduleRender();
+            }
+
+            function addEntries(newEntries) {
+                newEntries.forEach(entry => {
+                    entries.push(entry);
+                    if (matches(entry)) {
+                        filtered.push(entry);
+                    }
+                    if (entry.name && !nodes.has(entry.name)) {
+                        nodes.add(entry.name);
+                        updateNodeFilter();
+                    }
+                });
+                if (entries.length > MAX_ENTRIES) {
+                    const dropped = new Set(entries.splice(0, entries.length - MAX_ENTRIES));
+                    let firstKept = 0;
+                    while (firstKept < filtered.length && dropped.has(filtered[firstKept])) {
+                        firstKept++;
+                    }
+                    filtered = filtered.slice(firstKept);
+                    if (selected && dropped.has(selected)) {
+                        selected = null;
+                    }
+                }
+                scheduleRender();
+            }
+
+            function updateNodeFilter() {
+                const select = document.getElementById('nodeFilter');
+                const value = select.value;
+                select.innerHTML = '';
+                const all = document.createElement('option');
+                all.value = '';
+                all.textContent = 'All nodes';
+                select.appendChild(all);
+                Array.from(nodes).sort().forEach(name => {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    option.textContent = name;
+                    select.appendChild(option);
+                });
+                select.value = value;
+            }
+
+            function scheduleRender() {
+                if (!renderScheduled) {
+                    renderScheduled = true;
+                    requestAnimationFrame(render);
+                }
+            }
+
+            // Only the rows in view (plus a margin) are in the DOM, so tens of
+            // thousands of entries scroll smoothly
+            function render() {
+                renderScheduled = false;
+                spacer.style.height = (filtered.length * ROW_HEIGHT) + 'px';
+                if (followTail) {
+                    scroller.scrollTop = scroller.scrollHeight;
+                }
+
+                const first = Math.max(Math.floor(scroller.scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS, 0);
+                const count = Math.ceil(scroller.clientHeight / ROW_HEIGHT) + 2 * OVERSCAN_ROWS;
+                const visible = filtered.slice(first, first + count);
+
+                rowsElement.style.top = (first * ROW_HEIGHT) + 'px';
+                rowsElement.innerHTML = '';
+                visible.forEach(entry => rowsElement.appendChild(createRow(entry)));
+
+                document.getElementById('emptyMessage').classList.toggle('hidden', entries.length > 0);
+                let summary = filtered.length + ' of ' + entries.length + ' entries';
+                if (paused) {
+                    summary += ' \\u00b7 paused, ' + pausedEntries.length + ' new';
+                }
+                document.getElementById('summary').textContent = summary;
+                renderDetails();
+            }
+
+            function createRow(entry) {
+                const row = document.createElement('div');
+                row.className = 'log-row' + (entry === selected ? ' selected' : '');
+
+                const level = document.createElement('span');
+                level.className = 'level-' + levelName(entry.level);
+                level.textContent = levelName(entry.level);
+                row.appendChild(level);
+
+                const time = document.createElement('span');
+                time.textContent = formatTime(entry);
+                time.title = entry.sec + '.' + String(entry.nanosec).padStart(9, '0');
+                row.appendChild(time);
+
+                const node = document.createElement('span');
+                node.textContent = entry.name;
+                node.title = entry.name;
+                row.appendChild(node);
+
+                const message = document.createElement('span');
+                message.className = 'level-' + levelName(entry.level);
+                message.textContent = entry.msg.split('\\n')[0];
+                message.title = entry.msg;
+                row.appendChild(message);
+
+                const source = document.createElement('span');
+                if (entry.file) {
+                    source.className = 'source';
+                    // The rtl direction trims long paths from the left; the
+                    // bdi keeps the path itself in reading order
+                    const label = document.createElement('bdi');
+                    label.textContent = sourceLabel(entry);
+                    source.appendChild(label);
+                    source.title = 'Open ' + sourceLabel(entry) + (entry.function ? ' (' + entry.function + ')' : '');
+                    source.addEventListener('click', event => {
+                        event.stopPropagation();
+                        vscode.postMessage({ command: 'openSource', file: entry.file, line: entry.line });
+                    });
+                }
+                row.appendChild(source);
+
+                row.addEventListener('click', () => {
+                    selected = selected === entry ? null : entry;
+                    scheduleRender();
+                });
+                return row;
+            }
+
+            function renderDetails() {
+                const details = document.getElementById('details');
+                details.classList.toggle('hidden', !selected);
+                if (!selected) {
+                    return;
+                }
+                details.innerHTML = '';
+                const heading = document.createElement('div');
+                heading.className = 'level-' + levelName(selected.level);
+                heading.textContent = '[' + levelName(selected.level) + '] [' + formatTime(selected) + '] [' +
+                    selected.name + ']' + (selected.function ? ' in ' + selected.function : '');
+                details.appendChild(heading);
+                const text = document.createElement('pre');
+                text.textContent = selected.msg;
+                details.appendChild(text);
+            }
+
+            scroller.addEventListener('scroll', () => {
+                followTail = scroller.scrollTop + scroller.clientHeight >= scroller.scrollHeight - ROW_HEIGHT;
+                scheduleRender();
+            });
+            window.addEventListener('resize', scheduleRender);
+
+            document.getElementById('levelFilter').addEventListener('change', event => {
+                filters.level = parseInt(event.target.value, 10);
+                refilter();
+            });
+            document.getElementById('nodeFilter').addEventListener('change', event => {
+                filters.node = event.target.value;
+                refilter();
+            });
+            regexInput.addEventListener('input', () => {
+                try {
+                    filters.regex = regexInput.value ? new RegExp(regexInput.value, 'i') : null;
+                    regexInput.classList.remove('invalid');
+                    regexInput.title = '';
+                } catch (e) {
+                    filters.regex = null;
+                    regexInput.classList.add('invalid');
+                    regexInput.title = e.message;
+                }
+                refilter();
+            });
+
+            // Pausing freezes the table; entries keep arriving and are shown
+            // on resume
+            document.getElementById('pauseButton').addEventListener('click', event => {
+                paused = !paused;
+                event.target.textContent = paused ? 'Resume' : 'Pause';
+                if (!paused) {
+                    const queued = pausedEntries;
+                    pausedEntries = [];
+                    addEntries(queued);
+                }
+                scheduleRender();
+            });
+            document.getElementById('clearButton').addEventListener('click', () => {
+                entries = [];
+                filtered = [];
+                pausedEntries = [];
+                selected = null;
+                followTail = true;
+                scheduleRender();
+            });
+            document.getElementById('exportButton').addEventListener('click', () => {
+                vscode.postMessage({ command: 'export', entries: filtered });
+            });
+
+            window.addEventListener('message', event => {
+                const message = event.data;
+                switch (message.command) {
+                    case 'entries':
+                        if (paused) {
+                            pausedEntries.push(...message.entries);
+                            if (pausedEntries.length > MAX_ENTRIES) {
+                                pausedEntries.splice(0, pausedEntries.length - MAX_ENTRIES);
+                            }
+                            scheduleRender();
+                        } else {
+                            addEntries(message.entries);
+                        }
+                        break;
+                    case 'status':
+                        if (!message.subscribed) {
+                            document.getElementById('emptyMessage').textContent =
+                                'Could not subscribe to ' + message.topic;
+                        }
+                        break;
+                }
+            });
+
+            vscode.postMessage({ command: 'ready' });
+        </script>
+    </body>
+    </html>`;
+  }
+
+  dispose() {
+    LogsPanel.panels.delete(this._rosbridgeClient.url);
+
+    clearInterval(this._flushInterval);
+    if (this._listener) {
+      this._rosbridgeClient.removeTopicListener(LOG_TOPIC, this._listener);
+      this._listener = null;
+    }
+
+    this._panel.dispose();
+
+    while (this._disposables.length) {
+      const disposable = this._disposables.pop();
+      if (disposable) {
+        disposable.dispose();
+      }
+    }
+  }
+
+  static disposeAll() {
+    if (LogsPanel.panels && LogsPanel.panels.size > 0) {
+      const panelsToDispose = Array.from(LogsPanel.panels.values());
+      for (const panel of panelsToDispose) {
+        panel.dispose();
+      }
+      LogsPanel.panels.clear();
+    }
+  }
+
+  static disposeForClient(rosbridgeClient) {
+    const panel = LogsPanel.panels.get(rosbridgeClient.url);
+    if (panel) {
+      panel.dispose();
+    }
+  }
+}
+
+module.exports = LogsPanel;
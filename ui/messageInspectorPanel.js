@@ -1,4 +1,5 @@
 const vscode = require("vscode");
+const { createMessageTemplate } = require("../utils/messageTemplate");
 
 class MessageInspectorPanel {
   static currentPanel = undefined;
@@ -9,11 +10,16 @@ class MessageInspectorPanel {
       : undefined;
 
     if (MessageInspectorPanel.currentPanel) {
-      MessageInspectorPanel.currentPanel._panel.reveal(column);
+      const existingPanel = MessageInspectorPanel.currentPanel;
+      existingPanel._rosbridgeClient = rosbridgeClient;
+      existingPanel._panel.title = `Message/Service Inspector (${
+        rosbridgeClient.getLabel()
+      })`;
+      existingPanel._panel.reveal(column);
     } else {
       const panel = vscode.window.createWebviewPanel(
         "rosMessageInspector",
-        "Message/Service Inspector",
+        `Message/Service Inspector (${rosbridgeClient.getLabel()})`,
         column || vscode.ViewColumn.One,
         {
           enableScripts: true,
@@ -196,124 +202,7 @@ class MessageInspectorPanel {
   }
 
   _createMessageTemplate(definition) {
-    const mainType =
-      Object.keys(definition).find(
-        (type) =>
-          !type.includes("/") ||
-          type.split("/").pop() === Object.keys(definition)[0].split("/").pop()
-      ) || Object.keys(definition)[0];
-
-    return this._createTemplateForType(mainType, definition);
-  }
-
-  _createTemplateForType(typeName, definition) {
-    const template = {};
-    const typeDef = definition[typeName];
-
-    if (!typeDef || !typeDef.fields) {
-      return template;
-    }
-
-    typeDef.fields.forEach((field) => {
-      template[field.name] = this._getFieldValue(field.type, definition);
-    });
-
-    return template;
-  }
-
-  _getFieldValue(fieldType, definition) {
-    if (fieldType.endsWith("[]")) {
-      const baseType = fieldType.slice(0, -2);
-      if (definition[baseType] && !this._isPrimitiveType(baseType)) {
-        return [this._createTemplateForType(baseType, definition)];
-      }
-      return [];
-    }
-
-    if (fieldType.startsWith("array(") || fieldType === "array") {
-      return [];
-    }
-
-    const defaultValue = this._getDefaultValue(fieldType);
-    if (defaultValue !== null) {
-      return defaultValue;
-    }
-
-    if (definition[fieldType]) {
-      return this._createTemplateForType(fieldType, definition);
-    }
-
-    if (fieldType === "float" || fieldType === "double") {
-      return 0.0;
-    }
-    if (
-      fieldType.includes("int") ||
-      fieldType === "byte" ||
-      fieldType === "char"
-    ) {
-      return 0;
-    }
-
-    return {};
-  }
-
-  _getDefaultValue(fieldType) {
-    if (fieldType.endsWith("[]")) {
-      return [];
-    }
-
-    const typeDefaults = {
-      bool: false,
-      boolean: false,
-      byte: 0,
-      char: 0,
-      int8: 0,
-      uint8: 0,
-      int16: 0,
-      uint16: 0,
-      int32: 0,
-      uint32: 0,
-      int64: 0,
-      uint64: 0,
-      float32: 0.0,
-      float64: 0.0,
-      float: 0.0,
-      double: 0.0,
-      string: "",
-      time: { secs: 0, nsecs: 0 },
-      duration: { secs: 0, nsecs: 0 },
-    };
-
-    if (typeDefaults.hasOwnProperty(fieldType)) {
-      return typeDefaults[fieldType];
-    }
-
-    return null;
-  }
-
-  _isPrimitiveType(type) {
-    const primitiveTypes = [
-      "bool",
-      "boolean",
-      "byte",
-      "char",
-      "int8",
-      "uint8",
-      "int16",
-      "uint16",
-      "int32",
-      "uint32",
-      "int64",
-      "uint64",
-      "float32",
-      "float64",
-      "float",
-      "double",
-      "string",
-      "time",
-      "duration",
-    ];
-    return primitiveTypes.includes(type);
+    return createMessageTemplate(definition);
   }
 
   dispose() {
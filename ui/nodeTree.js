@@ -9,9 +9,10 @@ class Item extends vscode.TreeItem {
 }
 
 class Tree extends Item {
-  constructor(address, collapsibleState) {
-    super(address, collapsibleState);
+  constructor(address, collapsibleState, label = null) {
+    super(label || address, collapsibleState);
     this.address = address;
+    this.description = label ? address : undefined;
     this.contextValue = "nodeTree";
   }
 }
@@ -123,19 +124,36 @@ class NodeListProvider {
     this._onDidChangeTreeData = new vscode.EventEmitter();
     this.onDidChangeTreeData = this._onDidChangeTreeData.event;
 
-    this.pubs = {};
-    this.subs = {};
-    this.subscribedTopics = new Set();
-
     this.channel = channel;
 
     this.bridgeData = {};
     this.bridgeAddress = bridgeAddress;
-    this.rosbridgeClient = null;
+    this.connections = new Map();
+  }
+
+  _getConnection(address) {
+    if (!this.connections.has(address)) {
+      this.connections.set(address, {
+        rosbridgeClient: null,
+        pubs: {},
+        subs: {},
+        subscribedTopics: new Set(),
+      });
+    }
+    return this.connections.get(address);
   }
 
-  setRosbridgeClient(client) {
-    this.rosbridgeClient = client;
+  setRosbridgeClient(address, client) {
+    if (client) {
+      this._getConnection(address).rosbridgeClient = client;
+    } else {
+      this.connections.delete(address);
+    }
+  }
+
+  getRosbridgeClient(address) {
+    const connection = this.connections.get(address);
+    return connection ? connection.rosbridgeClient : null;
   }
 
   refresh() {
@@ -171,8 +189,9 @@ class NodeListProvider {
     }
   }
 
-  toggleCheckbox(lbl) {
-    const pub = this.pubs[lbl];
+  toggleCheckbox(address, lbl) {
+    const { pubs, subs } = this._getConnection(address);
+    const pub = pubs[lbl];
     if (pub) {
       pub.toggleChecked();
       this._onDidChangeTreeData.fire(pub);
@@ -182,7 +201,7 @@ class NodeListProvider {
       return [false];
     }
     
-    const sub = this.subs[lbl];
+    const sub = subs[lbl];
     if (sub) {
       sub.toggleChecked();
       this._onDidChangeTreeData.fire(sub);
@@ -195,35 +214,42 @@ class NodeListProvider {
     return [false];
   }
   
-  resetAllCheckboxes() {
-    this.subscribedTopics.clear();
-    
-    for (const key in this.pubs) {
-      if (this.pubs[key].isChecked) {
-        this.pubs[key].isChecked = false;
-        this.pubs[key].updateIcon();
+  resetAllCheckboxes(address = null) {
+    const connections = address
+      ? [this._getConnection(address)]
+      : Array.from(this.connections.values());
+
+    connections.forEach(({ pubs, subs, subscribedTopics }) => {
+      subscribedTopics.clear();
+
+      for (const key in pubs) {
+        if (pubs[key].isChecked) {
+          pubs[key].isChecked = false;
+          pubs[key].updateIcon();
+        }
       }
-    }
-    for (const key in this.subs) {
-      if (this.subs[key].isChecked) {
-        this.subs[key].isChecked = false;
-        this.subs[key].updateIcon();
+      for (const key in subs) {
+        if (subs[key].isChecked) {
+          subs[key].isChecked = false;
+          subs[key].updateIcon();
+        }
       }
-    }
+    });
     this._onDidChangeTreeData.fire();
   }
   
-  setTopicSubscriptionState(topicName, isSubscribed) {
+  setTopicSubscriptionState(address, topicName, isSubscribed) {
+    const { pubs, subs, subscribedTopics } = this._getConnection(address);
     if (isSubscribed) {
-      this.subscribedTopics.add(topicName);
+      subscribedTopics.add(topicName);
     } else {
-      this.subscribedTopics.delete(topicName);
+      subscribedTopics.delete(topicName);
     }
     
     const affectedNodes = new Set();
     
-    for (const key in this.pubs) {
-      const pub = this.pubs[key];
+    for (const key in pubs) {
+      const pub = pubs[key];
       if (pub.label === topicName) {
         pub.isChecked = isSubscribed;
         pub.updateIcon();
@@ -231,8 +257,8 @@ class NodeListProvider {
       }
     }
     
-    for (const key in this.subs) {
-      const sub = this.subs[key];
+    for (const key in subs) {
+      const sub = subs[key];
       if (sub.label === topicName) {
         sub.isChecked = isSubscribed;
         sub.updateIcon();
@@ -246,15 +272,18 @@ class NodeListProvider {
   }
 
   async getTrees() {
-    return this.bridgeAddress.map(
-      (address) => new Tree(address, vscode.TreeItemCollapsibleState.Expanded)
-    );
+    return this.bridgeAddress.map((address) => {
+      const client = this.getRosbridgeClient(address);
+      const label = client && client.profile ? client.profile.name : null;
+      return new Tree(address, vscode.TreeItemCollapsibleState.Expanded, label);
+    });
   }
 
   async getNodes(tree) {
-    if (this.rosbridgeClient && this.rosbridgeClient.isConnected()) {
+    const client = this.getRosbridgeClient(tree.address);
+    if (client && client.isConnected()) {
       return new Promise((resolve) => {
-        this.rosbridgeClient.getNodes((nodes) => {
+        client.getNodes((nodes) => {
           const nodeItems = nodes.map(
             (nodeName) =>
               new Node(
@@ -273,7 +302,8 @@ class NodeListProvider {
   }
 
   getTopics(node) {
-    if (this.rosbridgeClient && this.rosbridgeClient.isConnected()) {
+    const client = this.getRosbridgeClient(node.address);
+    if (client && client.isConnected()) {
       const categories = ["publishers", "subscribers", "service_clients", "action_clients"];
       return categories.map(
         (label) =>
@@ -289,14 +319,16 @@ class NodeListProvider {
   }
 
   async getPublishers(topic) {
-    if (this.rosbridgeClient && this.rosbridgeClient.isConnected()) {
+    const client = this.getRosbridgeClient(topic.node.address);
+    if (client && client.isConnected()) {
+      const { pubs, subscribedTopics } = this._getConnection(topic.node.address);
       return new Promise((resolve) => {
         const nodeName = topic.node.label;
         
-        this.rosbridgeClient.getNodeDetails(nodeName, (details) => {
+        client.getNodeDetails(nodeName, (details) => {
           const publishingTopics = details.publishing || [];
           
-          this.rosbridgeClient.getTopics((allTopics) => {
+          client.getTopics((allTopics) => {
             const topicTypeMap = {};
             allTopics.forEach(topicInfo => {
               topicTypeMap[topicInfo.name] = topicInfo.type;
@@ -305,8 +337,8 @@ class NodeListProvider {
             const publishers = publishingTopics.map((topicName) => {
               const topicType = topicTypeMap[topicName] || "unknown";
               const pubKey = `${nodeName}${topicName}`;
-              const existingPub = this.pubs[pubKey];
-              const isChecked = existingPub ? existingPub.isChecked : this.subscribedTopics.has(topicName);
+              const existingPub = pubs[pubKey];
+              const isChecked = existingPub ? existingPub.isChecked : subscribedTopics.has(topicName);
               
               const pub = new Publisher(
                 topicName,
@@ -317,11 +349,11 @@ class NodeListProvider {
                 {
                   command: `${extensionHandle}.toggle-subscription`,
                   title: "Toggle Publisher",
-                  arguments: [`${nodeName}${topicName}`, topicType],
+                  arguments: [`${nodeName}${topicName}`, topicType, topic.node.address],
                 },
                 topicType
               );
-              this.pubs[pubKey] = pub;
+              pubs[pubKey] = pub;
               return pub;
             });
             
@@ -335,14 +367,16 @@ class NodeListProvider {
   }
 
   async getSubscribers(topic) {
-    if (this.rosbridgeClient && this.rosbridgeClient.isConnected()) {
+    const client = this.getRosbridgeClient(topic.node.address);
+    if (client && client.isConnected()) {
+      const { subs, subscribedTopics } = this._getConnection(topic.node.address);
       return new Promise((resolve) => {
         const nodeName = topic.node.label;
         
-        this.rosbridgeClient.getNodeDetails(nodeName, (details) => {
+        client.getNodeDetails(nodeName, (details) => {
           const subscribingTopics = details.subscribing || [];
           
-          this.rosbridgeClient.getTopics((allTopics) => {
+          client.getTopics((allTopics) => {
             const topicTypeMap = {};
             allTopics.forEach(topicInfo => {
               topicTypeMap[topicInfo.name] = topicInfo.type;
@@ -351,8 +385,8 @@ class NodeListProvider {
             const subscribers = subscribingTopics.map((topicName) => {
               const topicType = topicTypeMap[topicName] || "unknown";
               const subKey = `${nodeName}_sub_${topicName}`;
-              const existingSub = this.subs[subKey];
-              const isChecked = existingSub ? existingSub.isChecked : this.subscribedTopics.has(topicName);
+              const existingSub = subs[subKey];
+              const isChecked = existingSub ? existingSub.isChecked : subscribedTopics.has(topicName);
               
               const sub = new Subscriber(
                 topicName,
@@ -363,11 +397,11 @@ class NodeListProvider {
                 {
                   command: `${extensionHandle}.toggle-subscription`,
                   title: "Toggle Subscription",
-                  arguments: [`${nodeName}_sub_${topicName}`, topicType],
+                  arguments: [`${nodeName}_sub_${topicName}`, topicType, topic.node.address],
                 },
                 topicType
               );
-              this.subs[subKey] = sub;
+              subs[subKey] = sub;
               return sub;
             });
             
@@ -381,11 +415,12 @@ class NodeListProvider {
   }
 
   async getServiceClients(topic) {
-    if (this.rosbridgeClient && this.rosbridgeClient.isConnected()) {
+    const client = this.getRosbridgeClient(topic.node.address);
+    if (client && client.isConnected()) {
       return new Promise((resolve) => {
         const nodeName = topic.node.label;
         
-        this.rosbridgeClient.getNodeDetails(nodeName, (details) => {
+        client.getNodeDetails(nodeName, (details) => {
           const services = details.services || [];
           
           const serviceClients = services.map((serviceName) => {
@@ -397,7 +432,7 @@ class NodeListProvider {
               {
                 command: `${extensionHandle}.call-service`,
                 title: "Call Service",
-                arguments: [serviceName, nodeName]
+                arguments: [serviceName, nodeName, topic.node.address]
               }
             );
           });
@@ -411,11 +446,12 @@ class NodeListProvider {
   }
 
   async getActionClients(topic) {
-    if (this.rosbridgeClient && this.rosbridgeClient.isConnected()) {
+    const client = this.getRosbridgeClient(topic.node.address);
+    if (client && client.isConnected()) {
       return new Promise((resolve) => {
         const nodeName = topic.node.label;
         
-        this.rosbridgeClient.getNodeDetails(nodeName, (details) => {
+        client.getNodeDetails(nodeName, (details) => {
           const actionClients = details.action_clients || [];
           
           const actionClientItems = actionClients.map((actionName) => {
@@ -8,7 +8,7 @@ class ParametersPanel {
       ? vscode.window.activeTextEditor.viewColumn
       : undefined;
 
-    const panelKey = `parameters-${nodeName}`;
+    const panelKey = `parameters-${rosbridgeClient.url}-${nodeName}`;
     
     if (ParametersPanel.panels.has(panelKey)) {
       const existingPanel = ParametersPanel.panels.get(panelKey);
@@ -17,7 +17,7 @@ class ParametersPanel {
     } else {
       const panel = vscode.window.createWebviewPanel(
         "rosParametersPanel",
-        `Parameters: ${nodeName}`,
+        `Parameters: ${nodeName} (${rosbridgeClient.getLabel()})`,
         column || vscode.ViewColumn.One,
         {
           enableScripts: true,
@@ -794,7 +794,7 @@ class ParametersPanel {
   }
 
   dispose() {
-    const panelKey = `parameters-${this._nodeName}`;
+    const panelKey = `parameters-${this._rosbridgeClient.url}-${this._nodeName}`;
     ParametersPanel.panels.delete(panelKey);
 
     this._panel.dispose();
@@ -816,6 +816,15 @@ class ParametersPanel {
       ParametersPanel.panels.clear();
     }
   }
+
+  static disposeForClient(rosbridgeClient) {
+    const panelsToDispose = Array.from(ParametersPanel.panels.values()).filter(
+      (panel) => panel._rosbridgeClient === rosbridgeClient
+    );
+    for (const panel of panelsToDispose) {
+      panel.dispose();
+    }
+  }
 }
 
 module.exports = ParametersPanel;
\ No newline at end of file
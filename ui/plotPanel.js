@@ -0,0 +1,923 @@
+const vscode = require("vscode");
+const { parseFieldPath, resolveFieldValue } = require("../utils/fieldPaths");
+
+const FLUSH_INTERVAL_MS = 100;
+
+// Plotted topics are not throttled by rosbridge; high-frequency behaviour is
+// usually the reason for plotting a signal.
+const PLOT_THROTTLE_RATE = 0;
+
+class PlotPanel {
+  static panels = new Map();
+
+  static createOrShow(extensionUri, rosbridgeClient, initialPath = null) {
+    const column = vscode.window.activeTextEditor
+      ? vscode.window.activeTextEditor.viewColumn
+      : undefined;
+
+    const panelKey = rosbridgeClient.url;
+
+    if (PlotPanel.panels.has(panelKey)) {
+      const existingPanel = PlotPanel.panels.get(panelKey);
+      existingPanel._panel.reveal(column);
+      if (initialPath) {
+        existingPanel._prefillPath(initialPath);
+      }
+      return existingPanel;
+    }
+
+    const panel = vscode.window.createWebviewPanel(
+      "rosPlot",
+      `Plot (${rosbridgeClient.getLabel()})`,
+      column || vscode.ViewColumn.One,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+      }
+    );
+
+    const plotPanel = new PlotPanel(
+      panel,
+      extensionUri,
+      rosbridgeClient,
+      initialPath
+    );
+
+    PlotPanel.panels.set(panelKey, plotPanel);
+    return plotPanel;
+  }
+
+  constructor(panel, extensionUri, rosbridgeClient, initialPath) {
+    this._panel = panel;
+    this._extensionUri = extensionUri;
+    this._rosbridgeClient = rosbridgeClient;
+    this._initialPath = initialPath;
+    this._disposables = [];
+    this._series = new Map();
+    this._topicListeners = new Map();
+    this._pendingSamples = new Map();
+    this._nextSeriesId = 1;
+
+    this._panel.webview.html = this._getHtmlContent();
+    this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+
+    this._panel.webview.onDidReceiveMessage(
+      (message) => {
+        switch (message.command) {
+          case "ready":
+            if (this._initialPath) {
+              this._prefillPath(this._initialPath);
+            }
+            break;
+          case "addSeries":
+            this._addSeries(message.path, message.axis);
+            break;
+          case "removeSeries":
+            this._removeSeries(message.id);
+            break;
+          case "setAxis":
+            if (this._series.has(message.id)) {
+              this._series.get(message.id).axis = message.axis;
+            }
+            break;
+          case "exportCsv":
+            this._exportCsv(message.csv);
+            break;
+        }
+      },
+      null,
+      this._disposables
+    );
+
+    this._flushInterval = setInterval(
+      () => this._flushSamples(),
+      FLUSH_INTERVAL_MS
+    );
+  }
+
+  _prefillPath(path) {
+    this._panel.webview.postMessage({ command: "prefillPath", path });
+  }
+
+  _addSeries(path, axis) {
+    const client = this._rosbridgeClient;
+
+    if (!client.isConnected()) {
+      this._postSeriesError("Not connected to rosbridge");
+      return;
+    }
+
+    client.getTopics((topics) => {
+      let parsed;
+      try {
+        parsed = parseFieldPath(
+          path,
+          topics.map((topic) => topic.name)
+        );
+      } catch (error) {
+        this._postSeriesError(error.message);
+        return;
+      }
+
+      const topicInfo = topics.find((topic) => topic.name === parsed.topicName);
+      const series = {
+        id: `series-${this._nextSeriesId++}`,
+        path: path.trim(),
+        topicName: parsed.topicName,
+        segments: parsed.segments,
+        axis: axis || 1,
+      };
+
+      if (!this._listenTo(parsed.topicName, topicInfo.type)) {
+        this._postSeriesError(`Failed to subscribe to ${parsed.topicName}`);
+        return;
+      }
+
+      this._series.set(series.id, series);
+      this._panel.webview.postMessage({
+        command: "seriesAdded",
+        series: {
+          id: series.id,
+          path: series.path,
+          axis: series.axis,
+          messageType: topicInfo.type,
+        },
+      });
+    });
+  }
+
+  _postSeriesError(message) {
+    this._panel.webview.postMessage({ command: "seriesError", message });
+  }
+
+  // One listener per topic feeds every series plotted from that topic.
+  _listenTo(topicName, messageType) {
+    if (this._topicListeners.has(topicName)) {
+      return true;
+    }
+
+    const listener = (msg) => {
+      const now = Date.now();
+      for (const series of this._series.values()) {
+        if (series.topicName !== topicName) {
+          continue;
+        }
+
+        const value = resolveFieldValue(msg, series.segments);
+        if (value === null) {
+          continue;
+        }
+
+        if (!this._pendingSamples.has(series.id)) {
+          this._pendingSamples.set(series.id, []);
+        }
+        this._pendingSamples.get(series.id).push([now, value]);
+      }
+    };
+
+    const topic = this._rosbridgeClient.addTopicListener(
+      topicName,
+      messageType,
+      listener,
+      { throttleRate: PLOT_THROTTLE_RATE }
+    );
+    if (!topic) {
+      this._rosbridgeClient.removeTopicListener(topicName, listener);
+      return false;
+    }
+
+    this._topicListeners.set(topicName, listener);
+    return true;
+  }
+
+  _removeSeries(id) {
+    const series = this._series.get(id);
+    if (!series) {
+      return;
+    }
+
+    this._series.delete(id);
+    this._pendingSamples.delete(id);
+
+    const stillUsed = Array.from(this._series.values()).some(
+      (other) => other.topicName === series.topicName
+    );
+    if (!stillUsed) {
+      this._rosbridgeClient.removeTopicListener(
+        series.topicName,
+        this._topicListeners.get(series.topicName)
+      );
+      this._topicListeners.delete(series.topicName);
+    }
+  }
+
+  _flushSamples() {
+    if (this._pendingSamples.size === 0) {
+      return;
+    }
+
+    const samples = {};
+    this._pendingSamples.forEach((points, id) => {
+      samples[id] = points;
+    });
+    this._pendingSamples.clear();
+
+    this._panel.webview.postMessage({
+      command: "samples",
+      now: Date.now(),
+      samples,
+    });
+  }
+
+  async _exportCsv(csv) {
+    const folders = vscode.workspace.workspaceFolders;
+    const fileName = `plot_${Date.now()}.csv`;
+    const defaultUri =
+      folders && folders.length > 0
+        ? vscode.Uri.joinPath(folders[0].uri, fileName)
+        : vscode.Uri.file(`${process.env.HOME}/${fileName}`);
+
+    const fileUri = await vscode.window.showSaveDialog({
+      defaultUri,
+      filters: {
+        CSV: ["csv"],
+      },
+    });
+    if (!fileUri) {
+      return;
+    }
+
+    try {
+      await vscode.workspace.fs.writeFile(fileUri, Buffer.from(csv, "utf8"));
+      vscode.window.showInformationMessage(
+        `Exported plot window to ${fileUri.fsPath}`
+      );
+    } catch (error) {
+      vscode.window.showErrorMessage(
+        `Failed to export plot: ${error.message}`
+      );
+    }
+  }
+
+  _getHtmlContent() {
+    return `<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Plot</title>
+        <style>
+            body {
+                font-family: var(--vscode-font-family);
+                font-size: var(--vscode-font-size);
+                color: var(--vscode-foreground);
+                background-color: var(--vscode-editor-background);
+                padding: 0;
+                margin: 0;
+                display: flex;
+                flex-direction: column;
+                height: 100vh;
+            }
+
+            .header {
+                position: sticky;
+                top: 0;
+                background-color: var(--vscode-editor-background);
+                padding: 12px 20px;
+                border-bottom: 1px solid var(--vscode-widget-border);
+                z-index: 100;
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                flex-wrap: wrap;
+            }
+
+            .title {
+                font-size: 14px;
+                font-weight: 600;
+                margin: 0 12px 0 0;
+            }
+
+            input, select {
+                padding: 4px 6px;
+                background-color: var(--vscode-input-background);
+                color: var(--vscode-input-foreground);
+                border: 1px solid var(--vscode-input-border);
+                border-radius: 2px;
+                font-size: 13px;
+            }
+
+            input[type="text"] {
+                min-width: 320px;
+                font-family: var(--vscode-editor-font-family);
+            }
+
+            input:focus, select:focus {
+                outline: 1px solid var(--vscode-focusBorder);
+                border-color: var(--vscode-focusBorder);
+            }
+
+            button {
+                padding: 4px 12px;
+                border: none;
+                border-radius: 2px;
+                cursor: pointer;
+                font-size: 12px;
+                background-color: var(--vscode-button-background);
+                color: var(--vscode-button-foreground);
+            }
+
+            button:hover {
+                background-color: var(--vscode-button-hoverBackground);
+            }
+
+            button.secondary {
+                background-color: var(--vscode-button-secondaryBackground);
+                color: var(--vscode-button-secondaryForeground);
+            }
+
+            button.secondary:hover {
+                background-color: var(--vscode-button-secondaryHoverBackground);
+            }
+
+            .spacer {
+                flex: 1;
+            }
+
+            .error {
+                color: var(--vscode-errorForeground);
+                padding: 6px 20px 0 20px;
+                font-size: 12px;
+            }
+
+            .series-list {
+                padding: 8px 20px;
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px 16px;
+                font-size: 12px;
+            }
+
+            .series {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+            }
+
+            .swatch {
+                width: 12px;
+                height: 12px;
+                border-radius: 2px;
+                display: inline-block;
+            }
+
+            .series-path {
+                font-family: var(--vscode-editor-font-family);
+            }
+
+            .series-value {
+                color: var(--vscode-descriptionForeground);
+                min-width: 70px;
+            }
+
+            .series select {
+                font-size: 11px;
+                padding: 1px 2px;
+            }
+
+            .remove {
+                cursor: pointer;
+                color: var(--vscode-descriptionForeground);
+            }
+
+            .remove:hover {
+                color: var(--vscode-errorForeground);
+            }
+
+            #chartContainer {
+                flex: 1;
+                position: relative;
+                min-height: 200px;
+                margin: 0 12px 12px 12px;
+            }
+
+            #chart {
+                position: absolute;
+                top: 0;
+                left: 0;
+                cursor: crosshair;
+            }
+
+            .hint {
+                padding: 0 20px 8px 20px;
+                font-size: 11px;
+                color: var(--vscode-descriptionForeground);
+            }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1 class="title">Plot</h1>
+            <input type="text" id="pathInput" placeholder="/odom/twist/twist/linear/x or /joint_states/position[2]">
+            <select id="axisInput" title="Series on the same axis share a y scale">
+                <option value="1">Axis 1</option>
+                <option value="2">Axis 2</option>
+                <option value="3">Axis 3</option>
+                <option value="4">Axis 4</option>
+            </select>
+            <button id="addButton">Add</button>
+            <span class="spacer"></span>
+            <button class="secondary" id="pauseButton">Pause</button>
+            <button class="secondary" id="resetZoomButton">Reset Zoom</button>
+            <button class="secondary" id="clearButton">Clear</button>
+            <button class="secondary" id="exportButton">Export CSV</button>
+        </div>
+        <div class="error" id="errorMessage"></div>
+        <div class="series-list" id="seriesList"></div>
+        <div class="hint" id="hint">Scroll to zoom the time window, drag to pan (pauses the plot).</div>
+        <div id="chartContainer">
+            <canvas id="chart"></canvas>
+        </div>
+
+        <script>
+            const vscode = acquireVsCodeApi();
+
+            const COLORS = ['#4e9af1', '#f1a14e', '#5cc97b', '#e0605e', '#b07cf0', '#e4d15a', '#4ecdc4', '#f17cb0'];
+            const DEFAULT_WINDOW_MS = 30000;
+            const MIN_WINDOW_MS = 500;
+            const MAX_HISTORY_MS = 10 * 60 * 1000;
+            const MAX_POINTS_PER_SERIES = 60000;
+
+            const series = [];
+            let colorIndex = 0;
+            let clockOffset = 0;
+            let paused = false;
+            let windowMs = DEFAULT_WINDOW_MS;
+            let pausedEnd = null;
+            let drag = null;
+
+            const canvas = document.getElementById('chart');
+            const container = document.getElementById('chartContainer');
+            const ctx = canvas.getContext('2d');
+
+            function cssColor(name, fallback) {
+                const value = getComputedStyle(document.body).getPropertyValue(name).trim();
+                return value || fallback;
+            }
+
+            function viewEnd() {
+                return paused ? pausedEnd : Date.now() + clockOffset;
+            }
+
+            function setPaused(value) {
+                if (value && !paused) {
+                    pausedEnd = Date.now() + clockOffset;
+                }
+                paused = value;
+                document.getElementById('pauseButton').textContent = paused ? 'Resume' : 'Pause';
+            }
+
+            function resizeCanvas() {
+                const ratio = window.devicePixelRatio || 1;
+                const width = container.clientWidth;
+                const height = container.clientHeight;
+                canvas.width = Math.floor(width * ratio);
+                canvas.height = Math.floor(height * ratio);
+                canvas.style.width = width + 'px';
+                canvas.style.height = height + 'px';
+                ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+                draw();
+            }
+
+            function formatNumber(value) {
+                if (value === null || value === undefined) {
+                    return '-';
+                }
+                const magnitude = Math.abs(value);
+                if (magnitude !== 0 && (magnitude >= 1e5 || magnitude < 1e-3)) {
+                    return value.toExponential(2);
+                }
+                return Number(value.toPrecision(4)).toString();
+            }
+
+            function niceStep(range, targetTicks) {
+                const rough = range / targetTicks;
+                const power = Math.pow(10, Math.floor(Math.log10(rough)));
+                const fraction = rough / power;
+                const nice = fraction < 1.5 ? 1 : fraction < 3 ? 2 : fraction < 7 ? 5 : 10;
+                return nice * power;
+            }
+
+            // Binary search for the first point at or after time t.
+            function firstIndexAfter(points, t) {
+                let low = 0;
+                let high = points.length;
+                while (low < high) {
+                    const mid = (low + high) >> 1;
+                    if (points[mid][0] < t) {
+                        low = mid + 1;
+                    } else {
+                        high = mid;
+                    }
+                }
+                return low;
+            }
+
+            function visiblePoints(item, start, end) {
+                const from = Math.max(0, firstIndexAfter(item.points, start) - 1);
+                const to = Math.min(item.points.length, firstIndexAfter(item.points, end) + 1);
+                return item.points.slice(from, to);
+            }
+
+            function draw() {
+                const width = container.clientWidth;
+                const height = container.clientHeight;
+                ctx.clearRect(0, 0, width, height);
+
+                const foreground = cssColor('--vscode-foreground', '#cccccc');
+                const gridColor = cssColor('--vscode-widget-border', '#444444');
+                const end = viewEnd();
+                const start = end - windowMs;
+
+                const axes = Array.from(new Set(series.map(item => item.axis))).sort((a, b) => a - b);
+                if (axes.length === 0) {
+                    ctx.fillStyle = foreground;
+                    ctx.globalAlpha = 0.6;
+                    ctx.font = '13px sans-serif';
+                    ctx.fillText('Add a field path to start plotting', 20, 30);
+                    ctx.globalAlpha = 1;
+                    return;
+                }
+
+                const left = 64;
+                const right = width - 12;
+                const bottomMargin = 22;
+                const paneGap = 10;
+                const paneHeight = (height - bottomMargin - paneGap * (axes.length - 1)) / axes.length;
+                const toX = t => left + ((t - start) / windowMs) * (right - left);
+
+                ctx.font = '11px sans-serif';
+                ctx.lineWidth = 1;
+
+                axes.forEach((axis, paneIndex) => {
+                    const top = paneIndex * (paneHeight + paneGap);
+                    const bottom = top + paneHeight;
+                    const paneSeries = series.filter(item => item.axis === axis);
+                    const visible = paneSeries.map(item => visiblePoints(item, start, end));
+
+                    let min = Infinity;
+                    let max = -Infinity;
+                    visible.forEach(points => points.forEach(point => {
+                        if (point[0] >= start && point[0] <= end) {
+                            min = Math.min(min, point[1]);
+                            max = Math.max(max, point[1]);
+                        }
+                    }));
+                    if (min === Infinity) {
+                        min = -1;
+                        max = 1;
+                    } else if (min === max) {
+                        min -= Math.abs(min) * 0.1 || 1;
+                        max += Math.abs(max) * 0.1 || 1;
+                    } else {
+                        const padding = (max - min) * 0.05;
+                        min -= padding;
+                        max += padding;
+                    }
+                    const toY = v => bottom - ((v - min) / (max - min)) * (bottom - top);
+
+                    ctx.strokeStyle = gridColor;
+                    ctx.strokeRect(left, top, right - left, bottom - top);
+
+                    const step = niceStep(max - min, Math.max(2, Math.floor(paneHeight / 40)));
+                    ctx.fillStyle = foreground;
+                    ctx.textAlign = 'right';
+                    ctx.textBaseline = 'middle';
+                    for (let value = Math.ceil(min / step) * step; value <= max; value += step) {
+                        const y = toY(value);
+                        ctx.globalAlpha = 0.35;
+                        ctx.beginPath();
+                        ctx.moveTo(left, y);
+                        ctx.lineTo(right, y);
+                        ctx.stroke();
+                        ctx.globalAlpha = 0.8;
+                        ctx.fillText(formatNumber(Math.abs(value) < step / 1e6 ? 0 : value), left - 6, y);
+                    }
+                    ctx.globalAlpha = 1;
+
+                    ctx.save();
+                    ctx.beginPath();
+                    ctx.rect(left, top, right - left, bottom - top);
+                    ctx.clip();
+                    paneSeries.forEach((item, index) => {
+                        const points = visible[index];
+                        if (points.length === 0) {
+                            return;
+                        }
+                        ctx.strokeStyle = item.color;
+                        ctx.lineWidth = 1.5;
+                        ctx.beginPath();
+                        points.forEach((point, pointIndex) => {
+                            const x = toX(point[0]);
+                            const y = toY(point[1]);
+                            if (pointIndex === 0) {
+                                ctx.moveTo(x, y);
+                            } else {
+                                ctx.lineTo(x, y);
+                            }
+                        });
+                        ctx.stroke();
+                    });
+                    ctx.restore();
+
+                    ctx.textAlign = 'left';
+                    ctx.textBaseline = 'top';
+                    ctx.globalAlpha = 0.7;
+                    ctx.fillText('Axis ' + axis, left + 6, top + 4);
+                    ctx.globalAlpha = 1;
+                });
+
+                const timeStep = niceStep(windowMs / 1000, Math.max(2, Math.floor((right - left) / 90)));
+                ctx.fillStyle = foreground;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'top';
+                ctx.globalAlpha = 0.8;
+                for (let offset = 0; offset <= windowMs / 1000 + 1e-9; offset += timeStep) {
+                    const x = toX(end - offset * 1000);
+                    const label = offset === 0 ? (paused ? 'paused' : 'now') : '-' + formatNumber(offset) + ' s';
+                    ctx.fillText(label, x, height - bottomMargin + 6);
+                }
+                ctx.globalAlpha = 1;
+            }
+
+            function renderSeriesList() {
+                const list = document.getElementById('seriesList');
+                list.innerHTML = '';
+
+                series.forEach(item => {
+                    const row = document.createElement('div');
+                    row.className = 'series';
+                    row.title = item.messageType;
+
+                    const swatch = document.createElement('span');
+                    swatch.className = 'swatch';
+                    swatch.style.backgroundColor = item.color;
+
+                    const path = document.createElement('span');
+                    path.className = 'series-path';
+                    path.textContent = item.path;
+
+                    const value = document.createElement('span');
+                    value.className = 'series-value';
+                    value.id = 'value-' + item.id;
+                    value.textContent = item.points.length
+                        ? formatNumber(item.points[item.points.length - 1][1])
+                        : 'waiting...';
+
+                    const axisSelect = document.createElement('select');
+                    [1, 2, 3, 4].forEach(axis => {
+                        const option = document.createElement('option');
+                        option.value = axis;
+                        option.textContent = 'Axis ' + axis;
+                        axisSelect.appendChild(option);
+                    });
+                    axisSelect.value = item.axis;
+                    axisSelect.addEventListener('change', () => {
+                        item.axis = Number(axisSelect.value);
+                        vscode.postMessage({ command: 'setAxis', id: item.id, axis: item.axis });
+                        draw();
+                    });
+
+                    const remove = document.createElement('span');
+                    remove.className = 'remove';
+                    remove.textContent = '\\u2715';
+                    remove.title = 'Remove series';
+                    remove.addEventListener('click', () => {
+                        series.splice(series.indexOf(item), 1);
+                        vscode.postMessage({ command: 'removeSeries', id: item.id });
+                        renderSeriesList();
+                        draw();
+                    });
+
+                    row.appendChild(swatch);
+                    row.appendChild(path);
+                    row.appendChild(value);
+                    row.appendChild(axisSelect);
+                    row.appendChild(remove);
+                    list.appendChild(row);
+                });
+
+                resizeCanvas();
+            }
+
+            function csvField(text) {
+                return /[",\\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+            }
+
+            // Rows are the union of sample times in the visible window; each
+            // series fills only the rows where it received a message.
+            function buildCsv() {
+                const end = viewEnd();
+                const start = end - windowMs;
+                const rows = new Map();
+
+                series.forEach((item, index) => {
+                    item.points.forEach(point => {
+                        if (point[0] < start || point[0] > end) {
+                            return;
+                        }
+                        if (!rows.has(point[0])) {
+                            rows.set(point[0], new Array(series.length).fill(''));
+                        }
+                        rows.get(point[0])[index] = String(point[1]);
+                    });
+                });
+
+                const lines = [['time'].concat(series.map(item => csvField(item.path))).join(',')];
+                Array.from(rows.keys()).sort((a, b) => a - b).forEach(time => {
+                    lines.push([(time / 1000).toFixed(3)].concat(rows.get(time)).join(','));
+                });
+                return lines.join('\\n') + '\\n';
+            }
+
+            function addSeries() {
+                const path = document.getElementById('pathInput').value.trim();
+                if (!path) {
+                    return;
+                }
+                document.getElementById('errorMessage').textContent = '';
+                vscode.postMessage({
+                    command: 'addSeries',
+                    path: path,
+                    axis: Number(document.getElementById('axisInput').value)
+                });
+            }
+
+            document.getElementById('addButton').addEventListener('click', addSeries);
+            document.getElementById('pathInput').addEventListener('keydown', event => {
+                if (event.key === 'Enter') {
+                    addSeries();
+                }
+            });
+
+            document.getElementById('pauseButton').addEventListener('click', () => setPaused(!paused));
+
+            document.getElementById('resetZoomButton').addEventListener('click', () => {
+                windowMs = DEFAULT_WINDOW_MS;
+                setPaused(false);
+                draw();
+            });
+
+            document.getElementById('clearButton').addEventListener('click', () => {
+                series.forEach(item => {
+                    item.points = [];
+                });
+                renderSeriesList();
+            });
+
+            document.getElementById('exportButton').addEventListener('click', () => {
+                if (series.length === 0) {
+                    document.getElementById('errorMessage').textContent = 'Nothing to export';
+                    return;
+                }
+                vscode.postMessage({ command: 'exportCsv', csv: buildCsv() });
+            });
+
+            canvas.addEventListener('wheel', event => {
+                event.preventDefault();
+                const factor = event.deltaY > 0 ? 1.25 : 0.8;
+                const newWindow = Math.min(MAX_HISTORY_MS, Math.max(MIN_WINDOW_MS, windowMs * factor));
+
+                if (paused) {
+                    // Keep the time under the cursor fixed while zooming.
+                    const rect = canvas.getBoundingClientRect();
+                    const fraction = Math.min(1, Math.max(0, (event.clientX - rect.left - 64) / (rect.width - 76)));
+                    const cursorTime = pausedEnd - windowMs * (1 - fraction);
+                    pausedEnd = cursorTime + newWindow * (1 - fraction);
+                }
+                windowMs = newWindow;
+                draw();
+            }, { passive: false });
+
+            canvas.addEventListener('mousedown', event => {
+                setPaused(true);
+                drag = { x: event.clientX, end: pausedEnd };
+            });
+
+            window.addEventListener('mousemove', event => {
+                if (!drag) {
+                    return;
+                }
+                const msPerPixel = windowMs / Math.max(1, canvas.clientWidth - 76);
+                pausedEnd = drag.end - (event.clientX - drag.x) * msPerPixel;
+                draw();
+            });
+
+            window.addEventListener('mouseup', () => {
+                drag = null;
+            });
+
+            window.addEventListener('resize', resizeCanvas);
+
+            window.addEventListener('message', event => {
+                const message = event.data;
+                switch (message.command) {
+                    case 'prefillPath':
+                        document.getElementById('pathInput').value = message.path;
+                        document.getElementById('pathInput').focus();
+                        break;
+                    case 'seriesAdded':
+                        series.push({
+                            id: message.series.id,
+                            path: message.series.path,
+                            axis: message.series.axis,
+                            messageType: message.series.messageType,
+                            color: COLORS[colorIndex++ % COLORS.length],
+                            points: []
+                        });
+                        document.getElementById('pathInput').value = '';
+                        renderSeriesList();
+                        break;
+                    case 'seriesError':
+                        document.getElementById('errorMessage').textContent = message.message;
+                        break;
+                    case 'samples': {
+                        clockOffset = message.now - Date.now();
+                        series.forEach(item => {
+                            const points = message.samples[item.id];
+                            if (!points) {
+                                return;
+                            }
+                            item.points.push(...points);
+
+                            const cutoff = message.now - MAX_HISTORY_MS;
+                            let drop = firstIndexAfter(item.points, cutoff);
+                            drop = Math.max(drop, item.points.length - MAX_POINTS_PER_SERIES);
+                            if (drop > 0) {
+                                item.points.splice(0, drop);
+                            }
+
+                            const valueLabel = document.getElementById('value-' + item.id);
+                            if (valueLabel) {
+                                valueLabel.textContent = formatNumber(points[points.length - 1][1]);
+                            }
+                        });
+                        break;
+                    }
+                }
+            });
+
+            function frame() {
+                if (!paused) {
+                    draw();
+                }
+                requestAnimationFrame(frame);
+            }
+
+            resizeCanvas();
+            requestAnimationFrame(frame);
+            vscode.postMessage({ command: 'ready' });
+        </script>
+    </body>
+    </html>`;
+  }
+
+  dispose() {
+    PlotPanel.panels.delete(this._rosbridgeClient.url);
+
+    clearInterval(this._flushInterval);
+
+    this._topicListeners.forEach((listener, topicName) => {
+      this._rosbridgeClient.removeTopicListener(topicName, listener);
+    });
+    this._topicListeners.clear();
+
+    this._panel.dispose();
+
+    while (this._disposables.length) {
+      const disposable = this._disposables.pop();
+      if (disposable) {
+        disposable.dispose();
+      }
+    }
+  }
+
+  static disposeAll() {
+    if (PlotPanel.panels && PlotPanel.panels.size > 0) {
+      const panelsToDispose = Array.from(PlotPanel.panels.values());
+      for (const panel of panelsToDispose) {
+        panel.dispose();
+      }
+      PlotPanel.panels.clear();
+    }
+  }
+
+  static disposeForClient(rosbridgeClient) {
+    const panel = PlotPanel.panels.get(rosbridgeClient.url);
+    if (panel) {
+      panel.dispose();
+    }
+  }
+}
+
+module.exports = PlotPanel;
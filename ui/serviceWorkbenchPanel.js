@@ -0,0 +1,960 @@
+const vscode = require("vscode");
+const { createMessageTemplate } = require("../utils/messageTemplate");
+
+const HISTORY_STATE_KEY = "serviceWorkbenchHistory";
+const MAX_HISTORY_ENTRIES = 20;
+
+class ServiceWorkbenchPanel {
+  static panels = new Map();
+
+  static createOrShow(
+    extensionUri,
+    rosbridgeClient,
+    serviceName,
+    workspaceState,
+    serviceType = null
+  ) {
+    const column = vscode.window.activeTextEditor
+      ? vscode.window.activeTextEditor.viewColumn
+      : undefined;
+
+    const panelKey = `service-${rosbridgeClient.url}-${serviceName}`;
+
+    if (ServiceWorkbenchPanel.panels.has(panelKey)) {
+      const existingPanel = ServiceWorkbenchPanel.panels.get(panelKey);
+      existingPanel._panel.reveal(column);
+      return existingPanel;
+    }
+
+    const panel = vscode.window.createWebviewPanel(
+      "rosServiceWorkbench",
+      `Service: ${serviceName} (${rosbridgeClient.getLabel()})`,
+      column || vscode.ViewColumn.One,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+      }
+    );
+
+    const workbenchPanel = new ServiceWorkbenchPanel(
+      panel,
+      extensionUri,
+      rosbridgeClient,
+      serviceName,
+      workspaceState,
+      serviceType
+    );
+
+    ServiceWorkbenchPanel.panels.set(panelKey, workbenchPanel);
+    return workbenchPanel;
+  }
+
+  constructor(
+    panel,
+    extensionUri,
+    rosbridgeClient,
+    serviceName,
+    workspaceState,
+    serviceType
+  ) {
+    this._panel = panel;
+    this._extensionUri = extensionUri;
+    this._rosbridgeClient = rosbridgeClient;
+    this._serviceName = serviceName;
+    this._serviceType = serviceType;
+    this._workspaceState = workspaceState;
+    this._disposables = [];
+    this._callInProgress = false;
+    this._lastResponse = null;
+    this._disposed = false;
+
+    this._panel.webview.html = this._getHtmlContent();
+    this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+
+    this._panel.webview.onDidReceiveMessage(
+      (message) => {
+        switch (message.command) {
+          case "ready":
+            this._postHistory();
+            this._resolveServiceType();
+            break;
+          case "setType":
+            this._serviceType = (message.serviceType || "").trim();
+            this._loadDefinition();
+            break;
+          case "callService":
+            this._callService(message.request);
+            break;
+          case "rerun":
+            this._rerun(message.index);
+            break;
+          case "clearHistory":
+            this._clearHistory();
+            break;
+          case "copyResponse":
+            this._copyResponse();
+            break;
+        }
+      },
+      null,
+      this._disposables
+    );
+  }
+
+  _resolveServiceType() {
+    if (this._serviceType) {
+      this._loadDefinition();
+      return;
+    }
+
+    this._rosbridgeClient.getServiceDetails(
+      this._serviceName,
+      (serviceType, error) => {
+        if (error || !serviceType) {
+          vscode.window.showWarningMessage(
+            `Could not resolve type for ${this._serviceName}. Enter it manually.`
+          );
+          this._panel.webview.postMessage({
+            command: "setDefinition",
+            serviceType: "",
+            definition: {},
+            rootType: null,
+            template: {},
+          });
+          return;
+        }
+
+        this._serviceType = serviceType;
+        this._loadDefinition();
+      }
+    );
+  }
+
+  _loadDefinition() {
+    if (!this._serviceType) {
+      return;
+    }
+
+    this._rosbridgeClient.getServiceRequestDetails(
+      this._serviceType,
+      (details, error) => {
+        if (error || !details || Object.keys(details).length === 0) {
+          vscode.window.showWarningMessage(
+            `Could not load request definition for ${this._serviceType}. Use JSON mode to build the request.`
+          );
+          this._panel.webview.postMessage({
+            command: "setDefinition",
+            serviceType: this._serviceType,
+            definition: {},
+            rootType: null,
+            template: {},
+          });
+          return;
+        }
+
+        this._panel.webview.postMessage({
+          command: "setDefinition",
+          serviceType: this._serviceType,
+          definition: details,
+          rootType: Object.keys(details)[0],
+          template: createMessageTemplate(details),
+        });
+      }
+    );
+  }
+
+  _callService(request) {
+    if (this._callInProgress) {
+      return;
+    }
+
+    if (!this._serviceType) {
+      vscode.window.showErrorMessage(
+        `Service type for ${this._serviceName} is not set`
+      );
+      return;
+    }
+
+    const serviceType = this._serviceType;
+    const startTime = Date.now();
+    this._callInProgress = true;
+    this._panel.webview.postMessage({ command: "callStarted" });
+
+    this._rosbridgeClient.callService(
+      this._serviceName,
+      serviceType,
+      request || {},
+      (result, error) => {
+        const durationMs = Date.now() - startTime;
+        this._callInProgress = false;
+        this._lastResponse = error ? null : result;
+
+        // A call answered after the panel closed still goes into history
+        if (!this._disposed) {
+          this._panel.webview.postMessage({
+            command: "response",
+            result: result,
+            error: error ? String(error) : null,
+            durationMs: durationMs,
+          });
+        }
+
+        this._addHistoryEntry({
+          timestamp: new Date(startTime).toISOString(),
+          serviceType: serviceType,
+          request: request || {},
+          durationMs: durationMs,
+          success: !error,
+          error: error ? String(error) : null,
+        });
+      }
+    );
+  }
+
+  _rerun(index) {
+    const entry = this._getHistory()[index];
+    if (!entry) {
+      return;
+    }
+
+    this._panel.webview.postMessage({
+      command: "setRequest",
+      request: entry.request,
+    });
+    this._callService(entry.request);
+  }
+
+  async _copyResponse() {
+    if (this._lastResponse === null) {
+      return;
+    }
+
+    await vscode.env.clipboard.writeText(
+      JSON.stringify(this._lastResponse, null, 2)
+    );
+    vscode.window.showInformationMessage("Response copied to clipboard");
+  }
+
+  _getAllHistory() {
+    return this._workspaceState.get(HISTORY_STATE_KEY, {});
+  }
+
+  _getHistory() {
+    return this._getAllHistory()[this._serviceName] || [];
+  }
+
+  _postHistory() {
+    if (this._disposed) {
+      return;
+    }
+    this._panel.webview.postMessage({
+      command: "updateHistory",
+      history: this._getHistory(),
+    });
+  }
+
+  async _addHistoryEntry(entry) {
+    const allHistory = this._getAllHistory();
+    const history = [entry, ...(allHistory[this._serviceName] || [])].slice(
+      0,
+      MAX_HISTORY_ENTRIES
+    );
+    allHistory[this._serviceName] = history;
+
+    await this._workspaceState.update(HISTORY_STATE_KEY, allHistory);
+    this._postHistory();
+  }
+
+  async _clearHistory() {
+    const allHistory = this._getAllHistory();
+    delete allHistory[this._serviceName];
+
+    await this._workspaceState.update(HISTORY_STATE_KEY, allHistory);
+    this._postHistory();
+  }
+
+  _getHtmlContent() {
+    return `<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Service: ${this._serviceName}</title>
+        <style>
+            body {
+                font-family: var(--vscode-font-family);
+                font-size: var(--vscode-font-size);
+                color: var(--vscode-foreground);
+                background-color: var(--vscode-editor-background);
+                padding: 0;
+                margin: 0;
+            }
+
+            .header {
+                position: sticky;
+                top: 0;
+                background-color: var(--vscode-editor-background);
+                padding: 16px 20px;
+                border-bottom: 1px solid var(--vscode-widget-border);
+                z-index: 100;
+            }
+
+            .title {
+                font-size: 14px;
+                font-weight: 600;
+                margin: 0 0 8px 0;
+            }
+
+            .section {
+                padding: 12px 20px;
+            }
+
+            .section-title {
+                font-size: 12px;
+                font-weight: 600;
+                text-transform: uppercase;
+                color: var(--vscode-descriptionForeground);
+                margin-bottom: 8px;
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+            }
+
+            .row {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            }
+
+            input[type="text"],
+            input[type="number"],
+            textarea {
+                padding: 4px 8px;
+                background-color: var(--vscode-input-background);
+                color: var(--vscode-input-foreground);
+                border: 1px solid var(--vscode-input-border);
+                border-radius: 2px;
+                font-size: 13px;
+                box-sizing: border-box;
+            }
+
+            input:focus,
+            textarea:focus {
+                outline: 1px solid var(--vscode-focusBorder);
+                border-color: var(--vscode-focusBorder);
+            }
+
+            #typeInput {
+                flex: 1;
+                font-family: var(--vscode-editor-font-family);
+            }
+
+            textarea {
+                width: 100%;
+                font-family: var(--vscode-editor-font-family);
+                resize: vertical;
+            }
+
+            #jsonInput {
+                min-height: 180px;
+            }
+
+            textarea.invalid {
+                border-color: var(--vscode-inputValidation-errorBorder);
+            }
+
+            button {
+                padding: 4px 12px;
+                background-color: var(--vscode-button-background);
+                color: var(--vscode-button-foreground);
+                border: none;
+                border-radius: 2px;
+                cursor: pointer;
+                font-size: 12px;
+            }
+
+            button:hover {
+                background-color: var(--vscode-button-hoverBackground);
+            }
+
+            button.secondary {
+                background-color: var(--vscode-button-secondaryBackground);
+                color: var(--vscode-button-secondaryForeground);
+            }
+
+            button.secondary:hover {
+                background-color: var(--vscode-button-secondaryHoverBackground);
+            }
+
+            button:disabled {
+                opacity: 0.5;
+                cursor: default;
+            }
+
+            fieldset {
+                border: 1px solid var(--vscode-widget-border);
+                border-radius: 2px;
+                margin: 4px 0 8px 0;
+                padding: 4px 8px 8px 8px;
+            }
+
+            legend {
+                font-size: 12px;
+                color: var(--vscode-descriptionForeground);
+            }
+
+            .form-row {
+                display: grid;
+                grid-template-columns: 160px 1fr;
+                gap: 8px;
+                align-items: center;
+                margin: 4px 0;
+            }
+
+            .form-row label {
+                font-family: var(--vscode-editor-font-family);
+                overflow: hidden;
+                text-overflow: ellipsis;
+            }
+
+            .field-type {
+                color: var(--vscode-descriptionForeground);
+                font-size: 11px;
+                margin-left: 4px;
+            }
+
+            .form-row input[type="text"],
+            .form-row input[type="number"] {
+                width: 100%;
+            }
+
+            .form-row textarea {
+                min-height: 28px;
+            }
+
+            .empty {
+                padding: 12px;
+                color: var(--vscode-descriptionForeground);
+                text-align: center;
+            }
+
+            .status {
+                font-size: 12px;
+                color: var(--vscode-descriptionForeground);
+            }
+
+            .status.error {
+                color: var(--vscode-errorForeground);
+            }
+
+            .response-tree {
+                font-family: var(--vscode-editor-font-family);
+                font-size: 12px;
+                border: 1px solid var(--vscode-widget-border);
+                border-radius: 2px;
+                padding: 8px;
+                max-height: 400px;
+                overflow: auto;
+            }
+
+            .response-tree details {
+                margin-left: 12px;
+            }
+
+            .response-tree > details {
+                margin-left: 0;
+            }
+
+            .response-tree summary {
+                cursor: pointer;
+            }
+
+            .tree-leaf {
+                margin-left: 24px;
+                white-space: pre-wrap;
+            }
+
+            .tree-key {
+                color: var(--vscode-symbolIcon-fieldForeground, var(--vscode-foreground));
+            }
+
+            .tree-meta {
+                color: var(--vscode-descriptionForeground);
+            }
+
+            .value-string {
+                color: var(--vscode-debugTokenExpression-string);
+            }
+
+            .value-number {
+                color: var(--vscode-debugTokenExpression-number);
+            }
+
+            .value-boolean {
+                color: var(--vscode-debugTokenExpression-boolean);
+            }
+
+            .history-item {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                padding: 6px 8px;
+                border-bottom: 1px solid var(--vscode-widget-border);
+                font-size: 12px;
+            }
+
+            .history-item:hover {
+                background-color: var(--vscode-list-hoverBackground);
+            }
+
+            .history-ok {
+                color: var(--vscode-testing-iconPassed);
+            }
+
+            .history-failed {
+                color: var(--vscode-errorForeground);
+            }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1 class="title">${this._serviceName}</h1>
+            <div class="row">
+                <input type="text" id="typeInput" placeholder="Resolving service type..." />
+                <button class="secondary" onclick="applyType()">Load Type</button>
+            </div>
+        </div>
+
+        <div class="section">
+            <div class="section-title">
+                Request
+                <div class="row">
+                    <button class="secondary" id="modeButton" onclick="toggleMode()">Edit as JSON</button>
+                    <button class="secondary" onclick="resetRequest()">Reset</button>
+                </div>
+            </div>
+            <div id="requestForm"><div class="empty">Loading request definition...</div></div>
+            <textarea id="jsonInput" spellcheck="false" style="display: none;">{}</textarea>
+            <div class="row" style="margin-top: 8px;">
+                <button id="callButton" onclick="callService()">Call Service</button>
+                <span class="status" id="callStatus"></span>
+            </div>
+        </div>
+
+        <div class="section">
+            <div class="section-title">
+                Response
+                <button class="secondary" id="copyButton" onclick="copyResponse()" disabled>Copy JSON</button>
+            </div>
+            <div class="response-tree" id="responseTree"><div class="empty">No response yet</div></div>
+        </div>
+
+        <div class="section">
+            <div class="section-title">
+                History
+                <button class="secondary" onclick="clearHistory()">Clear</button>
+            </div>
+            <div id="historyList"><div class="empty">No calls yet</div></div>
+        </div>
+
+        <script>
+            const vscode = acquireVsCodeApi();
+            const MAX_TREE_CHILDREN = 200;
+            const INT_TYPES = ['byte', 'char', 'int8', 'uint8', 'int16', 'uint16', 'int32', 'uint32', 'int64', 'uint64'];
+            const FLOAT_TYPES = ['float', 'double', 'float32', 'float64'];
+
+            let definition = {};
+            let rootType = null;
+            let template = {};
+            let jsonMode = false;
+
+            function applyType() {
+                const serviceType = document.getElementById('typeInput').value.trim();
+                if (!serviceType) {
+                    return;
+                }
+                document.getElementById('requestForm').innerHTML = '<div class="empty">Loading request definition...</div>';
+                vscode.postMessage({ command: 'setType', serviceType: serviceType });
+            }
+
+            function isArrayType(type) {
+                return /\\[\\d*\\]$/.test(type);
+            }
+
+            function buildForm(values) {
+                const form = document.getElementById('requestForm');
+                form.innerHTML = '';
+
+                const typeDef = rootType && definition[rootType];
+                if (!typeDef) {
+                    form.innerHTML = '<div class="empty">No request definition available. Use JSON mode.</div>';
+                    return;
+                }
+                if (typeDef.fields.length === 0) {
+                    form.innerHTML = '<div class="empty">This service takes no request fields</div>';
+                    return;
+                }
+
+                appendFields(form, rootType, values || {}, '');
+            }
+
+            function appendFields(container, typeName, values, prefix) {
+                definition[typeName].fields.forEach(field => {
+                    const path = prefix ? prefix + '.' + field.name : field.name;
+                    const value = values ? values[field.name] : undefined;
+
+                    if (!isArrayType(field.type) && definition[field.type]) {
+                        const fieldset = document.createElement('fieldset');
+                        const legend = document.createElement('legend');
+                        legend.textContent = field.name + ' (' + field.type + ')';
+                        fieldset.appendChild(legend);
+                        appendFields(fieldset, field.type, value || {}, path);
+                        container.appendChild(fieldset);
+                        return;
+                    }
+
+                    const row = document.createElement('div');
+                    row.className = 'form-row';
+
+                    const label = document.createElement('label');
+                    label.textContent = field.name;
+                    const typeSpan = document.createElement('span');
+                    typeSpan.className = 'field-type';
+                    typeSpan.textContent = field.type;
+                    label.appendChild(typeSpan);
+                    label.title = field.name + ': ' + field.type;
+                    row.appendChild(label);
+
+                    let input;
+                    if (field.type === 'bool' || field.type === 'boolean') {
+                        input = document.createElement('input');
+                        input.type = 'checkbox';
+                        input.checked = !!value;
+                        input.dataset.kind = 'bool';
+                    } else if (INT_TYPES.includes(field.type)) {
+                        input = document.createElement('input');
+                        input.type = 'number';
+                        input.step = '1';
+                        input.value = value !== undefined ? value : 0;
+                        input.dataset.kind = 'int';
+                    } else if (FLOAT_TYPES.includes(field.type)) {
+                        input = document.createElement('input');
+                        input.type = 'number';
+                        input.step = 'any';
+                        input.value = value !== undefined ? value : 0;
+                        input.dataset.kind = 'float';
+                    } else if (field.type === 'string') {
+                        input = document.createElement('input');
+                        input.type = 'text';
+                        input.value = value !== undefined ? value : '';
+                        input.dataset.kind = 'string';
+                    } else {
+                        input = document.createElement('textarea');
+                        input.spellcheck = false;
+                        const fallback = isArrayType(field.type) ? [] : {};
+                        input.value = JSON.stringify(value !== undefined ? value : fallback);
+                        input.dataset.kind = 'json';
+                    }
+
+                    input.dataset.path = path;
+                    row.appendChild(input);
+                    container.appendChild(row);
+                });
+            }
+
+            function setPath(target, path, value) {
+                const parts = path.split('.');
+                let current = target;
+                for (let i = 0; i < parts.length - 1; i++) {
+                    if (typeof current[parts[i]] !== 'object' || current[parts[i]] === null) {
+                        current[parts[i]] = {};
+                    }
+                    current = current[parts[i]];
+                }
+                current[parts[parts.length - 1]] = value;
+            }
+
+            function collectForm() {
+                const request = {};
+                const inputs = document.querySelectorAll('#requestForm [data-path]');
+
+                inputs.forEach(input => {
+                    let value;
+                    switch (input.dataset.kind) {
+                        case 'bool':
+                            value = input.checked;
+                            break;
+                        case 'int':
+                            value = parseInt(input.value, 10) || 0;
+                            break;
+                        case 'float':
+                            value = parseFloat(input.value) || 0;
+                            break;
+                        case 'json':
+                            input.classList.remove('invalid');
+                            try {
+                                value = JSON.parse(input.value || 'null');
+                            } catch (e) {
+                                input.classList.add('invalid');
+                                throw new Error(input.dataset.path + ': ' + e.message);
+                            }
+                            break;
+                        default:
+                            value = input.value;
+                    }
+                    setPath(request, input.dataset.path, value);
+                });
+
+                return request;
+            }
+
+            function getRequest() {
+                if (!jsonMode) {
+                    return collectForm();
+                }
+
+                const jsonInput = document.getElementById('jsonInput');
+                jsonInput.classList.remove('invalid');
+                try {
+                    const parsed = JSON.parse(jsonInput.value || '{}');
+                    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+                        throw new Error('Request must be a JSON object');
+                    }
+                    return parsed;
+                } catch (e) {
+                    jsonInput.classList.add('invalid');
+                    throw e;
+                }
+            }
+
+            function setRequest(request) {
+                if (jsonMode) {
+                    document.getElementById('jsonInput').value = JSON.stringify(request, null, 2);
+                } else {
+                    buildForm(request);
+                }
+            }
+
+            function toggleMode() {
+                let request;
+                try {
+                    request = getRequest();
+                } catch (e) {
+                    setStatus('Invalid request: ' + e.message, true);
+                    return;
+                }
+
+                jsonMode = !jsonMode;
+                document.getElementById('requestForm').style.display = jsonMode ? 'none' : 'block';
+                document.getElementById('jsonInput').style.display = jsonMode ? 'block' : 'none';
+                document.getElementById('modeButton').textContent = jsonMode ? 'Edit as Form' : 'Edit as JSON';
+                setRequest(request);
+                setStatus('');
+            }
+
+            function resetRequest() {
+                setRequest(JSON.parse(JSON.stringify(template)));
+            }
+
+            function setStatus(text, isError) {
+                const status = document.getElementById('callStatus');
+                status.textContent = text;
+                status.className = isError ? 'status error' : 'status';
+            }
+
+            function callService() {
+                let request;
+                try {
+                    request = getRequest();
+                } catch (e) {
+                    setStatus('Invalid request: ' + e.message, true);
+                    return;
+                }
+                vscode.postMessage({ command: 'callService', request: request });
+            }
+
+            function copyResponse() {
+                vscode.postMessage({ command: 'copyResponse' });
+            }
+
+            function clearHistory() {
+                vscode.postMessage({ command: 'clearHistory' });
+            }
+
+            function rerun(index) {
+                vscode.postMessage({ command: 'rerun', index: index });
+            }
+
+            function renderTree(value, key, depth) {
+                if (value === null || typeof value !== 'object') {
+                    const leaf = document.createElement('div');
+                    leaf.className = 'tree-leaf';
+                    const keySpan = document.createElement('span');
+                    keySpan.className = 'tree-key';
+                    keySpan.textContent = key + ': ';
+                    const valueSpan = document.createElement('span');
+                    valueSpan.className = 'value-' + (value === null ? 'null' : typeof value);
+                    valueSpan.textContent = typeof value === 'string' ? JSON.stringify(value) : String(value);
+                    leaf.appendChild(keySpan);
+                    leaf.appendChild(valueSpan);
+                    return leaf;
+                }
+
+                const isArray = Array.isArray(value);
+                const entries = isArray ? value.map((item, index) => [index, item]) : Object.entries(value);
+
+                const details = document.createElement('details');
+                details.open = depth < 2 && entries.length <= 50;
+
+                const summary = document.createElement('summary');
+                const keySpan = document.createElement('span');
+                keySpan.className = 'tree-key';
+                keySpan.textContent = key + ' ';
+                const meta = document.createElement('span');
+                meta.className = 'tree-meta';
+                meta.textContent = isArray ? '[' + entries.length + ']' : '{' + entries.length + '}';
+                summary.appendChild(keySpan);
+                summary.appendChild(meta);
+                details.appendChild(summary);
+
+                entries.slice(0, MAX_TREE_CHILDREN).forEach(([childKey, childValue]) => {
+                    details.appendChild(renderTree(childValue, childKey, depth + 1));
+                });
+
+                if (entries.length > MAX_TREE_CHILDREN) {
+                    const more = document.createElement('div');
+                    more.className = 'tree-leaf tree-meta';
+                    more.textContent = '... ' + (entries.length - MAX_TREE_CHILDREN) + ' more';
+                    details.appendChild(more);
+                }
+
+                return details;
+            }
+
+            function showResponse(message) {
+                const container = document.getElementById('responseTree');
+                container.innerHTML = '';
+                document.getElementById('callButton').disabled = false;
+
+                if (message.error) {
+                    setStatus('Failed after ' + message.durationMs + ' ms', true);
+                    container.innerHTML = '<div class="empty"></div>';
+                    container.firstChild.textContent = message.error;
+                    document.getElementById('copyButton').disabled = true;
+                    return;
+                }
+
+                setStatus('Completed in ' + message.durationMs + ' ms');
+                container.appendChild(renderTree(message.result, 'response', 0));
+                document.getElementById('copyButton').disabled = false;
+            }
+
+            function updateHistory(history) {
+                const list = document.getElementById('historyList');
+                if (!history || history.length === 0) {
+                    list.innerHTML = '<div class="empty">No calls yet</div>';
+                    return;
+                }
+
+                list.innerHTML = '';
+                history.forEach((entry, index) => {
+                    const item = document.createElement('div');
+                    item.className = 'history-item';
+                    item.title = JSON.stringify(entry.request, null, 2);
+
+                    const info = document.createElement('span');
+                    const state = document.createElement('span');
+                    state.className = entry.success ? 'history-ok' : 'history-failed';
+                    state.textContent = entry.success ? 'OK' : 'FAILED';
+                    info.appendChild(state);
+                    info.appendChild(document.createTextNode(
+                        ' ' + new Date(entry.timestamp).toLocaleString() + ' \\u00b7 ' + entry.durationMs + ' ms'
+                    ));
+
+                    const actions = document.createElement('span');
+                    actions.className = 'row';
+                    const loadButton = document.createElement('button');
+                    loadButton.className = 'secondary';
+                    loadButton.textContent = 'Load';
+                    loadButton.onclick = () => setRequest(entry.request);
+                    const rerunButton = document.createElement('button');
+                    rerunButton.textContent = 'Re-run';
+                    rerunButton.onclick = () => rerun(index);
+                    actions.appendChild(loadButton);
+                    actions.appendChild(rerunButton);
+
+                    item.appendChild(info);
+                    item.appendChild(actions);
+                    list.appendChild(item);
+                });
+            }
+
+            window.addEventListener('message', event => {
+                const message = event.data;
+                switch (message.command) {
+                    case 'setDefinition':
+                        definition = message.definition || {};
+                        rootType = message.rootType;
+                        template = message.template || {};
+                        document.getElementById('typeInput').value = message.serviceType || '';
+                        document.getElementById('typeInput').placeholder = 'e.g., std_srvs/srv/Trigger';
+                        setRequest(JSON.parse(JSON.stringify(template)));
+                        break;
+                    case 'setRequest':
+                        setRequest(message.request);
+                        break;
+                    case 'callStarted':
+                        document.getElementById('callButton').disabled = true;
+                        setStatus('Calling...');
+                        break;
+                    case 'response':
+                        showResponse(message);
+                        break;
+                    case 'updateHistory':
+                        updateHistory(message.history);
+                        break;
+                }
+            });
+
+            vscode.postMessage({ command: 'ready' });
+        </script>
+    </body>
+    </html>`;
+  }
+
+  dispose() {
+    const panelKey = `service-${this._rosbridgeClient.url}-${this._serviceName}`;
+    ServiceWorkbenchPanel.panels.delete(panelKey);
+    this._disposed = true;
+
+    this._panel.dispose();
+
+    while (this._disposables.length) {
+      const disposable = this._disposables.pop();
+      if (disposable) {
+        disposable.dispose();
+      }
+    }
+  }
+
+  static disposeAll() {
+    if (ServiceWorkbenchPanel.panels && ServiceWorkbenchPanel.panels.size > 0) {
+      const panelsToDispose = Array.from(ServiceWorkbenchPanel.panels.values());
+      for (const panel of panelsToDispose) {
+        panel.dispose();
+      }
+      ServiceWorkbenchPanel.panels.clear();
+    }
+  }
+
+  static disposeForClient(rosbridgeClient) {
+    const panelsToDispose = Array.from(ServiceWorkbenchPanel.panels.values()).filter(
+      (panel) => panel._rosbridgeClient === rosbridgeClient
+    );
+    for (const panel of panelsToDispose) {
+      panel.dispose();
+    }
+  }
+}
+
+module.exports = ServiceWorkbenchPanel;
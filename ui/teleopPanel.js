@@ -0,0 +1,775 @@
+const vscode = require("vscode");
+const { getProfileSetting } = require("../utils/connectionProfiles");
+const { extensionHandle } = require("../utils/helpers");
+
+const PUBLISH_RATE_HZ = 10;
+// The webview repeats a held command every 100 ms; missing several in a row
+// means it stopped responding, so the robot is stopped.
+const DEADMAN_TIMEOUT_MS = 500;
+// Zero commands sent after a release, so one dropped message cannot leave
+// the robot moving.
+const STOP_REPEAT_COUNT = 3;
+
+const TWIST_TYPE = "geometry_msgs/msg/Twist";
+const TWIST_STAMPED_TYPE = "geometry_msgs/msg/TwistStamped";
+const MESSAGE_TYPES = [TWIST_TYPE, TWIST_STAMPED_TYPE];
+
+function clampAxis(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.max(-1, Math.min(1, number)) : 0;
+}
+
+class TeleopPanel {
+  static panels = new Map();
+
+  static createOrShow(extensionUri, rosbridgeClient) {
+    const column = vscode.window.activeTextEditor
+      ? vscode.window.activeTextEditor.viewColumn
+      : undefined;
+
+    const panelKey = rosbridgeClient.url;
+
+    if (TeleopPanel.panels.has(panelKey)) {
+      const existingPanel = TeleopPanel.panels.get(panelKey);
+      existingPanel._panel.reveal(column);
+      return existingPanel;
+    }
+
+    const panel = vscode.window.createWebviewPanel(
+      "rosTeleop",
+      `Teleop (${rosbridgeClient.getLabel()})`,
+      column || vscode.ViewColumn.One,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+      }
+    );
+
+    const teleopPanel = new TeleopPanel(panel, extensionUri, rosbridgeClient);
+    TeleopPanel.panels.set(panelKey, teleopPanel);
+    return teleopPanel;
+  }
+
+  constructor(panel, extensionUri, rosbridgeClient) {
+    this._panel = panel;
+    this._extensionUri = extensionUri;
+    this._rosbridgeClient = rosbridgeClient;
+    this._disposables = [];
+
+    const config = vscode.workspace.getConfiguration(extensionHandle);
+    const profile = rosbridgeClient.profile;
+    this._settings = {
+      topicName: getProfileSetting(
+        profile,
+        "teleopTopic",
+        config.get("teleopTopic", "/cmd_vel")
+      ),
+      messageType: config.get("teleopStamped", false)
+        ? TWIST_STAMPED_TYPE
+        : TWIST_TYPE,
+      maxLinear: getProfileSetting(
+        profile,
+        "teleopMaxLinearSpeed",
+        config.get("teleopMaxLinearSpeed", 0.5)
+      ),
+      maxAngular: getProfileSetting(
+        profile,
+        "teleopMaxAngularSpeed",
+        config.get("teleopMaxAngularSpeed", 1.0)
+      ),
+    };
+
+    // Normalised joystick axes in [-1, 1], scaled by the max speeds
+    this._axes = { linear: 0, angular: 0 };
+    this._lastInputTime = 0;
+    this._stopRepeats = 0;
+    this._sentCount = 0;
+    this._wasConnected = rosbridgeClient.isConnected();
+
+    this._panel.webview.html = this._getHtmlContent();
+    this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+
+    // Dead-man: hiding or leaving the panel stops the robot
+    this._panel.onDidChangeViewState(
+      ({ webviewPanel }) => {
+        if (!webviewPanel.active) {
+          this._stop("Panel lost focus");
+        }
+      },
+      null,
+      this._disposables
+    );
+
+    this._panel.webview.onDidReceiveMessage(
+      (message) => {
+        switch (message.command) {
+          case "ready":
+            this._postSettings();
+            this._postState();
+            break;
+          case "setAxes":
+            this._setAxes(message.linear, message.angular);
+            break;
+          case "stop":
+            this._stop(message.reason);
+            break;
+          case "setSettings":
+            this._updateSettings(message.settings);
+            break;
+        }
+      },
+      null,
+      this._disposables
+    );
+
+    this._publishInterval = setInterval(
+      () => this._tick(),
+      1000 / PUBLISH_RATE_HZ
+    );
+  }
+
+  _isMoving() {
+    return this._axes.linear !== 0 || this._axes.angular !== 0;
+  }
+
+  _setAxes(linear, angular) {
+    const wasMoving = this._isMoving();
+    this._axes = { linear: clampAxis(linear), angular: clampAxis(angular) };
+    this._lastInputTime = Date.now();
+
+    if (wasMoving && !this._isMoving()) {
+      this._stopRepeats = STOP_REPEAT_COUNT;
+    }
+  }
+
+  _stop(reason) {
+    const wasMoving = this._isMoving();
+    this._axes = { linear: 0, angular: 0 };
+
+    if (wasMoving) {
+      this._stopRepeats = STOP_REPEAT_COUNT;
+    }
+
+    this._panel.webview.postMessage({
+      command: "stopped",
+      reason: reason || null,
+    });
+  }
+
+  _updateSettings(settings) {
+    const topicName = String(settings.topicName || "").trim();
+    if (!topicName) {
+      vscode.window.showErrorMessage("Teleop topic name is required");
+      this._postSettings();
+      return;
+    }
+
+    const messageType = MESSAGE_TYPES.includes(settings.messageType)
+      ? settings.messageType
+      : TWIST_TYPE;
+
+    if (
+      topicName !== this._settings.topicName ||
+      messageType !== this._settings.messageType
+    ) {
+      // Never leave the old topic with a moving command on it
+      if (this._isMoving() || this._stopRepeats > 0) {
+        this._publish({ linear: 0, angular: 0 });
+      }
+      this._stop();
+      this._stopRepeats = 0;
+      this._rosbridgeClient.unadvertiseTopic(this._settings.topicName);
+    }
+
+    this._settings = {
+      topicName,
+      messageType,
+      maxLinear: Math.abs(parseFloat(settings.maxLinear)) || 0,
+      maxAngular: Math.abs(parseFloat(settings.maxAngular)) || 0,
+    };
+    this._postSettings();
+  }
+
+  _tick() {
+    const connected = this._rosbridgeClient.isConnected();
+    if (!connected) {
+      if (this._wasConnected) {
+        this._wasConnected = false;
+        this._stopRepeats = 0;
+        this._stop("Connection lost");
+      }
+      this._postState();
+      return;
+    }
+    this._wasConnected = true;
+
+    if (
+      this._isMoving() &&
+      Date.now() - this._lastInputTime > DEADMAN_TIMEOUT_MS
+    ) {
+      this._stop("No input from the panel");
+    }
+
+    if (this._isMoving()) {
+      this._publish(this._axes);
+    } else if (this._stopRepeats > 0) {
+      this._stopRepeats--;
+      this._publish(this._axes);
+    }
+
+    this._postState();
+  }
+
+  _createMessage({ linear, angular }) {
+    const twist = {
+      linear: { x: linear * this._settings.maxLinear, y: 0, z: 0 },
+      angular: { x: 0, y: 0, z: angular * this._settings.maxAngular },
+    };
+
+    if (this._settings.messageType !== TWIST_STAMPED_TYPE) {
+      return twist;
+    }
+
+    const now = Date.now();
+    return {
+      header: {
+        stamp: {
+          sec: Math.floor(now / 1000),
+          nanosec: (now % 1000) * 1000000,
+        },
+        frame_id: "",
+      },
+      twist,
+    };
+  }
+
+  _publish(axes) {
+    const published = this._rosbridgeClient.publishTopic(
+      this._settings.topicName,
+      this._settings.messageType,
+      this._createMessage(axes)
+    );
+
+    if (published) {
+      this._sentCount++;
+    }
+    return published;
+  }
+
+  _postSettings() {
+    this._panel.webview.postMessage({
+      command: "settings",
+      settings: this._settings,
+      messageTypes: MESSAGE_TYPES,
+      rate: PUBLISH_RATE_HZ,
+    });
+  }
+
+  _postState() {
+    this._panel.webview.postMessage({
+      command: "state",
+      connected: this._rosbridgeClient.isConnected(),
+      moving: this._isMoving(),
+      linear: this._axes.linear * this._settings.maxLinear,
+      angular: this._axes.angular * this._settings.maxAngular,
+      sentCount: this._sentCount,
+    });
+  }
+
+  _getHtmlContent() {
+    return `<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Teleop</title>
+        <style>
+            body {
+                font-family: var(--vscode-font-family);
+                font-size: var(--vscode-font-size);
+                color: var(--vscode-foreground);
+                background-color: var(--vscode-editor-background);
+                padding: 0;
+                margin: 0;
+            }
+
+            .header {
+                position: sticky;
+                top: 0;
+                background-color: var(--vscode-editor-background);
+                padding: 12px 20px;
+                border-bottom: 1px solid var(--vscode-widget-border);
+                z-index: 100;
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            }
+
+            .title {
+                font-size: 14px;
+                font-weight: 600;
+                margin: 0 12px 0 0;
+            }
+
+            .summary {
+                font-size: 12px;
+                color: var(--vscode-descriptionForeground);
+                margin-left: auto;
+            }
+
+            .summary.error {
+                color: var(--vscode-errorForeground);
+            }
+
+            .content {
+                display: flex;
+                gap: 20px;
+                padding: 12px 20px;
+                flex-wrap: wrap;
+            }
+
+            .section {
+                flex: 1;
+                min-width: 260px;
+            }
+
+            .section-title {
+                font-size: 13px;
+                font-weight: 600;
+                margin-bottom: 8px;
+                text-transform: uppercase;
+                color: var(--vscode-descriptionForeground);
+            }
+
+            .settings {
+                display: grid;
+                grid-template-columns: auto 1fr;
+                gap: 6px 10px;
+                align-items: center;
+                font-size: 12px;
+                margin-bottom: 16px;
+            }
+
+            input, select {
+                padding: 4px 6px;
+                background-color: var(--vscode-input-background);
+                color: var(--vscode-input-foreground);
+                border: 1px solid var(--vscode-input-border);
+                border-radius: 2px;
+                font-size: 13px;
+            }
+
+            input:focus, select:focus {
+                outline: 1px solid var(--vscode-focusBorder);
+                border-color: var(--vscode-focusBorder);
+            }
+
+            input[type="number"] {
+                width: 80px;
+            }
+
+            button {
+                padding: 4px 12px;
+                background-color: var(--vscode-button-background);
+                color: var(--vscode-button-foreground);
+                border: none;
+                border-radius: 2px;
+                cursor: pointer;
+                font-size: 12px;
+            }
+
+            button:hover {
+                background-color: var(--vscode-button-hoverBackground);
+            }
+
+            #joystick {
+                touch-action: none;
+                cursor: grab;
+                display: block;
+            }
+
+            .keys {
+                font-size: 12px;
+                color: var(--vscode-descriptionForeground);
+                line-height: 1.8;
+            }
+
+            kbd {
+                font-family: var(--vscode-editor-font-family);
+                padding: 0 4px;
+                border: 1px solid var(--vscode-widget-border);
+                border-radius: 3px;
+            }
+
+            kbd.active {
+                background-color: var(--vscode-button-background);
+                color: var(--vscode-button-foreground);
+            }
+
+            .stats {
+                display: flex;
+                gap: 24px;
+                margin-top: 12px;
+            }
+
+            .stat-value {
+                font-size: 20px;
+                font-weight: bold;
+                font-family: var(--vscode-editor-font-family);
+            }
+
+            .stat-label {
+                font-size: 12px;
+                color: var(--vscode-descriptionForeground);
+                text-transform: uppercase;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1 class="title">Teleop</h1>
+            <button id="stopButton" title="Stop the robot (Space)">Stop</button>
+            <span class="summary" id="summary"></span>
+        </div>
+
+        <div class="content">
+            <div class="section">
+                <div class="section-title">Joystick</div>
+                <canvas id="joystick" width="220" height="220"></canvas>
+                <div class="stats">
+                    <div>
+                        <div class="stat-value" id="linearValue">0.00</div>
+                        <div class="stat-label">Linear m/s</div>
+                    </div>
+                    <div>
+                        <div class="stat-value" id="angularValue">0.00</div>
+                        <div class="stat-label">Angular rad/s</div>
+                    </div>
+                    <div>
+                        <div class="stat-value" id="sentCount">0</div>
+                        <div class="stat-label">Messages Sent</div>
+                    </div>
+                </div>
+            </div>
+
+            <div class="section">
+                <div class="section-title">Settings</div>
+                <div class="settings">
+                    <label for="topicInput">Topic</label>
+                    <input type="text" id="topicInput" spellcheck="false">
+                    <label for="typeSelect">Message type</label>
+                    <select id="typeSelect"></select>
+                    <label for="maxLinearInput">Max linear (m/s)</label>
+                    <input type="number" id="maxLinearInput" min="0" step="0.05">
+                    <label for="maxAngularInput">Max angular (rad/s)</label>
+                    <input type="number" id="maxAngularInput" min="0" step="0.05">
+                </div>
+
+                <div class="section-title">Keyboard</div>
+                <div class="keys">
+                    <kbd data-key="forward">W</kbd> / <kbd data-key="forward">&uarr;</kbd> forward,
+                    <kbd data-key="backward">S</kbd> / <kbd data-key="backward">&darr;</kbd> backward<br>
+                    <kbd data-key="left">A</kbd> / <kbd data-key="left">&larr;</kbd> turn left,
+                    <kbd data-key="right">D</kbd> / <kbd data-key="right">&rarr;</kbd> turn right<br>
+                    <kbd>Space</kbd> stop. Keys work while this panel has focus.
+                </div>
+            </div>
+        </div>
+
+        <script>
+            const vscode = acquireVsCodeApi();
+
+            const KEY_DIRECTIONS = {
+                w: 'forward', arrowup: 'forward',
+                s: 'backward', arrowdown: 'backward',
+                a: 'left', arrowleft: 'left',
+                d: 'right', arrowright: 'right'
+            };
+            const REPEAT_MS = 100;
+
+            const pressed = new Set();
+            let stick = null;
+            let sentAxes = { linear: 0, angular: 0 };
+            let repeatTimer = null;
+            let settings = null;
+            let stopReason = null;
+
+            const joystick = document.getElementById('joystick');
+            const summary = document.getElementById('summary');
+
+            function currentAxes() {
+                if (stick) {
+                    return { linear: -stick.y, angular: -stick.x };
+                }
+                return {
+                    linear: (pressed.has('forward') ? 1 : 0) - (pressed.has('backward') ? 1 : 0),
+                    angular: (pressed.has('left') ? 1 : 0) - (pressed.has('right') ? 1 : 0)
+                };
+            }
+
+            // Held commands are repeated so the extension's dead-man timer
+            // only fires when the webview stops sending
+            function sendAxes() {
+                const axes = currentAxes();
+                const moving = axes.linear !== 0 || axes.angular !== 0;
+                const wasMoving = sentAxes.linear !== 0 || sentAxes.angular !== 0;
+                if (moving) {
+                    stopReason = null;
+                }
+                if (moving || wasMoving) {
+                    vscode.postMessage({ command: 'setAxes', linear: axes.linear, angular: axes.angular });
+                }
+                sentAxes = axes;
+                if (moving && !repeatTimer) {
+                    repeatTimer = setInterval(sendAxes, REPEAT_MS);
+                } else if (!moving && repeatTimer) {
+                    clearInterval(repeatTimer);
+                    repeatTimer = null;
+                }
+                updateKeyHints();
+                drawJoystick();
+            }
+
+            function release(reason) {
+                pressed.clear();
+                stick = null;
+                if (repeatTimer) {
+                    clearInterval(repeatTimer);
+                    repeatTimer = null;
+                }
+                sentAxes = { linear: 0, angular: 0 };
+                vscode.postMessage({ command: 'stop', reason: reason });
+                updateKeyHints();
+                drawJoystick();
+            }
+
+            function updateKeyHints() {
+                document.querySelectorAll('kbd[data-key]').forEach(kbd => {
+                    kbd.classList.toggle('active', pressed.has(kbd.dataset.key));
+                });
+            }
+
+            function drawJoystick() {
+                const ctx = joystick.getContext('2d');
+                const size = joystick.width;
+                const center = size / 2;
+                const radius = center - 20;
+                const style = getComputedStyle(document.body);
+                const axes = currentAxes();
+                ctx.clearRect(0, 0, size, size);
+
+                ctx.strokeStyle = style.getPropertyValue('--vscode-widget-border') || '#888';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(center, center, radius, 0, 2 * Math.PI);
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(center - radius, center);
+                ctx.lineTo(center + radius, center);
+                ctx.moveTo(center, center - radius);
+                ctx.lineTo(center, center + radius);
+                ctx.globalAlpha = 0.4;
+                ctx.stroke();
+                ctx.globalAlpha = 1;
+
+                ctx.fillStyle = style.getPropertyValue('--vscode-button-background') || '#0e639c';
+                ctx.beginPath();
+                ctx.arc(center - axes.angular * radius, center - axes.linear * radius, 18, 0, 2 * Math.PI);
+                ctx.fill();
+            }
+
+            function stickPosition(event) {
+                const rect = joystick.getBoundingClientRect();
+                const radius = joystick.width / 2 - 20;
+                let x = (event.clientX - rect.left - rect.width / 2) / radius;
+                let y = (event.clientY - rect.top - rect.height / 2) / radius;
+                const length = Math.hypot(x, y);
+                if (length > 1) {
+                    x /= length;
+                    y /= length;
+                }
+                return { x: x, y: y };
+            }
+
+            joystick.addEventListener('pointerdown', event => {
+                joystick.setPointerCapture(event.pointerId);
+                pressed.clear();
+                stick = stickPosition(event);
+                sendAxes();
+            });
+            joystick.addEventListener('pointermove', event => {
+                if (stick) {
+                    stick = stickPosition(event);
+                    sendAxes();
+                }
+            });
+            ['pointerup', 'pointercancel'].forEach(type => {
+                joystick.addEventListener(type, () => {
+                    if (stick) {
+                        stick = null;
+                        sendAxes();
+                    }
+                });
+            });
+
+            function isEditing(event) {
+                return ['INPUT', 'SELECT'].includes(event.target.tagName);
+            }
+
+            window.addEventListener('keydown', event => {
+                if (isEditing(event)) {
+                    return;
+                }
+                if (event.key === ' ') {
+                    event.preventDefault();
+                    release();
+                    return;
+                }
+                const direction = KEY_DIRECTIONS[event.key.toLowerCase()];
+                if (!direction) {
+                    return;
+                }
+                event.preventDefault();
+                if (!pressed.has(direction)) {
+                    stick = null;
+                    pressed.add(direction);
+                    sendAxes();
+                }
+            });
+            window.addEventListener('keyup', event => {
+                const direction = KEY_DIRECTIONS[event.key.toLowerCase()];
+                if (direction && pressed.delete(direction)) {
+                    sendAxes();
+                }
+            });
+
+            // Dead-man: keys and the joystick are released when focus leaves
+            window.addEventListener('blur', () => release('Panel lost focus'));
+            document.addEventListener('visibilitychange', () => {
+                if (document.hidden) {
+                    release('Panel hidden');
+                }
+            });
+
+            document.getElementById('stopButton').addEventListener('click', () => release());
+
+            function sendSettings() {
+                vscode.postMessage({
+                    command: 'setSettings',
+                    settings: {
+                        topicName: document.getElementById('topicInput').value,
+                        messageType: document.getElementById('typeSelect').value,
+                        maxLinear: document.getElementById('maxLinearInput').value,
+                        maxAngular: document.getElementById('maxAngularInput').value
+                    }
+                });
+            }
+
+            ['topicInput', 'typeSelect', 'maxLinearInput', 'maxAngularInput'].forEach(id => {
+                document.getElementById(id).addEventListener('change', sendSettings);
+            });
+
+            function applySettings(message) {
+                settings = message.settings;
+                const select = document.getElementById('typeSelect');
+                if (select.options.length !== message.messageTypes.length) {
+                    select.innerHTML = '';
+                    message.messageTypes.forEach(type => {
+                        const option = document.createElement('option');
+                        option.value = type;
+                        option.textContent = type;
+                        select.appendChild(option);
+                    });
+                }
+                select.value = settings.messageType;
+                document.getElementById('topicInput').value = settings.topicName;
+                document.getElementById('maxLinearInput').value = settings.maxLinear;
+                document.getElementById('maxAngularInput').value = settings.maxAngular;
+                summary.dataset.rate = message.rate;
+            }
+
+            function applyState(message) {
+                document.getElementById('linearValue').textContent = message.linear.toFixed(2);
+                document.getElementById('angularValue').textContent = message.angular.toFixed(2);
+                document.getElementById('sentCount').textContent = message.sentCount;
+                summary.classList.toggle('error', !message.connected);
+                if (!message.connected) {
+                    summary.textContent = 'Disconnected';
+                } else if (!message.moving && stopReason) {
+                    summary.textContent = 'Stopped: ' + stopReason;
+                } else if (settings) {
+                    summary.textContent = (message.moving ? 'Publishing to ' : 'Idle on ') +
+                        settings.topicName + ' @ ' + summary.dataset.rate + ' Hz';
+                }
+            }
+
+            window.addEventListener('message', event => {
+                const message = event.data;
+                switch (message.command) {
+                    case 'settings':
+                        applySettings(message);
+                        break;
+                    case 'state':
+                        applyState(message);
+                        break;
+                    case 'stopped':
+                        stopReason = message.reason;
+                        pressed.clear();
+                        stick = null;
+                        if (repeatTimer) {
+                            clearInterval(repeatTimer);
+                            repeatTimer = null;
+                        }
+                        sentAxes = { linear: 0, angular: 0 };
+                        updateKeyHints();
+                        drawJoystick();
+                        break;
+                }
+            });
+
+            drawJoystick();
+            vscode.postMessage({ command: 'ready' });
+        </script>
+    </body>
+    </html>`;
+  }
+
+  dispose() {
+    TeleopPanel.panels.delete(this._rosbridgeClient.url);
+
+    clearInterval(this._publishInterval);
+
+    if (this._rosbridgeClient.isConnected()) {
+      this._publish({ linear: 0, angular: 0 });
+      this._rosbridgeClient.unadvertiseTopic(this._settings.topicName);
+    }
+
+    this._panel.dispose();
+
+    while (this._disposables.length) {
+      const disposable = this._disposables.pop();
+      if (disposable) {
+        disposable.dispose();
+      }
+    }
+  }
+
+  static disposeAll() {
+    if (TeleopPanel.panels && TeleopPanel.panels.size > 0) {
+      const panelsToDispose = Array.from(TeleopPanel.panels.values());
+      for (const panel of panelsToDispose) {
+        panel.dispose();
+      }
+      TeleopPanel.panels.clear();
+    }
+  }
+
+  static disposeForClient(rosbridgeClient) {
+    const panel = TeleopPanel.panels.get(rosbridgeClient.url);
+    if (panel) {
+      panel.dispose();
+    }
+  }
+}
+
+module.exports = TeleopPanel;
@@ -0,0 +1,701 @@
+const vscode = require("vscode");
+const {
+  TF_MESSAGE_TYPE,
+  TF_TOPICS,
+  TfTree,
+  quaternionToRpy,
+} = require("../utils/tfTree");
+
+const UPDATE_INTERVAL_MS = 500;
+const STALE_AFTER_MS = 2000;
+
+class TfPanel {
+  static panels = new Map();
+
+  static createOrShow(extensionUri, rosbridgeClient) {
+    const column = vscode.window.activeTextEditor
+      ? vscode.window.activeTextEditor.viewColumn
+      : undefined;
+
+    const panelKey = rosbridgeClient.url;
+
+    if (TfPanel.panels.has(panelKey)) {
+      const existingPanel = TfPanel.panels.get(panelKey);
+      existingPanel._panel.reveal(column);
+      return existingPanel;
+    }
+
+    const panel = vscode.window.createWebviewPanel(
+      "rosTfViewer",
+      `TF Tree (${rosbridgeClient.getLabel()})`,
+      column || vscode.ViewColumn.One,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+      }
+    );
+
+    const tfPanel = new TfPanel(panel, extensionUri, rosbridgeClient);
+    TfPanel.panels.set(panelKey, tfPanel);
+    return tfPanel;
+  }
+
+  constructor(panel, extensionUri, rosbridgeClient) {
+    this._panel = panel;
+    this._extensionUri = extensionUri;
+    this._rosbridgeClient = rosbridgeClient;
+    this._disposables = [];
+    this._tfTree = new TfTree();
+    this._listeners = new Map();
+    this._lookup = { targetFrame: null, sourceFrame: null };
+
+    this._panel.webview.html = this._getHtmlContent();
+    this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+
+    this._panel.webview.onDidReceiveMessage(
+      (message) => {
+        switch (message.command) {
+          case "ready":
+            this._postUpdate();
+            break;
+          case "setLookup":
+            this._lookup = {
+              targetFrame: message.targetFrame || null,
+              sourceFrame: message.sourceFrame || null,
+            };
+            this._postUpdate();
+            break;
+          case "clear":
+            this._tfTree.clear();
+            this._resubscribe();
+            this._postUpdate();
+            break;
+        }
+      },
+      null,
+      this._disposables
+    );
+
+    this._subscribe();
+
+    this._updateInterval = setInterval(
+      () => this._postUpdate(),
+      UPDATE_INTERVAL_MS
+    );
+  }
+
+  _subscribe() {
+    TF_TOPICS.forEach(({ name, isStatic }) => {
+      const listener = (msg) => this._tfTree.update(msg, isStatic);
+      const topic = this._rosbridgeClient.addTopicListener(
+        name,
+        TF_MESSAGE_TYPE,
+        listener
+      );
+
+      if (topic) {
+        this._listeners.set(name, listener);
+      } else {
+        this._rosbridgeClient.removeTopicListener(name, listener);
+      }
+    });
+  }
+
+  _unsubscribe() {
+    this._listeners.forEach((listener, topicName) => {
+      this._rosbridgeClient.removeTopicListener(topicName, listener);
+    });
+    this._listeners.clear();
+  }
+
+  // Latched /tf_static transforms are only delivered on a new subscription,
+  // so clearing the tree subscribes again to get them back.
+  _resubscribe() {
+    this._unsubscribe();
+    this._subscribe();
+  }
+
+  _postUpdate() {
+    const tfTree = this._tfTree;
+    const now = Date.now();
+    const frameNames = tfTree.getFrameNames();
+
+    // Frames outside the largest tree are reported as disconnected.
+    const rootSizes = new Map();
+    const roots = new Map();
+    frameNames.forEach((name) => {
+      const root = tfTree.getRoot(name);
+      roots.set(name, root);
+      rootSizes.set(root, (rootSizes.get(root) || 0) + 1);
+    });
+
+    let mainRoot = null;
+    rootSizes.forEach((size, root) => {
+      if (
+        root !== null &&
+        (mainRoot === null || size > rootSizes.get(mainRoot))
+      ) {
+        mainRoot = root;
+      }
+    });
+
+    const frames = frameNames.map((name) => {
+      const frame = tfTree.frames.get(name);
+      return {
+        name,
+        parent: frame ? frame.parent : null,
+        isStatic: frame ? frame.isStatic : false,
+        rate: frame ? tfTree.getRate(name, now) : null,
+        age: frame ? now - frame.lastUpdateTime : null,
+        stale: tfTree.isStale(name, STALE_AFTER_MS, now),
+        loop: roots.get(name) === null,
+        disconnected: roots.get(name) !== mainRoot,
+      };
+    });
+
+    this._panel.webview.postMessage({
+      command: "update",
+      connected: this._rosbridgeClient.isConnected(),
+      subscribed: this._listeners.size > 0,
+      frames,
+      lookup: this._computeLookup(),
+    });
+  }
+
+  _computeLookup() {
+    const { targetFrame, sourceFrame } = this._lookup;
+    if (!targetFrame || !sourceFrame) {
+      return null;
+    }
+
+    try {
+      const transform = this._tfTree.lookupTransform(targetFrame, sourceFrame);
+      return {
+        targetFrame,
+        sourceFrame,
+        translation: transform.translation,
+        rotation: transform.rotation,
+        rpy: quaternionToRpy(transform.rotation),
+      };
+    } catch (error) {
+      return { targetFrame, sourceFrame, error: error.message };
+    }
+  }
+
+  _getHtmlContent() {
+    return `<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>TF Tree</title>
+        <style>
+            body {
+                font-family: var(--vscode-font-family);
+                font-size: var(--vscode-font-size);
+                color: var(--vscode-foreground);
+                background-color: var(--vscode-editor-background);
+                padding: 0;
+                margin: 0;
+            }
+
+            .header {
+                position: sticky;
+                top: 0;
+                background-color: var(--vscode-editor-background);
+                padding: 12px 20px;
+                border-bottom: 1px solid var(--vscode-widget-border);
+                z-index: 100;
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            }
+
+            .title {
+                font-size: 14px;
+                font-weight: 600;
+                margin: 0 12px 0 0;
+            }
+
+            .summary {
+                font-size: 12px;
+                color: var(--vscode-descriptionForeground);
+                margin-left: auto;
+            }
+
+            .content {
+                display: flex;
+                gap: 20px;
+                padding: 12px 20px;
+                flex-wrap: wrap;
+            }
+
+            .section {
+                flex: 1;
+                min-width: 320px;
+            }
+
+            .section-title {
+                font-size: 13px;
+                font-weight: 600;
+                margin-bottom: 8px;
+                text-transform: uppercase;
+                color: var(--vscode-descriptionForeground);
+            }
+
+            button.secondary {
+                padding: 4px 12px;
+                border: none;
+                border-radius: 2px;
+                cursor: pointer;
+                font-size: 12px;
+                background-color: var(--vscode-button-secondaryBackground);
+                color: var(--vscode-button-secondaryForeground);
+            }
+
+            button.secondary:hover {
+                background-color: var(--vscode-button-secondaryHoverBackground);
+            }
+
+            select {
+                padding: 4px 6px;
+                background-color: var(--vscode-input-background);
+                color: var(--vscode-input-foreground);
+                border: 1px solid var(--vscode-input-border);
+                border-radius: 2px;
+                font-size: 13px;
+                min-width: 160px;
+            }
+
+            ul.frame-tree {
+                list-style: none;
+                padding-left: 18px;
+                margin: 0;
+            }
+
+            ul.frame-tree.root {
+                padding-left: 0;
+            }
+
+            .frame {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 2px 4px;
+                border-radius: 2px;
+                cursor: pointer;
+                font-size: 12px;
+            }
+
+            .frame:hover {
+                background-color: var(--vscode-list-hoverBackground);
+            }
+
+            .frame.selected {
+                background-color: var(--vscode-list-activeSelectionBackground);
+                color: var(--vscode-list-activeSelectionForeground);
+            }
+
+            .frame-name {
+                font-family: var(--vscode-editor-font-family);
+            }
+
+            .badge {
+                font-size: 10px;
+                padding: 0 5px;
+                border-radius: 8px;
+                background-color: var(--vscode-badge-background);
+                color: var(--vscode-badge-foreground);
+            }
+
+            .badge.warning {
+                background-color: var(--vscode-editorWarning-foreground);
+                color: var(--vscode-editor-background);
+            }
+
+            .badge.error {
+                background-color: var(--vscode-errorForeground);
+                color: var(--vscode-editor-background);
+            }
+
+            .frame-stats {
+                color: var(--vscode-descriptionForeground);
+            }
+
+            .lookup-controls {
+                display: grid;
+                grid-template-columns: auto 1fr;
+                gap: 6px 10px;
+                align-items: center;
+                margin-bottom: 12px;
+                font-size: 12px;
+            }
+
+            table {
+                border-collapse: collapse;
+                font-size: 12px;
+                font-family: var(--vscode-editor-font-family);
+            }
+
+            td {
+                padding: 3px 10px 3px 0;
+            }
+
+            td.label {
+                color: var(--vscode-descriptionForeground);
+                font-family: var(--vscode-font-family);
+            }
+
+            td.value {
+                text-align: right;
+                min-width: 80px;
+            }
+
+            .error-message {
+                color: var(--vscode-errorForeground);
+                font-size: 12px;
+            }
+
+            .empty {
+                color: var(--vscode-descriptionForeground);
+                font-style: italic;
+                font-size: 12px;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1 class="title">TF Tree</h1>
+            <button class="secondary" id="clearButton" title="Forget all frames and resubscribe">Clear</button>
+            <span class="summary" id="summary"></span>
+        </div>
+
+        <div class="content">
+            <div class="section">
+                <div class="section-title">Frames</div>
+                <div id="frameTree"><div class="empty">Waiting for /tf and /tf_static...</div></div>
+            </div>
+
+            <div class="section">
+                <div class="section-title">Transform Lookup</div>
+                <div class="lookup-controls">
+                    <label for="targetFrame">Target frame</label>
+                    <select id="targetFrame"></select>
+                    <label for="sourceFrame">Source frame</label>
+                    <select id="sourceFrame"></select>
+                    <span></span>
+                    <div><button class="secondary" id="swapButton">Swap</button></div>
+                </div>
+                <div id="lookupResult" class="empty">Pick two frames to see the transform between them</div>
+            </div>
+        </div>
+
+        <script>
+            const vscode = acquireVsCodeApi();
+
+            let frames = [];
+            let selection = { targetFrame: '', sourceFrame: '' };
+
+            function formatRate(rate) {
+                return rate === null ? '' : rate.toFixed(rate < 10 ? 2 : 1) + ' Hz';
+            }
+
+            function formatAge(ageMs) {
+                if (ageMs === null) {
+                    return '';
+                }
+                return ageMs < 1000 ? ageMs + ' ms ago' : (ageMs / 1000).toFixed(1) + ' s ago';
+            }
+
+            function sendLookup() {
+                vscode.postMessage({
+                    command: 'setLookup',
+                    targetFrame: selection.targetFrame,
+                    sourceFrame: selection.sourceFrame
+                });
+            }
+
+            function fillSelect(select, names, value) {
+                const options = [''].concat(names);
+                if (select.options.length !== options.length ||
+                    Array.from(select.options).some((option, index) => option.value !== options[index])) {
+                    select.innerHTML = '';
+                    options.forEach(name => {
+                        const option = document.createElement('option');
+                        option.value = name;
+                        option.textContent = name || '(select)';
+                        select.appendChild(option);
+                    });
+                }
+                select.value = names.includes(value) ? value : '';
+            }
+
+            function createFrameRow(frame) {
+                const row = document.createElement('div');
+                row.className = 'frame';
+                if (frame.name === selection.sourceFrame) {
+                    row.classList.add('selected');
+                }
+                row.title = frame.parent
+                    ? frame.parent + ' \\u2192 ' + frame.name
+                    : frame.name + ' has no parent transform';
+
+                const name = document.createElement('span');
+                name.className = 'frame-name';
+                name.textContent = frame.name;
+                row.appendChild(name);
+
+                const addBadge = (text, kind, title) => {
+                    const badge = document.createElement('span');
+                    badge.className = 'badge' + (kind ? ' ' + kind : '');
+                    badge.textContent = text;
+                    if (title) {
+                        badge.title = title;
+                    }
+                    row.appendChild(badge);
+                };
+
+                if (frame.isStatic) {
+                    addBadge('static');
+                }
+                if (frame.stale) {
+                    addBadge('stale', 'warning', 'No update for several publish periods');
+                }
+                if (frame.loop) {
+                    addBadge('loop', 'error', 'Parent links form a cycle');
+                } else if (frame.disconnected) {
+                    addBadge('disconnected', 'error', 'Not connected to the main tree');
+                }
+
+                const stats = document.createElement('span');
+                stats.className = 'frame-stats';
+                stats.textContent = frame.isStatic
+                    ? ''
+                    : [formatRate(frame.rate), formatAge(frame.age)].filter(Boolean).join(' \\u00B7 ');
+                row.appendChild(stats);
+
+                row.addEventListener('click', () => {
+                    selection.sourceFrame = frame.name;
+                    if (!selection.targetFrame) {
+                        const root = frames.find(other => !other.parent && !other.disconnected);
+                        selection.targetFrame = root ? root.name : '';
+                    }
+                    sendLookup();
+                    render();
+                });
+
+                return row;
+            }
+
+            function renderTree() {
+                const container = document.getElementById('frameTree');
+                if (frames.length === 0) {
+                    container.innerHTML = '<div class="empty">Waiting for /tf and /tf_static...</div>';
+                    return;
+                }
+
+                const children = new Map();
+                frames.forEach(frame => {
+                    if (frame.parent) {
+                        if (!children.has(frame.parent)) {
+                            children.set(frame.parent, []);
+                        }
+                        children.get(frame.parent).push(frame);
+                    }
+                });
+
+                const visited = new Set();
+                const build = (frame) => {
+                    visited.add(frame.name);
+                    const item = document.createElement('li');
+                    item.appendChild(createFrameRow(frame));
+                    const kids = (children.get(frame.name) || []).filter(kid => !visited.has(kid.name));
+                    if (kids.length > 0) {
+                        const list = document.createElement('ul');
+                        list.className = 'frame-tree';
+                        kids.forEach(kid => list.appendChild(build(kid)));
+                        item.appendChild(list);
+                    }
+                    return item;
+                };
+
+                const rootList = document.createElement('ul');
+                rootList.className = 'frame-tree root';
+                frames
+                    .filter(frame => !frame.parent)
+                    .sort((a, b) => Number(a.disconnected) - Number(b.disconnected))
+                    .forEach(frame => rootList.appendChild(build(frame)));
+
+                // Frames caught in a parent loop have no root; list them flat.
+                frames
+                    .filter(frame => !visited.has(frame.name))
+                    .forEach(frame => {
+                        const item = document.createElement('li');
+                        item.appendChild(createFrameRow(frame));
+                        rootList.appendChild(item);
+                    });
+
+                container.innerHTML = '';
+                container.appendChild(rootList);
+            }
+
+            function formatValue(value) {
+                return (value >= 0 ? ' ' : '') + value.toFixed(4);
+            }
+
+            function renderLookup(lookup) {
+                const container = document.getElementById('lookupResult');
+
+                if (!lookup) {
+                    container.className = 'empty';
+                    container.textContent = 'Pick two frames to see the transform between them';
+                    return;
+                }
+
+                if (lookup.error) {
+                    container.className = 'error-message';
+                    container.textContent = lookup.error;
+                    return;
+                }
+
+                const [x, y, z] = lookup.translation;
+                const [qx, qy, qz, qw] = lookup.rotation;
+                const [roll, pitch, yaw] = lookup.rpy;
+                const degrees = value => (value * 180 / Math.PI).toFixed(2) + '\\u00B0';
+
+                const rows = [
+                    ['Translation', [x, y, z].map(formatValue), ['x', 'y', 'z']],
+                    ['Quaternion', [qx, qy, qz, qw].map(formatValue), ['x', 'y', 'z', 'w']],
+                    ['RPY (rad)', [roll, pitch, yaw].map(formatValue), ['roll', 'pitch', 'yaw']],
+                    ['RPY (deg)', [roll, pitch, yaw].map(degrees), ['roll', 'pitch', 'yaw']]
+                ];
+
+                const table = document.createElement('table');
+                rows.forEach(([label, values, names]) => {
+                    const header = document.createElement('tr');
+                    const headerLabel = document.createElement('td');
+                    header.appendChild(headerLabel);
+                    names.forEach(name => {
+                        const cell = document.createElement('td');
+                        cell.className = 'label value';
+                        cell.textContent = name;
+                        header.appendChild(cell);
+                    });
+
+                    const row = document.createElement('tr');
+                    const labelCell = document.createElement('td');
+                    labelCell.className = 'label';
+                    labelCell.textContent = label;
+                    row.appendChild(labelCell);
+                    values.forEach(value => {
+                        const cell = document.createElement('td');
+                        cell.className = 'value';
+                        cell.textContent = value;
+                        row.appendChild(cell);
+                    });
+
+                    table.appendChild(header);
+                    table.appendChild(row);
+                });
+
+                const caption = document.createElement('div');
+                caption.className = 'empty';
+                caption.style.marginBottom = '6px';
+                caption.textContent = 'Pose of ' + lookup.sourceFrame + ' in ' + lookup.targetFrame;
+
+                container.className = '';
+                container.innerHTML = '';
+                container.appendChild(caption);
+                container.appendChild(table);
+            }
+
+            function render(lookup) {
+                const names = frames.map(frame => frame.name);
+                fillSelect(document.getElementById('targetFrame'), names, selection.targetFrame);
+                fillSelect(document.getElementById('sourceFrame'), names, selection.sourceFrame);
+                renderTree();
+                if (lookup !== undefined) {
+                    renderLookup(lookup);
+                }
+            }
+
+            document.getElementById('targetFrame').addEventListener('change', event => {
+                selection.targetFrame = event.target.value;
+                sendLookup();
+            });
+
+            document.getElementById('sourceFrame').addEventListener('change', event => {
+                selection.sourceFrame = event.target.value;
+                sendLookup();
+                render();
+            });
+
+            document.getElementById('swapButton').addEventListener('click', () => {
+                selection = { targetFrame: selection.sourceFrame, sourceFrame: selection.targetFrame };
+                sendLookup();
+                render();
+            });
+
+            document.getElementById('clearButton').addEventListener('click', () => {
+                vscode.postMessage({ command: 'clear' });
+            });
+
+            window.addEventListener('message', event => {
+                const message = event.data;
+                switch (message.command) {
+                    case 'update': {
+                        frames = message.frames;
+                        const stale = frames.filter(frame => frame.stale).length;
+                        const disconnected = frames.filter(frame => frame.disconnected).length;
+                        document.getElementById('summary').textContent = !message.connected
+                            ? 'Not connected'
+                            : !message.subscribed
+                                ? 'Not subscribed to /tf'
+                                : frames.length + ' frames, ' + stale + ' stale, ' + disconnected + ' disconnected';
+                        render(message.lookup);
+                        break;
+                    }
+                }
+            });
+
+            vscode.postMessage({ command: 'ready' });
+        </script>
+    </body>
+    </html>`;
+  }
+
+  dispose() {
+    TfPanel.panels.delete(this._rosbridgeClient.url);
+
+    clearInterval(this._updateInterval);
+    this._unsubscribe();
+
+    this._panel.dispose();
+
+    while (this._disposables.length) {
+      const disposable = this._disposables.pop();
+      if (disposable) {
+        disposable.dispose();
+      }
+    }
+  }
+
+  static disposeAll() {
+    if (TfPanel.panels && TfPanel.panels.size > 0) {
+      const panelsToDispose = Array.from(TfPanel.panels.values());
+      for (const panel of panelsToDispose) {
+        panel.dispose();
+      }
+      TfPanel.panels.clear();
+    }
+  }
+
+  static disposeForClient(rosbridgeClient) {
+    const panel = TfPanel.panels.get(rosbridgeClient.url);
+    if (panel) {
+      panel.dispose();
+    }
+  }
+}
+
+module.exports = TfPanel;
@@ -0,0 +1,725 @@
+const vscode = require("vscode");
+
+const UPDATE_INTERVAL_MS = 1000;
+const TOPIC_LIST_INTERVAL_MS = 5000;
+const RATE_WINDOW_MS = 10000;
+const MAX_LATEST_VALUE_LENGTH = 20000;
+const MAX_ARRAY_PREVIEW = 32;
+
+// Hz is measured from the monitor's own listeners, so rosbridge must pass
+// every message through.
+const MONITOR_THROTTLE_RATE = 0;
+
+// Large arrays (images, scans, clouds) are cut down before being shown as
+// the latest value so the table stays responsive.
+function summarizeMessage(value) {
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+    const items = Array.from(value.slice(0, MAX_ARRAY_PREVIEW)).map(
+      summarizeMessage
+    );
+    if (value.length > MAX_ARRAY_PREVIEW) {
+      items.push(`... ${value.length - MAX_ARRAY_PREVIEW} more`);
+    }
+    return items;
+  }
+
+  if (typeof value === "string" && value.length > 1000) {
+    return `${value.slice(0, 1000)}... (${value.length} chars)`;
+  }
+
+  if (value && typeof value === "object") {
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      result[key] = summarizeMessage(value[key]);
+    });
+    return result;
+  }
+
+  return value;
+}
+
+class TopicMonitorPanel {
+  static panels = new Map();
+
+  // `topicRates` are fed by tree subscriptions; `recordMessage(rates,
+  // topicName, msg)` adds a message to a rate table.
+  static createOrShow(
+    extensionUri,
+    rosbridgeClient,
+    topicRates,
+    recordMessage
+  ) {
+    const column = vscode.window.activeTextEditor
+      ? vscode.window.activeTextEditor.viewColumn
+      : undefined;
+
+    const panelKey = rosbridgeClient.url;
+
+    if (TopicMonitorPanel.panels.has(panelKey)) {
+      const existingPanel = TopicMonitorPanel.panels.get(panelKey);
+      existingPanel._panel.reveal(column);
+      return existingPanel;
+    }
+
+    const panel = vscode.window.createWebviewPanel(
+      "rosTopicMonitor",
+      `Topic Monitor (${rosbridgeClient.getLabel()})`,
+      column || vscode.ViewColumn.One,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+      }
+    );
+
+    const monitorPanel = new TopicMonitorPanel(
+      panel,
+      extensionUri,
+      rosbridgeClient,
+      topicRates,
+      recordMessage
+    );
+
+    TopicMonitorPanel.panels.set(panelKey, monitorPanel);
+    return monitorPanel;
+  }
+
+  constructor(
+    panel,
+    extensionUri,
+    rosbridgeClient,
+    topicRates,
+    recordMessage
+  ) {
+    this._panel = panel;
+    this._extensionUri = extensionUri;
+    this._rosbridgeClient = rosbridgeClient;
+    this._topicRates = topicRates;
+    this._recordMessage = recordMessage;
+    this._disposables = [];
+    this._topics = [];
+    this._monitorListeners = new Map();
+    this._monitorRates = new Map();
+    this._expandedTopics = new Set();
+    this._lastTraffic = null;
+    this._lastUpdateTime = null;
+
+    this._panel.webview.html = this._getHtmlContent();
+    this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+
+    this._panel.webview.onDidReceiveMessage(
+      (message) => {
+        switch (message.command) {
+          case "ready":
+            this._refreshTopics();
+            break;
+          case "refresh":
+            this._refreshTopics();
+            break;
+          case "setMonitored":
+            this._setMonitored(message.topicName, message.monitored);
+            this._postUpdate();
+            break;
+          case "setExpanded":
+            if (message.expanded) {
+              this._expandedTopics.add(message.topicName);
+            } else {
+              this._expandedTopics.delete(message.topicName);
+            }
+            this._postUpdate();
+            break;
+        }
+      },
+      null,
+      this._disposables
+    );
+
+    this._updateInterval = setInterval(
+      () => this._postUpdate(),
+      UPDATE_INTERVAL_MS
+    );
+    this._topicListInterval = setInterval(
+      () => this._refreshTopics(),
+      TOPIC_LIST_INTERVAL_MS
+    );
+  }
+
+  _refreshTopics() {
+    if (!this._rosbridgeClient.isConnected()) {
+      return;
+    }
+
+    this._rosbridgeClient.getTopics((topics) => {
+      this._topics = (topics || []).sort((a, b) =>
+        a.name.localeCompare(b.name)
+      );
+      this._postUpdate();
+    });
+  }
+
+  // Monitoring listens alongside any tree subscription, so ticking or
+  // unticking a topic in the tree does not affect the monitor. Monitored
+  // topics keep their own rate table, unthrottled.
+  _setMonitored(topicName, monitored) {
+    const client = this._rosbridgeClient;
+    const existingListener = this._monitorListeners.get(topicName);
+
+    if (!monitored) {
+      if (existingListener) {
+        client.removeTopicListener(topicName, existingListener);
+      }
+      this._monitorListeners.delete(topicName);
+      this._monitorRates.delete(topicName);
+      return;
+    }
+
+    if (existingListener) {
+      return;
+    }
+
+    const topicInfo = this._topics.find((topic) => topic.name === topicName);
+    const listener = (msg) =>
+      this._recordMessage(this._monitorRates, topicName, msg);
+    const topic = client.addTopicListener(
+      topicName,
+      topicInfo ? topicInfo.type : undefined,
+      listener,
+      { throttleRate: MONITOR_THROTTLE_RATE }
+    );
+
+    if (topic) {
+      this._monitorListeners.set(topicName, listener);
+    } else {
+      client.removeTopicListener(topicName, listener);
+      vscode.window.showErrorMessage(`Failed to monitor ${topicName}`);
+    }
+  }
+
+  _postUpdate() {
+    const client = this._rosbridgeClient;
+    const now = Date.now();
+
+    const traffic = client.getTrafficStats();
+    const seconds = this._lastUpdateTime
+      ? (now - this._lastUpdateTime) / 1000
+      : 0;
+
+    const rows = this._topics.map((topic) => {
+      const monitored = this._monitorListeners.has(topic.name);
+      const subscription = client.topics.get(topic.name);
+      const rateInfo = monitored
+        ? this._monitorRates.get(topic.name)
+        : this._topicRates.get(topic.name);
+
+      let hz = null;
+      let age = null;
+      let bandwidth = null;
+      let latest;
+
+      if (rateInfo) {
+        const recent = rateInfo.recentMessageTimes.filter(
+          (time) => now - time <= RATE_WINDOW_MS
+        );
+        hz =
+          recent.length > 1
+            ? recent.length / ((now - recent[0]) / 1000)
+            : recent.length === 0
+            ? 0
+            : null;
+        age = now - rateInfo.lastMessageTime;
+
+        if (this._expandedTopics.has(topic.name)) {
+          latest = this._formatLatestValue(rateInfo.lastMessage);
+        }
+      }
+
+      if ((monitored || subscription) && this._lastTraffic && seconds > 0) {
+        const previous = this._lastTraffic.topicBytesIn.get(topic.name) || 0;
+        const current = traffic.topicBytesIn.get(topic.name) || 0;
+        bandwidth = Math.max(0, (current - previous) / seconds);
+      }
+
+      return {
+        name: topic.name,
+        type: topic.type,
+        hz,
+        bandwidth,
+        age,
+        monitored,
+        subscribed: Boolean(subscription),
+        throttleRate: monitored
+          ? MONITOR_THROTTLE_RATE
+          : subscription
+          ? subscription.throttle_rate
+          : null,
+        latest,
+      };
+    });
+
+    this._lastTraffic = traffic;
+    this._lastUpdateTime = now;
+
+    this._panel.webview.postMessage({
+      command: "update",
+      connected: client.isConnected(),
+      rows,
+    });
+  }
+
+  _formatLatestValue(message) {
+    if (message === undefined) {
+      return "No message received yet";
+    }
+
+    let text;
+    try {
+      text = JSON.stringify(summarizeMessage(message), null, 2);
+    } catch (error) {
+      text = `[Unable to display message: ${error.message}]`;
+    }
+
+    return text.length > MAX_LATEST_VALUE_LENGTH
+      ? `${text.slice(0, MAX_LATEST_VALUE_LENGTH)}\n... (truncated)`
+      : text;
+  }
+
+  _getHtmlContent() {
+    return `<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Topic Monitor</title>
+        <style>
+            body {
+                font-family: var(--vscode-font-family);
+                font-size: var(--vscode-font-size);
+                color: var(--vscode-foreground);
+                background-color: var(--vscode-editor-background);
+                padding: 0;
+                margin: 0;
+            }
+
+            .header {
+                position: sticky;
+                top: 0;
+                background-color: var(--vscode-editor-background);
+                padding: 12px 20px;
+                border-bottom: 1px solid var(--vscode-widget-border);
+                z-index: 100;
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                flex-wrap: wrap;
+            }
+
+            .title {
+                font-size: 14px;
+                font-weight: 600;
+                margin: 0 12px 0 0;
+            }
+
+            input, select {
+                padding: 4px 6px;
+                background-color: var(--vscode-input-background);
+                color: var(--vscode-input-foreground);
+                border: 1px solid var(--vscode-input-border);
+                border-radius: 2px;
+                font-size: 13px;
+            }
+
+            input[type="text"] {
+                min-width: 220px;
+            }
+
+            input:focus, select:focus {
+                outline: 1px solid var(--vscode-focusBorder);
+                border-color: var(--vscode-focusBorder);
+            }
+
+            button.secondary {
+                padding: 4px 12px;
+                border: none;
+                border-radius: 2px;
+                cursor: pointer;
+                font-size: 12px;
+                background-color: var(--vscode-button-secondaryBackground);
+                color: var(--vscode-button-secondaryForeground);
+            }
+
+            button.secondary:hover {
+                background-color: var(--vscode-button-secondaryHoverBackground);
+            }
+
+            .summary {
+                margin-left: auto;
+                font-size: 12px;
+                color: var(--vscode-descriptionForeground);
+            }
+
+            table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 12px;
+            }
+
+            th {
+                position: sticky;
+                top: 49px;
+                background-color: var(--vscode-editor-background);
+                text-align: left;
+                padding: 6px 8px;
+                border-bottom: 1px solid var(--vscode-widget-border);
+                cursor: pointer;
+                user-select: none;
+                white-space: nowrap;
+            }
+
+            th.numeric, td.numeric {
+                text-align: right;
+            }
+
+            th.sorted::after {
+                content: ' \\u25B2';
+            }
+
+            th.sorted.desc::after {
+                content: ' \\u25BC';
+            }
+
+            td {
+                padding: 4px 8px;
+                border-bottom: 1px solid var(--vscode-widget-border);
+                vertical-align: top;
+            }
+
+            tr.topic-row:hover {
+                background-color: var(--vscode-list-hoverBackground);
+            }
+
+            .toggle {
+                cursor: pointer;
+                width: 14px;
+                display: inline-block;
+                color: var(--vscode-descriptionForeground);
+            }
+
+            .type {
+                color: var(--vscode-descriptionForeground);
+            }
+
+            .stale {
+                color: var(--vscode-descriptionForeground);
+            }
+
+            .throttled {
+                color: var(--vscode-editorWarning-foreground);
+                font-size: 11px;
+            }
+
+            pre {
+                margin: 0;
+                padding: 8px;
+                max-height: 320px;
+                overflow: auto;
+                background-color: var(--vscode-textCodeBlock-background);
+                font-family: var(--vscode-editor-font-family);
+                font-size: 12px;
+            }
+
+            .empty {
+                padding: 20px;
+                color: var(--vscode-descriptionForeground);
+                font-style: italic;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1 class="title">Topic Monitor</h1>
+            <select id="namespaceFilter">
+                <option value="">All namespaces</option>
+            </select>
+            <input type="text" id="textFilter" placeholder="Filter topics or types">
+            <button class="secondary" id="refreshButton">Refresh</button>
+            <span class="summary" id="summary"></span>
+        </div>
+
+        <table>
+            <thead>
+                <tr>
+                    <th data-key="monitored" title="Receive this topic to measure it">Monitor</th>
+                    <th data-key="name">Topic</th>
+                    <th data-key="type">Type</th>
+                    <th data-key="hz" class="numeric">Hz</th>
+                    <th data-key="bandwidth" class="numeric">Bandwidth</th>
+                    <th data-key="age" class="numeric">Age</th>
+                </tr>
+            </thead>
+            <tbody id="topicRows"></tbody>
+        </table>
+        <div class="empty" id="emptyMessage">Waiting for topics...</div>
+
+        <script>
+            const vscode = acquireVsCodeApi();
+
+            let rows = [];
+            let sortKey = 'name';
+            let sortDescending = false;
+            const expanded = new Set();
+
+            function namespaceOf(topicName) {
+                const parts = topicName.split('/').filter(Boolean);
+                return parts.length > 1 ? '/' + parts[0] : '/';
+            }
+
+            function formatBandwidth(bytesPerSecond) {
+                if (bytesPerSecond === null) {
+                    return '-';
+                }
+                if (bytesPerSecond >= 1024 * 1024) {
+                    return (bytesPerSecond / (1024 * 1024)).toFixed(2) + ' MB/s';
+                }
+                if (bytesPerSecond >= 1024) {
+                    return (bytesPerSecond / 1024).toFixed(1) + ' KB/s';
+                }
+                return Math.round(bytesPerSecond) + ' B/s';
+            }
+
+            function formatAge(ageMs) {
+                if (ageMs === null) {
+                    return '-';
+                }
+                if (ageMs < 1000) {
+                    return ageMs + ' ms';
+                }
+                if (ageMs < 60000) {
+                    return (ageMs / 1000).toFixed(1) + ' s';
+                }
+                return Math.floor(ageMs / 60000) + ' min';
+            }
+
+            function compareRows(a, b) {
+                const left = a[sortKey];
+                const right = b[sortKey];
+                let result;
+                if (left === right) {
+                    result = 0;
+                } else if (left === null || left === undefined) {
+                    result = 1;
+                } else if (right === null || right === undefined) {
+                    result = -1;
+                } else if (typeof left === 'string') {
+                    result = left.localeCompare(right);
+                } else {
+                    result = left < right ? -1 : 1;
+                }
+                return sortDescending ? -result : result;
+            }
+
+            function updateNamespaces() {
+                const select = document.getElementById('namespaceFilter');
+                const current = select.value;
+                const namespaces = Array.from(new Set(rows.map(row => namespaceOf(row.name)))).sort();
+
+                select.innerHTML = '<option value="">All namespaces</option>';
+                namespaces.forEach(namespace => {
+                    const option = document.createElement('option');
+                    option.value = namespace;
+                    option.textContent = namespace === '/' ? '/ (root)' : namespace;
+                    select.appendChild(option);
+                });
+                select.value = namespaces.includes(current) ? current : '';
+            }
+
+            function render() {
+                const namespace = document.getElementById('namespaceFilter').value;
+                const text = document.getElementById('textFilter').value.toLowerCase();
+
+                const visible = rows
+                    .filter(row => !namespace || namespaceOf(row.name) === namespace)
+                    .filter(row => !text ||
+                        row.name.toLowerCase().includes(text) ||
+                        (row.type || '').toLowerCase().includes(text))
+                    .sort(compareRows);
+
+                document.querySelectorAll('th').forEach(th => {
+                    th.classList.toggle('sorted', th.dataset.key === sortKey);
+                    th.classList.toggle('desc', th.dataset.key === sortKey && sortDescending);
+                });
+
+                const monitoredCount = rows.filter(row => row.monitored).length;
+                document.getElementById('summary').textContent =
+                    visible.length + ' of ' + rows.length + ' topics, ' + monitoredCount + ' monitored';
+
+                document.getElementById('emptyMessage').style.display =
+                    visible.length === 0 ? 'block' : 'none';
+
+                const tbody = document.getElementById('topicRows');
+                tbody.innerHTML = '';
+
+                visible.forEach(row => {
+                    const tr = document.createElement('tr');
+                    tr.className = 'topic-row';
+
+                    const monitorCell = document.createElement('td');
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.checked = row.monitored;
+                    checkbox.title = 'Monitor without throttling';
+                    checkbox.addEventListener('change', () => {
+                        vscode.postMessage({
+                            command: 'setMonitored',
+                            topicName: row.name,
+                            monitored: checkbox.checked
+                        });
+                    });
+                    monitorCell.appendChild(checkbox);
+
+                    const nameCell = document.createElement('td');
+                    const toggle = document.createElement('span');
+                    toggle.className = 'toggle';
+                    toggle.textContent = expanded.has(row.name) ? '\\u25BE' : '\\u25B8';
+                    toggle.title = 'Show latest value';
+                    toggle.addEventListener('click', () => {
+                        const isExpanded = !expanded.has(row.name);
+                        if (isExpanded) {
+                            expanded.add(row.name);
+                        } else {
+                            expanded.delete(row.name);
+                        }
+                        vscode.postMessage({
+                            command: 'setExpanded',
+                            topicName: row.name,
+                            expanded: isExpanded
+                        });
+                        render();
+                    });
+                    nameCell.appendChild(toggle);
+                    nameCell.appendChild(document.createTextNode(row.name));
+
+                    const typeCell = document.createElement('td');
+                    typeCell.className = 'type';
+                    typeCell.textContent = row.type;
+
+                    const hzCell = document.createElement('td');
+                    hzCell.className = 'numeric';
+                    hzCell.textContent = row.hz === null ? '-' : row.hz.toFixed(row.hz < 10 ? 2 : 1);
+                    // Unmonitored rows show the rate of the tree subscription,
+                    // which keeps its own throttle
+                    if (row.subscribed && row.throttleRate > 0) {
+                        const marker = document.createElement('span');
+                        marker.className = 'throttled';
+                        marker.textContent = ' (throttled)';
+                        marker.title = 'rosbridge throttles this subscription to one message every ' +
+                            row.throttleRate + ' ms, so Hz and bandwidth are capped';
+                        hzCell.appendChild(marker);
+                    }
+
+                    const bandwidthCell = document.createElement('td');
+                    bandwidthCell.className = 'numeric';
+                    bandwidthCell.textContent = formatBandwidth(row.bandwidth);
+
+                    const ageCell = document.createElement('td');
+                    ageCell.className = 'numeric';
+                    ageCell.textContent = formatAge(row.age);
+                    if (row.age !== null && row.age > 5000) {
+                        ageCell.classList.add('stale');
+                    }
+
+                    tr.appendChild(monitorCell);
+                    tr.appendChild(nameCell);
+                    tr.appendChild(typeCell);
+                    tr.appendChild(hzCell);
+                    tr.appendChild(bandwidthCell);
+                    tr.appendChild(ageCell);
+                    tbody.appendChild(tr);
+
+                    if (expanded.has(row.name)) {
+                        const detailRow = document.createElement('tr');
+                        const detailCell = document.createElement('td');
+                        detailCell.colSpan = 6;
+                        const pre = document.createElement('pre');
+                        pre.textContent = row.latest !== undefined
+                            ? row.latest
+                            : row.monitored || row.subscribed ? 'Waiting for data...' : 'Monitor this topic to see its latest value';
+                        detailCell.appendChild(pre);
+                        detailRow.appendChild(detailCell);
+                        tbody.appendChild(detailRow);
+                    }
+                });
+            }
+
+            document.querySelectorAll('th').forEach(th => {
+                th.addEventListener('click', () => {
+                    if (sortKey === th.dataset.key) {
+                        sortDescending = !sortDescending;
+                    } else {
+                        sortKey = th.dataset.key;
+                        sortDescending = ['hz', 'bandwidth', 'monitored'].includes(sortKey);
+                    }
+                    render();
+                });
+            });
+
+            document.getElementById('namespaceFilter').addEventListener('change', render);
+            document.getElementById('textFilter').addEventListener('input', render);
+            document.getElementById('refreshButton').addEventListener('click', () => {
+                vscode.postMessage({ command: 'refresh' });
+            });
+
+            window.addEventListener('message', event => {
+                const message = event.data;
+                switch (message.command) {
+                    case 'update':
+                        rows = message.rows;
+                        updateNamespaces();
+                        render();
+                        break;
+                }
+            });
+
+            vscode.postMessage({ command: 'ready' });
+        </script>
+    </body>
+    </html>`;
+  }
+
+  dispose() {
+    TopicMonitorPanel.panels.delete(this._rosbridgeClient.url);
+
+    clearInterval(this._updateInterval);
+    clearInterval(this._topicListInterval);
+
+    for (const topicName of Array.from(this._monitorListeners.keys())) {
+      this._setMonitored(topicName, false);
+    }
+
+    this._panel.dispose();
+
+    while (this._disposables.length) {
+      const disposable = this._disposables.pop();
+      if (disposable) {
+        disposable.dispose();
+      }
+    }
+  }
+
+  static disposeAll() {
+    if (TopicMonitorPanel.panels && TopicMonitorPanel.panels.size > 0) {
+      const panelsToDispose = Array.from(TopicMonitorPanel.panels.values());
+      for (const panel of panelsToDispose) {
+        panel.dispose();
+      }
+      TopicMonitorPanel.panels.clear();
+    }
+  }
+
+  static disposeForClient(rosbridgeClient) {
+    const panel = TopicMonitorPanel.panels.get(rosbridgeClient.url);
+    if (panel) {
+      panel.dispose();
+    }
+  }
+}
+
+module.exports = TopicMonitorPanel;
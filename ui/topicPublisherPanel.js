@@ -0,0 +1,660 @@
+const vscode = require("vscode");
+const { createMessageTemplate } = require("../utils/messageTemplate");
+
+const PRESETS_STATE_KEY = "topicPublisherPresets";
+
+class TopicPublisherPanel {
+  static panels = new Map();
+
+  static createOrShow(
+    extensionUri,
+    rosbridgeClient,
+    topicName,
+    messageType,
+    workspaceState
+  ) {
+    const column = vscode.window.activeTextEditor
+      ? vscode.window.activeTextEditor.viewColumn
+      : undefined;
+
+    const panelKey = `publisher-${rosbridgeClient.url}-${topicName}`;
+
+    if (TopicPublisherPanel.panels.has(panelKey)) {
+      const existingPanel = TopicPublisherPanel.panels.get(panelKey);
+      existingPanel._panel.reveal(column);
+      return existingPanel;
+    }
+
+    const panel = vscode.window.createWebviewPanel(
+      "rosTopicPublisher",
+      `Publish: ${topicName} (${rosbridgeClient.getLabel()})`,
+      column || vscode.ViewColumn.One,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+      }
+    );
+
+    const publisherPanel = new TopicPublisherPanel(
+      panel,
+      extensionUri,
+      rosbridgeClient,
+      topicName,
+      messageType,
+      workspaceState
+    );
+
+    TopicPublisherPanel.panels.set(panelKey, publisherPanel);
+    return publisherPanel;
+  }
+
+  constructor(
+    panel,
+    extensionUri,
+    rosbridgeClient,
+    topicName,
+    messageType,
+    workspaceState
+  ) {
+    this._panel = panel;
+    this._extensionUri = extensionUri;
+    this._rosbridgeClient = rosbridgeClient;
+    this._topicName = topicName;
+    this._messageType = messageType;
+    this._workspaceState = workspaceState;
+    this._disposables = [];
+    this._publishInterval = null;
+    this._sentCount = 0;
+    this._rate = 0;
+
+    this._panel.webview.html = this._getHtmlContent();
+    this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+
+    this._panel.webview.onDidReceiveMessage(
+      (message) => {
+        switch (message.command) {
+          case "ready":
+            this._postPresets();
+            this._postStats();
+            this._loadTemplate();
+            break;
+          case "loadTemplate":
+            this._loadTemplate();
+            break;
+          case "publishOnce":
+            this._publishOnce(message.message);
+            break;
+          case "startPublishing":
+            this._startPublishing(message.message, message.rate);
+            break;
+          case "stopPublishing":
+            this._stopPublishing();
+            break;
+          case "resetCount":
+            this._sentCount = 0;
+            this._postStats();
+            break;
+          case "savePreset":
+            this._savePreset(message.message, message.rate);
+            break;
+          case "deletePreset":
+            this._deletePreset(message.name);
+            break;
+        }
+      },
+      null,
+      this._disposables
+    );
+  }
+
+  _loadTemplate() {
+    this._rosbridgeClient.getMessageDetails(
+      this._messageType,
+      (details, error) => {
+        if (error || !details || Object.keys(details).length === 0) {
+          vscode.window.showWarningMessage(
+            `Could not load definition for ${this._messageType}. Starting with an empty message.`
+          );
+          this._panel.webview.postMessage({
+            command: "setMessage",
+            message: JSON.stringify({}, null, 2),
+          });
+          return;
+        }
+
+        const template = createMessageTemplate(details);
+        this._panel.webview.postMessage({
+          command: "setMessage",
+          message: JSON.stringify(template, null, 2),
+        });
+      }
+    );
+  }
+
+  _parseMessage(messageText) {
+    try {
+      const parsed = JSON.parse(messageText || "{}");
+      if (typeof parsed !== "object" || parsed === null || Array.isArray(parsed)) {
+        throw new Error("Message must be a JSON object");
+      }
+      return parsed;
+    } catch (error) {
+      vscode.window.showErrorMessage(`Invalid message JSON: ${error.message}`);
+      this._panel.webview.postMessage({
+        command: "error",
+        message: error.message,
+      });
+      return null;
+    }
+  }
+
+  _publish(message) {
+    const published = this._rosbridgeClient.publishTopic(
+      this._topicName,
+      this._messageType,
+      message
+    );
+
+    if (published) {
+      this._sentCount++;
+    }
+    return published;
+  }
+
+  _publishOnce(messageText) {
+    const message = this._parseMessage(messageText);
+    if (!message) {
+      return;
+    }
+
+    if (!this._publish(message)) {
+      vscode.window.showErrorMessage(
+        `Failed to publish to ${this._topicName}: not connected to rosbridge`
+      );
+    }
+    this._postStats();
+  }
+
+  _startPublishing(messageText, rate) {
+    const message = this._parseMessage(messageText);
+    if (!message) {
+      return;
+    }
+
+    const hz = parseFloat(rate);
+    if (!hz || hz <= 0 || hz > 100) {
+      vscode.window.showErrorMessage("Rate must be between 0 and 100 Hz");
+      return;
+    }
+
+    this._stopPublishing(false);
+    this._rate = hz;
+
+    this._publishInterval = setInterval(() => {
+      if (!this._publish(message)) {
+        this._stopPublishing();
+        vscode.window.showWarningMessage(
+          `Stopped publishing to ${this._topicName}: connection lost`
+        );
+        return;
+      }
+      this._postStats();
+    }, 1000 / hz);
+
+    this._postStats();
+  }
+
+  _stopPublishing(notify = true) {
+    if (this._publishInterval) {
+      clearInterval(this._publishInterval);
+      this._publishInterval = null;
+    }
+    this._rate = 0;
+
+    if (notify) {
+      this._postStats();
+    }
+  }
+
+  _postStats() {
+    this._panel.webview.postMessage({
+      command: "updateStats",
+      sentCount: this._sentCount,
+      isPublishing: this._publishInterval !== null,
+      rate: this._rate,
+    });
+  }
+
+  _getAllPresets() {
+    return this._workspaceState.get(PRESETS_STATE_KEY, {});
+  }
+
+  _getPresets() {
+    return this._getAllPresets()[this._topicName] || [];
+  }
+
+  _postPresets() {
+    this._panel.webview.postMessage({
+      command: "updatePresets",
+      presets: this._getPresets(),
+    });
+  }
+
+  async _savePreset(messageText, rate) {
+    const message = this._parseMessage(messageText);
+    if (!message) {
+      return;
+    }
+
+    const name = await vscode.window.showInputBox({
+      prompt: `Save publish preset for ${this._topicName}`,
+      placeHolder: "Preset name",
+      validateInput: (value) => (value.trim() ? null : "Name is required"),
+    });
+
+    if (!name) {
+      return;
+    }
+
+    const allPresets = this._getAllPresets();
+    const presets = (allPresets[this._topicName] || []).filter(
+      (preset) => preset.name !== name.trim()
+    );
+    presets.push({
+      name: name.trim(),
+      messageType: this._messageType,
+      message: message,
+      rate: parseFloat(rate) || 0,
+    });
+    allPresets[this._topicName] = presets;
+
+    await this._workspaceState.update(PRESETS_STATE_KEY, allPresets);
+    this._postPresets();
+    vscode.window.showInformationMessage(`Saved preset "${name.trim()}"`);
+  }
+
+  async _deletePreset(name) {
+    const allPresets = this._getAllPresets();
+    const presets = (allPresets[this._topicName] || []).filter(
+      (preset) => preset.name !== name
+    );
+
+    if (presets.length > 0) {
+      allPresets[this._topicName] = presets;
+    } else {
+      delete allPresets[this._topicName];
+    }
+
+    await this._workspaceState.update(PRESETS_STATE_KEY, allPresets);
+    this._postPresets();
+  }
+
+  _getHtmlContent() {
+    return `<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Publish: ${this._topicName}</title>
+        <style>
+            body {
+                font-family: var(--vscode-font-family);
+                font-size: var(--vscode-font-size);
+                color: var(--vscode-foreground);
+                background-color: var(--vscode-editor-background);
+                padding: 0;
+                margin: 0;
+            }
+
+            .header {
+                position: sticky;
+                top: 0;
+                background-color: var(--vscode-editor-background);
+                padding: 16px 20px;
+                border-bottom: 1px solid var(--vscode-widget-border);
+                z-index: 100;
+                display: flex;
+                justify-content: space-between;
+                align-items: flex-start;
+            }
+
+            .title {
+                font-size: 14px;
+                font-weight: 600;
+                margin: 0;
+            }
+
+            .subtitle {
+                font-size: 12px;
+                color: var(--vscode-descriptionForeground);
+                margin-top: 4px;
+            }
+
+            .section {
+                padding: 12px 20px;
+            }
+
+            .section-title {
+                font-size: 12px;
+                font-weight: 600;
+                text-transform: uppercase;
+                color: var(--vscode-descriptionForeground);
+                margin-bottom: 8px;
+            }
+
+            .row {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                flex-wrap: wrap;
+            }
+
+            textarea {
+                width: 100%;
+                min-height: 260px;
+                box-sizing: border-box;
+                padding: 8px;
+                background-color: var(--vscode-input-background);
+                color: var(--vscode-input-foreground);
+                border: 1px solid var(--vscode-input-border);
+                border-radius: 2px;
+                font-family: var(--vscode-editor-font-family);
+                font-size: 13px;
+                resize: vertical;
+            }
+
+            textarea:focus, input:focus, select:focus {
+                outline: 1px solid var(--vscode-focusBorder);
+                border-color: var(--vscode-focusBorder);
+            }
+
+            textarea.invalid {
+                border-color: var(--vscode-errorForeground);
+            }
+
+            input, select {
+                padding: 4px 6px;
+                background-color: var(--vscode-input-background);
+                color: var(--vscode-input-foreground);
+                border: 1px solid var(--vscode-input-border);
+                border-radius: 2px;
+                font-size: 13px;
+            }
+
+            input[type="number"] {
+                width: 80px;
+            }
+
+            select {
+                min-width: 200px;
+            }
+
+            button {
+                padding: 4px 12px;
+                background-color: var(--vscode-button-background);
+                color: var(--vscode-button-foreground);
+                border: none;
+                border-radius: 2px;
+                cursor: pointer;
+                font-size: 12px;
+            }
+
+            button:hover {
+                background-color: var(--vscode-button-hoverBackground);
+            }
+
+            button.secondary {
+                background-color: var(--vscode-button-secondaryBackground);
+                color: var(--vscode-button-secondaryForeground);
+            }
+
+            button.secondary:hover {
+                background-color: var(--vscode-button-secondaryHoverBackground);
+            }
+
+            button:disabled {
+                opacity: 0.5;
+                cursor: default;
+            }
+
+            .stats {
+                display: flex;
+                gap: 24px;
+            }
+
+            .stat-value {
+                font-size: 24px;
+                font-weight: bold;
+            }
+
+            .stat-label {
+                font-size: 12px;
+                color: var(--vscode-descriptionForeground);
+                text-transform: uppercase;
+            }
+
+            .error {
+                color: var(--vscode-errorForeground);
+                font-size: 12px;
+                margin-top: 6px;
+                min-height: 16px;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <div>
+                <h1 class="title">Publish to ${this._topicName}</h1>
+                <div class="subtitle">${this._messageType}</div>
+            </div>
+            <button class="secondary" onclick="loadTemplate()" title="Replace the message with a fresh template">Reset Template</button>
+        </div>
+
+        <div class="section">
+            <div class="section-title">Presets</div>
+            <div class="row">
+                <select id="presetSelect" onchange="applyPreset()">
+                    <option value="">-- Select preset --</option>
+                </select>
+                <button class="secondary" onclick="savePreset()">Save As...</button>
+                <button class="secondary" id="deletePresetButton" onclick="deletePreset()" disabled>Delete</button>
+            </div>
+        </div>
+
+        <div class="section">
+            <div class="section-title">Message</div>
+            <textarea id="messageInput" spellcheck="false">Loading template...</textarea>
+            <div class="error" id="messageError"></div>
+        </div>
+
+        <div class="section">
+            <div class="row">
+                <button onclick="publishOnce()">Publish Once</button>
+                <label for="rateInput">Rate (Hz)</label>
+                <input type="number" id="rateInput" min="0.1" max="100" step="0.1" value="1">
+                <button id="startButton" onclick="startPublishing()">Start</button>
+                <button id="stopButton" class="secondary" onclick="stopPublishing()" disabled>Stop</button>
+            </div>
+        </div>
+
+        <div class="section">
+            <div class="stats">
+                <div>
+                    <div class="stat-value" id="sentCount">0</div>
+                    <div class="stat-label">Messages Sent</div>
+                </div>
+                <div>
+                    <div class="stat-value" id="publishState">Idle</div>
+                    <div class="stat-label">Status</div>
+                </div>
+            </div>
+            <div class="row" style="margin-top: 8px;">
+                <button class="secondary" onclick="resetCount()">Reset Count</button>
+            </div>
+        </div>
+
+        <script>
+            const vscode = acquireVsCodeApi();
+            let presets = [];
+
+            const messageInput = document.getElementById('messageInput');
+            const messageError = document.getElementById('messageError');
+
+            function validateMessage() {
+                try {
+                    JSON.parse(messageInput.value || '{}');
+                    messageInput.classList.remove('invalid');
+                    messageError.textContent = '';
+                    return true;
+                } catch (e) {
+                    messageInput.classList.add('invalid');
+                    messageError.textContent = 'Invalid JSON: ' + e.message;
+                    return false;
+                }
+            }
+
+            function loadTemplate() {
+                vscode.postMessage({ command: 'loadTemplate' });
+            }
+
+            function publishOnce() {
+                if (!validateMessage()) return;
+                vscode.postMessage({ command: 'publishOnce', message: messageInput.value });
+            }
+
+            function startPublishing() {
+                if (!validateMessage()) return;
+                vscode.postMessage({
+                    command: 'startPublishing',
+                    message: messageInput.value,
+                    rate: document.getElementById('rateInput').value
+                });
+            }
+
+            function stopPublishing() {
+                vscode.postMessage({ command: 'stopPublishing' });
+            }
+
+            function resetCount() {
+                vscode.postMessage({ command: 'resetCount' });
+            }
+
+            function savePreset() {
+                if (!validateMessage()) return;
+                vscode.postMessage({
+                    command: 'savePreset',
+                    message: messageInput.value,
+                    rate: document.getElementById('rateInput').value
+                });
+            }
+
+            function deletePreset() {
+                const name = document.getElementById('presetSelect').value;
+                if (name) {
+                    vscode.postMessage({ command: 'deletePreset', name: name });
+                }
+            }
+
+            function applyPreset() {
+                const name = document.getElementById('presetSelect').value;
+                document.getElementById('deletePresetButton').disabled = !name;
+                const preset = presets.find(p => p.name === name);
+                if (!preset) return;
+                messageInput.value = JSON.stringify(preset.message, null, 2);
+                if (preset.rate > 0) {
+                    document.getElementById('rateInput').value = preset.rate;
+                }
+                validateMessage();
+            }
+
+            function renderPresets() {
+                const select = document.getElementById('presetSelect');
+                const selected = select.value;
+                select.innerHTML = '';
+                const placeholder = document.createElement('option');
+                placeholder.value = '';
+                placeholder.textContent = '-- Select preset --';
+                select.appendChild(placeholder);
+                presets.forEach(preset => {
+                    const option = document.createElement('option');
+                    option.value = preset.name;
+                    option.textContent = preset.name + (preset.rate > 0 ? ' (' + preset.rate + ' Hz)' : '');
+                    select.appendChild(option);
+                });
+                select.value = presets.some(p => p.name === selected) ? selected : '';
+                document.getElementById('deletePresetButton').disabled = !select.value;
+            }
+
+            messageInput.addEventListener('input', validateMessage);
+
+            window.addEventListener('message', event => {
+                const message = event.data;
+                switch (message.command) {
+                    case 'setMessage':
+                        messageInput.value = message.message;
+                        validateMessage();
+                        break;
+                    case 'updatePresets':
+                        presets = message.presets || [];
+                        renderPresets();
+                        break;
+                    case 'updateStats':
+                        document.getElementById('sentCount').textContent = message.sentCount;
+                        document.getElementById('publishState').textContent =
+                            message.isPublishing ? 'Publishing @ ' + message.rate + ' Hz' : 'Idle';
+                        document.getElementById('startButton').disabled = message.isPublishing;
+                        document.getElementById('stopButton').disabled = !message.isPublishing;
+                        break;
+                    case 'error':
+                        messageError.textContent = message.message;
+                        break;
+                }
+            });
+
+            vscode.postMessage({ command: 'ready' });
+        </script>
+    </body>
+    </html>`;
+  }
+
+  dispose() {
+    const panelKey = `publisher-${this._rosbridgeClient.url}-${this._topicName}`;
+    TopicPublisherPanel.panels.delete(panelKey);
+
+    this._stopPublishing(false);
+
+    if (this._rosbridgeClient && this._rosbridgeClient.isConnected()) {
+      this._rosbridgeClient.unadvertiseTopic(this._topicName);
+    }
+
+    this._panel.dispose();
+
+    while (this._disposables.length) {
+      const disposable = this._disposables.pop();
+      if (disposable) {
+        disposable.dispose();
+      }
+    }
+  }
+
+  static disposeAll() {
+    if (TopicPublisherPanel.panels && TopicPublisherPanel.panels.size > 0) {
+      const panelsToDispose = Array.from(TopicPublisherPanel.panels.values());
+      for (const panel of panelsToDispose) {
+        panel.dispose();
+      }
+      TopicPublisherPanel.panels.clear();
+    }
+  }
+
+  static disposeForClient(rosbridgeClient) {
+    const panelsToDispose = Array.from(TopicPublisherPanel.panels.values()).filter(
+      (panel) => panel._rosbridgeClient === rosbridgeClient
+    );
+    for (const panel of panelsToDispose) {
+      panel.dispose();
+    }
+  }
+}
+
+module.exports = TopicPublisherPanel;
@@ -1,5 +1,8 @@
 const vscode = require("vscode");
 const { extensionHandle } = require("../utils/helpers");
+const {
+  describeSubscriptionOptions,
+} = require("../utils/subscriptionOptions");
 
 class Item extends vscode.TreeItem {
   constructor(label, collapsibleState, command) {
@@ -9,9 +12,10 @@ class Item extends vscode.TreeItem {
 }
 
 class Tree extends Item {
-  constructor(address, collapsibleState) {
-    super(address, collapsibleState);
+  constructor(address, collapsibleState, label = null) {
+    super(label || address, collapsibleState);
     this.address = address;
+    this.description = label ? address : undefined;
     this.contextValue = "nodeTree";
   }
 }
@@ -31,7 +35,10 @@ class Topic extends Item {
     this.address = address;
     this.contextValue = isSubscribed ? "topicSubscribed" : "topic";
     this.tooltip = `${label} (${type})`;
-    this.description = "";
+    this.description =
+      rosbridgeClient && rosbridgeClient.subscriptionOptions.has(label)
+        ? describeSubscriptionOptions(rosbridgeClient.subscriptionOptions.get(label))
+        : "";
     this.messageType = type;
     this.rosbridgeClient = rosbridgeClient;
     this.isSubscribed = isSubscribed;
@@ -117,20 +124,36 @@ class PublishersProvider {
     this._onDidChangeTreeData = new vscode.EventEmitter();
     this.onDidChangeTreeData = this._onDidChangeTreeData.event;
 
-    this.pubs = {};
-    this.subs = {};
-    this.topics = {};
-    this.subscribedTopics = new Set();
-
     this.channel = channel;
 
     this.bridgeData = {};
     this.bridgeAddress = bridgeAddress;
-    this.rosbridgeClient = null;
+    this.connections = new Map();
+  }
+
+  _getConnection(address) {
+    if (!this.connections.has(address)) {
+      this.connections.set(address, {
+        rosbridgeClient: null,
+        pubs: {},
+        topics: {},
+        subscribedTopics: new Set(),
+      });
+    }
+    return this.connections.get(address);
+  }
+
+  setRosbridgeClient(address, client) {
+    if (client) {
+      this._getConnection(address).rosbridgeClient = client;
+    } else {
+      this.connections.delete(address);
+    }
   }
 
-  setRosbridgeClient(client) {
-    this.rosbridgeClient = client;
+  getRosbridgeClient(address) {
+    const connection = this.connections.get(address);
+    return connection ? connection.rosbridgeClient : null;
   }
 
   refresh() {
@@ -151,31 +174,32 @@ class PublishersProvider {
     }
   }
 
-  toggleCheckbox(lbl) {
-    const pub = this.pubs[lbl];
+  toggleCheckbox(address, lbl) {
+    const { pubs, topics, subscribedTopics } = this._getConnection(address);
+    const pub = pubs[lbl];
     if (pub) {
       pub.toggleChecked();
       this._onDidChangeTreeData.fire(pub);
       
       const topicName = pub.label;
       if (pub.isChecked) {
-        this.subscribedTopics.add(topicName);
+        subscribedTopics.add(topicName);
       } else {
         let anySubscribed = false;
-        for (const key in this.pubs) {
-          if (this.pubs[key].label === topicName && this.pubs[key].isChecked && key !== lbl) {
+        for (const key in pubs) {
+          if (pubs[key].label === topicName && pubs[key].isChecked && key !== lbl) {
             anySubscribed = true;
             break;
           }
         }
         if (!anySubscribed) {
-          this.subscribedTopics.delete(topicName);
+          subscribedTopics.delete(topicName);
         }
       }
       
-      if (this.topics[topicName]) {
-        this.topics[topicName].setSubscribed(this.subscribedTopics.has(topicName));
-        this._onDidChangeTreeData.fire(this.topics[topicName]);
+      if (topics[topicName]) {
+        topics[topicName].setSubscribed(subscribedTopics.has(topicName));
+        this._onDidChangeTreeData.fire(topics[topicName]);
       }
     }
     if (pub && pub.isChecked) {
@@ -184,63 +208,74 @@ class PublishersProvider {
     return [false];
   }
   
-  resetAllCheckboxes() {
-    for (const key in this.pubs) {
-      if (this.pubs[key].isChecked) {
-        this.pubs[key].isChecked = false;
-        this.pubs[key].updateIcon();
+  resetAllCheckboxes(address = null) {
+    const connections = address
+      ? [this._getConnection(address)]
+      : Array.from(this.connections.values());
+
+    connections.forEach(({ pubs, topics, subscribedTopics }) => {
+      for (const key in pubs) {
+        if (pubs[key].isChecked) {
+          pubs[key].isChecked = false;
+          pubs[key].updateIcon();
+        }
       }
-    }
-    
-    this.subscribedTopics.clear();
-    for (const topicName in this.topics) {
-      this.topics[topicName].setSubscribed(false);
-    }
+
+      subscribedTopics.clear();
+      for (const topicName in topics) {
+        topics[topicName].setSubscribed(false);
+      }
+    });
     
     this._onDidChangeTreeData.fire();
   }
   
-  setTopicSubscriptionState(topicName, isSubscribed) {
+  setTopicSubscriptionState(address, topicName, isSubscribed) {
+    const { topics, subscribedTopics } = this._getConnection(address);
     if (isSubscribed) {
-      this.subscribedTopics.add(topicName);
+      subscribedTopics.add(topicName);
     } else {
-      this.subscribedTopics.delete(topicName);
+      subscribedTopics.delete(topicName);
     }
     
-    const topicItem = this.topics[topicName];
+    const topicItem = topics[topicName];
     if (topicItem) {
       topicItem.setSubscribed(isSubscribed);
       this._onDidChangeTreeData.fire(topicItem);
     }
   }
   
-  getTopicItem(topicName) {
-    return this.topics[topicName];
+  getTopicItem(address, topicName) {
+    return this._getConnection(address).topics[topicName];
   }
 
   async getTrees() {
-    return this.bridgeAddress.map(
-      (address) => new Tree(address, vscode.TreeItemCollapsibleState.Expanded)
-    );
+    return this.bridgeAddress.map((address) => {
+      const client = this.getRosbridgeClient(address);
+      const label = client && client.profile ? client.profile.name : null;
+      return new Tree(address, vscode.TreeItemCollapsibleState.Expanded, label);
+    });
   }
 
   async getTopicsList(tree) {
-    if (this.rosbridgeClient && this.rosbridgeClient.isConnected()) {
+    const client = this.getRosbridgeClient(tree.address);
+    if (client && client.isConnected()) {
+      const connection = this._getConnection(tree.address);
       return new Promise((resolve) => {
-        this.rosbridgeClient.getTopics((topics) => {
+        client.getTopics((topics) => {
           const topicItems = topics
             .sort((a, b) => a.name.localeCompare(b.name))
             .map((topic) => {
-                const isSubscribed = this.subscribedTopics.has(topic.name);
+                const isSubscribed = connection.subscribedTopics.has(topic.name);
                 const topicItem = new Topic(
                   topic.name,
                   topic.type,
                   tree.address,
                   vscode.TreeItemCollapsibleState.None,
-                  this.rosbridgeClient,
+                  client,
                   isSubscribed
                 );
-                this.topics[topic.name] = topicItem;
+                connection.topics[topic.name] = topicItem;
                 return topicItem;
               }
             );
@@ -254,9 +289,11 @@ class PublishersProvider {
   }
 
   async getTopicDetails(topic) {
-    if (this.rosbridgeClient && this.rosbridgeClient.isConnected()) {
+    const client = this.getRosbridgeClient(topic.address);
+    if (client && client.isConnected()) {
+      const { pubs } = this._getConnection(topic.address);
       return new Promise((resolve) => {
-        this.rosbridgeClient.getNodes((nodes) => {
+        client.getNodes((nodes) => {
           const details = [];
           let processedNodes = 0;
           
@@ -266,10 +303,10 @@ class PublishersProvider {
           }
           
           nodes.forEach((nodeName) => {
-            this.rosbridgeClient.getNodeDetails(nodeName, (nodeDetails) => {
+            client.getNodeDetails(nodeName, (nodeDetails) => {
               if (nodeDetails.publishing && nodeDetails.publishing.includes(topic.label)) {
                 const pubKey = `${nodeName}${topic.label}`;
-                const existingPub = this.pubs[pubKey];
+                const existingPub = pubs[pubKey];
                 const isChecked = existingPub ? existingPub.isChecked : false;
                 
                 const pub = new Publisher(
@@ -281,7 +318,7 @@ class PublishersProvider {
                   undefined,
                   topic.type
                 );
-                this.pubs[pubKey] = pub;
+                pubs[pubKey] = pub;
                 details.push(pub);
               }
               
@@ -314,11 +351,12 @@ class PublishersProvider {
   }
 
   async getServiceClients(topic) {
-    if (this.rosbridgeClient && this.rosbridgeClient.isConnected()) {
+    const client = this.getRosbridgeClient(topic.node.address);
+    if (client && client.isConnected()) {
       return new Promise((resolve) => {
         const nodeName = topic.node.label;
         
-        this.rosbridgeClient.getNodeDetails(nodeName, (details) => {
+        client.getNodeDetails(nodeName, (details) => {
           const services = details.services || [];
           
           const serviceClients = services.map((serviceName) => {
@@ -330,7 +368,7 @@ class PublishersProvider {
               {
                 command: `${extensionHandle}.call-service`,
                 title: "Call Service",
-                arguments: [serviceName, nodeName]
+                arguments: [serviceName, nodeName, topic.node.address]
               }
             );
           });
@@ -344,11 +382,12 @@ class PublishersProvider {
   }
 
   async getActionClients(topic) {
-    if (this.rosbridgeClient && this.rosbridgeClient.isConnected()) {
+    const client = this.getRosbridgeClient(topic.node.address);
+    if (client && client.isConnected()) {
       return new Promise((resolve) => {
         const nodeName = topic.node.label;
         
-        this.rosbridgeClient.getNodeDetails(nodeName, (details) => {
+        client.getNodeDetails(nodeName, (details) => {
           const actionClients = details.action_clients || [];
           
           const actionClientItems = actionClients.map((actionName) => {
@@ -1,11 +1,69 @@
 const vscode = require("vscode");
+const path = require("path");
+const { getProfileSetting } = require("../utils/connectionProfiles");
+const { TF_MESSAGE_TYPE, TF_TOPICS, TfTree } = require("../utils/tfTree");
+const {
+  findWorkspacePackages,
+  resolveResourcePath,
+} = require("../utils/rosPackages");
+const { expandXacroFile } = require("../utils/xacro");
+const {
+  getMapLayerKind,
+  getMessageFrame,
+  toMapLayer,
+} = require("../utils/mapLayers");
+
+const ROBOT_STATE_INTERVAL_MS = 50;
+const TF_FRAMES_INTERVAL_MS = 1000;
+const MAP_LAYER_INTERVAL_MS = 100;
+// RViz's default 2D Pose Estimate spread: 0.5 m in x and y, ~15 degrees in yaw
+const INITIAL_POSE_COVARIANCE = {
+  0: 0.25,
+  7: 0.25,
+  35: 0.06853891909122467,
+};
+const IDENTITY_TRANSFORM = {
+  translation: [0, 0, 0],
+  rotation: [0, 0, 0, 1],
+};
+const JOINT_STATE_TYPE = "sensor_msgs/msg/JointState";
+const MESH_FORMATS = ["stl", "dae", "obj"];
+const RATE_WINDOW_MS = 2000;
+// Messages whose data field is binary; they are kept as received and
+// summarised in the history
+const BINARY_MESSAGE_TYPES = ["PointCloud2", "Image", "CompressedImage"];
+// Each marker message changes part of the scene, so none may be dropped
+const UNTHROTTLED_MESSAGE_TYPES = ["Marker", "MarkerArray"];
+const VISUALIZED_MESSAGE_TYPES = [
+  "OccupancyGrid",
+  "LaserScan",
+  "URDF",
+  "PointCloud2",
+  "Image",
+  "CompressedImage",
+  "Marker",
+  "MarkerArray",
+];
+
+// joint_states is looked up next to the robot_description topic, so
+// namespaced robots (/robot1/robot_description) use /robot1/joint_states.
+function getJointStatesTopic(descriptionTopic) {
+  return descriptionTopic.replace(/[^/]*$/, "joint_states");
+}
 
 class VisualizationPanel {
   static currentPanels = new Map();
   static viewType = "rosVisualization";
   static pendingPanels = new Map();
 
-  constructor(panel, extensionUri, topicName, messageType, viewMode) {
+  constructor(
+    panel,
+    extensionUri,
+    topicName,
+    messageType,
+    viewMode,
+    rosbridgeClient = null
+  ) {
     this._panel = panel;
     this._extensionUri = extensionUri;
     this._topicName = topicName;
@@ -17,6 +75,13 @@ class VisualizationPanel {
     this._dataHistory = [];
     this._lastUpdateTime = 0;
     this._updateThrottle = 100; // Minimum ms between updates
+    this._receivedTimes = [];
+    this._rosbridgeClient = rosbridgeClient;
+    this._robotListeners = [];
+    this._mapLayers = new Map();
+    this._mapFrame = null;
+    this._workspacePackages = null;
+    this._resourceBaseDir = null;
 
     this._panel.webview.html = this._getHtmlForWebview();
     this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
@@ -31,14 +96,376 @@ class VisualizationPanel {
             this._viewMode = message.viewMode;
             this.updateView();
             return;
+          case "urdfLoaded":
+            this._rootLink = message.rootLink;
+            this._jointStatesChanged = true;
+            return;
+          case "setFixedFrame":
+            this._fixedFrame = message.frame || null;
+            this._lastBasePoseError = null;
+            if (!this._fixedFrame) {
+              this._panel.webview.postMessage({
+                command: "basePose",
+                pose: null,
+              });
+            }
+            return;
+          case "loadMeshes":
+            this._loadMeshes(message.uris);
+            return;
+          case "saveImage":
+            this._saveImage(message.data);
+            return;
+          case "addMapLayer":
+            this._pickMapLayer();
+            return;
+          case "removeMapLayer":
+            this._removeMapLayer(message.topic);
+            return;
+          case "publishMapPose":
+            this._publishMapPose(message);
+            return;
         }
       },
       null,
       this._disposables
     );
+
+    if (this._messageType === "URDF" && this._rosbridgeClient) {
+      this._startRobotState();
+    }
+  }
+
+  // URDF views follow the live robot: joint positions come from joint_states
+  // and the base can be placed in a fixed frame using TF.
+  _startRobotState() {
+    this._jointStatesTopic = getJointStatesTopic(this._topicName);
+    this._jointPositions = {};
+    this._jointStatesChanged = false;
+    this._lastJointStatesTime = null;
+    this._rootLink = null;
+    this._fixedFrame = null;
+    this._lastBasePoseError = null;
+    this._tfTree = new TfTree();
+
+    this._listen(this._jointStatesTopic, JOINT_STATE_TYPE, (msg) => {
+      const names = msg.name || [];
+      const positions = msg.position || [];
+      names.forEach((name, index) => {
+        if (index < positions.length) {
+          this._jointPositions[name] = positions[index];
+        }
+      });
+      this._jointStatesChanged = true;
+      this._lastJointStatesTime = Date.now();
+    });
+
+    TF_TOPICS.forEach(({ name, isStatic }) => {
+      this._listen(name, TF_MESSAGE_TYPE, (msg) =>
+        this._tfTree.update(msg, isStatic)
+      );
+    });
+
+    this._robotStateInterval = setInterval(
+      () => this._postRobotState(),
+      ROBOT_STATE_INTERVAL_MS
+    );
+    this._tfFramesInterval = setInterval(
+      () => this._postTfFrames(),
+      TF_FRAMES_INTERVAL_MS
+    );
+  }
+
+  // Mesh files are read here and posted to the webview, so package:// paths
+  // outside the workspace (e.g. /opt/ros) need no local resource roots.
+  async _loadMeshes(uris) {
+    if (!this._workspacePackages) {
+      this._workspacePackages = await findWorkspacePackages();
+    }
+
+    for (const uri of uris) {
+      const reply = { command: "meshData", uri };
+      try {
+        const filePath = resolveResourcePath(
+          uri,
+          this._workspacePackages,
+          this._resourceBaseDir
+        );
+        if (!filePath) {
+          throw new Error("Cannot resolve mesh path");
+        }
+
+        const format = path.extname(filePath).slice(1).toLowerCase();
+        if (!MESH_FORMATS.includes(format)) {
+          throw new Error(`Unsupported mesh format .${format}`);
+        }
+
+        const content = await vscode.workspace.fs.readFile(
+          vscode.Uri.file(filePath)
+        );
+        reply.format = format;
+        reply.data =
+          format === "stl" ? content : Buffer.from(content).toString("utf8");
+      } catch (error) {
+        reply.error = error.message;
+      }
+
+      if (this._disposed) {
+        return;
+      }
+      this._panel.webview.postMessage(reply);
+    }
+  }
+
+  _listen(topicName, messageType, listener) {
+    const topic = this._rosbridgeClient.addTopicListener(
+      topicName,
+      messageType,
+      listener
+    );
+
+    if (topic) {
+      this._robotListeners.push({ topicName, listener });
+    } else {
+      this._rosbridgeClient.removeTopicListener(topicName, listener);
+    }
+  }
+
+  _postRobotState() {
+    if (this._jointStatesChanged) {
+      this._jointStatesChanged = false;
+      this._panel.webview.postMessage({
+        command: "jointStates",
+        positions: this._jointPositions,
+      });
+    }
+
+    if (!this._fixedFrame || !this._rootLink) {
+      return;
+    }
+
+    try {
+      const pose = this._tfTree.lookupTransform(
+        this._fixedFrame,
+        this._rootLink
+      );
+      this._lastBasePoseError = null;
+      this._panel.webview.postMessage({ command: "basePose", pose });
+    } catch (error) {
+      if (this._lastBasePoseError !== error.message) {
+        this._lastBasePoseError = error.message;
+        this._panel.webview.postMessage({
+          command: "basePose",
+          pose: null,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  _postTfFrames() {
+    this._panel.webview.postMessage({
+      command: "robotStateInfo",
+      frames: this._tfTree.getFrameNames(),
+      jointStatesTopic: this._jointStatesTopic,
+      jointStatesAge: this._lastJointStatesTime
+        ? Date.now() - this._lastJointStatesTime
+        : null,
+    });
+  }
+
+  _stopRobotState() {
+    clearInterval(this._robotStateInterval);
+    clearInterval(this._tfFramesInterval);
+
+    this._robotListeners.forEach(({ topicName, listener }) => {
+      this._rosbridgeClient.removeTopicListener(topicName, listener);
+    });
+    this._robotListeners = [];
+  }
+
+  // Map panels can overlay Path, pose and Odometry topics. Their poses are
+  // moved into the grid's frame with TF before they are posted.
+  async _pickMapLayer() {
+    if (!this._rosbridgeClient || !this._rosbridgeClient.isConnected()) {
+      vscode.window.showErrorMessage("Map layers need a rosbridge connection");
+      return;
+    }
+
+    const topics = await new Promise((resolve) =>
+      this._rosbridgeClient.getTopics(resolve)
+    );
+    const items = topics
+      .filter(
+        ({ name, type }) => getMapLayerKind(type) && !this._mapLayers.has(name)
+      )
+      .map(({ name, type }) => ({ label: name, description: type }));
+
+    if (items.length === 0) {
+      vscode.window.showInformationMessage(
+        "No Path, PoseStamped, PoseArray, PoseWithCovarianceStamped or Odometry topics found"
+      );
+      return;
+    }
+
+    const selected = await vscode.window.showQuickPick(items, {
+      placeHolder: "Select a topic to draw on the map",
+    });
+    if (selected && !this._disposed) {
+      this._addMapLayer(selected.label, selected.description);
+    }
+  }
+
+  _addMapLayer(topicName, messageType) {
+    if (!this._mapTf) {
+      this._mapTf = new TfTree();
+      TF_TOPICS.forEach(({ name, isStatic }) => {
+        this._listen(name, TF_MESSAGE_TYPE, (msg) =>
+          this._mapTf.update(msg, isStatic)
+        );
+      });
+      this._mapLayerInterval = setInterval(
+        () => this._postMapLayers(),
+        MAP_LAYER_INTERVAL_MS
+      );
+    }
+
+    const layer = {
+      kind: getMapLayerKind(messageType),
+      latest: null,
+      listener: (msg) => {
+        layer.latest = msg;
+      },
+    };
+
+    const topic = this._rosbridgeClient.addTopicListener(
+      topicName,
+      messageType,
+      layer.listener
+    );
+    if (!topic) {
+      this._rosbridgeClient.removeTopicListener(topicName, layer.listener);
+      vscode.window.showErrorMessage(`Failed to subscribe to ${topicName}`);
+      return;
+    }
+
+    this._mapLayers.set(topicName, layer);
+    this._panel.webview.postMessage({
+      command: "mapLayerAdded",
+      topic: topicName,
+      kind: layer.kind,
+    });
+  }
+
+  _removeMapLayer(topicName) {
+    const layer = this._mapLayers.get(topicName);
+    if (layer) {
+      this._rosbridgeClient.removeTopicListener(topicName, layer.listener);
+      this._mapLayers.delete(topicName);
+    }
+  }
+
+  _postMapLayers() {
+    this._mapLayers.forEach((layer, topicName) => {
+      if (!layer.latest) {
+        return;
+      }
+
+      const message = layer.latest;
+      layer.latest = null;
+      const reply = {
+        command: "mapLayer",
+        topic: topicName,
+        kind: layer.kind,
+      };
+
+      try {
+        const frame = getMessageFrame(message);
+        const transform =
+          !frame || !this._mapFrame || frame === this._mapFrame
+            ? IDENTITY_TRANSFORM
+            : this._mapTf.lookupTransform(this._mapFrame, frame);
+        reply.layer = toMapLayer(layer.kind, message, transform);
+      } catch (error) {
+        reply.error = error.message;
+      }
+
+      this._panel.webview.postMessage(reply);
+    });
+  }
+
+  // 2D Pose Estimate and Nav Goal clicks, already in map coordinates. The
+  // stamp is left at zero so TF uses the latest transform, whatever clock
+  // the robot runs on.
+  _publishMapPose({ tool, x, y, yaw }) {
+    if (!this._rosbridgeClient || !this._rosbridgeClient.isConnected()) {
+      vscode.window.showErrorMessage(
+        "Publishing poses needs a rosbridge connection"
+      );
+      return;
+    }
+
+    const profile = this._rosbridgeClient.profile;
+    const header = {
+      stamp: { sec: 0, nanosec: 0 },
+      frame_id: this._mapFrame || "map",
+    };
+    const pose = {
+      position: { x, y, z: 0 },
+      orientation: { x: 0, y: 0, z: Math.sin(yaw / 2), w: Math.cos(yaw / 2) },
+    };
+
+    let topicName;
+    let published;
+    if (tool === "initialPose") {
+      topicName = getProfileSetting(
+        profile,
+        "initialPoseTopic",
+        "/initialpose"
+      );
+      const covariance = new Array(36).fill(0);
+      Object.entries(INITIAL_POSE_COVARIANCE).forEach(([index, value]) => {
+        covariance[index] = value;
+      });
+      published = this._rosbridgeClient.publishTopic(
+        topicName,
+        "geometry_msgs/msg/PoseWithCovarianceStamped",
+        { header, pose: { pose, covariance } }
+      );
+    } else {
+      topicName = getProfileSetting(profile, "goalPoseTopic", "/goal_pose");
+      published = this._rosbridgeClient.publishTopic(
+        topicName,
+        "geometry_msgs/msg/PoseStamped",
+        { header, pose }
+      );
+    }
+
+    if (published) {
+      const label = tool === "initialPose" ? "initial pose" : "goal";
+      vscode.window.setStatusBarMessage(
+        `Published ${label} to ${topicName}`,
+        3000
+      );
+    } else {
+      vscode.window.showErrorMessage(`Failed to publish to ${topicName}`);
+    }
+  }
+
+  _stopMapLayers() {
+    clearInterval(this._mapLayerInterval);
+    Array.from(this._mapLayers.keys()).forEach((topicName) =>
+      this._removeMapLayer(topicName)
+    );
   }
 
-  static async createOrShow(extensionUri, topicName, messageType, initialData) {
+  static async createOrShow(
+    extensionUri,
+    topicName,
+    messageType,
+    initialData,
+    rosbridgeClient = null
+  ) {
     const column = vscode.window.activeTextEditor
       ? vscode.window.activeTextEditor.viewColumn
       : undefined;
@@ -47,7 +474,9 @@ class VisualizationPanel {
       messageType,
       initialData
     );
-    const panelKey = `${topicName}_${messageType}`;
+    const panelKey = `${
+      rosbridgeClient ? rosbridgeClient.url : ""
+    }|${topicName}_${messageType}`;
 
     // Check if panel is already being created
     if (VisualizationPanel.pendingPanels.has(panelKey)) {
@@ -84,7 +513,9 @@ class VisualizationPanel {
 
       const panel = vscode.window.createWebviewPanel(
         VisualizationPanel.viewType,
-        `Visualization: ${topicName}`,
+        rosbridgeClient
+          ? `Visualization: ${topicName} (${rosbridgeClient.getLabel()})`
+          : `Visualization: ${topicName}`,
         column || vscode.ViewColumn.One,
         {
           enableScripts: true,
@@ -97,9 +528,11 @@ class VisualizationPanel {
         extensionUri,
         topicName,
         detectedType,
-        viewMode
+        viewMode,
+        rosbridgeClient
       );
 
+      visualizationPanel._panelKey = panelKey;
       VisualizationPanel.currentPanels.set(panelKey, visualizationPanel);
       VisualizationPanel.pendingPanels.delete(panelKey);
 
@@ -114,7 +547,110 @@ class VisualizationPanel {
     return panelPromise;
   }
 
+  // Renders a .urdf or .urdf.xacro file from the workspace without a robot
+  // connection. The view re-renders whenever the file or one of its includes
+  // is saved.
+  static async showDescriptionFile(extensionUri, fileUri) {
+    const filePath = fileUri.fsPath;
+    const panelKey = `file|${filePath}`;
+
+    let visualizationPanel = VisualizationPanel.currentPanels.get(panelKey);
+    if (visualizationPanel) {
+      visualizationPanel._panel.reveal();
+    } else {
+      const panel = vscode.window.createWebviewPanel(
+        VisualizationPanel.viewType,
+        `URDF: ${path.basename(filePath)}`,
+        vscode.ViewColumn.Beside,
+        {
+          enableScripts: true,
+          retainContextWhenHidden: true,
+        }
+      );
+
+      visualizationPanel = new VisualizationPanel(
+        panel,
+        extensionUri,
+        path.basename(filePath),
+        "URDF",
+        "graphical"
+      );
+      visualizationPanel._panelKey = panelKey;
+      visualizationPanel._descriptionFile = filePath;
+      visualizationPanel._descriptionFiles = [filePath];
+      visualizationPanel._resourceBaseDir = path.dirname(filePath);
+      VisualizationPanel.currentPanels.set(panelKey, visualizationPanel);
+
+      vscode.workspace.onDidSaveTextDocument(
+        (document) => {
+          if (
+            visualizationPanel._descriptionFiles.includes(document.uri.fsPath)
+          ) {
+            visualizationPanel._renderDescriptionFile();
+          }
+        },
+        null,
+        visualizationPanel._disposables
+      );
+    }
+
+    await visualizationPanel._renderDescriptionFile();
+    return visualizationPanel;
+  }
+
+  async _renderDescriptionFile() {
+    if (!this._workspacePackages) {
+      this._workspacePackages = await findWorkspacePackages();
+    }
+
+    try {
+      const { urdf, files } = await expandXacroFile(this._descriptionFile, {
+        packages: this._workspacePackages,
+      });
+      this._descriptionFiles = files;
+      if (this._disposed) {
+        return;
+      }
+      // Saves must never be dropped by the update throttle
+      this._lastUpdateTime = 0;
+      this._showData({ data: urdf });
+    } catch (error) {
+      vscode.window.showErrorMessage(
+        `Failed to render ${path.basename(this._descriptionFile)}: ${
+          error.message
+        }`
+      );
+    }
+  }
+
+  static canVisualize(detectedType) {
+    return VISUALIZED_MESSAGE_TYPES.includes(detectedType);
+  }
+
+  // Subscriptions must pass every message of these types to the panel
+  static needsEveryMessage(detectedType) {
+    return UNTHROTTLED_MESSAGE_TYPES.includes(detectedType);
+  }
+
   static detectMessageType(messageType, data) {
+    if (
+      messageType.includes("MarkerArray") ||
+      (data && Array.isArray(data.markers))
+    ) {
+      return "MarkerArray";
+    }
+
+    if (
+      /(^|\/)Marker$/.test(messageType) ||
+      (data &&
+        data.ns !== undefined &&
+        data.type !== undefined &&
+        data.action !== undefined &&
+        data.pose)
+    ) {
+      return "Marker";
+    }
+
     if (
       messageType.includes("OccupancyGrid") ||
       (data && data.info && data.data && data.info.width && data.info.height)
@@ -133,6 +669,27 @@ class VisualizationPanel {
       return "LaserScan";
     }
 
+    if (
+      messageType.includes("CompressedImage") ||
+      (data && typeof data.format === "string" && data.data && !data.encoding)
+    ) {
+      return "CompressedImage";
+    }
+
+    if (
+      /(^|\/)Image$/.test(messageType) ||
+      (data && data.encoding && data.step !== undefined && data.data)
+    ) {
+      return "Image";
+    }
+
+    if (
+      messageType.includes("PointCloud2") ||
+      (data && data.fields && data.point_step !== undefined && data.data)
+    ) {
+      return "PointCloud2";
+    }
+
     if (
       messageType.includes("String") &&
       data &&
@@ -163,6 +720,17 @@ class VisualizationPanel {
       case "URDF":
         detectedMessage = "a robot model (URDF)";
         break;
+      case "PointCloud2":
+        detectedMessage = "a point cloud";
+        break;
+      case "Image":
+      case "CompressedImage":
+        detectedMessage = "camera images";
+        break;
+      case "Marker":
+      case "MarkerArray":
+        detectedMessage = "visualization markers";
+        break;
       default:
         detectedMessage = `${messageType} data`;
     }
@@ -194,17 +762,37 @@ class VisualizationPanel {
     return selected ? selected.value : null;
   }
 
+  // Entry point for received messages; only these count towards the
+  // displayed rate.
   updateData(data) {
     const now = Date.now();
+    this._receivedTimes.push(now);
+    this._receivedTimes = this._receivedTimes.filter(
+      (time) => now - time <= RATE_WINDOW_MS
+    );
+
+    this._showData(data, now);
+  }
+
+  _showData(data, now = Date.now()) {
+    if (this._messageType === "OccupancyGrid") {
+      this._mapFrame = getMessageFrame(data) || null;
+    }
 
     // Throttle updates to prevent overwhelming the webview
-    if (now - this._lastUpdateTime < this._updateThrottle) {
+    if (
+      !UNTHROTTLED_MESSAGE_TYPES.includes(this._messageType) &&
+      now - this._lastUpdateTime < this._updateThrottle
+    ) {
       return;
     }
     this._lastUpdateTime = now;
 
-    // For large data, create a shallow copy to avoid memory leaks
-    this._rawData = JSON.parse(JSON.stringify(data));
+    // For large data, create a shallow copy to avoid memory leaks. Binary
+    // messages are kept as received, since their bytes do not survive JSON.
+    this._rawData = BINARY_MESSAGE_TYPES.includes(this._messageType)
+      ? data
+      : JSON.parse(JSON.stringify(data));
 
     // Limit data history to prevent memory growth
     if (this._dataHistory.length >= this._dataHistoryLimit) {
@@ -223,6 +811,13 @@ class VisualizationPanel {
               angle_max: data.angle_max,
               rangesLength: data.ranges?.length,
             }
+          : BINARY_MESSAGE_TYPES.includes(this._messageType)
+          ? {
+              width: data.width,
+              height: data.height,
+              encoding: data.encoding || data.format,
+              dataLength: data.data?.length,
+            }
           : data,
     };
     this._dataHistory.push(historyEntry);
@@ -233,21 +828,67 @@ class VisualizationPanel {
         data: data,
         messageType: this._messageType,
         viewMode: this._viewMode,
+        rate: this._getReceivedRate(now),
       });
     }
   }
 
+  _getReceivedRate(now) {
+    const times = this._receivedTimes;
+    if (times.length < 2 || now === times[0]) {
+      return null;
+    }
+    return (times.length - 1) / ((now - times[0]) / 1000);
+  }
+
+  async _saveImage(base64) {
+    const folders = vscode.workspace.workspaceFolders;
+    const fileName = `${this._topicName
+      .replace(/^\//, "")
+      .replace(/[^A-Za-z0-9_-]+/g, "_")}_${Date.now()}.png`;
+    const defaultUri =
+      folders && folders.length > 0
+        ? vscode.Uri.joinPath(folders[0].uri, fileName)
+        : vscode.Uri.file(`${process.env.HOME}/${fileName}`);
+
+    const fileUri = await vscode.window.showSaveDialog({
+      defaultUri,
+      filters: {
+        PNG: ["png"],
+      },
+    });
+    if (!fileUri) {
+      return;
+    }
+
+    try {
+      await vscode.workspace.fs.writeFile(
+        fileUri,
+        Buffer.from(base64, "base64")
+      );
+      vscode.window.showInformationMessage(`Saved frame to ${fileUri.fsPath}`);
+    } catch (error) {
+      vscode.window.showErrorMessage(`Failed to save frame: ${error.message}`);
+    }
+  }
+
   updateView() {
     if (this._rawData) {
-      this.updateData(this._rawData);
+      this._showData(this._rawData);
     }
   }
 
   dispose() {
-    const panelKey = `${this._topicName}_${this._messageType}`;
+    this._disposed = true;
+    const panelKey = this._panelKey;
     VisualizationPanel.currentPanels.delete(panelKey);
     VisualizationPanel.pendingPanels.delete(panelKey);
 
+    if (this._rosbridgeClient) {
+      this._stopRobotState();
+      this._stopMapLayers();
+    }
+
     // Clear data to free memory
     this._rawData = null;
     this._dataHistory = [];
@@ -278,6 +919,9 @@ class VisualizationPanel {
       <title>Visualization: ${this._topicName}</title>
       <script src="https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.min.js"></script>
       <script src="https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/controls/OrbitControls.js"></script>
+      <script src="https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/loaders/STLLoader.js"></script>
+      <script src="https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/loaders/ColladaLoader.js"></script>
+      <script src="https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/loaders/OBJLoader.js"></script>
       <style>
         body { 
           margin: 0;
@@ -427,6 +1071,7 @@ class VisualizationPanel {
       <script>
         const vscode = acquireVsCodeApi();
         let currentData = null;
+        let currentRate = null;
         let currentMessageType = '${this._messageType}';
         let currentViewMode = '${this._viewMode}';
         function changeViewMode(mode) {
@@ -437,6 +1082,17 @@ class VisualizationPanel {
             viewMode: mode
           });
         }
+        // URDF shows its XML; point cloud and image bytes are summarised
+        function rawDataText(data) {
+          if (currentMessageType === 'URDF' && data.data) {
+            return data.data;
+          }
+          if (['PointCloud2', 'Image', 'CompressedImage'].includes(currentMessageType) && data.data !== undefined) {
+            const summary = Object.assign({}, data, { data: '[' + messageBytes(data.data).length + ' bytes]' });
+            return JSON.stringify(summary, null, 2);
+          }
+          return JSON.stringify(data, null, 2);
+        }
         function updateViewMode() {
           const buttons = document.querySelectorAll('.view-mode-btn');
           buttons.forEach(btn => {
@@ -521,11 +1177,7 @@ class VisualizationPanel {
               // Set the content based on message type
               let rawContent = '';
               if (currentData) {
-                if (currentMessageType === 'URDF' && currentData.data) {
-                  rawContent = currentData.data;
-                } else {
-                  rawContent = JSON.stringify(currentData, null, 2);
-                }
+                rawContent = rawDataText(currentData);
                 mainRawData.textContent = rawContent;
               }
               
@@ -565,6 +1217,10 @@ class VisualizationPanel {
               }
               break;
           }
+          const mapLayerBar = document.getElementById('mapLayerBar');
+          if (mapLayerBar) {
+            mapLayerBar.classList.toggle('hidden', currentViewMode === 'raw');
+          }
           if (currentData && currentViewMode !== 'raw') {
             setTimeout(() => renderVisualization(currentData), 100);
           }
@@ -585,6 +1241,17 @@ class VisualizationPanel {
               case 'URDF':
                 renderURDF(data, canvas, info);
                 break;
+              case 'PointCloud2':
+                renderPointCloud(data, canvas, info);
+                break;
+              case 'Image':
+              case 'CompressedImage':
+                renderImage(data, canvas, info, currentRate);
+                break;
+              case 'Marker':
+              case 'MarkerArray':
+                renderMarkers(data, canvas, info);
+                break;
               default:
                 info.textContent = 'Visualization not available for this message type';
             }
@@ -592,54 +1259,361 @@ class VisualizationPanel {
             info.textContent = 'Error rendering visualization: ' + e.message;
           }
         }
-        function renderOccupancyGrid(data, canvas, info) {
-          if (!data.info || !data.data) {
-            info.textContent = 'Invalid OccupancyGrid data';
-            return;
+        // Map layers: the grid is kept in an offscreen canvas so overlays can
+        // be redrawn on top whenever a layer or the map changes
+        const MAP_LAYER_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6'];
+        const MAP_TARGET_SIZE = 800;
+        const TRAIL_MIN_STEP = 0.05;
+        const TRAIL_MAX_POINTS = 2000;
+        // 95% of a 2D Gaussian lies within this many standard deviations
+        const COVARIANCE_SIGMA = 2.4477;
+        const mapLayers = new Map();
+        let mapGrid = null;
+        function ensureMapLayerBar() {
+          let bar = document.getElementById('mapLayerBar');
+          if (!bar) {
+            bar = document.createElement('div');
+            bar.id = 'mapLayerBar';
+            bar.style.display = 'flex';
+            bar.style.flexWrap = 'wrap';
+            bar.style.alignItems = 'center';
+            bar.style.gap = '10px';
+            bar.style.padding = '6px 10px';
+            bar.style.fontSize = '12px';
+            bar.style.color = '#cccccc';
+            bar.style.backgroundColor = '#2d2d30';
+            const container = document.getElementById('canvasContainer');
+            container.parentNode.insertBefore(bar, container);
           }
-          const ctx = canvas.getContext('2d');
-          const width = data.info.width;
-          const height = data.info.height;
-          const resolution = data.info.resolution;
-          canvas.width = width;
-          canvas.height = height;
-          canvas.style.display = 'block';
-          ctx.clearRect(0, 0, width, height);
-          const imageData = ctx.createImageData(width, height);
-          const pixels = imageData.data;
-          for (let i = 0; i < data.data.length; i++) {
-            const value = data.data[i];
-            let color;
-            if (value === -1) {
-              color = 128; // Gray for unknown
-            } else if (value === 0) {
-              color = 255; // White for free space
-            } else {
-              color = 255 - Math.round((value / 100.0) * 255); // Black for occupied
+          return bar;
+        }
+        function updateMapLayerBar() {
+          const bar = ensureMapLayerBar();
+          bar.innerHTML = '';
+          MAP_TOOLS.forEach(tool => {
+            const button = document.createElement('button');
+            button.textContent = tool.label;
+            button.title = mapTool === tool.id ? 'Click to cancel' : 'Click and drag on the map to set position and heading';
+            if (mapTool === tool.id) {
+              button.style.outline = '2px solid ' + tool.color;
             }
-            pixels[i * 4] = color;
-            pixels[i * 4 + 1] = color;
-            pixels[i * 4 + 2] = color;
-            pixels[i * 4 + 3] = 255;
+            button.onclick = () => {
+              mapTool = mapTool === tool.id ? null : tool.id;
+              updateMapLayerBar();
+            };
+            bar.appendChild(button);
+          });
+          const canvas = document.getElementById('canvas');
+          if (canvas) {
+            canvas.style.cursor = mapTool ? 'crosshair' : '';
           }
-          ctx.putImageData(imageData, 0, 0);
-          info.textContent = '';
+          const add = document.createElement('button');
+          add.textContent = 'Add Layer';
+          add.title = 'Draw a Path, pose or Odometry topic on the map';
+          add.onclick = () => vscode.postMessage({ command: 'addMapLayer' });
+          bar.appendChild(add);
+          mapLayers.forEach((layer, topic) => {
+            const item = document.createElement('span');
+            item.style.whiteSpace = 'nowrap';
+            const swatch = document.createElement('span');
+            swatch.textContent = '■ ';
+            swatch.style.color = layer.color;
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(topic));
+            if (layer.error) {
+              const error = document.createElement('span');
+              error.textContent = ' (' + layer.error + ')';
+              error.style.color = '#f48771';
+              item.appendChild(error);
+            }
+            if (layer.kind === 'odometry') {
+              const clear = document.createElement('button');
+              clear.textContent = 'Clear Trail';
+              clear.style.marginLeft = '4px';
+              clear.onclick = () => {
+                layer.trail = [];
+                drawMap();
+              };
+              item.appendChild(clear);
+            }
+            const remove = document.createElement('button');
+            remove.textContent = '×';
+            remove.title = 'Remove layer';
+            remove.style.marginLeft = '4px';
+            remove.onclick = () => {
+              mapLayers.delete(topic);
+              vscode.postMessage({ command: 'removeMapLayer', topic });
+              updateMapLayerBar();
+              drawMap();
+            };
+            item.appendChild(remove);
+            bar.appendChild(item);
+          });
+          bar.classList.toggle('hidden', currentMessageType !== 'OccupancyGrid' || currentViewMode === 'raw');
         }
-        function renderLaserScan(data, canvas, info) {
-          if (!data.ranges || data.angle_min === undefined || data.angle_max === undefined) {
-            info.textContent = 'Invalid LaserScan data';
+        function handleMapLayer(message) {
+          const layer = mapLayers.get(message.topic);
+          if (!layer) {
             return;
           }
-          const ctx = canvas.getContext('2d');
-          const canvasSize = 600;
-          canvas.width = canvasSize;
-          canvas.height = canvasSize;
-          canvas.style.display = 'block';
-          ctx.clearRect(0, 0, canvasSize, canvasSize);
-          // Background - dark theme with subtle gradient
-          const gradient = ctx.createRadialGradient(canvasSize/2, canvasSize/2, 0, canvasSize/2, canvasSize/2, canvasSize/2);
-          gradient.addColorStop(0, '#1a1a1a'); // Dark gray at center
-          gradient.addColorStop(0.7, '#0d0d0d'); // Darker toward edges
+          const hadError = layer.error;
+          layer.error = message.error || null;
+          if (message.layer) {
+            layer.data = message.layer;
+            if (layer.kind === 'odometry' && message.layer.poses.length > 0) {
+              const pose = message.layer.poses[0];
+              const last = layer.trail[layer.trail.length - 1];
+              if (!last || Math.hypot(pose.x - last.x, pose.y - last.y) >= TRAIL_MIN_STEP) {
+                layer.trail.push(pose);
+                if (layer.trail.length > TRAIL_MAX_POINTS) {
+                  layer.trail.shift();
+                }
+              }
+            }
+          }
+          if (hadError !== layer.error) {
+            updateMapLayerBar();
+          }
+          drawMap();
+        }
+        // Map frame (metres) to canvas pixels, through the grid origin pose.
+        // Row 0 of the grid is at the origin, so y grows upwards on screen.
+        function mapToCanvas(x, y) {
+          const info = mapGrid.info;
+          const dx = x - info.origin.position.x;
+          const dy = y - info.origin.position.y;
+          const cos = Math.cos(mapGrid.originYaw);
+          const sin = Math.sin(mapGrid.originYaw);
+          const cellX = (cos * dx + sin * dy) / info.resolution;
+          const cellY = (-sin * dx + cos * dy) / info.resolution;
+          return [cellX * mapGrid.scale, (info.height - cellY) * mapGrid.scale];
+        }
+        function canvasAngle(yaw) {
+          return -(yaw - mapGrid.originYaw);
+        }
+        function drawPoseArrow(ctx, pose, length, color) {
+          const [px, py] = mapToCanvas(pose.x, pose.y);
+          const angle = canvasAngle(pose.yaw);
+          const tipX = px + Math.cos(angle) * length;
+          const tipY = py + Math.sin(angle) * length;
+          const head = Math.max(length * 0.35, 3);
+          ctx.strokeStyle = color;
+          ctx.fillStyle = color;
+          ctx.lineWidth = 2;
+          ctx.beginPath();
+          ctx.moveTo(px, py);
+          ctx.lineTo(tipX, tipY);
+          ctx.stroke();
+          ctx.beginPath();
+          ctx.moveTo(tipX, tipY);
+          ctx.lineTo(tipX - Math.cos(angle - 0.5) * head, tipY - Math.sin(angle - 0.5) * head);
+          ctx.lineTo(tipX - Math.cos(angle + 0.5) * head, tipY - Math.sin(angle + 0.5) * head);
+          ctx.closePath();
+          ctx.fill();
+        }
+        function drawPolyline(ctx, poses, color) {
+          if (poses.length < 2) {
+            return;
+          }
+          ctx.strokeStyle = color;
+          ctx.lineWidth = 2;
+          ctx.beginPath();
+          poses.forEach((pose, i) => {
+            const [px, py] = mapToCanvas(pose.x, pose.y);
+            if (i === 0) {
+              ctx.moveTo(px, py);
+            } else {
+              ctx.lineTo(px, py);
+            }
+          });
+          ctx.stroke();
+        }
+        function drawCovariance(ctx, pose, covariance, color) {
+          const [xx, xy, yy] = covariance;
+          const mean = (xx + yy) / 2;
+          const spread = Math.sqrt(Math.pow((xx - yy) / 2, 2) + xy * xy);
+          const major = Math.sqrt(Math.max(mean + spread, 0)) * COVARIANCE_SIGMA;
+          const minor = Math.sqrt(Math.max(mean - spread, 0)) * COVARIANCE_SIGMA;
+          const toPixels = mapGrid.scale / mapGrid.info.resolution;
+          const [px, py] = mapToCanvas(pose.x, pose.y);
+          ctx.strokeStyle = color;
+          ctx.fillStyle = color;
+          ctx.globalAlpha = 0.25;
+          ctx.beginPath();
+          ctx.ellipse(px, py, Math.max(major * toPixels, 1), Math.max(minor * toPixels, 1),
+            canvasAngle(0.5 * Math.atan2(2 * xy, xx - yy)), 0, 2 * Math.PI);
+          ctx.fill();
+          ctx.globalAlpha = 1;
+          ctx.lineWidth = 1;
+          ctx.stroke();
+        }
+        function drawMap() {
+          const canvas = document.getElementById('canvas');
+          if (!mapGrid || !canvas || currentMessageType !== 'OccupancyGrid') {
+            return;
+          }
+          const ctx = canvas.getContext('2d');
+          ctx.imageSmoothingEnabled = false;
+          ctx.drawImage(mapGrid.image, 0, 0, canvas.width, canvas.height);
+          // Arrows keep a readable size whatever the map resolution
+          const arrowLength = Math.max(0.5 / mapGrid.info.resolution * mapGrid.scale, 14);
+          mapLayers.forEach(layer => {
+            const data = layer.data;
+            if (layer.kind === 'odometry') {
+              drawPolyline(ctx, layer.trail, layer.color);
+            }
+            if (!data) {
+              return;
+            }
+            switch (layer.kind) {
+              case 'path':
+                drawPolyline(ctx, data.poses, layer.color);
+                break;
+              case 'poseArray':
+                data.poses.forEach(pose => drawPoseArrow(ctx, pose, arrowLength * 0.6, layer.color));
+                break;
+              case 'poseWithCovariance':
+                if (data.poses.length > 0) {
+                  drawCovariance(ctx, data.poses[0], data.covariance, layer.color);
+                }
+                data.poses.forEach(pose => drawPoseArrow(ctx, pose, arrowLength, layer.color));
+                break;
+              default:
+                data.poses.forEach(pose => drawPoseArrow(ctx, pose, arrowLength, layer.color));
+            }
+          });
+          // The pose being placed stays on top while layers keep updating
+          if (mapDrag && mapDrag.pose) {
+            drawPoseArrow(ctx, mapDrag.pose, arrowLength * 1.5, mapDrag.tool.color);
+          }
+        }
+        // RViz-style 2D Pose Estimate and Nav Goal: press on the map to place
+        // the pose, drag to aim it, release to publish
+        const MAP_TOOLS = [
+          { id: 'initialPose', label: '2D Pose Estimate', color: '#2ecc71' },
+          { id: 'goal', label: 'Nav Goal', color: '#e91e63' }
+        ];
+        let mapTool = null;
+        let mapDrag = null;
+        function canvasToMap(px, py) {
+          const info = mapGrid.info;
+          const cellX = px / mapGrid.scale * info.resolution;
+          const cellY = (info.height - py / mapGrid.scale) * info.resolution;
+          const cos = Math.cos(mapGrid.originYaw);
+          const sin = Math.sin(mapGrid.originYaw);
+          return [
+            info.origin.position.x + cos * cellX - sin * cellY,
+            info.origin.position.y + sin * cellX + cos * cellY
+          ];
+        }
+        function canvasPoint(canvas, event) {
+          const rect = canvas.getBoundingClientRect();
+          return [
+            (event.clientX - rect.left - canvas.clientLeft) * canvas.width / canvas.clientWidth,
+            (event.clientY - rect.top - canvas.clientTop) * canvas.height / canvas.clientHeight
+          ];
+        }
+        function dragPose(event) {
+          const canvas = document.getElementById('canvas');
+          const [px, py] = canvasPoint(canvas, event);
+          const [x, y] = canvasToMap(mapDrag.start[0], mapDrag.start[1]);
+          const dx = px - mapDrag.start[0];
+          const dy = py - mapDrag.start[1];
+          // Without a drag the pose faces along the map's x axis
+          const yaw = Math.hypot(dx, dy) < 3 ? 0 : mapGrid.originYaw - Math.atan2(dy, dx);
+          return { x, y, yaw };
+        }
+        document.addEventListener('mousedown', event => {
+          if (!mapTool || !mapGrid || event.target.id !== 'canvas' || currentMessageType !== 'OccupancyGrid') {
+            return;
+          }
+          event.preventDefault();
+          mapDrag = {
+            start: canvasPoint(event.target, event),
+            tool: MAP_TOOLS.find(tool => tool.id === mapTool)
+          };
+          mapDrag.pose = dragPose(event);
+          drawMap();
+        });
+        window.addEventListener('mousemove', event => {
+          if (mapDrag) {
+            mapDrag.pose = dragPose(event);
+            drawMap();
+          }
+        });
+        window.addEventListener('mouseup', event => {
+          if (!mapDrag) {
+            return;
+          }
+          const pose = dragPose(event);
+          vscode.postMessage({ command: 'publishMapPose', tool: mapDrag.tool.id, x: pose.x, y: pose.y, yaw: pose.yaw });
+          mapDrag = null;
+          mapTool = null;
+          updateMapLayerBar();
+          drawMap();
+        });
+        function renderOccupancyGrid(data, canvas, info) {
+          if (!data.info || !data.data) {
+            info.textContent = 'Invalid OccupancyGrid data';
+            return;
+          }
+          const width = data.info.width;
+          const height = data.info.height;
+          const resolution = data.info.resolution;
+          const image = document.createElement('canvas');
+          image.width = width;
+          image.height = height;
+          const imageContext = image.getContext('2d');
+          const imageData = imageContext.createImageData(width, height);
+          const pixels = imageData.data;
+          for (let i = 0; i < data.data.length; i++) {
+            const value = data.data[i];
+            let color;
+            if (value === -1) {
+              color = 128; // Gray for unknown
+            } else if (value === 0) {
+              color = 255; // White for free space
+            } else {
+              color = 255 - Math.round((value / 100.0) * 255); // Black for occupied
+            }
+            // Row 0 is the bottom of the map
+            const target = ((height - 1 - Math.floor(i / width)) * width + (i % width)) * 4;
+            pixels[target] = color;
+            pixels[target + 1] = color;
+            pixels[target + 2] = color;
+            pixels[target + 3] = 255;
+          }
+          imageContext.putImageData(imageData, 0, 0);
+          const q = data.info.origin.orientation;
+          mapGrid = {
+            info: data.info,
+            image,
+            scale: Math.max(1, Math.floor(MAP_TARGET_SIZE / Math.max(width, height))),
+            originYaw: Math.atan2(2 * (q.w * q.z + q.x * q.y), 1 - 2 * (q.y * q.y + q.z * q.z))
+          };
+          canvas.width = width * mapGrid.scale;
+          canvas.height = height * mapGrid.scale;
+          canvas.style.display = 'block';
+          drawMap();
+          updateMapLayerBar();
+          const frame = data.header && data.header.frame_id ? data.header.frame_id : 'map';
+          info.textContent = frame + ': ' + width + 'x' + height + ' cells at ' + resolution + ' m';
+        }
+        function renderLaserScan(data, canvas, info) {
+          if (!data.ranges || data.angle_min === undefined || data.angle_max === undefined) {
+            info.textContent = 'Invalid LaserScan data';
+            return;
+          }
+          const ctx = canvas.getContext('2d');
+          const canvasSize = 600;
+          canvas.width = canvasSize;
+          canvas.height = canvasSize;
+          canvas.style.display = 'block';
+          ctx.clearRect(0, 0, canvasSize, canvasSize);
+          // Background - dark theme with subtle gradient
+          const gradient = ctx.createRadialGradient(canvasSize/2, canvasSize/2, 0, canvasSize/2, canvasSize/2, canvasSize/2);
+          gradient.addColorStop(0, '#1a1a1a'); // Dark gray at center
+          gradient.addColorStop(0.7, '#0d0d0d'); // Darker toward edges
           gradient.addColorStop(1, '#000000'); // Black at edges
           ctx.fillStyle = gradient;
           ctx.fillRect(0, 0, canvasSize, canvasSize);
@@ -743,6 +1717,213 @@ class VisualizationPanel {
         let urdfScene = null;
         let urdfRenderer = null;
         let urdfAnimationId = null;
+        // The camera is kept across re-renders of the same panel, e.g. when a
+        // description file is saved
+        let urdfCameraView = null;
+        let urdfSavedView = null;
+        let urdfRobotBase = null;
+        const urdfJoints = new Map();
+        let lastJointPositions = {};
+        let lastBasePose = null;
+        let urdfFixedFrame = '';
+        let robotStateInfo = null;
+        let robotStateError = null;
+        // Moves revolute/continuous joints about their axis and prismatic
+        // joints along it, starting from the joint origin in the URDF.
+        function applyJointPositions(positions) {
+          lastJointPositions = positions;
+          urdfJoints.forEach((joint, name) => {
+            let value = positions[name];
+            if (joint.mimic && positions[joint.mimic.joint] !== undefined) {
+              value = positions[joint.mimic.joint] * joint.mimic.multiplier + joint.mimic.offset;
+            }
+            if (typeof value !== 'number' || !isFinite(value)) {
+              return;
+            }
+            if (joint.type === 'prismatic') {
+              const offset = joint.axis.clone().multiplyScalar(value).applyQuaternion(joint.originQuaternion);
+              joint.link.position.copy(joint.originPosition).add(offset);
+            } else {
+              const rotation = new THREE.Quaternion().setFromAxisAngle(joint.axis, value);
+              joint.link.quaternion.copy(joint.originQuaternion).multiply(rotation);
+            }
+          });
+        }
+        function applyBasePose(pose) {
+          lastBasePose = pose;
+          if (!urdfRobotBase) {
+            return;
+          }
+          if (pose) {
+            urdfRobotBase.position.set(pose.translation[0], pose.translation[1], pose.translation[2]);
+            urdfRobotBase.quaternion.set(pose.rotation[0], pose.rotation[1], pose.rotation[2], pose.rotation[3]);
+          } else {
+            urdfRobotBase.position.set(0, 0, 0);
+            urdfRobotBase.quaternion.set(0, 0, 0, 1);
+          }
+        }
+        function updateFixedFrameOptions() {
+          const select = document.getElementById('urdfFixedFrame');
+          if (!select || !robotStateInfo) {
+            return;
+          }
+          const frames = robotStateInfo.frames.slice();
+          if (urdfFixedFrame && !frames.includes(urdfFixedFrame)) {
+            frames.unshift(urdfFixedFrame);
+          }
+          const current = Array.from(select.options).slice(1).map(option => option.value);
+          if (current.join('|') !== frames.join('|')) {
+            select.innerHTML = '<option value="">(none, robot at origin)</option>';
+            frames.forEach(frame => {
+              const option = document.createElement('option');
+              option.value = frame;
+              option.textContent = frame;
+              select.appendChild(option);
+            });
+          }
+          select.value = urdfFixedFrame;
+        }
+        function updateRobotStatus() {
+          const status = document.getElementById('urdfRobotStatus');
+          if (!status || !robotStateInfo) {
+            return;
+          }
+          const age = robotStateInfo.jointStatesAge;
+          let text = age === null
+            ? 'Waiting for ' + robotStateInfo.jointStatesTopic
+            : robotStateInfo.jointStatesTopic + ': ' + (age < 1000 ? age + ' ms' : (age / 1000).toFixed(1) + ' s') + ' ago';
+          if (urdfFixedFrame && robotStateError) {
+            text += ' | TF: ' + robotStateError;
+          }
+          status.textContent = text;
+        }
+        // Parsed meshes are kept for the life of the panel, keyed by URI, and
+        // shared between rebuilds of the robot.
+        const meshCache = new Map();
+        let requestedMeshUris = [];
+        function requestMesh(uri, spec) {
+          let entry = meshCache.get(uri);
+          if (!entry) {
+            entry = { status: 'loading', object: null, format: null, error: null, waiting: [] };
+            meshCache.set(uri, entry);
+            requestedMeshUris.push(uri);
+          }
+          if (entry.status === 'loaded') {
+            attachMesh(entry, spec);
+          } else if (entry.status === 'failed') {
+            if (spec.onFailed) {
+              spec.onFailed();
+            }
+          } else {
+            entry.waiting.push(spec);
+          }
+        }
+        function loadRequestedMeshes() {
+          if (requestedMeshUris.length > 0) {
+            vscode.postMessage({ command: 'loadMeshes', uris: requestedMeshUris });
+            requestedMeshUris = [];
+          }
+          updateMeshStatus();
+        }
+        function parseMesh(format, data) {
+          switch (format) {
+            case 'stl': {
+              if (!THREE.STLLoader) {
+                throw new Error('STL loader not available');
+              }
+              const bytes = new Uint8Array(data);
+              const geometry = new THREE.STLLoader().parse(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+              return new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ color: 0xb0b0b0, metalness: 0.3, roughness: 0.6 }));
+            }
+            case 'obj':
+              if (!THREE.OBJLoader) {
+                throw new Error('OBJ loader not available');
+              }
+              return new THREE.OBJLoader().parse(data);
+            case 'dae': {
+              if (!THREE.ColladaLoader) {
+                throw new Error('COLLADA loader not available');
+              }
+              // The loader converts to Y-up; rotate back so the mesh is in
+              // the Z-up link frame like RViz shows it
+              const collada = new THREE.ColladaLoader().parse(data, '');
+              const wrapper = new THREE.Group();
+              wrapper.rotation.x = Math.PI / 2;
+              wrapper.add(collada.scene);
+              return wrapper;
+            }
+            default:
+              throw new Error('Unsupported mesh format: ' + format);
+          }
+        }
+        // COLLADA files keep their own materials unless the spec overrides
+        // them; STL and OBJ take the URDF or marker one
+        function attachMesh(entry, spec) {
+          const object = entry.object.clone();
+          object.traverse(child => {
+            if (child.isMesh) {
+              if (spec.material && (entry.format !== 'dae' || spec.overrideEmbedded)) {
+                child.material = spec.material;
+              }
+              child.castShadow = true;
+              child.receiveShadow = true;
+            }
+          });
+          const scaled = new THREE.Group();
+          if (spec.scale) {
+            scaled.scale.set(spec.scale[0], spec.scale[1], spec.scale[2]);
+          }
+          scaled.add(object);
+          spec.holder.add(scaled);
+        }
+        function handleMeshData(message) {
+          const entry = meshCache.get(message.uri);
+          if (!entry) {
+            return;
+          }
+          try {
+            if (message.error) {
+              throw new Error(message.error);
+            }
+            entry.object = parseMesh(message.format, message.data);
+            entry.format = message.format;
+            entry.status = 'loaded';
+            entry.waiting.forEach(spec => attachMesh(entry, spec));
+          } catch (e) {
+            entry.status = 'failed';
+            entry.error = e.message;
+            entry.waiting.forEach(spec => {
+              if (spec.onFailed) {
+                spec.onFailed();
+              }
+            });
+          }
+          entry.waiting = [];
+          updateMeshStatus();
+        }
+        function updateMeshStatus() {
+          const status = document.getElementById('urdfMeshStatus');
+          if (!status) {
+            return;
+          }
+          if (meshCache.size === 0) {
+            status.textContent = '';
+            return;
+          }
+          const entries = Array.from(meshCache.entries());
+          const count = state => entries.filter(([, entry]) => entry.status === state).length;
+          const failed = entries.filter(([, entry]) => entry.status === 'failed');
+          let text = 'Meshes: ' + count('loaded') + '/' + entries.length + ' loaded';
+          if (count('loading') > 0) {
+            text += ', ' + count('loading') + ' loading';
+          }
+          if (failed.length > 0) {
+            text += ', ' + failed.length + ' missing (using primitives)';
+          }
+          status.textContent = text;
+          status.title = failed.map(([uri, entry]) => uri + ': ' + entry.error).join('\\n');
+          status.style.color = failed.length > 0 ? '#f0b060' : '#aaaaaa';
+        }
         function cleanupURDF() {
           if (urdfAnimationId) {
             cancelAnimationFrame(urdfAnimationId);
@@ -755,6 +1936,18 @@ class VisualizationPanel {
           if (urdfScene) {
             urdfScene = null;
           }
+          if (urdfCameraView) {
+            urdfSavedView = {
+              position: urdfCameraView.camera.position.clone(),
+              target: urdfCameraView.controls.target.clone()
+            };
+            urdfCameraView = null;
+          }
+          urdfRobotBase = null;
+          urdfJoints.clear();
+          meshCache.forEach(entry => {
+            entry.waiting = [];
+          });
         }
         function renderURDF(data, canvas, info) {
           canvas.style.display = 'none';
@@ -833,8 +2026,22 @@ class VisualizationPanel {
           overlay.innerHTML = \`
             <div><strong>\${robotName}</strong></div>
             <div style="margin-top: 5px;">Mouse: Rotate | Scroll: Zoom | Right-click: Pan</div>
+            <div style="margin-top: 8px;">Fixed frame:
+              <select id="urdfFixedFrame" title="Place the robot base in this TF frame">
+                <option value="">(none, robot at origin)</option>
+              </select>
+            </div>
+            <div id="urdfRobotStatus" style="margin-top: 5px; color: #aaaaaa;"></div>
+            <div id="urdfMeshStatus" style="margin-top: 5px; color: #aaaaaa;"></div>
           \`;
           container.appendChild(overlay);
+          const fixedFrameSelect = overlay.querySelector('#urdfFixedFrame');
+          fixedFrameSelect.addEventListener('change', () => {
+            urdfFixedFrame = fixedFrameSelect.value;
+            robotStateError = null;
+            vscode.postMessage({ command: 'setFixedFrame', frame: urdfFixedFrame });
+            updateRobotStatus();
+          });
           // Create Three.js scene
           const scene = new THREE.Scene();
           scene.background = new THREE.Color(0xf0f0f0); // Light gray background
@@ -880,6 +2087,10 @@ class VisualizationPanel {
           // Rotate -90 degrees around X axis to convert from Z-up to Y-up
           robotGroup.rotation.x = -Math.PI / 2;
           scene.add(robotGroup);
+          // Links hang off robotBase so TF can place the robot in a fixed frame
+          const robotBase = new THREE.Group();
+          robotGroup.add(robotBase);
+          urdfRobotBase = robotBase;
           // Materials
           const materials = {
             body: new THREE.MeshStandardMaterial({ color: 0x4a90e2, metalness: 0.6, roughness: 0.4 }), // Blue
@@ -893,102 +2104,183 @@ class VisualizationPanel {
           function rpyToQuaternion(rpy) {
             const [roll, pitch, yaw] = rpy;
             const q = new THREE.Quaternion();
-            // URDF uses XYZ fixed axis rotations, Three.js Euler uses intrinsic rotations
-            q.setFromEuler(new THREE.Euler(roll, pitch, yaw, 'XYZ'));
+            // URDF uses fixed-axis XYZ rotations, which equal intrinsic ZYX
+            q.setFromEuler(new THREE.Euler(roll, pitch, yaw, 'ZYX'));
             return q;
           }
 
 
-          // Parse URDF and create geometry from collision shapes
+          // Materials defined at the robot level can be referenced by name
+          const namedMaterials = new Map();
+          Array.from(xmlDoc.documentElement.children)
+            .filter(element => element.tagName === 'material')
+            .forEach(element => {
+              const material = createUrdfMaterial(element, null);
+              if (material) {
+                namedMaterials.set(element.getAttribute('name'), material);
+              }
+            });
+
+          function createUrdfMaterial(element, fallbackNamed) {
+            if (!element) {
+              return null;
+            }
+            const color = element.querySelector('color');
+            if (color && color.getAttribute('rgba')) {
+              const rgba = color.getAttribute('rgba').trim().split(/\\s+/).map(parseFloat);
+              return new THREE.MeshStandardMaterial({
+                color: new THREE.Color(rgba[0], rgba[1], rgba[2]),
+                opacity: rgba.length > 3 ? rgba[3] : 1,
+                transparent: rgba.length > 3 && rgba[3] < 1,
+                metalness: 0.3,
+                roughness: 0.6
+              });
+            }
+            return fallbackNamed ? fallbackNamed.get(element.getAttribute('name')) || null : null;
+          }
+
+          // Colours used when the URDF gives none, picked from the link name
+          function nameBasedMaterial(linkName, shape) {
+            if (shape === 'sphere') {
+              return materials.caster;
+            }
+            if (shape === 'cylinder') {
+              return linkName.includes('wheel') ? materials.wheel :
+                     linkName.includes('base') ? materials.body :
+                     linkName.includes('scan') || linkName.includes('lidar') ? materials.sensor :
+                     materials.default;
+            }
+            return linkName.includes('base') ? materials.body :
+                   linkName.includes('lidar') || linkName.includes('camera') || linkName.includes('sensor') ? materials.sensor :
+                   linkName.includes('caster') ? materials.caster :
+                   materials.default;
+          }
+
+          function applyOrigin(object, origin) {
+            if (!origin) {
+              return;
+            }
+            const xyz = origin.getAttribute('xyz');
+            const rpy = origin.getAttribute('rpy');
+            if (xyz) {
+              const pos = xyz.trim().split(/\\s+/).map(parseFloat);
+              object.position.set(pos[0], pos[1], pos[2]);
+            }
+            if (rpy) {
+              const rot = rpy.trim().split(/\\s+/).map(parseFloat);
+              object.quaternion.multiply(rpyToQuaternion(rot)); // Apply relative rotation
+            }
+          }
+
+          function createPrimitiveMesh(geometry, linkName, material) {
+            const box = geometry.querySelector('box');
+            if (box) {
+              const size = box.getAttribute('size').trim().split(/\\s+/).map(parseFloat);
+              return new THREE.Mesh(
+                new THREE.BoxGeometry(size[0], size[1], size[2]),
+                material || nameBasedMaterial(linkName, 'box')
+              );
+            }
+
+            const cylinder = geometry.querySelector('cylinder');
+            if (cylinder) {
+              const radius = parseFloat(cylinder.getAttribute('radius'));
+              const length = parseFloat(cylinder.getAttribute('length'));
+              const mesh = new THREE.Mesh(
+                new THREE.CylinderGeometry(radius, radius, length, 24),
+                material || nameBasedMaterial(linkName, 'cylinder')
+              );
+              // URDF cylinders are Z-aligned, Three.js cylinders are Y-aligned
+              mesh.rotation.x = Math.PI / 2;
+              return mesh;
+            }
+
+            const sphere = geometry.querySelector('sphere');
+            if (sphere) {
+              const radius = parseFloat(sphere.getAttribute('radius'));
+              return new THREE.Mesh(
+                new THREE.SphereGeometry(radius, 16, 16),
+                material || nameBasedMaterial(linkName, 'sphere')
+              );
+            }
+
+            return null;
+          }
+
+          // Adds one <visual> or <collision> element to the link. Meshes are
+          // placed in a holder now and filled in once the file has loaded.
+          function addGeometry(linkGroup, element, linkName, onMeshFailed) {
+            const geometry = element.querySelector('geometry');
+            if (!geometry) {
+              return;
+            }
+
+            const material = createUrdfMaterial(element.querySelector('material'), namedMaterials);
+            const meshElement = geometry.querySelector('mesh');
+
+            if (meshElement && meshElement.getAttribute('filename')) {
+              const holder = new THREE.Group();
+              applyOrigin(holder, element.querySelector('origin'));
+              linkGroup.add(holder);
+
+              const scale = meshElement.getAttribute('scale');
+              requestMesh(meshElement.getAttribute('filename'), {
+                holder,
+                material,
+                scale: scale ? scale.trim().split(/\\s+/).map(parseFloat) : null,
+                onFailed: onMeshFailed
+              });
+              return;
+            }
+
+            const mesh = createPrimitiveMesh(geometry, linkName, material);
+            if (mesh) {
+              mesh.castShadow = true;
+              mesh.receiveShadow = true;
+              const holder = new THREE.Group();
+              applyOrigin(holder, element.querySelector('origin'));
+              holder.add(mesh);
+              linkGroup.add(holder);
+            }
+          }
+
           const links = xmlDoc.querySelectorAll('link');
           const linkMap = new Map();
-          
-          // First pass: Create all link groups and their visual/collision geometry
+
+          // First pass: Create all link groups with their visual geometry,
+          // using collision geometry for links that have no visuals
           links.forEach(link => {
             const linkName = link.getAttribute('name');
             const linkGroup = new THREE.Group();
             linkGroup.name = linkName;
-            
-            // Use collision geometry (since we can't load mesh files)
-            const collision = link.querySelector('collision');
-            if (collision) {
-              const geometry = collision.querySelector('geometry');
-              const origin = collision.querySelector('origin');
-            
-            if (geometry) {
-                let mesh = null;
-                
-                // Box
-                const box = geometry.querySelector('box');
-                if (box) {
-                  const size = box.getAttribute('size').split(' ').map(parseFloat);
-                  const geom = new THREE.BoxGeometry(size[0], size[1], size[2]);
-                  const material = linkName.includes('base') ? materials.body :
-                                 linkName.includes('lidar') || linkName.includes('camera') || linkName.includes('sensor') ? materials.sensor :
-                                 linkName.includes('caster') ? materials.caster :
-                                 materials.default;
-                  mesh = new THREE.Mesh(geom, material);
-                }
-                
-                // Cylinder handling
-                const cylinder = geometry.querySelector('cylinder');
-                if (cylinder) {
-                  const radius = parseFloat(cylinder.getAttribute('radius'));
-                  const length = parseFloat(cylinder.getAttribute('length'));
-                  const geom = new THREE.CylinderGeometry(radius, radius, length, 24);
-                  const material = linkName.includes('wheel') ? materials.wheel :
-                                linkName.includes('base') ? materials.body :
-                                linkName.includes('scan') || linkName.includes('lidar') ? materials.sensor :
-                                materials.default;
-                  mesh = new THREE.Mesh(geom, material);
-
-                  // URDF cylinders are Z-aligned, Three.js cylinders are Y-aligned
-                  // All cylinders need to be rotated to align with URDF's Z-axis
-                  mesh.rotation.x = Math.PI / 2;
-                }
-                
-                // Sphere (not in this URDF, but good to have)
-                const sphere = geometry.querySelector('sphere');
-                if (sphere) {
-                  const radius = parseFloat(sphere.getAttribute('radius'));
-                  const geom = new THREE.SphereGeometry(radius, 16, 16);
-                  mesh = new THREE.Mesh(geom, materials.caster);
-                }
-                
-                if (mesh) {
-                  mesh.castShadow = true;
-                  mesh.receiveShadow = true;
-                  
-                  // Apply local origin transform for this geometry within the link
-                  if (origin) {
-                    const xyz = origin.getAttribute('xyz');
-                    const rpy = origin.getAttribute('rpy');
-                    if (xyz) {
-                      const pos = xyz.split(' ').map(parseFloat);
-                      mesh.position.set(pos[0], pos[1], pos[2]);
-                    }
-                    if (rpy) {
-                      const rot = rpy.split(' ').map(parseFloat);
-                      // Convert RPY to quaternion and apply to the mesh
-                      const q = rpyToQuaternion(rot);
-                      mesh.quaternion.multiply(q); // Apply relative rotation
-                    }
-                  }
-                  linkGroup.add(mesh);
-                }
+
+            const childElements = Array.from(link.children);
+            const visuals = childElements.filter(element => element.tagName === 'visual');
+            const collisions = childElements.filter(element => element.tagName === 'collision');
+
+            // A mesh that cannot be loaded is replaced by the link's collision
+            // primitives, added once per link
+            let fallbackAdded = false;
+            const addCollisionFallback = () => {
+              if (fallbackAdded) {
+                return;
               }
-            }
-            
-            // Debug axes removed - comment this back in if needed for debugging
-            // if (linkGroup.children.length > 0 || linkName === 'base_footprint') {
-            //   const linkAxes = new THREE.AxesHelper(0.05);
-            //   linkGroup.add(linkAxes);
-            // }
-            
+              fallbackAdded = true;
+              collisions
+                .filter(collision => !collision.querySelector('geometry mesh'))
+                .forEach(collision => addGeometry(linkGroup, collision, linkName, null));
+            };
+
+            (visuals.length > 0 ? visuals : collisions).forEach(element => {
+              addGeometry(linkGroup, element, linkName, addCollisionFallback);
+            });
+
             // Store the link group even if it has no geometry so joints work
             linkMap.set(linkName, linkGroup);
-            robotGroup.add(linkGroup);
+            robotBase.add(linkGroup);
           });
+
+          loadRequestedMeshes();
           
           // Second pass: Process joints to build hierarchy and apply joint transforms
           const joints = xmlDoc.querySelectorAll('joint');
@@ -1002,7 +2294,7 @@ class VisualizationPanel {
               const childLink = linkMap.get(childName);
               
               // Remove from root and add to parent
-              robotGroup.remove(childLink);
+              robotBase.remove(childLink);
               parentLink.add(childLink);
               
               // Apply joint transform
@@ -1021,19 +2313,50 @@ class VisualizationPanel {
                   childLink.quaternion.multiply(q); // Apply relative rotation
                 }
               }
+
+              // Remember movable joints so joint_states can drive them
+              const type = joint.getAttribute('type');
+              if (type === 'revolute' || type === 'continuous' || type === 'prismatic') {
+                const axisXyz = joint.querySelector('axis')?.getAttribute('xyz');
+                const axisValues = axisXyz ? axisXyz.trim().split(/\\s+/).map(parseFloat) : [1, 0, 0];
+                const mimic = joint.querySelector('mimic');
+                urdfJoints.set(joint.getAttribute('name'), {
+                  type,
+                  axis: new THREE.Vector3(axisValues[0], axisValues[1], axisValues[2]).normalize(),
+                  link: childLink,
+                  originPosition: childLink.position.clone(),
+                  originQuaternion: childLink.quaternion.clone(),
+                  mimic: mimic ? {
+                    joint: mimic.getAttribute('joint'),
+                    multiplier: parseFloat(mimic.getAttribute('multiplier') || '1'),
+                    offset: parseFloat(mimic.getAttribute('offset') || '0')
+                  } : null
+                });
+              }
             }
           });
 
+          // The root link is the one no joint attaches as a child
+          const childLinkNames = new Set(Array.from(joints).map(joint => joint.querySelector('child')?.getAttribute('link')));
+          const rootLink = Array.from(linkMap.keys()).find(name => !childLinkNames.has(name));
+          vscode.postMessage({ command: 'urdfLoaded', rootLink });
+
           // Center camera on robot
           const box = new THREE.Box3().setFromObject(robotGroup);
           const center = box.getCenter(new THREE.Vector3());
           const size = box.getSize(new THREE.Vector3());
           const maxDim = Math.max(size.x, size.y, size.z);
           const distance = maxDim * 2; // Adjusted distance
-          camera.position.set(distance, distance, distance);
-          camera.lookAt(center); // Look directly at the center
-          controls.target.copy(center);
+          if (urdfSavedView) {
+            camera.position.copy(urdfSavedView.position);
+            controls.target.copy(urdfSavedView.target);
+          } else {
+            camera.position.set(distance, distance, distance);
+            camera.lookAt(center); // Look directly at the center
+            controls.target.copy(center);
+          }
           controls.update();
+          urdfCameraView = { camera, controls };
           
           // Animation loop
           function animate() {
@@ -1042,6 +2365,11 @@ class VisualizationPanel {
             renderer.render(scene, camera);
           }
           animate();
+
+          applyJointPositions(lastJointPositions);
+          applyBasePose(lastBasePose);
+          updateFixedFrameOptions();
+          updateRobotStatus();
           
           // Handle resize
           const resizeHandler = () => {
@@ -1061,12 +2389,1018 @@ class VisualizationPanel {
           
           info.textContent = \`URDF Robot: \${robotName}, Links: \${linkCount}, Joints: \${jointCount} (3D View)\`;
         }
+        // PointCloud2: the viewer is built once and only the point geometry
+        // is replaced per message, so the camera stays where the user put it
+        const POINT_FIELD_READERS = {
+          1: (view, offset) => view.getInt8(offset),
+          2: (view, offset) => view.getUint8(offset),
+          3: (view, offset, little) => view.getInt16(offset, little),
+          4: (view, offset, little) => view.getUint16(offset, little),
+          5: (view, offset, little) => view.getInt32(offset, little),
+          6: (view, offset, little) => view.getUint32(offset, little),
+          7: (view, offset, little) => view.getFloat32(offset, little),
+          8: (view, offset, little) => view.getFloat64(offset, little)
+        };
+        const AUTO_VOXEL_POINTS = 100000;
+        const AUTO_VOXEL_SIZE = 0.05;
+        let pointCloudViewer = null;
+        let pointCloudSettings = { colorBy: 'z', pointSize: 2, voxel: 'auto' };
+        // Binary fields arrive as bytes with CBOR compression and as base64
+        // text with plain JSON
+        function messageBytes(data) {
+          if (typeof data === 'string') {
+            const binary = atob(data);
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+              bytes[i] = binary.charCodeAt(i);
+            }
+            return bytes;
+          }
+          if (data instanceof Uint8Array) {
+            return data;
+          }
+          return Uint8Array.from(data || []);
+        }
+        function decodePointCloud(msg) {
+          const bytes = messageBytes(msg.data);
+          const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+          const little = !msg.is_bigendian;
+          const fields = {};
+          (msg.fields || []).forEach(field => {
+            fields[field.name] = field;
+          });
+          if (!fields.x || !fields.y || !fields.z) {
+            throw new Error('PointCloud2 has no x, y and z fields');
+          }
+          const reader = name => {
+            const field = fields[name];
+            const read = field && POINT_FIELD_READERS[field.datatype];
+            return read ? (offset => read(view, offset + field.offset, little)) : null;
+          };
+          const readX = reader('x');
+          const readY = reader('y');
+          const readZ = reader('z');
+          const readIntensity = reader('intensity');
+          const rgbField = fields.rgb || fields.rgba;
+          const readRgb = rgbField ? (offset => view.getUint32(offset + rgbField.offset, little)) : null;
+          const width = msg.width;
+          const height = msg.height || 1;
+          const rowStep = msg.row_step || width * msg.point_step;
+          const count = width * height;
+          const positions = new Float32Array(count * 3);
+          const intensities = readIntensity ? new Float32Array(count) : null;
+          const colors = readRgb ? new Uint32Array(count) : null;
+          let valid = 0;
+          for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+              const offset = row * rowStep + col * msg.point_step;
+              if (offset + msg.point_step > bytes.byteLength) {
+                break;
+              }
+              const x = readX(offset);
+              const y = readY(offset);
+              const z = readZ(offset);
+              if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
+                continue;
+              }
+              positions[valid * 3] = x;
+              positions[valid * 3 + 1] = y;
+              positions[valid * 3 + 2] = z;
+              if (intensities) {
+                intensities[valid] = readIntensity(offset);
+              }
+              if (colors) {
+                colors[valid] = readRgb(offset);
+              }
+              valid++;
+            }
+          }
+          return {
+            count: valid,
+            total: count,
+            positions,
+            intensities,
+            colors
+          };
+        }
+        // Keeps the first point that falls in each voxel
+        function voxelDownsample(cloud, size) {
+          const seen = new Set();
+          const keep = [];
+          for (let i = 0; i < cloud.count; i++) {
+            const key = Math.floor(cloud.positions[i * 3] / size) + ',' +
+              Math.floor(cloud.positions[i * 3 + 1] / size) + ',' +
+              Math.floor(cloud.positions[i * 3 + 2] / size);
+            if (!seen.has(key)) {
+              seen.add(key);
+              keep.push(i);
+            }
+          }
+          const positions = new Float32Array(keep.length * 3);
+          const intensities = cloud.intensities ? new Float32Array(keep.length) : null;
+          const colors = cloud.colors ? new Uint32Array(keep.length) : null;
+          keep.forEach((index, i) => {
+            positions[i * 3] = cloud.positions[index * 3];
+            positions[i * 3 + 1] = cloud.positions[index * 3 + 1];
+            positions[i * 3 + 2] = cloud.positions[index * 3 + 2];
+            if (intensities) {
+              intensities[i] = cloud.intensities[index];
+            }
+            if (colors) {
+              colors[i] = cloud.colors[index];
+            }
+          });
+          return { count: keep.length, total: cloud.total, positions, intensities, colors };
+        }
+        // Blue (low) to red (high), like RViz's rainbow colour transformer
+        function rainbowColor(value, min, max, out, index, color) {
+          const t = max > min ? (value - min) / (max - min) : 0.5;
+          color.setHSL((1 - t) * 0.66, 1, 0.5);
+          out[index * 3] = color.r;
+          out[index * 3 + 1] = color.g;
+          out[index * 3 + 2] = color.b;
+        }
+        function pointCloudColors(cloud, colorBy) {
+          const colors = new Float32Array(cloud.count * 3);
+          if (colorBy === 'rgb' && cloud.colors) {
+            for (let i = 0; i < cloud.count; i++) {
+              const packed = cloud.colors[i];
+              colors[i * 3] = ((packed >> 16) & 255) / 255;
+              colors[i * 3 + 1] = ((packed >> 8) & 255) / 255;
+              colors[i * 3 + 2] = (packed & 255) / 255;
+            }
+            return colors;
+          }
+          const axis = { x: 0, y: 1, z: 2 }[colorBy];
+          const valueAt = axis === undefined && cloud.intensities
+            ? (i => cloud.intensities[i])
+            : (i => cloud.positions[i * 3 + (axis === undefined ? 2 : axis)]);
+          let min = Infinity;
+          let max = -Infinity;
+          for (let i = 0; i < cloud.count; i++) {
+            const value = valueAt(i);
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+          }
+          const color = new THREE.Color();
+          for (let i = 0; i < cloud.count; i++) {
+            rainbowColor(valueAt(i), min, max, colors, i, color);
+          }
+          return colors;
+        }
+        function createPointCloudViewer(container) {
+          const display = document.createElement('div');
+          display.id = 'pointCloudDisplay';
+          display.style.width = '100%';
+          display.style.height = '100%';
+          display.style.minHeight = '500px';
+          display.style.position = 'relative';
+          container.appendChild(display);
+          const overlay = document.createElement('div');
+          overlay.style.position = 'absolute';
+          overlay.style.top = '10px';
+          overlay.style.left = '10px';
+          overlay.style.background = 'rgba(0,0,0,0.7)';
+          overlay.style.padding = '10px';
+          overlay.style.borderRadius = '5px';
+          overlay.style.color = 'white';
+          overlay.style.fontSize = '12px';
+          overlay.style.zIndex = '10';
+          overlay.innerHTML =
+            '<div>Colour: <select id="pointCloudColorBy">' +
+              '<option value="x">X</option><option value="y">Y</option><option value="z">Z</option>' +
+              '<option value="intensity">Intensity</option><option value="rgb">RGB</option>' +
+            '</select></div>' +
+            '<div style="margin-top: 5px;">Point size: <input id="pointCloudSize" type="range" min="1" max="10" step="1"></div>' +
+            '<div style="margin-top: 5px;">Voxel: <select id="pointCloudVoxel">' +
+              '<option value="auto">Auto</option><option value="0">Off</option>' +
+              '<option value="0.02">2 cm</option><option value="0.05">5 cm</option>' +
+              '<option value="0.1">10 cm</option><option value="0.2">20 cm</option>' +
+            '</select></div>' +
+            '<div style="margin-top: 5px;"><button id="pointCloudResetView">Reset View</button></div>' +
+            '<div id="pointCloudStatus" style="margin-top: 5px; color: #aaaaaa;"></div>';
+          display.appendChild(overlay);
+          const scene = new THREE.Scene();
+          scene.background = new THREE.Color(0x1e1e1e);
+          const camera = new THREE.PerspectiveCamera(60, display.clientWidth / Math.max(display.clientHeight, 1), 0.01, 1000);
+          camera.position.set(5, 5, 5);
+          const renderer = new THREE.WebGLRenderer({ antialias: true });
+          renderer.setSize(display.clientWidth, display.clientHeight);
+          display.appendChild(renderer.domElement);
+          scene.add(new THREE.GridHelper(20, 20, 0x555555, 0x333333));
+          const controls = new THREE.OrbitControls(camera, renderer.domElement);
+          controls.enableDamping = true;
+          controls.dampingFactor = 0.05;
+          // ROS is Z-up, Three.js is Y-up
+          const cloudGroup = new THREE.Group();
+          cloudGroup.rotation.x = -Math.PI / 2;
+          cloudGroup.add(new THREE.AxesHelper(1));
+          scene.add(cloudGroup);
+          const material = new THREE.PointsMaterial({
+            size: pointCloudSettings.pointSize,
+            sizeAttenuation: false,
+            vertexColors: true
+          });
+          const points = new THREE.Points(new THREE.BufferGeometry(), material);
+          cloudGroup.add(points);
+          const viewer = { display, scene, camera, renderer, controls, points, material, fitted: false, animationId: null };
+          const colorBy = overlay.querySelector('#pointCloudColorBy');
+          const pointSize = overlay.querySelector('#pointCloudSize');
+          const voxel = overlay.querySelector('#pointCloudVoxel');
+          colorBy.value = pointCloudSettings.colorBy;
+          pointSize.value = pointCloudSettings.pointSize;
+          voxel.value = pointCloudSettings.voxel;
+          colorBy.addEventListener('change', () => {
+            pointCloudSettings.colorBy = colorBy.value;
+            renderVisualization(currentData);
+          });
+          pointSize.addEventListener('input', () => {
+            pointCloudSettings.pointSize = Number(pointSize.value);
+            material.size = pointCloudSettings.pointSize;
+          });
+          voxel.addEventListener('change', () => {
+            pointCloudSettings.voxel = voxel.value;
+            renderVisualization(currentData);
+          });
+          overlay.querySelector('#pointCloudResetView').addEventListener('click', () => {
+            viewer.fitted = false;
+            renderVisualization(currentData);
+          });
+          function animate() {
+            viewer.animationId = requestAnimationFrame(animate);
+            controls.update();
+            renderer.render(scene, camera);
+          }
+          animate();
+          viewer.resizeHandler = () => {
+            camera.aspect = display.clientWidth / Math.max(display.clientHeight, 1);
+            camera.updateProjectionMatrix();
+            renderer.setSize(display.clientWidth, display.clientHeight);
+          };
+          window.addEventListener('resize', viewer.resizeHandler);
+          return viewer;
+        }
+        function cleanupPointCloud() {
+          if (!pointCloudViewer) {
+            return;
+          }
+          cancelAnimationFrame(pointCloudViewer.animationId);
+          window.removeEventListener('resize', pointCloudViewer.resizeHandler);
+          pointCloudViewer.points.geometry.dispose();
+          pointCloudViewer.material.dispose();
+          pointCloudViewer.renderer.dispose();
+          pointCloudViewer.display.remove();
+          pointCloudViewer = null;
+        }
+        function renderPointCloud(data, canvas, info) {
+          if (!data.fields || !data.point_step || data.data === undefined) {
+            info.textContent = 'Invalid PointCloud2 data';
+            return;
+          }
+          if (typeof THREE === 'undefined' || !THREE.OrbitControls) {
+            info.textContent = 'Point cloud view needs Three.js, which could not be loaded';
+            return;
+          }
+          canvas.style.display = 'none';
+          // Switching view modes replaces the container contents
+          if (pointCloudViewer && !document.body.contains(pointCloudViewer.display)) {
+            cleanupPointCloud();
+          }
+          if (!pointCloudViewer) {
+            pointCloudViewer = createPointCloudViewer(document.getElementById('canvasContainer'));
+          }
+          const viewer = pointCloudViewer;
+          let cloud = decodePointCloud(data);
+          let voxelSize = Number(pointCloudSettings.voxel);
+          if (pointCloudSettings.voxel === 'auto') {
+            voxelSize = cloud.count > AUTO_VOXEL_POINTS ? AUTO_VOXEL_SIZE : 0;
+          }
+          if (voxelSize > 0) {
+            cloud = voxelDownsample(cloud, voxelSize);
+          }
+          let colorBy = pointCloudSettings.colorBy;
+          if ((colorBy === 'rgb' && !cloud.colors) || (colorBy === 'intensity' && !cloud.intensities)) {
+            colorBy = 'z';
+          }
+          const colorSelect = viewer.display.querySelector('#pointCloudColorBy');
+          colorSelect.querySelector('option[value="intensity"]').disabled = !cloud.intensities;
+          colorSelect.querySelector('option[value="rgb"]').disabled = !cloud.colors;
+          const geometry = new THREE.BufferGeometry();
+          geometry.setAttribute('position', new THREE.BufferAttribute(cloud.positions.subarray(0, cloud.count * 3), 3));
+          geometry.setAttribute('color', new THREE.BufferAttribute(pointCloudColors(cloud, colorBy), 3));
+          viewer.points.geometry.dispose();
+          viewer.points.geometry = geometry;
+          if (!viewer.fitted && cloud.count > 0) {
+            geometry.computeBoundingSphere();
+            const sphere = geometry.boundingSphere;
+            // The cloud group turns ROS (x, y, z) into Three.js (x, z, -y)
+            const center = new THREE.Vector3(sphere.center.x, sphere.center.z, -sphere.center.y);
+            const distance = Math.max(sphere.radius, 0.5) * 1.5;
+            viewer.camera.position.set(center.x + distance, center.y + distance, center.z + distance);
+            viewer.controls.target.copy(center);
+            viewer.controls.update();
+            viewer.fitted = true;
+          }
+          const frame = data.header && data.header.frame_id ? data.header.frame_id : 'unknown frame';
+          let status = cloud.count.toLocaleString() + ' of ' + cloud.total.toLocaleString() + ' points';
+          if (voxelSize > 0) {
+            status += ' (' + (voxelSize * 100) + ' cm voxels)';
+          }
+          viewer.display.querySelector('#pointCloudStatus').textContent = status;
+          info.textContent = 'PointCloud2 in ' + frame + ': ' + cloud.total.toLocaleString() + ' points, fields ' +
+            data.fields.map(field => field.name).join(', ');
+        }
+        // Image and CompressedImage. Raw encodings are decoded here; scalar
+        // (depth and 16-bit) images go through a colormap over a value range.
+        const SCALAR_ENCODINGS = ['mono16', '16UC1', '32FC1'];
+        const COLOR_ENCODINGS = { rgb8: [0, 1, 2, 3], bgr8: [2, 1, 0, 3], rgba8: [0, 1, 2, 4], bgra8: [2, 1, 0, 4] };
+        const COLORMAPS = {
+          gray: t => [t, t, t],
+          jet: t => [
+            Math.min(Math.max(1.5 - Math.abs(4 * t - 3), 0), 1),
+            Math.min(Math.max(1.5 - Math.abs(4 * t - 2), 0), 1),
+            Math.min(Math.max(1.5 - Math.abs(4 * t - 1), 0), 1)
+          ],
+          // Polynomial approximation of Google's Turbo colormap
+          turbo: t => [
+            0.13572138 + t * (4.6153926 + t * (-42.66032258 + t * (132.13108234 + t * (-152.94239396 + t * 59.28637943)))),
+            0.09140261 + t * (2.19418839 + t * (4.84296658 + t * (-14.18503333 + t * (4.27729857 + t * 2.82956604)))),
+            0.1066733 + t * (12.64194608 + t * (-60.58204836 + t * (110.36276771 + t * (-89.90310912 + t * 27.34824973))))
+          ].map(value => Math.min(Math.max(value, 0), 1))
+        };
+        let imageViewer = null;
+        let imageSettings = { colormap: 'turbo', autoRange: true, min: 0, max: 1 };
+        function decodeScalarImage(msg, bytes) {
+          const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+          const little = !msg.is_bigendian;
+          const isFloat = msg.encoding === '32FC1';
+          const size = isFloat ? 4 : 2;
+          const values = new Float32Array(msg.width * msg.height);
+          for (let row = 0; row < msg.height; row++) {
+            for (let col = 0; col < msg.width; col++) {
+              const offset = row * msg.step + col * size;
+              if (offset + size > bytes.byteLength) {
+                break;
+              }
+              values[row * msg.width + col] = isFloat
+                ? view.getFloat32(offset, little)
+                : view.getUint16(offset, little);
+            }
+          }
+          return values;
+        }
+        // Zero and non-finite values are "no reading" in depth images
+        function scalarRange(values) {
+          let min = Infinity;
+          let max = -Infinity;
+          for (let i = 0; i < values.length; i++) {
+            const value = values[i];
+            if (value !== 0 && Number.isFinite(value)) {
+              min = Math.min(min, value);
+              max = Math.max(max, value);
+            }
+          }
+          return min <= max ? { min, max } : { min: 0, max: 1 };
+        }
+        function drawRawImage(msg, bytes, imageData) {
+          const pixels = imageData.data;
+          const layout = COLOR_ENCODINGS[msg.encoding];
+          if (layout) {
+            for (let row = 0; row < msg.height; row++) {
+              for (let col = 0; col < msg.width; col++) {
+                const source = row * msg.step + col * layout[3];
+                const target = (row * msg.width + col) * 4;
+                pixels[target] = bytes[source + layout[0]];
+                pixels[target + 1] = bytes[source + layout[1]];
+                pixels[target + 2] = bytes[source + layout[2]];
+                pixels[target + 3] = 255;
+              }
+            }
+            return null;
+          }
+          if (msg.encoding === 'mono8' || msg.encoding === '8UC1') {
+            for (let row = 0; row < msg.height; row++) {
+              for (let col = 0; col < msg.width; col++) {
+                const value = bytes[row * msg.step + col];
+                const target = (row * msg.width + col) * 4;
+                pixels[target] = value;
+                pixels[target + 1] = value;
+                pixels[target + 2] = value;
+                pixels[target + 3] = 255;
+              }
+            }
+            return null;
+          }
+          if (!SCALAR_ENCODINGS.includes(msg.encoding)) {
+            throw new Error('Unsupported image encoding ' + msg.encoding);
+          }
+          const values = decodeScalarImage(msg, bytes);
+          const range = imageSettings.autoRange ? scalarRange(values) : imageSettings;
+          const colormap = COLORMAPS[imageSettings.colormap] || COLORMAPS.gray;
+          const span = range.max - range.min || 1;
+          for (let i = 0; i < values.length; i++) {
+            const value = values[i];
+            const target = i * 4;
+            if (value === 0 || !Number.isFinite(value)) {
+              pixels[target] = 0;
+              pixels[target + 1] = 0;
+              pixels[target + 2] = 0;
+            } else {
+              const t = Math.min(Math.max((value - range.min) / span, 0), 1);
+              const color = colormap(t);
+              pixels[target] = color[0] * 255;
+              pixels[target + 1] = color[1] * 255;
+              pixels[target + 2] = color[2] * 255;
+            }
+            pixels[target + 3] = 255;
+          }
+          return { values, range };
+        }
+        function createImageViewer(container) {
+          const display = document.createElement('div');
+          display.id = 'imageDisplay';
+          display.style.width = '100%';
+          display.style.height = '100%';
+          display.style.display = 'flex';
+          display.style.flexDirection = 'column';
+          container.appendChild(display);
+          const toolbar = document.createElement('div');
+          toolbar.style.display = 'flex';
+          toolbar.style.flexWrap = 'wrap';
+          toolbar.style.alignItems = 'center';
+          toolbar.style.gap = '10px';
+          toolbar.style.padding = '6px 10px';
+          toolbar.style.fontSize = '12px';
+          toolbar.style.color = '#cccccc';
+          toolbar.style.backgroundColor = '#2d2d30';
+          toolbar.innerHTML =
+            '<span id="imageDepthControls" style="display: none;">' +
+              'Colormap: <select id="imageColormap">' +
+                '<option value="turbo">Turbo</option><option value="jet">Jet</option><option value="gray">Gray</option>' +
+              '</select> ' +
+              '<label><input type="checkbox" id="imageAutoRange"> Auto range</label> ' +
+              'Min <input type="number" id="imageRangeMin" step="any" style="width: 80px;"> ' +
+              'Max <input type="number" id="imageRangeMax" step="any" style="width: 80px;">' +
+            '</span>' +
+            '<button id="imageSave">Save PNG</button>' +
+            '<span id="imageRate"></span>' +
+            '<span id="imagePixel" style="margin-left: auto; font-family: monospace;"></span>';
+          display.appendChild(toolbar);
+          const canvasHolder = document.createElement('div');
+          canvasHolder.style.flex = '1';
+          canvasHolder.style.display = 'flex';
+          canvasHolder.style.alignItems = 'center';
+          canvasHolder.style.justifyContent = 'center';
+          canvasHolder.style.overflow = 'hidden';
+          canvasHolder.style.minHeight = '300px';
+          display.appendChild(canvasHolder);
+          const imageCanvas = document.createElement('canvas');
+          imageCanvas.style.maxWidth = '100%';
+          imageCanvas.style.maxHeight = '100%';
+          imageCanvas.style.imageRendering = 'pixelated';
+          canvasHolder.appendChild(imageCanvas);
+          const viewer = { display, canvas: imageCanvas, context: imageCanvas.getContext('2d'), frameTimes: [], scalar: null, msg: null };
+          const colormap = toolbar.querySelector('#imageColormap');
+          const autoRange = toolbar.querySelector('#imageAutoRange');
+          const rangeMin = toolbar.querySelector('#imageRangeMin');
+          const rangeMax = toolbar.querySelector('#imageRangeMax');
+          colormap.value = imageSettings.colormap;
+          autoRange.checked = imageSettings.autoRange;
+          const redraw = () => {
+            if (currentData) {
+              renderVisualization(currentData);
+            }
+          };
+          colormap.addEventListener('change', () => {
+            imageSettings.colormap = colormap.value;
+            redraw();
+          });
+          autoRange.addEventListener('change', () => {
+            imageSettings.autoRange = autoRange.checked;
+            redraw();
+          });
+          [rangeMin, rangeMax].forEach(input => input.addEventListener('change', () => {
+            imageSettings.autoRange = false;
+            autoRange.checked = false;
+            imageSettings.min = Number(rangeMin.value);
+            imageSettings.max = Number(rangeMax.value);
+            redraw();
+          }));
+          toolbar.querySelector('#imageSave').addEventListener('click', () => {
+            vscode.postMessage({ command: 'saveImage', data: imageCanvas.toDataURL('image/png').split(',')[1] });
+          });
+          imageCanvas.addEventListener('mousemove', event => {
+            const x = Math.floor(event.offsetX * imageCanvas.width / imageCanvas.clientWidth);
+            const y = Math.floor(event.offsetY * imageCanvas.height / imageCanvas.clientHeight);
+            if (x < 0 || y < 0 || x >= imageCanvas.width || y >= imageCanvas.height) {
+              return;
+            }
+            let value;
+            if (viewer.scalar) {
+              value = viewer.scalar.values[y * imageCanvas.width + x];
+              value = Number.isInteger(value) ? String(value) : value.toFixed(4);
+            } else {
+              const pixel = viewer.context.getImageData(x, y, 1, 1).data;
+              value = viewer.msg && (viewer.msg.encoding === 'mono8' || viewer.msg.encoding === '8UC1')
+                ? String(pixel[0])
+                : 'R ' + pixel[0] + ' G ' + pixel[1] + ' B ' + pixel[2];
+            }
+            toolbar.querySelector('#imagePixel').textContent = '(' + x + ', ' + y + ') ' + value;
+          });
+          imageCanvas.addEventListener('mouseleave', () => {
+            toolbar.querySelector('#imagePixel').textContent = '';
+          });
+          return viewer;
+        }
+        function updateImageToolbar(viewer, range, rate) {
+          const now = Date.now();
+          viewer.frameTimes.push(now);
+          viewer.frameTimes = viewer.frameTimes.filter(time => now - time <= 2000);
+          const shown = viewer.frameTimes.length > 1
+            ? (viewer.frameTimes.length - 1) / ((now - viewer.frameTimes[0]) / 1000)
+            : 0;
+          let text = shown.toFixed(1) + ' fps shown';
+          if (rate !== undefined && rate !== null) {
+            text = rate.toFixed(1) + ' Hz received, ' + text;
+          }
+          viewer.display.querySelector('#imageRate').textContent = text;
+          viewer.display.querySelector('#imageDepthControls').style.display = range ? '' : 'none';
+          if (range && imageSettings.autoRange) {
+            viewer.display.querySelector('#imageRangeMin').value = Number(range.min.toPrecision(6));
+            viewer.display.querySelector('#imageRangeMax').value = Number(range.max.toPrecision(6));
+          }
+        }
+        function renderImage(data, canvas, info, rate) {
+          if (data.data === undefined) {
+            info.textContent = 'Invalid image data';
+            return;
+          }
+          canvas.style.display = 'none';
+          // Switching view modes replaces the container contents
+          if (imageViewer && !document.body.contains(imageViewer.display)) {
+            imageViewer = null;
+          }
+          if (!imageViewer) {
+            imageViewer = createImageViewer(document.getElementById('canvasContainer'));
+          }
+          const viewer = imageViewer;
+          const bytes = messageBytes(data.data);
+          const frame = data.header && data.header.frame_id ? ' in ' + data.header.frame_id : '';
+          if (currentMessageType === 'CompressedImage') {
+            const format = (data.format || '').toLowerCase();
+            if (format.includes('compresseddepth')) {
+              throw new Error('compressedDepth images are not supported');
+            }
+            const mime = format.includes('png') ? 'image/png' : 'image/jpeg';
+            createImageBitmap(new Blob([bytes], { type: mime })).then(bitmap => {
+              viewer.canvas.width = bitmap.width;
+              viewer.canvas.height = bitmap.height;
+              viewer.context.drawImage(bitmap, 0, 0);
+              bitmap.close();
+              viewer.scalar = null;
+              viewer.msg = data;
+              updateImageToolbar(viewer, null, rate);
+              info.textContent = 'CompressedImage' + frame + ': ' + viewer.canvas.width + 'x' + viewer.canvas.height + ', ' + (data.format || 'unknown format');
+            }).catch(e => {
+              info.textContent = 'Failed to decode ' + (data.format || 'image') + ': ' + e.message;
+            });
+            return;
+          }
+          if (viewer.canvas.width !== data.width || viewer.canvas.height !== data.height) {
+            viewer.canvas.width = data.width;
+            viewer.canvas.height = data.height;
+          }
+          const imageData = viewer.context.createImageData(data.width, data.height);
+          viewer.scalar = drawRawImage(data, bytes, imageData);
+          viewer.msg = data;
+          viewer.context.putImageData(imageData, 0, 0);
+          updateImageToolbar(viewer, viewer.scalar && viewer.scalar.range, rate);
+          info.textContent = 'Image' + frame + ': ' + data.width + 'x' + data.height + ', ' + data.encoding;
+        }
+        // Marker and MarkerArray. Markers accumulate in one scene keyed by
+        // namespace and id, as in RViz; each message adds, replaces or
+        // deletes some of them. Poses are drawn in their header frame as-is.
+        const MARKER_TYPES = {
+          0: 'arrow', 1: 'cube', 2: 'sphere', 3: 'cylinder', 4: 'line strip', 5: 'line list',
+          6: 'cube list', 7: 'sphere list', 8: 'points', 9: 'text', 10: 'mesh', 11: 'triangle list'
+        };
+        let markerViewer = null;
+        const hiddenMarkerNamespaces = new Set();
+        function markerKey(marker) {
+          return (marker.ns || '') + '/' + (marker.id || 0);
+        }
+        function markerColor(color) {
+          return new THREE.Color(color ? color.r : 1, color ? color.g : 1, color ? color.b : 1);
+        }
+        function markerMaterial(marker, Material, options) {
+          const alpha = marker.color ? marker.color.a : 1;
+          return new Material(Object.assign({
+            color: markerColor(marker.color),
+            transparent: alpha < 1,
+            opacity: alpha
+          }, options));
+        }
+        function markerPoint(point) {
+          return new THREE.Vector3(point.x, point.y, point.z);
+        }
+        // Per-point colours, when given for every point, replace the marker colour
+        function markerVertexColors(marker, count) {
+          if (!marker.colors || marker.colors.length !== count) {
+            return null;
+          }
+          const colors = new Float32Array(count * 3);
+          marker.colors.forEach((color, i) => {
+            colors[i * 3] = color.r;
+            colors[i * 3 + 1] = color.g;
+            colors[i * 3 + 2] = color.b;
+          });
+          return colors;
+        }
+        function markerPointsGeometry(marker) {
+          const points = marker.points || [];
+          const geometry = new THREE.BufferGeometry().setFromPoints(points.map(markerPoint));
+          const colors = markerVertexColors(marker, points.length);
+          if (colors) {
+            geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+          }
+          return { geometry, vertexColors: Boolean(colors) };
+        }
+        // Shaft and head along +X; with two points the arrow runs between them
+        function createArrow(marker) {
+          const scale = marker.scale;
+          let length = scale.x;
+          let shaftDiameter = scale.y * 0.5;
+          let headDiameter = scale.y;
+          let headLength = length * 0.23;
+          const group = new THREE.Group();
+          if (marker.points && marker.points.length >= 2) {
+            const start = markerPoint(marker.points[0]);
+            const direction = markerPoint(marker.points[1]).sub(start);
+            length = direction.length();
+            shaftDiameter = scale.x;
+            headDiameter = scale.y;
+            headLength = scale.z > 0 ? scale.z : length * 0.23;
+            group.position.copy(start);
+            if (length > 0) {
+              group.quaternion.setFromUnitVectors(new THREE.Vector3(1, 0, 0), direction.clone().normalize());
+            }
+          }
+          headLength = Math.min(headLength, length);
+          const material = markerMaterial(marker, THREE.MeshStandardMaterial);
+          const shaft = new THREE.Mesh(new THREE.CylinderGeometry(shaftDiameter / 2, shaftDiameter / 2, length - headLength, 16), material);
+          shaft.rotation.z = -Math.PI / 2;
+          shaft.position.x = (length - headLength) / 2;
+          const head = new THREE.Mesh(new THREE.ConeGeometry(headDiameter / 2, headLength, 16), material);
+          head.rotation.z = -Math.PI / 2;
+          head.position.x = length - headLength / 2;
+          group.add(shaft, head);
+          return group;
+        }
+        function createTextSprite(marker) {
+          const text = marker.text || '';
+          const canvas = document.createElement('canvas');
+          const context = canvas.getContext('2d');
+          const fontSize = 64;
+          context.font = fontSize + 'px sans-serif';
+          canvas.width = Math.max(Math.ceil(context.measureText(text).width), 1);
+          canvas.height = Math.ceil(fontSize * 1.25);
+          context.font = fontSize + 'px sans-serif';
+          context.fillStyle = '#' + markerColor(marker.color).getHexString();
+          context.textBaseline = 'middle';
+          context.fillText(text, 0, canvas.height / 2);
+          const texture = new THREE.CanvasTexture(canvas);
+          const alpha = marker.color ? marker.color.a : 1;
+          const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true, opacity: alpha }));
+          // scale.z is the height of an uppercase letter
+          const height = marker.scale.z || 0.1;
+          sprite.scale.set(height * canvas.width / fontSize, height * canvas.height / fontSize, 1);
+          return sprite;
+        }
+        function createInstancedList(marker, geometry) {
+          const points = marker.points || [];
+          const colors = markerVertexColors(marker, points.length);
+          const material = markerMaterial(marker, THREE.MeshStandardMaterial, colors ? { color: 0xffffff } : {});
+          const mesh = new THREE.InstancedMesh(geometry, material, points.length);
+          const matrix = new THREE.Matrix4();
+          points.forEach((point, i) => {
+            matrix.makeScale(marker.scale.x, marker.scale.y, marker.scale.z);
+            matrix.setPosition(point.x, point.y, point.z);
+            mesh.setMatrixAt(i, matrix);
+            if (colors) {
+              mesh.setColorAt(i, new THREE.Color(colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2]));
+            }
+          });
+          return mesh;
+        }
+        function createMarkerObject(marker) {
+          const scale = marker.scale || { x: 1, y: 1, z: 1 };
+          switch (marker.type) {
+            case 0:
+              return createArrow(marker);
+            case 1: {
+              const mesh = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), markerMaterial(marker, THREE.MeshStandardMaterial));
+              mesh.scale.set(scale.x, scale.y, scale.z);
+              return mesh;
+            }
+            case 2: {
+              const mesh = new THREE.Mesh(new THREE.SphereGeometry(0.5, 24, 16), markerMaterial(marker, THREE.MeshStandardMaterial));
+              mesh.scale.set(scale.x, scale.y, scale.z);
+              return mesh;
+            }
+            case 3: {
+              // Three.js cylinders run along Y, marker cylinders along Z
+              const geometry = new THREE.CylinderGeometry(0.5, 0.5, 1, 24);
+              geometry.rotateX(Math.PI / 2);
+              const mesh = new THREE.Mesh(geometry, markerMaterial(marker, THREE.MeshStandardMaterial));
+              mesh.scale.set(scale.x, scale.y, scale.z);
+              return mesh;
+            }
+            case 4:
+            case 5: {
+              // WebGL draws lines one pixel wide, so scale.x is not used
+              const { geometry, vertexColors } = markerPointsGeometry(marker);
+              const material = markerMaterial(marker, THREE.LineBasicMaterial, vertexColors ? { color: 0xffffff, vertexColors: true } : {});
+              return marker.type === 4 ? new THREE.Line(geometry, material) : new THREE.LineSegments(geometry, material);
+            }
+            case 6: {
+              return createInstancedList(marker, new THREE.BoxGeometry(1, 1, 1));
+            }
+            case 7: {
+              return createInstancedList(marker, new THREE.SphereGeometry(0.5, 12, 8));
+            }
+            case 8: {
+              const { geometry, vertexColors } = markerPointsGeometry(marker);
+              return new THREE.Points(geometry, markerMaterial(marker, THREE.PointsMaterial, Object.assign(
+                { size: scale.x || 0.05, sizeAttenuation: true },
+                vertexColors ? { color: 0xffffff, vertexColors: true } : {}
+              )));
+            }
+            case 9:
+              return createTextSprite(marker);
+            case 10: {
+              const holder = new THREE.Group();
+              if (marker.mesh_resource) {
+                // Embedded DAE materials are kept only when the marker asks
+                requestMesh(marker.mesh_resource, {
+                  holder,
+                  material: markerMaterial(marker, THREE.MeshStandardMaterial),
+                  overrideEmbedded: !marker.mesh_use_embedded_materials,
+                  scale: [scale.x, scale.y, scale.z],
+                  onFailed: () => holder.add(new THREE.Mesh(
+                    new THREE.BoxGeometry(scale.x, scale.y, scale.z),
+                    new THREE.MeshStandardMaterial({ color: 0xff00ff, wireframe: true })
+                  ))
+                });
+                loadRequestedMeshes();
+              }
+              return holder;
+            }
+            case 11: {
+              const { geometry, vertexColors } = markerPointsGeometry(marker);
+              geometry.computeVertexNormals();
+              const mesh = new THREE.Mesh(geometry, markerMaterial(marker, THREE.MeshStandardMaterial, Object.assign(
+                { side: THREE.DoubleSide },
+                vertexColors ? { color: 0xffffff, vertexColors: true } : {}
+              )));
+              mesh.scale.set(scale.x || 1, scale.y || 1, scale.z || 1);
+              return mesh;
+            }
+            default:
+              return null;
+          }
+        }
+        function disposeMarkerObject(object) {
+          object.traverse(child => {
+            if (child.geometry) {
+              child.geometry.dispose();
+            }
+            if (child.material) {
+              if (child.material.map) {
+                child.material.map.dispose();
+              }
+              child.material.dispose();
+            }
+          });
+        }
+        function removeMarker(key) {
+          const entry = markerViewer.markers.get(key);
+          if (entry) {
+            markerViewer.world.remove(entry.object);
+            disposeMarkerObject(entry.object);
+            markerViewer.markers.delete(key);
+          }
+        }
+        function markerLifetimeMs(lifetime) {
+          if (!lifetime) {
+            return 0;
+          }
+          const sec = lifetime.sec !== undefined ? lifetime.sec : lifetime.secs || 0;
+          const nanosec = lifetime.nanosec !== undefined ? lifetime.nanosec : lifetime.nsecs || 0;
+          return sec * 1000 + nanosec / 1e6;
+        }
+        function applyMarker(marker) {
+          const action = marker.action || 0;
+          if (action === 3) {
+            // DELETEALL removes every marker, or only those in its namespace
+            Array.from(markerViewer.markers.keys()).forEach(key => {
+              if (!marker.ns || markerViewer.markers.get(key).ns === marker.ns) {
+                removeMarker(key);
+              }
+            });
+            return;
+          }
+          const key = markerKey(marker);
+          removeMarker(key);
+          if (action === 2) {
+            return;
+          }
+          const object = createMarkerObject(marker);
+          if (!object) {
+            return;
+          }
+          const group = new THREE.Group();
+          const pose = marker.pose || {};
+          if (pose.position) {
+            group.position.set(pose.position.x, pose.position.y, pose.position.z);
+          }
+          if (pose.orientation) {
+            const q = pose.orientation;
+            // An all-zero quaternion is common in hand-written markers
+            if (q.x || q.y || q.z || q.w) {
+              group.quaternion.set(q.x, q.y, q.z, q.w).normalize();
+            }
+          }
+          group.add(object);
+          group.visible = !hiddenMarkerNamespaces.has(marker.ns || '');
+          markerViewer.world.add(group);
+          const lifetime = markerLifetimeMs(marker.lifetime);
+          markerViewer.markers.set(key, {
+            object: group,
+            ns: marker.ns || '',
+            type: marker.type,
+            frame: marker.header && marker.header.frame_id,
+            expiresAt: lifetime > 0 ? Date.now() + lifetime : null
+          });
+        }
+        function expireMarkers() {
+          const now = Date.now();
+          let changed = false;
+          markerViewer.markers.forEach((entry, key) => {
+            if (entry.expiresAt !== null && entry.expiresAt <= now) {
+              removeMarker(key);
+              changed = true;
+            }
+          });
+          if (changed) {
+            updateMarkerStatus();
+          }
+        }
+        function updateMarkerStatus() {
+          const namespaces = new Map();
+          const frames = new Set();
+          markerViewer.markers.forEach(entry => {
+            namespaces.set(entry.ns, (namespaces.get(entry.ns) || 0) + 1);
+            if (entry.frame) {
+              frames.add(entry.frame);
+            }
+          });
+          const list = markerViewer.display.querySelector('#markerNamespaces');
+          list.innerHTML = '';
+          Array.from(namespaces.keys()).sort().forEach(ns => {
+            const label = document.createElement('label');
+            label.style.display = 'block';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !hiddenMarkerNamespaces.has(ns);
+            checkbox.addEventListener('change', () => {
+              if (checkbox.checked) {
+                hiddenMarkerNamespaces.delete(ns);
+              } else {
+                hiddenMarkerNamespaces.add(ns);
+              }
+              markerViewer.markers.forEach(entry => {
+                if (entry.ns === ns) {
+                  entry.object.visible = checkbox.checked;
+                }
+              });
+            });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(' ' + (ns || '(no namespace)') + ' (' + namespaces.get(ns) + ')'));
+            list.appendChild(label);
+          });
+          markerViewer.display.querySelector('#markerStatus').textContent =
+            markerViewer.markers.size + ' markers' + (frames.size > 0 ? ' in ' + Array.from(frames).join(', ') : '');
+        }
+        function createMarkerViewer(container) {
+          const display = document.createElement('div');
+          display.id = 'markerDisplay';
+          display.style.width = '100%';
+          display.style.height = '100%';
+          display.style.minHeight = '500px';
+          display.style.position = 'relative';
+          container.appendChild(display);
+          const overlay = document.createElement('div');
+          overlay.style.position = 'absolute';
+          overlay.style.top = '10px';
+          overlay.style.left = '10px';
+          overlay.style.maxHeight = '60%';
+          overlay.style.overflowY = 'auto';
+          overlay.style.background = 'rgba(0,0,0,0.7)';
+          overlay.style.padding = '10px';
+          overlay.style.borderRadius = '5px';
+          overlay.style.color = 'white';
+          overlay.style.fontSize = '12px';
+          overlay.style.zIndex = '10';
+          overlay.innerHTML =
+            '<div id="markerStatus"></div>' +
+            '<div id="markerNamespaces" style="margin-top: 5px;"></div>' +
+            '<div style="margin-top: 5px;"><button id="markerClear">Clear</button> <button id="markerResetView">Reset View</button></div>';
+          display.appendChild(overlay);
+          const scene = new THREE.Scene();
+          scene.background = new THREE.Color(0x303030);
+          const camera = new THREE.PerspectiveCamera(60, display.clientWidth / Math.max(display.clientHeight, 1), 0.01, 1000);
+          const renderer = new THREE.WebGLRenderer({ antialias: true });
+          renderer.setSize(display.clientWidth, display.clientHeight);
+          display.appendChild(renderer.domElement);
+          scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+          const light = new THREE.DirectionalLight(0xffffff, 0.6);
+          light.position.set(5, 10, 5);
+          scene.add(light);
+          scene.add(new THREE.GridHelper(20, 20, 0x666666, 0x444444));
+          const controls = new THREE.OrbitControls(camera, renderer.domElement);
+          controls.enableDamping = true;
+          controls.dampingFactor = 0.05;
+          const resetView = () => {
+            camera.position.set(5, 5, 5);
+            controls.target.set(0, 0, 0);
+            controls.update();
+          };
+          resetView();
+          // ROS is Z-up, Three.js is Y-up
+          const world = new THREE.Group();
+          world.rotation.x = -Math.PI / 2;
+          world.add(new THREE.AxesHelper(1));
+          scene.add(world);
+          const viewer = { display, scene, camera, renderer, controls, world, markers: new Map(), animationId: null };
+          overlay.querySelector('#markerResetView').addEventListener('click', resetView);
+          overlay.querySelector('#markerClear').addEventListener('click', () => {
+            Array.from(viewer.markers.keys()).forEach(removeMarker);
+            updateMarkerStatus();
+          });
+          function animate() {
+            viewer.animationId = requestAnimationFrame(animate);
+            expireMarkers();
+            controls.update();
+            renderer.render(scene, camera);
+          }
+          animate();
+          viewer.resizeHandler = () => {
+            camera.aspect = display.clientWidth / Math.max(display.clientHeight, 1);
+            camera.updateProjectionMatrix();
+            renderer.setSize(display.clientWidth, display.clientHeight);
+          };
+          window.addEventListener('resize', viewer.resizeHandler);
+          return viewer;
+        }
+        function cleanupMarkers() {
+          if (!markerViewer) {
+            return;
+          }
+          cancelAnimationFrame(markerViewer.animationId);
+          window.removeEventListener('resize', markerViewer.resizeHandler);
+          markerViewer.markers.forEach(entry => disposeMarkerObject(entry.object));
+          markerViewer.renderer.dispose();
+          markerViewer.display.remove();
+          markerViewer = null;
+        }
+        function renderMarkers(data, canvas, info) {
+          if (typeof THREE === 'undefined' || !THREE.OrbitControls) {
+            info.textContent = 'Marker view needs Three.js, which could not be loaded';
+            return;
+          }
+          canvas.style.display = 'none';
+          // Switching view modes replaces the container contents; the markers
+          // go with it and are rebuilt from the next messages
+          if (markerViewer && !document.body.contains(markerViewer.display)) {
+            cleanupMarkers();
+          }
+          if (!markerViewer) {
+            markerViewer = createMarkerViewer(document.getElementById('canvasContainer'));
+          }
+          const markers = currentMessageType === 'MarkerArray' ? (data.markers || []) : [data];
+          markers.forEach(applyMarker);
+          updateMarkerStatus();
+          const types = new Set(markers.map(marker => MARKER_TYPES[marker.type] || 'type ' + marker.type));
+          info.textContent = currentMessageType + ': ' + markers.length + ' marker' + (markers.length === 1 ? '' : 's') +
+            (types.size > 0 ? ' (' + Array.from(types).join(', ') + ')' : '');
+        }
         window.addEventListener('message', event => {
           const message = event.data;
           switch (message.command) {
             case 'updateData':
               const previousViewMode = currentViewMode;
               currentData = message.data;
+              currentRate = message.rate;
               currentMessageType = message.messageType;
               currentViewMode = message.viewMode;
               
@@ -1082,12 +3416,7 @@ class VisualizationPanel {
                 // Update both raw data elements if they exist
                 if (rawDataEl) {
                   try {
-                    // For URDF, display the XML content directly
-                    if (currentMessageType === 'URDF' && currentData.data) {
-                      rawDataEl.textContent = currentData.data;
-                    } else {
-                      rawDataEl.textContent = JSON.stringify(currentData, null, 2);
-                    }
+                    rawDataEl.textContent = rawDataText(currentData);
                   } catch (e) {
                     rawDataEl.textContent = 'Error displaying data: ' + e.message;
                   }
@@ -1104,11 +3433,7 @@ class VisualizationPanel {
                     
                     try {
                       // Update content
-                      if (currentMessageType === 'URDF' && currentData.data) {
-                        mainRawDataEl.textContent = currentData.data;
-                      } else {
-                        mainRawDataEl.textContent = JSON.stringify(currentData, null, 2);
-                      }
+                      mainRawDataEl.textContent = rawDataText(currentData);
                       
                       // Restore scroll position
                       scrollContainer.scrollTop = scrollTop;
@@ -1124,9 +3449,42 @@ class VisualizationPanel {
                 renderVisualization(currentData);
               }
               break;
+            case 'jointStates':
+              applyJointPositions(message.positions);
+              break;
+            case 'meshData':
+              handleMeshData(message);
+              break;
+            case 'mapLayerAdded':
+              if (!mapLayers.has(message.topic)) {
+                mapLayers.set(message.topic, {
+                  kind: message.kind,
+                  color: MAP_LAYER_COLORS[mapLayers.size % MAP_LAYER_COLORS.length],
+                  data: null,
+                  trail: [],
+                  error: null
+                });
+                updateMapLayerBar();
+              }
+              break;
+            case 'mapLayer':
+              handleMapLayer(message);
+              break;
+            case 'basePose':
+              applyBasePose(message.pose);
+              robotStateError = message.error || null;
+              updateRobotStatus();
+              break;
+            case 'robotStateInfo':
+              robotStateInfo = message;
+              updateFixedFrameOptions();
+              updateRobotStatus();
+              break;
             case 'cleanup':
               // Clean up resources when panel is disposed
               cleanupURDF();
+              cleanupPointCloud();
+              cleanupMarkers();
               currentData = null;
               if (typeof urdfAnimationId !== 'undefined' && urdfAnimationId) {
                 cancelAnimationFrame(urdfAnimationId);
@@ -1138,11 +3496,7 @@ class VisualizationPanel {
         document.getElementById('copyRawButton').onclick = () => {
           let content = '';
           if (currentData) {
-            if (currentMessageType === 'URDF' && currentData.data) {
-              content = currentData.data;
-            } else {
-              content = JSON.stringify(currentData, null, 2);
-            }
+            content = rawDataText(currentData);
           }
           
           navigator.clipboard.writeText(content).then(() => {
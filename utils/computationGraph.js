@@ -0,0 +1,126 @@
+// Topics and nodes hidden by "Hide debug", as in rqt_graph. The rosapi and
+// rosbridge nodes are the ones serving this extension.
+const DEBUG_TOPICS = ["/rosout", "/rosout_agg", "/parameter_events"];
+const DEBUG_NODE_PATTERN = /^\/(rosapi|rosapi_params|rosbridge_websocket)$/;
+
+// Fetches every node with its publications, subscriptions and services,
+// plus all topics with their types, from rosapi. Resolves with empty lists
+// when the client is not connected.
+async function fetchGraphData(client) {
+  const nodes = await new Promise((resolve) => client.getNodes(resolve));
+  const [topics, nodeDetails] = await Promise.all([
+    new Promise((resolve) => client.getTopics(resolve)),
+    Promise.all(
+      nodes.map(
+        (nodeName) =>
+          new Promise((resolve) =>
+            client.getNodeDetails(nodeName, (details) =>
+              resolve([nodeName, details])
+            )
+          )
+      )
+    ),
+  ]);
+  return { nodeDetails, topics };
+}
+
+function vertexId(kind, name) {
+  return `${kind}:${name}`;
+}
+
+// Builds node and topic vertices with publish (node -> topic) and subscribe
+// (topic -> node) edges from [nodeName, getNodeDetails result] pairs.
+function buildGraph(nodeDetails, topics) {
+  const topicTypes = new Map(topics.map((topic) => [topic.name, topic.type]));
+  const vertices = new Map();
+  const edges = new Map();
+
+  const addTopic = (name) => {
+    const id = vertexId("topic", name);
+    if (!vertices.has(id)) {
+      vertices.set(id, {
+        id,
+        kind: "topic",
+        name,
+        type: topicTypes.get(name) || "unknown",
+        debug: DEBUG_TOPICS.includes(name),
+      });
+    }
+    return id;
+  };
+
+  const addEdge = (from, to) => {
+    const id = `${from}->${to}`;
+    edges.set(id, { id, from, to });
+  };
+
+  nodeDetails.forEach(([nodeName, details]) => {
+    const nodeId = vertexId("node", nodeName);
+    vertices.set(nodeId, {
+      id: nodeId,
+      kind: "node",
+      name: nodeName,
+      debug: DEBUG_NODE_PATTERN.test(nodeName),
+    });
+
+    (details.publishing || []).forEach((topicName) =>
+      addEdge(nodeId, addTopic(topicName))
+    );
+    (details.subscribing || []).forEach((topicName) =>
+      addEdge(addTopic(topicName), nodeId)
+    );
+  });
+
+  return { vertices, edges };
+}
+
+// Changes needed to turn one graph into the next. A vertex whose topic type
+// changed is sent again as added.
+function diffGraph(previous, next) {
+  const diff = {
+    addedVertices: [],
+    removedVertices: [],
+    addedEdges: [],
+    removedEdges: [],
+  };
+
+  next.vertices.forEach((vertex, id) => {
+    const old = previous.vertices.get(id);
+    if (!old || old.type !== vertex.type) {
+      diff.addedVertices.push(vertex);
+    }
+  });
+  previous.vertices.forEach((_vertex, id) => {
+    if (!next.vertices.has(id)) {
+      diff.removedVertices.push(id);
+    }
+  });
+  next.edges.forEach((edge, id) => {
+    if (!previous.edges.has(id)) {
+      diff.addedEdges.push(edge);
+    }
+  });
+  previous.edges.forEach((_edge, id) => {
+    if (!next.edges.has(id)) {
+      diff.removedEdges.push(id);
+    }
+  });
+
+  return diff;
+}
+
+function isEmptyDiff(diff) {
+  return Object.values(diff).every((changes) => changes.length === 0);
+}
+
+function emptyGraph() {
+  return { vertices: new Map(), edges: new Map() };
+}
+
+module.exports = {
+  buildGraph,
+  diffGraph,
+  emptyGraph,
+  fetchGraphData,
+  isEmptyDiff,
+};
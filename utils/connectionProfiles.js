@@ -0,0 +1,76 @@
+const vscode = require("vscode");
+const { extensionHandle } = require("./helpers");
+
+// Settings that a connection profile may override.
+const PROFILE_OVERRIDES = [
+  "remoteBagPath",
+  "staticTopics",
+  "messageThrottleRate",
+  "caCertificatePath",
+  "allowSelfSignedCertificates",
+  "initialPoseTopic",
+  "goalPoseTopic",
+  "teleopTopic",
+  "teleopMaxLinearSpeed",
+  "teleopMaxAngularSpeed",
+];
+
+function getConnectionProfiles() {
+  const config = vscode.workspace.getConfiguration(extensionHandle);
+  const profiles = config.get("connectionProfiles", []);
+
+  if (!Array.isArray(profiles)) {
+    return [];
+  }
+
+  return profiles.filter(
+    (profile) =>
+      profile &&
+      typeof profile.name === "string" &&
+      typeof profile.url === "string"
+  );
+}
+
+function getProfileSetting(profile, key, defaultValue) {
+  if (
+    profile &&
+    PROFILE_OVERRIDES.includes(key) &&
+    profile[key] !== undefined &&
+    profile[key] !== null
+  ) {
+    return profile[key];
+  }
+
+  const config = vscode.workspace.getConfiguration(extensionHandle);
+  return config.get(key, defaultValue);
+}
+
+function getProfileLabel(profile, url) {
+  return profile ? profile.name : url;
+}
+
+// Auth secrets live in SecretStorage rather than settings, keyed by profile.
+function getAuthSecretKey(profile) {
+  return `${extensionHandle}.auth.${profile.name}`;
+}
+
+async function getAuthSecret(secrets, profile) {
+  return (await secrets.get(getAuthSecretKey(profile))) || null;
+}
+
+async function storeAuthSecret(secrets, profile, secret) {
+  await secrets.store(getAuthSecretKey(profile), secret);
+}
+
+async function deleteAuthSecret(secrets, profile) {
+  await secrets.delete(getAuthSecretKey(profile));
+}
+
+module.exports = {
+  getConnectionProfiles,
+  getProfileSetting,
+  getProfileLabel,
+  getAuthSecret,
+  storeAuthSecret,
+  deleteAuthSecret,
+};
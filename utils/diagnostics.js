@@ -0,0 +1,98 @@
+const DIAGNOSTIC_ARRAY_TYPE = "diagnostic_msgs/msg/DiagnosticArray";
+const DIAGNOSTICS_TOPICS = ["/diagnostics", "/diagnostics_agg"];
+
+// diagnostic_msgs/DiagnosticStatus levels.
+const LEVEL_NAMES = ["OK", "WARN", "ERROR", "STALE"];
+const ERROR_LEVEL = 2;
+const STALE_LEVEL = 3;
+
+// `level` is a byte, which rosbridge versions send as a number, a
+// one-character string or base64.
+function parseLevel(level) {
+  if (typeof level === "number") {
+    return level;
+  }
+  if (typeof level !== "string" || level.length === 0) {
+    return STALE_LEVEL;
+  }
+  if (/^\d+$/.test(level)) {
+    return parseInt(level, 10);
+  }
+  if (level.length === 1) {
+    return level.charCodeAt(0);
+  }
+
+  const bytes = Buffer.from(level, "base64");
+  return bytes.length > 0 ? bytes[0] : STALE_LEVEL;
+}
+
+function levelName(level) {
+  return LEVEL_NAMES[level] || String(level);
+}
+
+// Keeps the latest status for every diagnostic name seen on a
+// DiagnosticArray topic.
+class DiagnosticsStore {
+  constructor() {
+    this.statuses = new Map();
+  }
+
+  clear() {
+    this.statuses.clear();
+  }
+
+  // Returns the statuses that changed to ERROR with this message.
+  update(message, now = Date.now()) {
+    const raisedErrors = [];
+
+    (message.status || []).forEach((status) => {
+      const name = status.name || "";
+      const level = parseLevel(status.level);
+      const previous = this.statuses.get(name);
+
+      const entry = {
+        name,
+        hardwareId: status.hardware_id || "",
+        level,
+        message: status.message || "",
+        values: (status.values || []).map(({ key, value }) => ({
+          key,
+          value,
+        })),
+        lastUpdateTime: now,
+      };
+      this.statuses.set(name, entry);
+
+      if (level === ERROR_LEVEL && (!previous || previous.level !== level)) {
+        raisedErrors.push(entry);
+      }
+    });
+
+    return raisedErrors;
+  }
+
+  // Statuses without an update for staleAfterMs are reported as stale,
+  // like diagnostic_aggregator does for missing analyzers.
+  getStatuses(staleAfterMs, now = Date.now()) {
+    return Array.from(this.statuses.values())
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((entry) => {
+        const age = now - entry.lastUpdateTime;
+        return {
+          name: entry.name,
+          hardwareId: entry.hardwareId,
+          level: levelName(entry.level),
+          stale: entry.level === STALE_LEVEL || age > staleAfterMs,
+          message: entry.message,
+          values: entry.values,
+          age,
+        };
+      });
+  }
+}
+
+module.exports = {
+  DIAGNOSTIC_ARRAY_TYPE,
+  DIAGNOSTICS_TOPICS,
+  DiagnosticsStore,
+};
@@ -0,0 +1,80 @@
+const SEGMENT_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*)((?:\[\d+\])*)$/;
+const INDEX_PATTERN = /\[(\d+)\]/g;
+
+// Splits the part of a plot path after the topic name into field names and
+// array indices, e.g. "pose/position/x" or "position[2]".
+function parseFieldSegments(fieldPath) {
+  const segments = [];
+  const parts = fieldPath.split("/").filter(Boolean);
+
+  for (const part of parts) {
+    const match = SEGMENT_PATTERN.exec(part);
+    if (!match) {
+      throw new Error(`Invalid field "${part}"`);
+    }
+
+    segments.push(match[1]);
+    for (const index of match[2].matchAll(INDEX_PATTERN)) {
+      segments.push(Number(index[1]));
+    }
+  }
+
+  return segments;
+}
+
+// A plot path starts with a topic name; the longest known topic that prefixes
+// the path wins so nested namespaces such as /robot/odom resolve correctly.
+function parseFieldPath(path, topicNames) {
+  const trimmed = path.trim();
+  if (!trimmed.startsWith("/")) {
+    throw new Error(
+      "Field paths start with a topic name, e.g. /odom/pose/pose/position/x"
+    );
+  }
+
+  const topicName = topicNames
+    .filter(
+      (name) =>
+        trimmed === name ||
+        trimmed.startsWith(`${name}/`) ||
+        trimmed.startsWith(`${name}[`)
+    )
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!topicName) {
+    throw new Error(`No topic matches ${trimmed}`);
+  }
+
+  const segments = parseFieldSegments(trimmed.slice(topicName.length));
+  if (segments.length === 0) {
+    throw new Error(`${trimmed} names a topic, not a field`);
+  }
+
+  return { topicName, segments };
+}
+
+function resolveFieldValue(message, segments) {
+  let value = message;
+
+  for (const segment of segments) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    value = value[segment];
+  }
+
+  if (typeof value === "boolean") {
+    return value ? 1 : 0;
+  }
+
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return value;
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseFieldPath,
+  resolveFieldValue,
+};
@@ -0,0 +1,165 @@
+const SNAPSHOT_VERSION = 1;
+const DEFAULT_SNAPSHOT_FILE = "ros-graph-snapshot.json";
+
+function sortedUnique(names) {
+  return Array.from(new Set(names || [])).sort();
+}
+
+// Turns fetchGraphData output into the JSON saved to disk. Lists are sorted
+// so snapshots of the same system diff cleanly in version control.
+function createSnapshot({ nodeDetails, topics }, source) {
+  const topicEntries = new Map();
+  const topicEntry = (name) => {
+    if (!topicEntries.has(name)) {
+      topicEntries.set(name, {
+        name,
+        type: "",
+        publishers: [],
+        subscribers: [],
+      });
+    }
+    return topicEntries.get(name);
+  };
+
+  topics.forEach((topic) => {
+    topicEntry(topic.name).type = topic.type || "";
+  });
+
+  const nodes = nodeDetails
+    .map(([name, details]) => {
+      const node = {
+        name,
+        publishing: sortedUnique(details.publishing),
+        subscribing: sortedUnique(details.subscribing),
+        services: sortedUnique(details.services),
+      };
+      node.publishing.forEach((topic) =>
+        topicEntry(topic).publishers.push(name)
+      );
+      node.subscribing.forEach((topic) =>
+        topicEntry(topic).subscribers.push(name)
+      );
+      return node;
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    version: SNAPSHOT_VERSION,
+    createdAt: new Date().toISOString(),
+    source,
+    nodes,
+    topics: Array.from(topicEntries.values())
+      .map((topic) => ({
+        ...topic,
+        publishers: sortedUnique(topic.publishers),
+        subscribers: sortedUnique(topic.subscribers),
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  };
+}
+
+function parseSnapshot(text) {
+  const data = JSON.parse(text);
+  if (
+    !data ||
+    typeof data !== "object" ||
+    !Array.isArray(data.nodes) ||
+    !Array.isArray(data.topics)
+  ) {
+    throw new Error("not a graph snapshot (expected nodes and topics lists)");
+  }
+  return data;
+}
+
+// Compares a saved snapshot (expected) with one taken from the live system
+// (actual). Topics with no type on either side are not reported as type
+// mismatches, since rosapi cannot type a topic nobody advertises.
+function compareSnapshots(expected, actual) {
+  const byName = (entries) =>
+    new Map(entries.map((entry) => [entry.name, entry]));
+  const expectedNodes = byName(expected.nodes);
+  const actualNodes = byName(actual.nodes);
+  const expectedTopics = byName(expected.topics);
+  const actualTopics = byName(actual.topics);
+
+  const missingFrom = (source, target) =>
+    Array.from(source.keys())
+      .filter((name) => !target.has(name))
+      .sort();
+
+  const typeMismatches = [];
+  expectedTopics.forEach((topic, name) => {
+    const live = actualTopics.get(name);
+    if (live && topic.type && live.type && topic.type !== live.type) {
+      typeMismatches.push({
+        name,
+        expected: topic.type,
+        actual: live.type,
+      });
+    }
+  });
+
+  return {
+    missingNodes: missingFrom(expectedNodes, actualNodes),
+    extraNodes: missingFrom(actualNodes, expectedNodes),
+    missingTopics: missingFrom(expectedTopics, actualTopics),
+    extraTopics: missingFrom(actualTopics, expectedTopics),
+    typeMismatches: typeMismatches.sort((a, b) =>
+      a.name.localeCompare(b.name)
+    ),
+  };
+}
+
+function countDifferences(comparison) {
+  return Object.values(comparison).reduce(
+    (total, entries) => total + entries.length,
+    0
+  );
+}
+
+function formatComparison(comparison, snapshot, snapshotPath, source) {
+  const lines = [
+    `Graph check: ${source} against ${snapshotPath}`,
+    `Snapshot taken ${snapshot.createdAt || "at an unknown time"}${
+      snapshot.source ? ` from ${snapshot.source}` : ""
+    }`,
+    "",
+  ];
+
+  const section = (title, entries, format = (entry) => entry) => {
+    if (entries.length === 0) {
+      return;
+    }
+    lines.push(`${title} (${entries.length}):`);
+    entries.forEach((entry) => lines.push(`  ${format(entry)}`));
+    lines.push("");
+  };
+
+  section("Missing nodes", comparison.missingNodes);
+  section("Extra nodes", comparison.extraNodes);
+  section("Missing topics", comparison.missingTopics);
+  section("Extra topics", comparison.extraTopics);
+  section(
+    "Type mismatches",
+    comparison.typeMismatches,
+    ({ name, expected, actual }) =>
+      `${name}: expected ${expected}, found ${actual}`
+  );
+
+  const differences = countDifferences(comparison);
+  lines.push(
+    differences === 0
+      ? "The live graph matches the snapshot."
+      : `${differences} difference${differences === 1 ? "" : "s"} found.`
+  );
+  return lines.join("\n");
+}
+
+module.exports = {
+  DEFAULT_SNAPSHOT_FILE,
+  createSnapshot,
+  parseSnapshot,
+  compareSnapshots,
+  countDifferences,
+  formatComparison,
+};
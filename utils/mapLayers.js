@@ -0,0 +1,91 @@
+const { composeTransforms, quaternionToRpy } = require("./tfTree");
+
+// Topics that can be drawn over an occupancy grid, by message type.
+const MAP_LAYER_TYPES = [
+  { pattern: /(^|\/)Path$/, kind: "path" },
+  { pattern: /(^|\/)PoseStamped$/, kind: "pose" },
+  { pattern: /(^|\/)PoseArray$/, kind: "poseArray" },
+  { pattern: /(^|\/)PoseWithCovarianceStamped$/, kind: "poseWithCovariance" },
+  { pattern: /(^|\/)Odometry$/, kind: "odometry" },
+];
+
+function getMapLayerKind(messageType) {
+  const match = MAP_LAYER_TYPES.find(({ pattern }) =>
+    pattern.test(messageType || "")
+  );
+  return match ? match.kind : null;
+}
+
+function getMessageFrame(message) {
+  return ((message.header && message.header.frame_id) || "").replace(
+    /^\//,
+    ""
+  );
+}
+
+function getLayerPoses(kind, message) {
+  switch (kind) {
+    case "path":
+      return (message.poses || []).map((stamped) => stamped.pose);
+    case "pose":
+      return [message.pose];
+    case "poseArray":
+      return message.poses || [];
+    case "poseWithCovariance":
+    case "odometry":
+      return [message.pose.pose];
+    default:
+      return [];
+  }
+}
+
+function toMapPose(pose, transform) {
+  const { position, orientation } = pose;
+  const mapPose = composeTransforms(transform, {
+    translation: [position.x, position.y, position.z],
+    rotation: [orientation.x, orientation.y, orientation.z, orientation.w],
+  });
+
+  return {
+    x: mapPose.translation[0],
+    y: mapPose.translation[1],
+    yaw: quaternionToRpy(mapPose.rotation)[2],
+  };
+}
+
+// Rotates the x/y block of a covariance [xx, xy, yy] by yaw: R * C * R^T.
+function rotateCovariance([xx, xy, yy], yaw) {
+  const c = Math.cos(yaw);
+  const s = Math.sin(yaw);
+  return [
+    c * c * xx - 2 * c * s * xy + s * s * yy,
+    c * s * xx + (c * c - s * s) * xy - c * s * yy,
+    s * s * xx + 2 * c * s * xy + c * c * yy,
+  ];
+}
+
+// Reduces a layer message to 2D poses (x, y, yaw) in the map frame, given
+// the transform from the message's frame into the map frame.
+function toMapLayer(kind, message, transform) {
+  const layer = {
+    poses: getLayerPoses(kind, message).map((pose) =>
+      toMapPose(pose, transform)
+    ),
+  };
+
+  if (kind === "poseWithCovariance") {
+    const covariance = message.pose.covariance || [];
+    layer.covariance = rotateCovariance(
+      [covariance[0] || 0, covariance[1] || 0, covariance[7] || 0],
+      quaternionToRpy(transform.rotation)[2]
+    );
+  }
+
+  return layer;
+}
+
+module.exports = {
+  getMapLayerKind,
+  getMessageFrame,
+  toMapLayer,
+};
@@ -0,0 +1,129 @@
+const PRIMITIVE_TYPES = [
+  "bool",
+  "boolean",
+  "byte",
+  "char",
+  "int8",
+  "uint8",
+  "int16",
+  "uint16",
+  "int32",
+  "uint32",
+  "int64",
+  "uint64",
+  "float32",
+  "float64",
+  "float",
+  "double",
+  "string",
+  "time",
+  "duration",
+];
+
+function createMessageTemplate(definition) {
+  const mainType =
+    Object.keys(definition).find(
+      (type) =>
+        !type.includes("/") ||
+        type.split("/").pop() === Object.keys(definition)[0].split("/").pop()
+    ) || Object.keys(definition)[0];
+
+  return createTemplateForType(mainType, definition);
+}
+
+function createTemplateForType(typeName, definition) {
+  const template = {};
+  const typeDef = definition[typeName];
+
+  if (!typeDef || !typeDef.fields) {
+    return template;
+  }
+
+  typeDef.fields.forEach((field) => {
+    template[field.name] = getFieldValue(field.type, definition);
+  });
+
+  return template;
+}
+
+function getFieldValue(fieldType, definition) {
+  if (fieldType.endsWith("[]")) {
+    const baseType = fieldType.slice(0, -2);
+    if (definition[baseType] && !isPrimitiveType(baseType)) {
+      return [createTemplateForType(baseType, definition)];
+    }
+    return [];
+  }
+
+  if (fieldType.startsWith("array(") || fieldType === "array") {
+    return [];
+  }
+
+  const defaultValue = getDefaultValue(fieldType);
+  if (defaultValue !== null) {
+    return defaultValue;
+  }
+
+  if (definition[fieldType]) {
+    return createTemplateForType(fieldType, definition);
+  }
+
+  if (fieldType === "float" || fieldType === "double") {
+    return 0.0;
+  }
+  if (
+    fieldType.includes("int") ||
+    fieldType === "byte" ||
+    fieldType === "char"
+  ) {
+    return 0;
+  }
+
+  return {};
+}
+
+function getDefaultValue(fieldType) {
+  if (fieldType.endsWith("[]")) {
+    return [];
+  }
+
+  const typeDefaults = {
+    bool: false,
+    boolean: false,
+    byte: 0,
+    char: 0,
+    int8: 0,
+    uint8: 0,
+    int16: 0,
+    uint16: 0,
+    int32: 0,
+    uint32: 0,
+    int64: 0,
+    uint64: 0,
+    float32: 0.0,
+    float64: 0.0,
+    float: 0.0,
+    double: 0.0,
+    string: "",
+    time: { secs: 0, nsecs: 0 },
+    duration: { secs: 0, nsecs: 0 },
+  };
+
+  if (Object.prototype.hasOwnProperty.call(typeDefaults, fieldType)) {
+    return typeDefaults[fieldType];
+  }
+
+  return null;
+}
+
+function isPrimitiveType(type) {
+  return PRIMITIVE_TYPES.includes(type);
+}
+
+module.exports = {
+  createMessageTemplate,
+  createTemplateForType,
+  getFieldValue,
+  getDefaultValue,
+  isPrimitiveType,
+};
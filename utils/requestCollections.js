@@ -0,0 +1,202 @@
+const vscode = require("vscode");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const VARIABLE_PATTERN = /\$\{([A-Za-z0-9_.-]+)\}/g;
+const SINGLE_VARIABLE_PATTERN = /^\$\{([A-Za-z0-9_.-]+)\}$/;
+
+const SAMPLE_COLLECTIONS = {
+  variables: {
+    namespace: "",
+  },
+  environments: {
+    simulation: {
+      namespace: "",
+      map_name: "sim_map",
+    },
+    robot: {
+      namespace: "/robot1",
+      map_name: "office",
+    },
+  },
+  collections: [
+    {
+      name: "Example",
+      requests: [
+        {
+          name: "List parameters of rosapi",
+          kind: "service",
+          service: "/rosapi/get_param_names",
+          serviceType: "rosapi/srv/GetParamNames",
+          request: {},
+        },
+        {
+          name: "Say hello",
+          kind: "topic",
+          topic: "${namespace}/chatter",
+          messageType: "std_msgs/msg/String",
+          message: { data: "Hello from ${map_name}" },
+        },
+      ],
+    },
+  ],
+};
+
+function getCollectionsFileUri(extensionHandle) {
+  const folders = vscode.workspace.workspaceFolders;
+  if (!folders || folders.length === 0) {
+    return null;
+  }
+
+  const config = vscode.workspace.getConfiguration(extensionHandle);
+  const relativePath = config.get("collectionsFile", "ros2-collections.yaml");
+  return vscode.Uri.joinPath(folders[0].uri, relativePath);
+}
+
+function isJsonFile(uri) {
+  return path.extname(uri.fsPath).toLowerCase() === ".json";
+}
+
+function normalizeCollections(data) {
+  const normalized = {
+    variables: {},
+    environments: {},
+    collections: [],
+  };
+
+  if (!data || typeof data !== "object") {
+    return normalized;
+  }
+
+  if (data.variables && typeof data.variables === "object") {
+    normalized.variables = data.variables;
+  }
+
+  if (data.environments && typeof data.environments === "object") {
+    normalized.environments = data.environments;
+  }
+
+  if (Array.isArray(data.collections)) {
+    normalized.collections = data.collections
+      .filter((collection) => collection && collection.name)
+      .map((collection) => ({
+        name: String(collection.name),
+        requests: (collection.requests || []).filter(
+          (request) => request && request.name
+        ),
+      }));
+  }
+
+  return normalized;
+}
+
+async function loadCollections(uri) {
+  let content;
+  try {
+    content = await vscode.workspace.fs.readFile(uri);
+  } catch {
+    return null;
+  }
+
+  const text = Buffer.from(content).toString("utf8");
+  const data = isJsonFile(uri) ? JSON.parse(text) : yaml.load(text);
+  return normalizeCollections(data);
+}
+
+async function createCollectionsFile(uri) {
+  const text = isJsonFile(uri)
+    ? JSON.stringify(SAMPLE_COLLECTIONS, null, 2) + "\n"
+    : yaml.dump(SAMPLE_COLLECTIONS, { lineWidth: 120 });
+
+  await vscode.workspace.fs.writeFile(uri, Buffer.from(text, "utf8"));
+}
+
+function getVariables(collectionsData, environmentName) {
+  const environment =
+    (environmentName && collectionsData.environments[environmentName]) || {};
+  return { ...collectionsData.variables, ...environment };
+}
+
+function substituteVariables(value, variables) {
+  if (typeof value === "string") {
+    const single = SINGLE_VARIABLE_PATTERN.exec(value);
+    if (single && Object.prototype.hasOwnProperty.call(variables, single[1])) {
+      return variables[single[1]];
+    }
+
+    return value.replace(VARIABLE_PATTERN, (match, name) =>
+      Object.prototype.hasOwnProperty.call(variables, name)
+        ? String(variables[name])
+        : match
+    );
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => substituteVariables(item, variables));
+  }
+
+  if (value && typeof value === "object") {
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      result[key] = substituteVariables(value[key], variables);
+    });
+    return result;
+  }
+
+  return value;
+}
+
+function runRequest(rosbridgeClient, request, variables) {
+  const resolved = substituteVariables(request, variables);
+  const startTime = Date.now();
+
+  return new Promise((resolve, reject) => {
+    if (resolved.kind === "topic") {
+      if (!resolved.topic || !resolved.messageType) {
+        reject(new Error(`"${resolved.name}" needs topic and messageType`));
+        return;
+      }
+
+      const published = rosbridgeClient.publishTopic(
+        resolved.topic,
+        resolved.messageType,
+        resolved.message || {}
+      );
+
+      if (!published) {
+        reject(new Error(`Failed to publish to ${resolved.topic}`));
+        return;
+      }
+
+      resolve({ resolved, result: null, durationMs: Date.now() - startTime });
+      return;
+    }
+
+    if (!resolved.service || !resolved.serviceType) {
+      reject(new Error(`"${resolved.name}" needs service and serviceType`));
+      return;
+    }
+
+    rosbridgeClient.callService(
+      resolved.service,
+      resolved.serviceType,
+      resolved.request || {},
+      (result, error) => {
+        if (error) {
+          reject(new Error(`${resolved.service}: ${error}`));
+          return;
+        }
+        resolve({ resolved, result, durationMs: Date.now() - startTime });
+      }
+    );
+  });
+}
+
+module.exports = {
+  getCollectionsFileUri,
+  loadCollections,
+  createCollectionsFile,
+  getVariables,
+  substituteVariables,
+  runRequest,
+};
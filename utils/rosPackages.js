@@ -0,0 +1,128 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+
+const WORKSPACE_EXCLUDE = "**/{node_modules,build,install,log,.git}/**";
+const PACKAGE_NAME_PATTERN = /<name>\s*([^<\s]+)\s*<\/name>/;
+
+// Maps ROS package names to their source directories in the open workspace.
+async function findWorkspacePackages() {
+  const packages = new Map();
+  const files = await vscode.workspace.findFiles(
+    "**/package.xml",
+    WORKSPACE_EXCLUDE
+  );
+
+  for (const uri of files) {
+    try {
+      const content = await vscode.workspace.fs.readFile(uri);
+      const match = PACKAGE_NAME_PATTERN.exec(
+        Buffer.from(content).toString("utf8")
+      );
+      if (match && !packages.has(match[1])) {
+        packages.set(match[1], path.dirname(uri.fsPath));
+      }
+    } catch {
+      // Unreadable package.xml files are skipped
+    }
+  }
+
+  return packages;
+}
+
+// Packages that are not in the workspace may still be installed, e.g. under
+// /opt/ros/<distro>/share when VS Code was started from a sourced shell.
+function findInstalledPackage(name) {
+  const prefixes = (process.env.AMENT_PREFIX_PATH || "")
+    .split(path.delimiter)
+    .filter(Boolean);
+
+  for (const prefix of prefixes) {
+    const directory = path.join(prefix, "share", name);
+    if (fs.existsSync(path.join(directory, "package.xml"))) {
+      return directory;
+    }
+  }
+
+  return null;
+}
+
+function findPackage(name, packages) {
+  return packages.get(name) || findInstalledPackage(name);
+}
+
+// Resolves a URDF resource (package://, file://, absolute or relative to the
+// description file) to a local path, or null when it cannot be resolved.
+function resolveResourcePath(resourceUri, packages, baseDirectory = null) {
+  if (resourceUri.startsWith("package://")) {
+    const rest = resourceUri.slice("package://".length);
+    const slash = rest.indexOf("/");
+    if (slash === -1) {
+      return null;
+    }
+
+    const directory = findPackage(rest.slice(0, slash), packages);
+    return directory ? path.join(directory, rest.slice(slash + 1)) : null;
+  }
+
+  if (resourceUri.startsWith("file://")) {
+    return vscode.Uri.parse(resourceUri).fsPath;
+  }
+
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(resourceUri)) {
+    return null;
+  }
+
+  if (path.isAbsolute(resourceUri)) {
+    return resourceUri;
+  }
+
+  return baseDirectory ? path.resolve(baseDirectory, resourceUri) : null;
+}
+
+// Finds the workspace copy of a source file named by a node, which may run
+// on another machine: the path itself when it exists locally, otherwise the
+// workspace file sharing the longest run of trailing path segments with it.
+async function findWorkspaceFile(filePath) {
+  if (path.isAbsolute(filePath) && fs.existsSync(filePath)) {
+    return vscode.Uri.file(filePath);
+  }
+
+  const segments = filePath.split(/[\\/]/).filter(Boolean);
+  if (segments.length === 0) {
+    return null;
+  }
+
+  const files = await vscode.workspace.findFiles(
+    `**/${segments[segments.length - 1]}`,
+    WORKSPACE_EXCLUDE
+  );
+
+  let best = null;
+  let bestScore = 0;
+  for (const uri of files) {
+    const candidate = uri.fsPath.split(/[\\/]/).filter(Boolean);
+    let score = 0;
+    while (
+      score < segments.length &&
+      score < candidate.length &&
+      segments[segments.length - 1 - score] ===
+        candidate[candidate.length - 1 - score]
+    ) {
+      score++;
+    }
+    if (score > bestScore) {
+      best = uri;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  findWorkspacePackages,
+  findPackage,
+  findWorkspaceFile,
+  resolveResourcePath,
+};
@@ -0,0 +1,50 @@
+const { getProfileSetting } = require("./connectionProfiles");
+
+const COMPRESSION_TYPES = ["none", "png", "cbor", "cbor-raw"];
+
+// Bulky message types default to CBOR so binary arrays are not sent as JSON.
+// TF, markers, logs and diagnostics are never throttled or queued: each
+// message may carry different frames, markers, log lines or statuses, so
+// dropping any of them loses state.
+const MESSAGE_TYPE_DEFAULTS = [
+  { pattern: /PointCloud2$/, defaults: { compression: "cbor" } },
+  { pattern: /(^|\/)Image$/, defaults: { compression: "cbor" } },
+  { pattern: /CompressedImage$/, defaults: { compression: "cbor" } },
+  { pattern: /OccupancyGrid$/, defaults: { compression: "cbor" } },
+  { pattern: /LaserScan$/, defaults: { compression: "cbor" } },
+  { pattern: /TFMessage$/, defaults: { throttleRate: 0, queueSize: 0 } },
+  { pattern: /Marker(Array)?$/, defaults: { throttleRate: 0, queueSize: 0 } },
+  { pattern: /(^|\/)Log$/, defaults: { throttleRate: 0, queueSize: 0 } },
+  { pattern: /DiagnosticArray$/, defaults: { throttleRate: 0, queueSize: 0 } },
+];
+
+function getDefaultSubscriptionOptions(messageType, profile = null) {
+  const options = {
+    throttleRate: getProfileSetting(profile, "messageThrottleRate", 100),
+    queueSize: 1,
+    compression: "none",
+  };
+
+  const typeDefaults = MESSAGE_TYPE_DEFAULTS.find(({ pattern }) =>
+    pattern.test(messageType || "")
+  );
+  if (typeDefaults) {
+    Object.assign(options, typeDefaults.defaults);
+  }
+
+  return options;
+}
+
+function describeSubscriptionOptions(options) {
+  const parts = [`${options.throttleRate} ms`, `queue ${options.queueSize}`];
+  if (options.compression !== "none") {
+    parts.unshift(options.compression);
+  }
+  return parts.join(" · ");
+}
+
+module.exports = {
+  COMPRESSION_TYPES,
+  getDefaultSubscriptionOptions,
+  describeSubscriptionOptions,
+};
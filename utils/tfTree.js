@@ -0,0 +1,251 @@
+const RATE_WINDOW_MS = 10000;
+const RECENT_UPDATE_TIMES = 100;
+
+const TF_MESSAGE_TYPE = "tf2_msgs/msg/TFMessage";
+const TF_TOPICS = [
+  { name: "/tf", isStatic: false },
+  { name: "/tf_static", isStatic: true },
+];
+
+const IDENTITY = {
+  translation: [0, 0, 0],
+  rotation: [0, 0, 0, 1],
+};
+
+function multiplyQuaternions(a, b) {
+  const [ax, ay, az, aw] = a;
+  const [bx, by, bz, bw] = b;
+  return [
+    aw * bx + ax * bw + ay * bz - az * by,
+    aw * by - ax * bz + ay * bw + az * bx,
+    aw * bz + ax * by - ay * bx + az * bw,
+    aw * bw - ax * bx - ay * by - az * bz,
+  ];
+}
+
+function rotateVector(q, v) {
+  const [x, y, z, w] = q;
+  const [vx, vy, vz] = v;
+
+  // v' = v + 2w(q x v) + 2q x (q x v)
+  const cx = y * vz - z * vy;
+  const cy = z * vx - x * vz;
+  const cz = x * vy - y * vx;
+
+  return [
+    vx + 2 * (w * cx + y * cz - z * cy),
+    vy + 2 * (w * cy + z * cx - x * cz),
+    vz + 2 * (w * cz + x * cy - y * cx),
+  ];
+}
+
+function normalizeQuaternion(q) {
+  const length = Math.hypot(q[0], q[1], q[2], q[3]) || 1;
+  return q.map((value) => value / length);
+}
+
+// a * b: apply b, then a.
+function composeTransforms(a, b) {
+  const rotated = rotateVector(a.rotation, b.translation);
+  return {
+    translation: [
+      a.translation[0] + rotated[0],
+      a.translation[1] + rotated[1],
+      a.translation[2] + rotated[2],
+    ],
+    rotation: normalizeQuaternion(multiplyQuaternions(a.rotation, b.rotation)),
+  };
+}
+
+function invertTransform(transform) {
+  const [x, y, z, w] = transform.rotation;
+  const inverseRotation = [-x, -y, -z, w];
+  const translation = rotateVector(inverseRotation, transform.translation);
+  return {
+    translation: translation.map((value) => -value),
+    rotation: inverseRotation,
+  };
+}
+
+// Roll, pitch and yaw (radians) in the fixed-axis XYZ convention used by tf2.
+function quaternionToRpy(q) {
+  const [x, y, z, w] = q;
+  const sinPitch = 2 * (w * y - z * x);
+
+  return [
+    Math.atan2(2 * (w * x + y * z), 1 - 2 * (x * x + y * y)),
+    Math.abs(sinPitch) >= 1
+      ? Math.sign(sinPitch) * (Math.PI / 2)
+      : Math.asin(sinPitch),
+    Math.atan2(2 * (w * z + x * y), 1 - 2 * (y * y + z * z)),
+  ];
+}
+
+function stripSlash(frameId) {
+  return (frameId || "").replace(/^\//, "");
+}
+
+// Keeps the latest transform for every child frame seen on /tf and
+// /tf_static. Each frame has exactly one parent, as in tf2.
+class TfTree {
+  constructor() {
+    this.frames = new Map();
+  }
+
+  clear() {
+    this.frames.clear();
+  }
+
+  update(message, isStatic = false) {
+    const now = Date.now();
+
+    (message.transforms || []).forEach((stamped) => {
+      const child = stripSlash(stamped.child_frame_id);
+      const parent = stripSlash(stamped.header && stamped.header.frame_id);
+      if (!child || !parent || child === parent) {
+        return;
+      }
+
+      const { translation, rotation } = stamped.transform;
+      let frame = this.frames.get(child);
+      if (!frame) {
+        frame = {
+          name: child,
+          recentUpdateTimes: [],
+        };
+        this.frames.set(child, frame);
+      }
+
+      frame.parent = parent;
+      frame.isStatic = isStatic;
+      frame.stamp = stamped.header.stamp;
+      frame.lastUpdateTime = now;
+      frame.transform = {
+        translation: [translation.x, translation.y, translation.z],
+        rotation: normalizeQuaternion([
+          rotation.x,
+          rotation.y,
+          rotation.z,
+          rotation.w,
+        ]),
+      };
+
+      frame.recentUpdateTimes.push(now);
+      if (frame.recentUpdateTimes.length > RECENT_UPDATE_TIMES) {
+        frame.recentUpdateTimes.shift();
+      }
+    });
+  }
+
+  getFrameNames() {
+    const names = new Set();
+    this.frames.forEach((frame) => {
+      names.add(frame.name);
+      names.add(frame.parent);
+    });
+    return Array.from(names).sort();
+  }
+
+  getRate(frameName, now = Date.now()) {
+    const frame = this.frames.get(frameName);
+    if (!frame || frame.isStatic) {
+      return null;
+    }
+
+    const recent = frame.recentUpdateTimes.filter(
+      (time) => now - time <= RATE_WINDOW_MS
+    );
+    if (recent.length < 2) {
+      return recent.length === 0 ? 0 : null;
+    }
+    return recent.length / ((now - recent[0]) / 1000);
+  }
+
+  // A frame is stale once it has missed several of its usual updates, and
+  // never sooner than staleAfterMs. Static frames never go stale.
+  isStale(frameName, staleAfterMs, now = Date.now()) {
+    const frame = this.frames.get(frameName);
+    if (!frame || frame.isStatic) {
+      return false;
+    }
+
+    const times = frame.recentUpdateTimes;
+    const interval =
+      times.length > 1
+        ? (times[times.length - 1] - times[0]) / (times.length - 1)
+        : 0;
+
+    return now - frame.lastUpdateTime > Math.max(staleAfterMs, 3 * interval);
+  }
+
+  // Walks up the parent links. A frame whose chain loops back on itself has
+  // no root, which tf2 would also refuse to resolve.
+  getChain(frameName) {
+    const chain = [frameName];
+    let current = frameName;
+
+    while (this.frames.has(current)) {
+      current = this.frames.get(current).parent;
+      if (chain.includes(current)) {
+        return null;
+      }
+      chain.push(current);
+    }
+
+    return chain;
+  }
+
+  getRoot(frameName) {
+    const chain = this.getChain(frameName);
+    return chain ? chain[chain.length - 1] : null;
+  }
+
+  // Transform of frameName expressed in its root frame.
+  _transformToRoot(frameName) {
+    const chain = this.getChain(frameName);
+    if (!chain) {
+      return null;
+    }
+
+    let transform = IDENTITY;
+    for (let index = chain.length - 2; index >= 0; index--) {
+      transform = composeTransforms(
+        transform,
+        this.frames.get(chain[index]).transform
+      );
+    }
+
+    return { root: chain[chain.length - 1], transform };
+  }
+
+  // Returns the pose of sourceFrame in targetFrame, i.e. the transform that
+  // maps points from sourceFrame into targetFrame (tf2 lookupTransform order).
+  lookupTransform(targetFrame, sourceFrame) {
+    const target = this._transformToRoot(targetFrame);
+    const source = this._transformToRoot(sourceFrame);
+
+    if (!target || !source) {
+      throw new Error("Frame chain contains a loop");
+    }
+
+    if (target.root !== source.root) {
+      throw new Error(
+        `${targetFrame} and ${sourceFrame} are not connected (roots ${target.root} and ${source.root})`
+      );
+    }
+
+    return composeTransforms(
+      invertTransform(target.transform),
+      source.transform
+    );
+  }
+}
+
+module.exports = {
+  TF_MESSAGE_TYPE,
+  TF_TOPICS,
+  TfTree,
+  composeTransforms,
+  invertTransform,
+  quaternionToRpy,
+};
@@ -0,0 +1,877 @@
+const vscode = require("vscode");
+const path = require("path");
+const { DOMParser, XMLSerializer } = require("@xmldom/xmldom");
+const { findPackage, resolveResourcePath } = require("./rosPackages");
+
+// A subset of xacro that is enough for most robot descriptions: properties
+// (including block properties), args, macros with default, inherited and
+// block parameters, ${} math expressions, $(find/arg/env/optenv/dirname),
+// includes and if/unless. Expressions are parsed here rather than passed to
+// eval so opening a description file cannot run code.
+
+const XACRO_PREFIX = "xacro:";
+const MAX_DEPTH = 100;
+
+const NUMBER_PATTERN = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*/;
+const OPERATORS = [
+  "**",
+  "//",
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "<",
+  ">",
+  "+",
+  "-",
+  "*",
+  "/",
+  "%",
+  "(",
+  ")",
+  "[",
+  "]",
+  ",",
+  ".",
+];
+const KEYWORDS = ["and", "or", "not", "if", "else", "in"];
+const CONSTANTS = {
+  True: true,
+  true: true,
+  False: false,
+  false: false,
+  None: null,
+};
+
+const MATH = {
+  pi: Math.PI,
+  e: Math.E,
+  inf: Infinity,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  atan2: Math.atan2,
+  sinh: Math.sinh,
+  cosh: Math.cosh,
+  tanh: Math.tanh,
+  sqrt: Math.sqrt,
+  exp: Math.exp,
+  log: (value, base) =>
+    base === undefined ? Math.log(value) : Math.log(value) / Math.log(base),
+  log10: Math.log10,
+  pow: Math.pow,
+  fabs: Math.abs,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  hypot: Math.hypot,
+  radians: (degrees) => (degrees * Math.PI) / 180,
+  degrees: (radians) => (radians * 180) / Math.PI,
+};
+
+const BUILTINS = {
+  ...MATH,
+  math: MATH,
+  abs: Math.abs,
+  min: Math.min,
+  max: Math.max,
+  round: Math.round,
+  int: (value) => Math.trunc(Number(value)),
+  float: (value) => Number(value),
+  str: (value) => formatValue(value),
+  bool: (value) => toBoolean(value),
+  len: (value) => value.length,
+};
+
+function tokenize(expression) {
+  const tokens = [];
+  let rest = expression;
+
+  while ((rest = rest.trimStart()).length > 0) {
+    const number = NUMBER_PATTERN.exec(rest);
+    if (number) {
+      tokens.push({ type: "number", value: Number(number[0]) });
+      rest = rest.slice(number[0].length);
+      continue;
+    }
+
+    const name = NAME_PATTERN.exec(rest);
+    if (name) {
+      tokens.push({
+        type: KEYWORDS.includes(name[0]) ? "operator" : "name",
+        value: name[0],
+      });
+      rest = rest.slice(name[0].length);
+      continue;
+    }
+
+    if (rest[0] === "'" || rest[0] === '"') {
+      const end = rest.indexOf(rest[0], 1);
+      if (end === -1) {
+        throw new Error(`Unterminated string in "${expression}"`);
+      }
+      tokens.push({ type: "string", value: rest.slice(1, end) });
+      rest = rest.slice(end + 1);
+      continue;
+    }
+
+    const operator = OPERATORS.find((op) => rest.startsWith(op));
+    if (!operator) {
+      throw new Error(`Unexpected "${rest[0]}" in "${expression}"`);
+    }
+    tokens.push({ type: "operator", value: operator });
+    rest = rest.slice(operator.length);
+  }
+
+  return tokens;
+}
+
+// Recursive descent over Python's precedence levels, which is what xacro
+// expressions are written in.
+class ExpressionParser {
+  constructor(expression, lookup) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.position = 0;
+    this.lookup = lookup;
+  }
+
+  parse() {
+    const value = this.conditional();
+    if (this.position < this.tokens.length) {
+      throw new Error(
+        `Unexpected "${this.tokens[this.position].value}" in "${this.expression}"`
+      );
+    }
+    return value;
+  }
+
+  peek(value) {
+    const token = this.tokens[this.position];
+    return token && token.type === "operator" && token.value === value;
+  }
+
+  accept(value) {
+    if (this.peek(value)) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(value) {
+    if (!this.accept(value)) {
+      throw new Error(`Expected "${value}" in "${this.expression}"`);
+    }
+  }
+
+  conditional() {
+    const value = this.or();
+    if (this.accept("if")) {
+      const condition = this.or();
+      this.expect("else");
+      const otherwise = this.conditional();
+      return toBoolean(condition) ? value : otherwise;
+    }
+    return value;
+  }
+
+  or() {
+    let value = this.and();
+    while (this.accept("or")) {
+      const right = this.and();
+      value = toBoolean(value) ? value : right;
+    }
+    return value;
+  }
+
+  and() {
+    let value = this.not();
+    while (this.accept("and")) {
+      const right = this.not();
+      value = toBoolean(value) ? right : value;
+    }
+    return value;
+  }
+
+  not() {
+    if (this.accept("not")) {
+      return !toBoolean(this.not());
+    }
+    return this.comparison();
+  }
+
+  comparison() {
+    const left = this.sum();
+    const token = this.tokens[this.position];
+    if (
+      !token ||
+      token.type !== "operator" ||
+      !["==", "!=", "<", "<=", ">", ">=", "in"].includes(token.value)
+    ) {
+      return left;
+    }
+
+    this.position++;
+    const right = this.sum();
+    switch (token.value) {
+      case "==":
+        return left === right;
+      case "!=":
+        return left !== right;
+      case "<":
+        return left < right;
+      case "<=":
+        return left <= right;
+      case ">":
+        return left > right;
+      case ">=":
+        return left >= right;
+      default:
+        return right.includes(left);
+    }
+  }
+
+  sum() {
+    let value = this.term();
+    for (;;) {
+      if (this.accept("+")) {
+        value = value + this.term();
+      } else if (this.accept("-")) {
+        value = value - this.term();
+      } else {
+        return value;
+      }
+    }
+  }
+
+  term() {
+    let value = this.unary();
+    for (;;) {
+      if (this.accept("*")) {
+        value = value * this.unary();
+      } else if (this.accept("//")) {
+        value = Math.floor(value / this.unary());
+      } else if (this.accept("/")) {
+        value = value / this.unary();
+      } else if (this.accept("%")) {
+        const divisor = this.unary();
+        value = ((value % divisor) + divisor) % divisor;
+      } else {
+        return value;
+      }
+    }
+  }
+
+  unary() {
+    if (this.accept("-")) {
+      return -this.unary();
+    }
+    if (this.accept("+")) {
+      return +this.unary();
+    }
+    return this.power();
+  }
+
+  power() {
+    const base = this.postfix();
+    if (this.accept("**")) {
+      return Math.pow(base, this.unary());
+    }
+    return base;
+  }
+
+  postfix() {
+    let value = this.primary();
+    for (;;) {
+      if (this.accept("(")) {
+        const args = [];
+        if (!this.accept(")")) {
+          do {
+            args.push(this.conditional());
+          } while (this.accept(","));
+          this.expect(")");
+        }
+        if (typeof value !== "function") {
+          throw new Error(`Not a function in "${this.expression}"`);
+        }
+        value = value(...args);
+      } else if (this.accept(".")) {
+        const token = this.tokens[this.position++];
+        if (!token || token.type !== "name") {
+          throw new Error(`Expected a name after "." in "${this.expression}"`);
+        }
+        value = member(value, token.value);
+      } else if (this.accept("[")) {
+        const key = this.conditional();
+        this.expect("]");
+        value = member(value, key);
+      } else {
+        return value;
+      }
+    }
+  }
+
+  primary() {
+    const token = this.tokens[this.position++];
+    if (!token) {
+      throw new Error(`Unexpected end of "${this.expression}"`);
+    }
+
+    if (token.type === "number" || token.type === "string") {
+      return token.value;
+    }
+
+    if (token.type === "name") {
+      return this.lookup(token.value);
+    }
+
+    if (token.value === "(") {
+      const value = this.conditional();
+      this.expect(")");
+      return value;
+    }
+
+    if (token.value === "[") {
+      const items = [];
+      if (!this.accept("]")) {
+        do {
+          items.push(this.conditional());
+        } while (this.accept(","));
+        this.expect("]");
+      }
+      return items;
+    }
+
+    throw new Error(`Unexpected "${token.value}" in "${this.expression}"`);
+  }
+}
+
+function member(value, key) {
+  if (
+    value === null ||
+    value === undefined ||
+    !Object.prototype.hasOwnProperty.call(value, key)
+  ) {
+    throw new Error(`No member "${key}"`);
+  }
+  return value[key];
+}
+
+// Property values are strings until an expression uses them; numbers and
+// booleans are then read the way xacro reads them.
+function toExpressionValue(value) {
+  if (typeof value !== "string") {
+    return value;
+  }
+  if (value.trim() !== "" && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (value in CONSTANTS && typeof CONSTANTS[value] === "boolean") {
+    return CONSTANTS[value];
+  }
+  return value;
+}
+
+function toBoolean(value) {
+  if (typeof value === "boolean") {
+    return value;
+  }
+  if (typeof value === "number") {
+    return value !== 0;
+  }
+  if (typeof value === "string") {
+    const converted = toExpressionValue(value.trim());
+    if (typeof converted !== "string") {
+      return toBoolean(converted);
+    }
+    throw new Error(`"${value}" is not a boolean`);
+  }
+  return Boolean(value);
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(formatValue).join(" ");
+  }
+  return String(value);
+}
+
+function findClosing(text, start, open, close) {
+  let depth = 0;
+  let quote = null;
+
+  for (let index = start; index < text.length; index++) {
+    const char = text[index];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === open) {
+      depth++;
+    } else if (char === close) {
+      depth--;
+      if (depth === 0) {
+        return index;
+      }
+    }
+  }
+
+  throw new Error(`Missing "${close}" in "${text}"`);
+}
+
+function evaluateSubstitution(command, context) {
+  const [name, ...args] = command.trim().split(/\s+/);
+
+  switch (name) {
+    case "find": {
+      const directory = findPackage(args[0], context.packages);
+      if (!directory) {
+        throw new Error(`Package "${args[0]}" not found`);
+      }
+      return directory;
+    }
+    case "arg":
+      if (!(args[0] in context.args)) {
+        throw new Error(`Undefined arg "${args[0]}"`);
+      }
+      return context.args[args[0]];
+    case "env":
+      if (process.env[args[0]] === undefined) {
+        throw new Error(`Environment variable "${args[0]}" is not set`);
+      }
+      return process.env[args[0]];
+    case "optenv":
+      return process.env[args[0]] !== undefined
+        ? process.env[args[0]]
+        : args.slice(1).join(" ");
+    case "dirname":
+      return context.directory;
+    default:
+      throw new Error(`Unsupported substitution $(${command})`);
+  }
+}
+
+// Local properties are stored unevaluated and evaluated on first use, as
+// xacro does, so a property may refer to one defined after it.
+function lazyProperty(text, context) {
+  return { lazy: true, text, context, state: "pending", value: undefined };
+}
+
+function resolveProperty(name, property) {
+  if (!property || !property.lazy) {
+    return property;
+  }
+  if (property.state === "evaluating") {
+    throw new Error(`Property "${name}" is defined in terms of itself`);
+  }
+  if (property.state === "pending") {
+    property.state = "evaluating";
+    try {
+      property.value = evaluateText(property.text, property.context);
+      property.state = "done";
+    } catch (error) {
+      property.state = "pending";
+      throw error;
+    }
+  }
+  return property.value;
+}
+
+function evaluateExpression(expression, context) {
+  return new ExpressionParser(expression, (name) => {
+    if (name in context.properties) {
+      const property = context.properties[name];
+      if (property && property.block) {
+        throw new Error(`Block property "${name}" used in an expression`);
+      }
+      return toExpressionValue(resolveProperty(name, property));
+    }
+    if (name in CONSTANTS) {
+      return CONSTANTS[name];
+    }
+    if (Object.prototype.hasOwnProperty.call(BUILTINS, name)) {
+      return BUILTINS[name];
+    }
+    throw new Error(`Undefined property "${name}"`);
+  }).parse();
+}
+
+// Evaluates ${expression} and $(substitution) parts of an attribute or text.
+// Text that is a single ${} keeps the expression's type, so properties can
+// hold numbers and booleans.
+function evaluateText(text, context) {
+  if (!text.includes("$")) {
+    return text;
+  }
+
+  const parts = [];
+  let index = 0;
+  let literal = "";
+
+  while (index < text.length) {
+    if (text.startsWith("$${", index) || text.startsWith("$$(", index)) {
+      literal += text.slice(index + 1, index + 3);
+      index += 3;
+    } else if (text.startsWith("${", index)) {
+      const end = findClosing(text, index + 1, "{", "}");
+      if (literal) {
+        parts.push(literal);
+        literal = "";
+      }
+      parts.push({
+        value: evaluateExpression(text.slice(index + 2, end), context),
+      });
+      index = end + 1;
+    } else if (text.startsWith("$(", index)) {
+      const end = findClosing(text, index + 1, "(", ")");
+      literal += evaluateSubstitution(text.slice(index + 2, end), context);
+      index = end + 1;
+    } else {
+      literal += text[index++];
+    }
+  }
+
+  if (literal) {
+    parts.push(literal);
+  }
+
+  if (parts.length === 1 && typeof parts[0] === "object") {
+    return parts[0].value;
+  }
+  return parts
+    .map((part) => (typeof part === "object" ? formatValue(part.value) : part))
+    .join("");
+}
+
+function evaluateString(text, context) {
+  return formatValue(evaluateText(text, context));
+}
+
+// Macro parameters: "name", "name:=default", "name:=^" / "name:=^|default"
+// (inherit from the calling scope), "*block" and "**content".
+function parseMacroParams(params) {
+  const pattern =
+    /(\*{0,2})([A-Za-z_][A-Za-z0-9_]*)(?::=((?:'[^']*'|"[^"]*"|[^\s'"])*))?/g;
+
+  return Array.from((params || "").matchAll(pattern), (match) => {
+    const param = {
+      name: match[2],
+      kind: ["value", "block", "content"][match[1].length],
+    };
+
+    let value = match[3];
+    if (value !== undefined) {
+      if (value.startsWith("^")) {
+        param.inherit = true;
+        value = value.startsWith("^|") ? value.slice(2) : undefined;
+      }
+      if (value !== undefined) {
+        param.default = value.replace(/^(['"])(.*)\1$/, "$2");
+      }
+    }
+
+    return param;
+  });
+}
+
+function childElements(node) {
+  return Array.from(node.childNodes).filter((child) => child.nodeType === 1);
+}
+
+function requireAttribute(element, name) {
+  if (!element.hasAttribute(name)) {
+    throw new Error(`<${element.nodeName}> is missing "${name}"`);
+  }
+  return element.getAttribute(name);
+}
+
+function replaceWithChildren(element) {
+  const parent = element.parentNode;
+  while (element.firstChild) {
+    parent.insertBefore(element.firstChild, element);
+  }
+  parent.removeChild(element);
+}
+
+function parseXml(text, filePath) {
+  const parser = new DOMParser({
+    errorHandler: {
+      warning: () => {},
+      error: (message) => {
+        throw new Error(`${path.basename(filePath)}: ${message}`);
+      },
+      fatalError: (message) => {
+        throw new Error(`${path.basename(filePath)}: ${message}`);
+      },
+    },
+  });
+  const document = parser.parseFromString(text, "text/xml");
+  if (!document.documentElement) {
+    throw new Error(`${path.basename(filePath)} has no root element`);
+  }
+  return document;
+}
+
+// Unsaved editor contents win over the file on disk, so includes that are
+// being edited alongside the main file render as they are.
+async function readDescriptionFile(filePath) {
+  const open = vscode.workspace.textDocuments.find(
+    (document) => document.uri.fsPath === filePath
+  );
+  if (open) {
+    return open.getText();
+  }
+
+  const content = await vscode.workspace.fs.readFile(vscode.Uri.file(filePath));
+  return Buffer.from(content).toString("utf8");
+}
+
+async function expandChildren(parent, context) {
+  for (const node of Array.from(parent.childNodes)) {
+    if (node.nodeType === 1) {
+      await expandElement(node, context);
+    } else if (node.nodeType === 3 || node.nodeType === 4) {
+      node.data = evaluateString(node.data, context);
+    }
+  }
+}
+
+async function expandElement(element, context) {
+  if (!element.nodeName.startsWith(XACRO_PREFIX)) {
+    for (const attribute of Array.from(element.attributes)) {
+      if (!attribute.name.startsWith("xmlns")) {
+        attribute.value = evaluateString(attribute.value, context);
+      }
+    }
+    await expandChildren(element, context);
+    return;
+  }
+
+  const tag = element.nodeName.slice(XACRO_PREFIX.length);
+  switch (tag) {
+    case "property":
+      await defineProperty(element, context);
+      element.parentNode.removeChild(element);
+      return;
+    case "arg": {
+      const name = requireAttribute(element, "name");
+      if (!(name in context.args)) {
+        context.args[name] = evaluateString(
+          element.getAttribute("default"),
+          context
+        );
+      }
+      element.parentNode.removeChild(element);
+      return;
+    }
+    case "macro": {
+      const name = requireAttribute(element, "name").replace(/^xacro:/, "");
+      context.macros[name] = {
+        name,
+        params: parseMacroParams(element.getAttribute("params")),
+        body: element,
+      };
+      element.parentNode.removeChild(element);
+      return;
+    }
+    case "include":
+      await includeFile(element, context);
+      return;
+    case "if":
+    case "unless": {
+      const condition = toBoolean(
+        evaluateText(requireAttribute(element, "value"), context)
+      );
+      if (condition === (tag === "if")) {
+        await expandChildren(element, context);
+        replaceWithChildren(element);
+      } else {
+        element.parentNode.removeChild(element);
+      }
+      return;
+    }
+    case "insert_block": {
+      const name = evaluateString(requireAttribute(element, "name"), context);
+      const property = context.properties[name];
+      if (!property || !property.block) {
+        throw new Error(`Undefined block "${name}"`);
+      }
+      property.block.forEach((node) =>
+        element.parentNode.insertBefore(node.cloneNode(true), element)
+      );
+      element.parentNode.removeChild(element);
+      return;
+    }
+    default:
+      if (context.macros[tag]) {
+        await callMacro(element, context.macros[tag], context);
+        return;
+      }
+      throw new Error(`Unknown macro or unsupported tag <${element.nodeName}>`);
+  }
+}
+
+async function defineProperty(element, context) {
+  const name = requireAttribute(element, "name");
+  let properties = context.properties;
+
+  const scope = element.getAttribute("scope");
+  if (scope === "parent") {
+    properties = Object.getPrototypeOf(properties) || properties;
+  } else if (scope === "global") {
+    properties = context.globalProperties;
+  }
+
+  // Like xacro, only properties in the local scope are evaluated lazily
+  const define = (text) =>
+    scope === "parent" || scope === "global"
+      ? evaluateText(text, context)
+      : lazyProperty(text, context);
+
+  if (element.hasAttribute("value")) {
+    properties[name] = define(element.getAttribute("value"));
+  } else if (element.hasAttribute("default")) {
+    if (!(name in context.properties)) {
+      properties[name] = define(element.getAttribute("default"));
+    }
+  } else {
+    await expandChildren(element, context);
+    properties[name] = { block: childElements(element) };
+  }
+}
+
+async function includeFile(element, context) {
+  if (element.hasAttribute("ns")) {
+    throw new Error("Namespaced includes are not supported");
+  }
+
+  const filename = evaluateString(
+    requireAttribute(element, "filename"),
+    context
+  );
+  const filePath = resolveResourcePath(
+    filename,
+    context.packages,
+    context.directory
+  );
+  if (!filePath) {
+    throw new Error(`Cannot resolve include "${filename}"`);
+  }
+  if (context.depth >= MAX_DEPTH) {
+    throw new Error(`Include of ${filename} nests too deeply`);
+  }
+
+  let text;
+  try {
+    text = await readDescriptionFile(filePath);
+  } catch {
+    throw new Error(`Cannot read include ${filePath}`);
+  }
+  context.files.add(filePath);
+
+  const included = element.ownerDocument.importNode(
+    parseXml(text, filePath).documentElement,
+    true
+  );
+  element.parentNode.replaceChild(included, element);
+  await expandChildren(included, {
+    ...context,
+    directory: path.dirname(filePath),
+    depth: context.depth + 1,
+  });
+  replaceWithChildren(included);
+}
+
+async function callMacro(element, macro, context) {
+  if (context.depth >= MAX_DEPTH) {
+    throw new Error(`Macro ${macro.name} recurses too deeply`);
+  }
+
+  // Block arguments are expanded in the caller's scope before binding
+  await expandChildren(element, context);
+  const blocks = childElements(element);
+  const properties = Object.create(context.properties);
+  const known = new Set(macro.params.map((param) => param.name));
+
+  for (const attribute of Array.from(element.attributes)) {
+    if (!known.has(attribute.name)) {
+      throw new Error(
+        `Macro ${macro.name} has no parameter "${attribute.name}"`
+      );
+    }
+  }
+
+  for (const param of macro.params) {
+    if (param.kind !== "value") {
+      const block = blocks.shift();
+      if (!block) {
+        throw new Error(
+          `Macro ${macro.name} is missing block parameter "${param.name}"`
+        );
+      }
+      properties[param.name] = {
+        block: param.kind === "block" ? [block] : childElements(block),
+      };
+    } else if (element.hasAttribute(param.name)) {
+      properties[param.name] = evaluateText(
+        element.getAttribute(param.name),
+        context
+      );
+    } else if (param.inherit && param.name in context.properties) {
+      properties[param.name] = context.properties[param.name];
+    } else if (param.default !== undefined) {
+      properties[param.name] = evaluateText(param.default, context);
+    } else {
+      throw new Error(
+        `Macro ${macro.name} is missing parameter "${param.name}"`
+      );
+    }
+  }
+
+  const body = macro.body.cloneNode(true);
+  element.parentNode.replaceChild(body, element);
+  await expandChildren(body, {
+    ...context,
+    properties,
+    depth: context.depth + 1,
+  });
+  replaceWithChildren(body);
+}
+
+// Expands a .urdf or .urdf.xacro file. Returns the URDF text and every file
+// it was built from, so callers can re-render when any of them changes.
+async function expandXacroFile(filePath, { packages, args = {} }) {
+  const document = parseXml(await readDescriptionFile(filePath), filePath);
+  const globalProperties = Object.create(null);
+  const context = {
+    properties: globalProperties,
+    globalProperties,
+    macros: Object.create(null),
+    args: { ...args },
+    packages,
+    directory: path.dirname(filePath),
+    files: new Set([filePath]),
+    depth: 0,
+  };
+
+  const root = document.documentElement;
+  await expandChildren(root, context);
+  Array.from(root.attributes)
+    .filter((attribute) => attribute.name === "xmlns:xacro")
+    .forEach((attribute) => root.removeAttribute(attribute.name));
+
+  return {
+    urdf: new XMLSerializer().serializeToString(document),
+    files: Array.from(context.files),
+  };
+}
+
+module.exports = {
+  expandXacroFile,
+};